@@ -0,0 +1,83 @@
+import nameHandler from '../../src/pages/api/names/[name]';
+import batchHandler from '../../src/pages/api/names';
+
+/**
+ * Call an API route handler with a GET request
+ * @param {Function} handler - Route handler
+ * @param {Object} query - Query parameters
+ * @returns {Object} - { statusCode, body }
+ */
+function get(handler, query) {
+  const res = {
+    statusCode: 200,
+    body: undefined,
+    headers: {},
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+    setHeader(name, value) {
+      this.headers[name] = value;
+    }
+  };
+
+  handler({ method: 'GET', query }, res);
+  return res;
+}
+
+// Properties every object inherits, which must not be taken for names
+const INHERITED_KEYS = ['constructor', 'toString', '__proto__', 'hasOwnProperty', 'valueOf'];
+
+describe('GET /api/names/:name', () => {
+  it('finds a name in the data', () => {
+    const { statusCode, body } = get(nameHandler, { name: 'Oliver', gender: 'male', asOf: '2024-07-01' });
+
+    expect(statusCode).toBe(200);
+    expect(body.name).toBe('Oliver');
+    expect(body.stats.totalLiving).toBeGreaterThan(0);
+  });
+
+  it('finds a name whatever its case', () => {
+    const { statusCode, body } = get(nameHandler, { name: 'oLIVER', gender: 'male', asOf: '2024-07-01' });
+
+    expect(statusCode).toBe(200);
+    expect(body.name).toBe('Oliver');
+  });
+
+  it.each(INHERITED_KEYS)('does not find the inherited property %s', (name) => {
+    for (const gender of ['male', 'female', 'all']) {
+      const { statusCode, body } = get(nameHandler, { name, gender });
+
+      expect(statusCode).toBe(404);
+      expect(body.availableGender).toBeUndefined();
+    }
+  });
+
+  it('does not find inherited properties in a name family', () => {
+    const { statusCode } = get(nameHandler, { name: 'constructor', gender: 'male', family: 'true' });
+
+    expect(statusCode).toBe(404);
+  });
+});
+
+describe('GET /api/names', () => {
+  it('reports inherited properties as not found', () => {
+    const { statusCode, body } = get(batchHandler, { names: '__proto__,hasOwnProperty', gender: 'female' });
+
+    expect(statusCode).toBe(200);
+    expect(body.count).toBe(2);
+    expect(body.found).toBe(0);
+    expect(body.results.map(result => result.status)).toEqual([404, 404]);
+  });
+
+  it('counts only the real names in a mixed batch', () => {
+    const { body } = get(batchHandler, { names: 'Oliver,toString,constructor', gender: 'male', asOf: '2024-07-01' });
+
+    expect(body.found).toBe(1);
+    expect(body.results.map(result => result.status)).toEqual([200, 404, 404]);
+  });
+});
@@ -0,0 +1,14 @@
+const nextJest = require('next/jest')
+
+// Compile tests and the app's modules the way Next does
+const createJestConfig = nextJest({ dir: './' })
+
+module.exports = createJestConfig({
+  testEnvironment: 'node',
+  // API route tests in __tests__/, unit tests next to the modules they cover
+  testMatch: [
+    '<rootDir>/__tests__/**/*.test.js',
+    '<rootDir>/src/lib/__tests__/**/*.test.js',
+    '<rootDir>/scripts/pipeline/__tests__/**/*.test.js',
+  ],
+})
@@ -0,0 +1,5 @@
+/** @type {import('next').NextConfig} */
+module.exports = {
+  // Published as an ES module only, so next/jest needs to compile it for the tests
+  transpilePackages: ['double-metaphone'],
+}
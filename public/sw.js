@@ -0,0 +1,109 @@
+/**
+ * Service worker: keeps the app itself available offline
+ *
+ * - Pages, the manifest and icon: network first, falling back to the last
+ *   copy cached (any query string, since the calculator reads its state from
+ *   the URL on the client)
+ * - Build assets (/_next/static/, hashed so never change): cache first
+ * - Data files (/data/): left to the page, which keeps them in IndexedDB by
+ *   dataset version (src/lib/dataCache.js), downloading all the
+ *   calculator's on the first visit (prefetchDataFiles in src/lib/dataLoader.js)
+ *
+ * The page sends the asset URLs it loaded before this worker took control
+ * ({ type: 'CACHE_URLS', urls }), and { type: 'SKIP_WAITING' } when the user
+ * accepts an update.
+ *
+ * Bump CACHE_NAME when changing this file's caching behaviour.
+ */
+
+const CACHE_NAME = 'name-age-calculator-v2';
+
+const PRECACHE_URLS = ['/', '/about', '/names-by-age', '/enrich', '/calibration', '/manifest.webmanifest', '/icon.svg'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE_URLS))
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('message', (event) => {
+  const { type, urls } = event.data || {};
+
+  if (type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  } else if (type === 'CACHE_URLS') {
+    event.waitUntil(
+      caches.open(CACHE_NAME).then(cache => Promise.all(
+        urls.map(url => cache.match(url).then(cached => cached || cache.add(url).catch(() => {})))
+      ))
+    );
+  }
+});
+
+/**
+ * Network first, caching the response; the cached copy when offline
+ *
+ * @param {Request} request - Page (or other precached URL) request
+ * @returns {Promise<Response>}
+ */
+async function handleNetworkFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      cache.put(new URL(request.url).pathname, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) {
+      return cached;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Cache first, caching what the network returns
+ *
+ * @param {Request} request - Asset request
+ * @returns {Promise<Response>}
+ */
+async function handleAsset(request) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request);
+
+  if (cached) {
+    return cached;
+  }
+
+  const response = await fetch(request);
+  if (response.ok) {
+    cache.put(request, response.clone());
+  }
+  return response;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  if (request.method !== 'GET' || url.origin !== self.location.origin) {
+    return;
+  }
+
+  if (request.mode === 'navigate' || PRECACHE_URLS.includes(url.pathname)) {
+    event.respondWith(handleNetworkFirst(request));
+  } else if (url.pathname.startsWith('/_next/static/')) {
+    event.respondWith(handleAsset(request));
+  }
+});
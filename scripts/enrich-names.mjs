@@ -0,0 +1,122 @@
+/**
+ * Bulk CSV enrichment: estimate ages for a list of first names
+ *
+ * Usage:
+ *   npm run enrich-names -- <input.csv> [output.csv] [--as-of=YYYY-MM-DD] [--region=scotland]
+ *
+ * The input needs a name column (header "name", "first name", "forename", ...)
+ * and optionally a gender column ("gender" or "sex"). Without a recognised
+ * header, the first column is the name and the second the gender.
+ *
+ * Appends likely gender, median age, 10th/90th percentile ages and total
+ * living estimate to each row, and prints a report of names not found and
+ * gender cells that aren't recognised.
+ *
+ * Names are looked up in England & Wales' data unless --region names another
+ * nation (see REGIONS in src/lib/regions.js). Combined regions such as the
+ * United Kingdom aren't supported: each nation's names go through its own
+ * life tables, which enrichment doesn't sum.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { normalizeLifeTables } from '../src/lib/dataLoader.js';
+import { DEFAULT_REGION, REGIONS, getRegion, getRegionDataPath } from '../src/lib/regions.js';
+import { parseCsv, toCsv, enrichRows } from '../src/lib/enrichment.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = path.join(__dirname, '../public/data');
+
+const USAGE = 'Usage: npm run enrich-names -- <input.csv> [output.csv] [--as-of=YYYY-MM-DD] [--region=scotland]';
+
+/**
+ * Load a region's processed data for a gender from public/data
+ * @param {string} gender - 'male' or 'female'
+ * @param {string} region - Region id with its own data files
+ * @returns {Object} - { babyNames, lifeTables }
+ */
+function loadData(gender, region) {
+  const readJSON = (filename) => JSON.parse(fs.readFileSync(path.join(DATA_DIR, getRegionDataPath(region, filename)), 'utf8'));
+  const babyNames = readJSON(gender === 'male' ? 'baby-names-boys.json' : 'baby-names-girls.json');
+  const { survival } = normalizeLifeTables(readJSON(`life-tables-${gender}.json`));
+
+  return { babyNames, lifeTables: survival };
+}
+
+/**
+ * Main processing function
+ */
+function main() {
+  const args = process.argv.slice(2);
+  const asOfArg = args.find(arg => arg.startsWith('--as-of='));
+  const asOf = asOfArg ? asOfArg.slice('--as-of='.length) : undefined;
+  const regionArg = args.find(arg => arg.startsWith('--region='));
+  const region = regionArg ? regionArg.slice('--region='.length) : DEFAULT_REGION;
+  const [inputPath, outputArg] = args.filter(arg => !arg.startsWith('--'));
+
+  if (!inputPath) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  if (!fs.existsSync(inputPath)) {
+    console.error(`File not found: ${inputPath}`);
+    process.exit(1);
+  }
+
+  if (asOf && !/^\d{4}-\d{2}-\d{2}$/.test(asOf)) {
+    console.error(`Invalid --as-of date: ${asOf} (use YYYY-MM-DD)`);
+    process.exit(1);
+  }
+
+  const regionIds = REGIONS.filter(entry => !entry.members).map(entry => entry.id);
+  if (!regionIds.includes(region)) {
+    const reason = getRegion(region) ? 'combines several nations, which enrichment does not support' : 'is not a known region';
+    console.error(`--region=${region} ${reason} (use ${regionIds.join(', ')})`);
+    process.exit(1);
+  }
+
+  if (!fs.existsSync(path.join(DATA_DIR, getRegionDataPath(region, 'baby-names-boys.json')))) {
+    console.error(`No ${getRegion(region).label} data in public/data (see DATA_SOURCES.md)`);
+    process.exit(1);
+  }
+
+  const outputPath = outputArg || inputPath.replace(/\.csv$/i, '') + '-enriched.csv';
+
+  console.log('=== Name Age Enrichment ===\n');
+  console.log(`Input: ${inputPath}`);
+  console.log(`Region: ${getRegion(region).label}`);
+  console.log(`Ages as of: ${asOf || 'today'}\n`);
+
+  const datasets = { male: loadData('male', region), female: loadData('female', region) };
+  const rows = parseCsv(fs.readFileSync(inputPath, 'utf8'));
+  const { rows: enriched, summary } = enrichRows(rows, datasets, { asOf });
+
+  fs.writeFileSync(outputPath, toCsv(enriched));
+
+  console.log(`✓ Enriched ${summary.matched} of ${summary.totalRows} rows`);
+  console.log(`  Saved to: ${outputPath}\n`);
+
+  if (summary.notFound.length > 0) {
+    const rows = summary.notFound.reduce((sum, entry) => sum + entry.rows, 0);
+    console.log(`Names not found (${rows} rows, ${summary.notFound.length} distinct):`);
+    for (const entry of summary.notFound) {
+      console.log(`  - ${entry.name || '(blank)'} ×${entry.rows}: ${entry.message}`);
+    }
+    console.log('');
+  }
+
+  if (summary.invalidGender.length > 0) {
+    const rows = summary.invalidGender.reduce((sum, entry) => sum + entry.rows, 0);
+    console.log(`Genders not recognised (${rows} rows, left without estimates):`);
+    for (const entry of summary.invalidGender) {
+      console.log(`  - ${entry.value} ×${entry.rows}: ${entry.message}`);
+    }
+    console.log('');
+  }
+
+  console.log('=== Enrichment Complete ===\n');
+}
+
+main();
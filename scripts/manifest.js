@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Dataset manifest: public/data/manifest.json
+ *
+ * Every pipeline stage records the files it writes, so the manifest always
+ * says where each output came from (intermediate files in data/processed get
+ * a manifest of their own):
+ * {
+ *   "version": "3f2a9c1b04de",          // Hash of every file's hash; changes with any output
+ *   "generatedAt": "2025-08-01T12:00:00.000Z",
+ *   "files": {
+ *     "baby-names-boys.json": {
+ *       "description": "...",
+ *       "sources": [{ "workbook", "sheet", "releaseYear", "years": { "start", "end" }, "estimated", "totals" }],
+ *       "releaseYear": 2025,             // Latest ONS release among the sources
+ *       "years": { "start": 1904, "end": 2024 },
+ *       "records": 18097,
+ *       "script": { "name": "pipeline/merge.js", "version": "<hash of the script>" },
+ *       "sha256": "...", "bytes": 123, "generatedAt": "..."
+ *     }
+ *   }
+ * }
+ *
+ * `estimated` sources are turned into births by the pipeline rather than
+ * counted, and `totals` sources (total births) only scale the estimates.
+ *
+ * The app reads the manifest before any other data file, and browsers cache
+ * data by its version. Other nations' files have keys under their directory
+ * (e.g. "scotland/baby-names-boys.json").
+ */
+
+const MANIFEST_FILE = 'manifest.json';
+
+/**
+ * SHA-256 of a file's contents
+ * @param {string|Buffer} contents - File contents
+ * @returns {string} - Hex digest
+ */
+function hashContents(contents) {
+  return crypto.createHash('sha256').update(contents).digest('hex');
+}
+
+/**
+ * Identify the script that produced an output by a hash of its code
+ * @param {string} scriptPath - Script file (pass __filename)
+ * @returns {Object} - { name (relative to scripts/, e.g. "pipeline/merge.js"), version }
+ */
+function getScriptVersion(scriptPath) {
+  return {
+    name: path.relative(__dirname, scriptPath),
+    version: hashContents(fs.readFileSync(scriptPath)).slice(0, 12)
+  };
+}
+
+/**
+ * ONS release year given with --release-year=YYYY, or the default
+ *
+ * ONS publishes each year's data the following year, so scripts default to
+ * the year after the latest year in the data.
+ *
+ * @param {number} defaultYear - Year to use without the flag
+ * @returns {number} - Release year
+ */
+function getReleaseYear(defaultYear) {
+  const flag = process.argv.find(arg => arg.startsWith('--release-year='));
+  const year = flag ? parseInt(flag.split('=')[1]) : NaN;
+
+  return isNaN(year) ? defaultYear : year;
+}
+
+/**
+ * Summarise baby names data for the manifest
+ * @param {Object} nameData - { "Oliver": { "1996": 4532, ... }, ... }
+ * @returns {Object} - { years: { start, end }, records }
+ */
+function describeNameData(nameData) {
+  let start = Infinity;
+  let end = -Infinity;
+
+  for (const years of Object.values(nameData)) {
+    for (const year of Object.keys(years)) {
+      start = Math.min(start, parseInt(year));
+      end = Math.max(end, parseInt(year));
+    }
+  }
+
+  return {
+    years: Number.isFinite(start) ? { start, end } : null,
+    records: Object.keys(nameData).length
+  };
+}
+
+/**
+ * Read a directory's manifest
+ * @param {Object} workspace - Pipeline workspace (see pipeline/workspace.js)
+ * @param {string} outputDir - Data directory
+ * @returns {Object} - Manifest (empty if there is none yet)
+ */
+function readManifest(workspace, outputDir) {
+  const manifestPath = path.join(outputDir, MANIFEST_FILE);
+
+  if (!workspace.exists(manifestPath)) {
+    return { version: null, generatedAt: null, files: {} };
+  }
+
+  return workspace.readJSON(manifestPath);
+}
+
+/**
+ * Record output files in a directory's manifest, replacing their previous entries
+ *
+ * Hashes and sizes are read from the files as written. Entries for files
+ * that no longer exist are dropped. Timestamps only move for entries that
+ * changed, so recording the same outputs again leaves the manifest as it was.
+ *
+ * @param {Object} outputs - { [file path relative to outputDir]: { description, sources, years, records, script } }
+ * @param {Object} options - { script: getScriptVersion() result (unless an entry has its own), outputDir, workspace }
+ * @returns {Object} - Updated manifest
+ */
+function recordOutputs(outputs, { script, outputDir, workspace }) {
+  const manifest = readManifest(workspace, outputDir);
+  const previousFiles = JSON.stringify(manifest.files);
+  const now = new Date().toISOString();
+
+  for (const [file, entry] of Object.entries(outputs)) {
+    const contents = workspace.read(path.join(outputDir, file));
+    const sources = entry.sources || [];
+    const releaseYears = sources.map(source => source.releaseYear).filter(Boolean);
+
+    const recorded = {
+      ...entry,
+      sources,
+      releaseYear: releaseYears.length > 0 ? Math.max(...releaseYears) : null,
+      script: entry.script || script,
+      sha256: hashContents(contents),
+      bytes: Buffer.byteLength(contents)
+    };
+
+    const previous = manifest.files[file];
+    const unchanged = previous && JSON.stringify({ ...previous, generatedAt: undefined }) === JSON.stringify(recorded);
+
+    manifest.files[file] = { ...recorded, generatedAt: unchanged ? previous.generatedAt : now };
+  }
+
+  const files = {};
+  for (const file of Object.keys(manifest.files).sort()) {
+    if (workspace.exists(path.join(outputDir, file))) {
+      files[file] = manifest.files[file];
+    }
+  }
+
+  const versionHash = crypto.createHash('sha256');
+  for (const [file, entry] of Object.entries(files)) {
+    versionHash.update(`${file}:${entry.sha256}\n`);
+  }
+
+  const version = versionHash.digest('hex').slice(0, 12);
+  const unchanged = JSON.stringify(files) === previousFiles && manifest.generatedAt;
+  const updated = { version, generatedAt: unchanged ? manifest.generatedAt : now, files };
+
+  if (workspace.writeJSON(path.join(outputDir, MANIFEST_FILE), updated)) {
+    const manifestPath = path.relative(path.join(__dirname, '..'), path.join(outputDir, MANIFEST_FILE));
+    const verb = workspace.dryRun ? 'Would record' : '✓ Recorded';
+    console.log(`${verb} ${Object.keys(outputs).length} file(s) in ${manifestPath} (data version ${version})`);
+  }
+
+  return updated;
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  getScriptVersion,
+  getReleaseYear,
+  describeNameData,
+  readManifest,
+  recordOutputs
+};
@@ -0,0 +1,43 @@
+import { buildCalibration } from '../calibration-factors.mjs';
+
+// Half of everyone dies at age 2, for every birth year
+const SURVIVAL = Array.from({ length: 101 }, (_, age) => (age < 2 ? 1 : 0.5));
+const LIFE_TABLES = { 2019: SURVIVAL, 2020: SURVIVAL, 2021: SURVIVAL, 2022: SURVIVAL };
+
+describe('buildCalibration', () => {
+  const babyNames = {
+    male: { Oliver: { 2021: 60, 2022: 100 }, Noah: { 2019: 40, 2020: 20, 2021: 40 } },
+    female: { Olivia: { 2022: 50 } }
+  };
+  // Either form of life tables file (see normalizeLifeTables)
+  const lifeTables = { male: { survival: LIFE_TABLES, sources: {} }, female: LIFE_TABLES };
+  const population = { male: [110, 90, 20, 0], female: [50, 10] };
+
+  it('compares the summed living estimates with the population by age', () => {
+    const { male } = buildCalibration(babyNames, lifeTables, population, 2022);
+
+    expect(male.year).toBe(2022);
+    expect(male.openAge).toBe(3);
+    expect(male.cohorts.slice(0, 2)).toEqual([
+      { birthYear: 2022, age: 0, population: 110, modelled: 100, factor: 1.1 },
+      { birthYear: 2021, age: 1, population: 90, modelled: 100, factor: 0.9 }
+    ]);
+  });
+
+  it('sums everyone of the open-ended age or older into it', () => {
+    const { female } = buildCalibration(babyNames, lifeTables, population, 2022);
+    const { male } = buildCalibration(babyNames, lifeTables, { ...population, male: [110, 90, 20] }, 2022);
+
+    expect(female.cohorts).toEqual([
+      { birthYear: 2022, age: 0, population: 50, modelled: 50, factor: 1 },
+      { birthYear: 2021, age: 1, population: 10, modelled: 0, factor: null }
+    ]);
+    expect(male.cohorts[2]).toEqual({ birthYear: 2020, age: 2, population: 20, modelled: 30, factor: 0.66667 });
+  });
+
+  it('has no factor where the population is 0', () => {
+    const { male } = buildCalibration(babyNames, lifeTables, population, 2022);
+
+    expect(male.cohorts[3]).toEqual({ birthYear: 2019, age: 3, population: 0, modelled: 20, factor: null });
+  });
+});
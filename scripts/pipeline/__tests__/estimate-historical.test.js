@@ -0,0 +1,182 @@
+const {
+  estimateBirthsFromRank,
+  estimateFromRankings,
+  fitDecades,
+  monotoneCubic,
+  MODERN_START_YEAR
+} = require('../estimate-historical');
+
+// Exact births of 150 names in 1996, on a power law with exponent 1.2 and offset 5
+const MODERN = {};
+for (let rank = 1; rank <= 150; rank++) {
+  MODERN[`Name${rank}`] = { [MODERN_START_YEAR]: Math.round(100000 * Math.pow(rank + 5, -1.2)) };
+}
+
+// The last decade ranks the same names in the same order, matched ignoring case
+const RANKINGS = {
+  1974: { name3: 1 },
+  1984: { name1: 1 },
+  1994: Object.fromEntries(Array.from({ length: 100 }, (_, i) => [`name${i + 1}`, i + 1]))
+};
+
+const BIRTHS = { 1974: 600000, 1984: 450000, 1994: 330000, 1996: 300000 };
+
+/**
+ * Estimated births of every rank in a decade
+ * @param {Object} decade - The decade's parameters
+ * @returns {Array<number>} - Births of ranks 1 to 100
+ */
+function estimateTop100(decade) {
+  return Array.from({ length: 100 }, (_, i) => estimateBirthsFromRank(i + 1, decade));
+}
+
+describe('fitDecades', () => {
+  const parameters = fitDecades(RANKINGS, MODERN, BIRTHS);
+
+  it('fits the curve to the last decade\'s names\' exact births', () => {
+    const { anchor } = parameters;
+    const top100 = Object.values(MODERN).slice(0, 100).reduce((sum, counts) => sum + counts[MODERN_START_YEAR], 0);
+
+    expect(anchor).toMatchObject({ decade: 1994, year: MODERN_START_YEAR, names: 100, offset: 5 });
+    expect(anchor.exponent).toBeCloseTo(1.2, 3);
+    expect(anchor.share).toBeCloseTo(top100 / BIRTHS[1996], 3);
+  });
+
+  it('gives every decade the same curve, with its own total births', () => {
+    const { anchor, decades } = parameters;
+
+    expect(Object.keys(decades)).toEqual(['1974', '1984', '1994']);
+    for (const [decade, { totalBirths, top100Share, exponent, offset }] of Object.entries(decades)) {
+      expect({ totalBirths, top100Share, exponent, offset }).toEqual({
+        totalBirths: BIRTHS[decade],
+        top100Share: anchor.share,
+        exponent: anchor.exponent,
+        offset: anchor.offset
+      });
+    }
+  });
+
+  it('assumes the names\' 1996 total for every year without total births', () => {
+    const { totalBirths, decades } = fitDecades(RANKINGS, MODERN, {});
+    const exactTotal = Object.values(MODERN).reduce((sum, counts) => sum + counts[MODERN_START_YEAR], 0);
+
+    expect(totalBirths).toBe(`not available: assumed ${exactTotal} every year, the names' total for ${MODERN_START_YEAR}`);
+    expect(decades[1974].totalBirths).toBe(exactTotal);
+  });
+
+  it('uses the top 100\'s own share when too few ranked names have exact births', () => {
+    const { anchor } = fitDecades({ 1994: { Mary: 1, Ann: 2 } }, MODERN, BIRTHS);
+
+    expect(anchor.names).toBe(0);
+    expect(anchor.share).toBeCloseTo(parameters.anchor.share, 3);
+  });
+
+  it('needs a full top 100 of exact births', () => {
+    const modern = Object.fromEntries(Object.entries(MODERN).slice(0, 50));
+
+    expect(() => fitDecades(RANKINGS, modern, BIRTHS)).toThrow('Not enough exact births in 1996');
+  });
+});
+
+describe('estimateBirthsFromRank', () => {
+  const { decades } = fitDecades(RANKINGS, MODERN, BIRTHS);
+
+  it('shares out the top 100\'s births by rank', () => {
+    for (const decade of Object.values(decades)) {
+      const top100 = estimateTop100(decade);
+      const total = top100.reduce((sum, births) => sum + births, 0);
+
+      expect(Math.abs(total - decade.totalBirths * decade.top100Share)).toBeLessThanOrEqual(50);
+      expect(top100.every((births, i) => i === 0 || births <= top100[i - 1])).toBe(true);
+    }
+  });
+
+  it('reproduces the exact births the curve was fitted to, scaled by total births', () => {
+    const scale = BIRTHS[1994] / BIRTHS[MODERN_START_YEAR];
+
+    expect(estimateBirthsFromRank(1, decades[1994])).toBeCloseTo(MODERN.Name1[MODERN_START_YEAR] * scale, -1);
+    expect(estimateBirthsFromRank(100, decades[1994])).toBeCloseTo(MODERN.Name100[MODERN_START_YEAR] * scale, -1);
+  });
+
+  it('scales with the decade\'s total births', () => {
+    expect(estimateBirthsFromRank(10, decades[1974]) / estimateBirthsFromRank(10, decades[1984])).toBeCloseTo(4 / 3, 2);
+  });
+
+  it('gives nothing outside the top 100', () => {
+    expect(estimateBirthsFromRank(0, decades[1994])).toBe(0);
+    expect(estimateBirthsFromRank(101, decades[1994])).toBe(0);
+  });
+});
+
+describe('monotoneCubic', () => {
+  const xs = [0, 10, 20, 30];
+  const ys = [0, 10, 10, 40];
+  const curve = monotoneCubic(xs, ys);
+
+  it('passes through every point and is flat beyond the ends', () => {
+    expect(xs.map(curve)).toEqual(ys);
+    expect([curve(-5), curve(35)]).toEqual([0, 40]);
+  });
+
+  it('never overshoots between two points', () => {
+    for (let i = 0; i < xs.length - 1; i++) {
+      let previous = ys[i];
+
+      for (let x = xs[i]; x <= xs[i + 1]; x += 0.5) {
+        expect(curve(x)).toBeGreaterThanOrEqual(previous - 1e-9);
+        expect(curve(x)).toBeLessThanOrEqual(ys[i + 1] + 1e-9);
+        previous = curve(x);
+      }
+    }
+  });
+});
+
+describe('estimateFromRankings', () => {
+  const parameters = fitDecades(RANKINGS, MODERN, BIRTHS);
+  const estimated = estimateFromRankings(RANKINGS, parameters, MODERN);
+  const { decades } = parameters;
+
+  /**
+   * Births of a name in a decade it isn't ranked in
+   * @param {number} decade - Decade
+   * @param {number} distance - Decades to the nearest one it is ranked in
+   * @returns {number} - Half the 100th name's births for each decade away (not rounded)
+   */
+  const unranked = (decade, distance) => estimateBirthsFromRank(100, decades[decade]) * Math.pow(0.5, distance);
+
+  it('estimates every year from 1904 to 1995', () => {
+    expect(Object.keys(estimated.name1).map(Number)).toEqual(Array.from({ length: 92 }, (_, i) => 1904 + i));
+  });
+
+  it('meets each ranked decade\'s estimate, flat before the first', () => {
+    expect(estimated.name1[1984]).toBe(estimateBirthsFromRank(1, decades[1984]));
+    expect(estimated.name3[1974]).toBe(estimateBirthsFromRank(1, decades[1974]));
+    expect(estimated.name3[1904]).toBe(estimated.name3[1974]);
+  });
+
+  it('leads into the exact 1996 births without a cliff', () => {
+    const exact = MODERN.Name50[MODERN_START_YEAR];
+    const { name50 } = estimated;
+
+    // 1994 had more births in total than 1996, so the name falls towards its exact count
+    expect(name50[1994]).toBeGreaterThan(exact);
+    expect(name50[1995]).toBeLessThan(name50[1994]);
+    expect(name50[1995]).toBeGreaterThan(exact);
+  });
+
+  it('fades names in and out of the decades they aren\'t ranked in', () => {
+    // name3 drops out in 1984, name1 isn't ranked until 1984 and name99 until 1994
+    expect(estimated.name3[1984]).toBeCloseTo(unranked(1984, 1), -0.5);
+    expect(estimated.name1[1974]).toBeCloseTo(unranked(1974, 1), -0.5);
+    expect(estimated.name99[1974]).toBeCloseTo(unranked(1974, 2), -0.5);
+    expect(estimated.name99[1984]).toBeCloseTo(unranked(1984, 1), -0.5);
+  });
+
+  it('falls to a single birth in 1996 for names without exact births', () => {
+    const { Mary } = estimateFromRankings({ ...RANKINGS, 1984: { Mary: 1 } }, parameters, MODERN);
+
+    expect(Mary[1984]).toBe(estimateBirthsFromRank(1, decades[1984]));
+    expect(Mary[1994]).toBeCloseTo(unranked(1994, 1), -0.5);
+    expect(Mary[1995]).toBeLessThan(Mary[1994] / 2);
+  });
+});
@@ -0,0 +1,43 @@
+const { buildMigrationFactors } = require('../migration');
+
+/**
+ * Components of change with the same population and net migration at every age
+ * @param {Object} netByYear - { "2002": net migration, ... }
+ * @param {number} population - Population at each age
+ * @returns {Object} - { "2002": [{ population, net } by age] }
+ */
+function makeComponents(netByYear, population = 1000) {
+  const components = {};
+
+  for (const [year, net] of Object.entries(netByYear)) {
+    components[year] = Array.from({ length: 101 }, () => ({ population, net }));
+  }
+
+  return components;
+}
+
+describe('buildMigrationFactors', () => {
+  it('multiplies the ratios of each year a cohort lived through', () => {
+    const { years, factors } = buildMigrationFactors(makeComponents({ 2002: 200, 2003: 0, 2004: -250 }));
+
+    expect(years).toEqual({ start: 2002, end: 2004 });
+    // 1000 / 800 in 2002, then 1000 / 1250 in 2004
+    expect(factors[2000]).toEqual([1, 1, 1.25, 1.25, 1]);
+    expect(factors[2003]).toEqual([1, 0.8]);
+    expect(factors[2004]).toEqual([1]);
+  });
+
+  it('counts the years before the components as no migration', () => {
+    const { factors } = buildMigrationFactors(makeComponents({ 2002: 200 }));
+
+    expect(factors[1904]).toHaveLength(99);
+    expect(factors[1904].slice(0, 98).every(factor => factor === 1)).toBe(true);
+    expect(factors[1904][98]).toBe(1.25);
+  });
+
+  it('ignores years that would leave no one without migration', () => {
+    const { factors } = buildMigrationFactors(makeComponents({ 2002: 1000 }));
+
+    expect(factors[2001]).toEqual([1, 1]);
+  });
+});
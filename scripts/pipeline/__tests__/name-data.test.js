@@ -0,0 +1,31 @@
+const { countSuppressed, foldCaseVariants, publishedBirths, totalBirths } = require('../name-data');
+
+describe('publishedBirths and countSuppressed', () => {
+  it('read each form of count', () => {
+    expect([publishedBirths(7), publishedBirths(null), publishedBirths({ births: 4, suppressed: 2 })]).toEqual([7, 0, 4]);
+    expect([countSuppressed(7), countSuppressed(null), countSuppressed({ births: 4, suppressed: 2 })]).toEqual([0, 1, 2]);
+  });
+
+  it('total only the published births', () => {
+    expect(totalBirths({ 2000: 7, 2001: null, 2002: { births: 4, suppressed: 2 } })).toBe(11);
+  });
+});
+
+describe('foldCaseVariants', () => {
+  it('combines spellings differing only in case under the most common one', () => {
+    const { nameData, folded } = foldCaseVariants({
+      "D'Andre": { 2019: 10, 2020: 5 },
+      "D'andre": { 2021: 20 },
+      Oliver: { 2021: 100 }
+    });
+
+    expect(nameData).toEqual({ "D'andre": { 2019: 10, 2020: 5, 2021: 20 }, Oliver: { 2021: 100 } });
+    expect(folded).toEqual([["D'andre", "D'Andre"]]);
+  });
+
+  it('keeps suppressed counts in the years it adds', () => {
+    const { nameData } = foldCaseVariants({ Mckenzie: { 2000: 6, 2001: null }, McKenzie: { 2000: null, 2001: null } });
+
+    expect(nameData.Mckenzie).toEqual({ 2000: { births: 6, suppressed: 1 }, 2001: { births: 0, suppressed: 2 } });
+  });
+});
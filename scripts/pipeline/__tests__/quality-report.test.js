@@ -0,0 +1,37 @@
+const { createQualityReport } = require('../quality-report');
+
+describe('createQualityReport', () => {
+  it('counts the errors and warnings of every file and check', () => {
+    const report = createQualityReport();
+
+    report.addFile('data/processed/modern-boys.json', 'Births by name and year', { summary: '2 names', errors: ['bad'], warnings: ['odd'] });
+    report.addCheck('Names in both estimates', { warnings: ['odder'] });
+
+    expect(report.hasFile('data/processed/modern-boys.json')).toBe(true);
+    expect(report.hasFile('data/processed/modern-girls.json')).toBe(false);
+    expect(report.getCounts()).toEqual({ errors: 1, warnings: 2 });
+  });
+
+  it('writes each result up in title order, with the tail of long lists summarised', () => {
+    const report = createQualityReport();
+    const warnings = Array.from({ length: 12 }, (_, i) => `warning ${i + 1}`);
+
+    report.addFile('data/processed/rankings-girls.json', 'Top 100 names by decade', { summary: '10 decades', errors: [], warnings });
+    report.addFile('data/processed/births-girls.json', 'Total live births by year', { summary: '120 years', errors: [], warnings: [] });
+    report.addCheck('Case variants', {});
+
+    const markdown = report.format();
+    const headings = markdown.split('\n').filter(line => line.startsWith('#'));
+
+    expect(headings).toEqual([
+      '# Data quality report',
+      '## ✓ Case variants',
+      '## ✓ data/processed/births-girls.json',
+      '## ⚠️ data/processed/rankings-girls.json'
+    ]);
+    expect(markdown).toContain('**3 checked, 0 error(s), 12 warning(s)**');
+    expect(markdown).toContain('Top 100 names by decade: 10 decades\n\nWarnings (12):');
+    expect(markdown).toContain('- warning 10\n- ...and 2 more');
+    expect(markdown).not.toContain('warning 11');
+  });
+});
@@ -0,0 +1,161 @@
+const { checkLifeTables, checkNameData, getSchema } = require('../schemas');
+
+/**
+ * Check data against the schema for a file name
+ * @param {string} file - Path from the repository root
+ * @param {*} data - File contents
+ * @returns {Object} - { summary, errors, warnings }
+ */
+function check(file, data) {
+  return getSchema(file).check(data);
+}
+
+describe('getSchema', () => {
+  it('picks the schema by file name', () => {
+    expect(getSchema('data/processed/modern-boys.json').description).toBe('Births by name and year');
+    expect(getSchema('data/processed/scotland/life-tables-female.json').description).toBe('Survival curves by birth year');
+    expect(getSchema('public/data/names/index.json').description).toBe('Name shard index');
+    expect(getSchema('public/data/names/ja.json').description).toBe('Name shard');
+  });
+
+  it('has none for manifests', () => {
+    expect(getSchema('data/processed/manifest.json')).toBeNull();
+  });
+});
+
+describe('checkNameData', () => {
+  it('accepts positive counts, suppressed counts and sums including them', () => {
+    const result = checkNameData({ Oliver: { 1996: 4532, 1997: null }, Zoë: { 1996: { births: 4, suppressed: 2 }, 1997: 3 } });
+
+    expect(result).toMatchObject({ summary: '2 names, 1996-1997, 3 suppressed counts', errors: [], warnings: [] });
+  });
+
+  it('rejects counts that aren\'t positive integers and years out of range', () => {
+    const { errors } = checkNameData({ Oliver: { 1996: 0, 1997: 2.5, 1899: 3, 3000: 3, 1998: { births: 4, suppressed: 0 } } });
+
+    expect(errors).toEqual([
+      'Oliver: births in year "1899"',
+      'Oliver: 0 births in 1996 (not a positive integer)',
+      'Oliver: 2.5 births in 1997 (not a positive integer)',
+      'Oliver: {"births":4,"suppressed":0} births in 1998 (not a positive integer)',
+      'Oliver: births in year "3000"'
+    ]);
+  });
+
+  it('rejects names that differ only in case or have surrounding spaces', () => {
+    const { errors } = checkNameData({ Mckenzie: { 2000: 6 }, McKenzie: { 2000: 3 }, ' Amy': { 2000: 5 } });
+
+    expect(errors).toEqual(['"McKenzie" and "Mckenzie" differ only in case', 'name " Amy" is empty or has surrounding spaces']);
+  });
+
+  it('warns about years with no names and names with no births', () => {
+    const { errors, warnings } = checkNameData({ Oliver: { 1996: 5, 1999: 5 }, Amy: {} });
+
+    expect(errors).toEqual([]);
+    expect(warnings).toEqual(['Amy: no births in any year', 'no names at all in 1997', 'no names at all in 1998']);
+  });
+});
+
+describe('checkLifeTables', () => {
+  const falling = Array.from({ length: 101 }, (_, age) => Math.pow(0.97, age));
+
+  it('accepts curves in [0, 1] that never rise', () => {
+    const result = checkLifeTables({ survival: { 1990: falling, 1991: falling }, sources: { 1990: { type: 'cohort' }, 1991: { type: 'cohort' } } });
+
+    expect(result).toMatchObject({ summary: '2 birth years, 1990-1991', errors: [], warnings: [] });
+  });
+
+  it('rejects rising curves and probabilities outside [0, 1]', () => {
+    const { errors } = checkLifeTables({ survival: { 1990: [1, 0.9, 0.95], 1991: [1, -0.1] }, sources: {} });
+
+    expect(errors).toEqual([
+      '1990: survival rises from 0.9 at age 1 to 0.95 at age 2',
+      '1991: survival at age 1 is -0.1 (not in [0, 1])'
+    ]);
+  });
+
+  it('warns about straight-line placeholders and simplified or unsourced curves', () => {
+    const linear = Array.from({ length: 101 }, (_, age) => 1 - age * 0.01);
+    const { errors, warnings } = checkLifeTables({ survival: { 1904: linear, 1990: falling }, sources: { 1904: { type: 'simplified' } } });
+
+    expect(errors).toEqual([]);
+    expect(warnings).toEqual([
+      '1990: no source recorded',
+      '1 birth years (1904-1904): survival falls in a straight line, which looks like a placeholder',
+      '1 birth years (1904-1904): from the simplified mortality model, not ONS life tables'
+    ]);
+    expect(checkLifeTables({ 1990: falling }).warnings).toEqual(['no sources recorded for any birth year']);
+  });
+});
+
+describe('other schemas', () => {
+  it('check ranks and tied ranks in the rankings', () => {
+    const { errors, warnings } = check('data/processed/rankings-girls.json', { 1904: { Mary: 1, Florence: 1, Ann: 101 } });
+
+    expect(errors).toEqual(['1904: Ann has rank 101']);
+    expect(warnings).toEqual(['1904: only 3 ranked names', '1904: 1 tied ranks']);
+  });
+
+  it('check each decade\'s power law', () => {
+    const decade = { totalBirths: 450000, top100Share: 0.6, exponent: 1.1, offset: 4 };
+    const { errors, warnings } = check('data/processed/estimate-parameters-boys.json', {
+      totalBirths: 'not available: assumed 300000 every year',
+      decades: { 1984: decade, 1994: { ...decade, top100Share: 1.2, exponent: -1 } }
+    });
+
+    expect(errors).toEqual([
+      '1994: top 100 share 1.2 (not between 0 and 1)',
+      '1994: exponent -1 and offset 4 (not a falling curve)'
+    ]);
+    expect(warnings).toEqual(['total births not available: assumed 300000 every year']);
+  });
+
+  it('check migration factors start at 1 and stay positive', () => {
+    const { errors, warnings } = check('data/processed/migration-male.json', {
+      years: { start: 2002, end: 2022 },
+      factors: { 1990: [1, 1.02, 2.5], 1991: [1.1, 0] }
+    });
+
+    expect(errors).toEqual(['1991: migration factor at age 0 is 1.1 (not 1)', '1991: migration factor at age 1 is 0 (not positive)']);
+    expect(warnings).toEqual(['1 birth years (1990-1990): migration more than doubles or halves the cohort']);
+  });
+
+  it('check calibration cohorts line up with their ages', () => {
+    const cohorts = [
+      { birthYear: 2022, age: 0, population: 100, modelled: 90, factor: 1.11 },
+      { birthYear: 2021, age: 1, population: 100, modelled: 0, factor: null },
+      { birthYear: 2019, age: 2, population: 100, modelled: 10, factor: 10 }
+    ];
+    const result = check('data/processed/calibration-female.json', { year: 2022, openAge: 2, cohorts });
+
+    expect(result.summary).toBe('3 ages in 2022, 1 without a factor');
+    expect(result.errors).toEqual(['cohort 2 is not age 2, born in 2020']);
+    expect(check('data/processed/calibration-female.json', { year: 2022, openAge: 2, cohorts: cohorts.slice(0, 2) }).errors).toEqual([
+      'openAge is 2 (not the last age, 1)'
+    ]);
+  });
+
+  it('check name shards have births in their first and last year', () => {
+    const { errors } = check('public/data/names/o.json', {
+      male: { Oliver: [1996, 5, null, { births: 4, suppressed: 1 }], Otto: [1996, 0, 3] },
+      female: { Olivia: [1996, 4, -1] }
+    });
+
+    expect(errors).toEqual([
+      'male Otto: no births in its first or last year',
+      'female Olivia: births that aren\'t non-negative integers, null or partly suppressed'
+    ]);
+  });
+
+  it('check the shard index lists popular names as [name, living] pairs', () => {
+    const { summary, errors } = check('public/data/names/index.json', {
+      startYear: 1904,
+      endYear: 2024,
+      shards: ['a', 'b'],
+      popular: { male: [['Oliver', 203616]], female: [['Olivia']] }
+    });
+
+    expect(summary).toBe('2 shards');
+    expect(errors).toEqual(['popular female names are not [name, living] pairs']);
+  });
+});
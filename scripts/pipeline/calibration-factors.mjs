@@ -0,0 +1,62 @@
+/**
+ * Calibration of the living estimates against the mid-year population
+ *
+ * Everyone born in a year was given some name, so summing every name's
+ * living estimate for a birth cohort should come close to the number of
+ * people that age in the mid-year population estimates. Where it doesn't,
+ * the gap is what the names data and life tables miss: births from the
+ * historical estimates, people who moved in or out, and so on.
+ *
+ * Each cohort's factor is the population over the summed estimates, so
+ * scaling a name's living count by it makes all names together add up to
+ * the population. The oldest age in the estimates is open-ended (90+), and
+ * its one factor covers every cohort that old.
+ *
+ * An ES module, like name-shards.mjs, since it sums the app's own
+ * calculations.
+ */
+
+import { normalizeLifeTables } from '../../src/lib/dataLoader.js';
+import { calculateAgeDistribution } from '../../src/lib/calculations.js';
+
+/**
+ * Compare each gender's summed living estimates with the population by age
+ *
+ * @param {Object} babyNames - { male: baby names data, female: ... }
+ * @param {Object} lifeTables - { male: life tables file contents, female: ... }
+ * @param {Object} population - { male: population by age at mid-year, the last age open-ended, female: ... }
+ * @param {number} year - Year of the population estimates
+ * @returns {Object} - { male: { year, openAge, cohorts: [{ birthYear, age, population, modelled, factor }] }, female },
+ *                     cohorts by age, with a null factor where either count is missing or 0
+ */
+export function buildCalibration(babyNames, lifeTables, population, year) {
+  const calibration = {};
+
+  for (const gender of ['male', 'female']) {
+    const { survival } = normalizeLifeTables(lifeTables[gender]);
+    const openAge = population[gender].length - 1;
+    const modelled = new Array(openAge + 1).fill(0);
+
+    for (const [name, nameData] of Object.entries(babyNames[gender])) {
+      for (const entry of calculateAgeDistribution(name, gender, nameData, survival, year)) {
+        modelled[Math.min(entry.age, openAge)] += entry.living;
+      }
+    }
+
+    const cohorts = modelled.map((living, age) => {
+      const count = population[gender][age] ?? null;
+
+      return {
+        birthYear: year - age,
+        age,
+        population: count,
+        modelled: living,
+        factor: count > 0 && living > 0 ? Math.round((count / living) * 1e5) / 1e5 : null
+      };
+    });
+
+    calibration[gender] = { year, openAge, cohorts };
+  }
+
+  return calibration;
+}
@@ -0,0 +1,172 @@
+const XLSX = require('xlsx');
+const path = require('path');
+const { WORK_DIR, GENDERS, REGIONS, WORK_FILES } = require('./config');
+const { getScriptVersion, getReleaseYear, readManifest, recordOutputs } = require('../manifest');
+const { findWorkbook } = require('./ingest');
+const { findAreaColumns, parseAreaRow } = require('./population');
+
+/**
+ * Stage: calibration
+ *
+ * Reads the ONS mid-year population estimates for one year
+ * (mid-year-population-2022.csv or .xlsx, one row per area, sex and single
+ * year of age) and compares each nation's population at every age with the
+ * living estimates of all its names together, summed by the app's own
+ * calculations (see calibration-factors.mjs). The result, with each birth
+ * cohort's scaling factor, goes in calibration-{male,female}.json: England &
+ * Wales' in data/processed, the others' in their subdirectory (see REGIONS
+ * in config.js).
+ *
+ * The comparison is with the life tables alone, before any net migration
+ * adjustment, since the population already counts everyone who moved.
+ *
+ * The file is optional: without it there is no calibration, and any files
+ * from an earlier run are removed.
+ */
+
+const POPULATION_WORKBOOK = /^mid-year-population-(\d{4})\.(xlsx|csv)$/;
+
+/**
+ * Parse the population by sex and single year of age
+ *
+ * Areas are summed into nations (see population.js). The population is the
+ * file year's column ("population_2022"), or a column just called
+ * "population".
+ *
+ * @param {string} filePath - Path to Excel or CSV file
+ * @param {number} year - Year of the estimates
+ * @returns {Object|null} - { byDir: { [dir]: { male: [population by age], female } }, sheet } or null if unrecognised
+ */
+function parsePopulationWorkbook(filePath, year) {
+  const workbook = XLSX.readFile(filePath);
+
+  for (const sheetName of workbook.SheetNames) {
+    const rawData = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1 });
+
+    for (let i = 0; i < Math.min(10, rawData.length); i++) {
+      const headers = (rawData[i] || []).map(cell => String(cell ?? '').trim().toLowerCase());
+      const columns = findAreaColumns(headers);
+      const yearColumn = headers.indexOf(`population_${year}`);
+      const population = yearColumn !== -1 ? yearColumn : headers.indexOf('population');
+
+      if (!columns || population === -1) {
+        continue;
+      }
+
+      const byDir = {};
+
+      for (const row of rawData.slice(i + 1)) {
+        const area = parseAreaRow(row, columns);
+
+        if (!area) {
+          continue;
+        }
+
+        const { dir, gender, age } = area;
+        const ages = (byDir[dir] = byDir[dir] || { male: [], female: [] })[gender];
+
+        ages[age] = (ages[age] || 0) + (Number(row[population]) || 0);
+      }
+
+      return { byDir, sheet: sheetName };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Remove a nation's calibration files from an earlier run
+ * @param {Object} workspace - Pipeline workspace
+ * @param {string} dir - Region subdirectory ('' for England & Wales)
+ */
+function removeOutputs(workspace, dir) {
+  GENDERS.forEach(({ gender }) => workspace.remove(path.join(WORK_DIR, dir, WORK_FILES.calibration(gender))));
+}
+
+/**
+ * Run the stage
+ * @param {Object} workspace - Pipeline workspace
+ */
+async function run(workspace) {
+  const workbook = findWorkbook(POPULATION_WORKBOOK);
+  const dirs = ['', ...REGIONS.map(({ dir }) => dir)];
+
+  if (!workbook) {
+    console.log('No mid-year population estimates file found, so there will be no calibration');
+    console.log('   (expected mid-year-population-2022.csv or similar, see DATA_SOURCES.md)');
+    dirs.forEach(dir => removeOutputs(workspace, dir));
+    recordOutputs({}, { script: getScriptVersion(__filename), outputDir: WORK_DIR, workspace });
+    return;
+  }
+
+  const year = workbook.endYear;
+  console.log(`Reading ${path.basename(workbook.file)}...`);
+  const parsed = parsePopulationWorkbook(workbook.file, year);
+
+  if (!parsed) {
+    throw new Error(`Could not find sex, age and population columns in ${path.basename(workbook.file)}`);
+  }
+
+  const { buildCalibration } = await import('./calibration-factors.mjs');
+  const { files } = readManifest(workspace, WORK_DIR);
+  const outputs = {};
+
+  for (const dir of dirs) {
+    const namesFiles = GENDERS.map(({ label }) => path.posix.join(dir, WORK_FILES.merged(label)));
+    const population = parsed.byDir[dir];
+
+    // A nation needs its names as well as its population
+    if (!population || GENDERS.some(({ gender }) => population[gender].length === 0) ||
+        !namesFiles.every(file => workspace.exists(path.join(WORK_DIR, file)))) {
+      removeOutputs(workspace, dir);
+      continue;
+    }
+
+    const regionName = dir ? REGIONS.find(entry => entry.dir === dir).name : 'England & Wales';
+    const babyNames = {};
+    const lifeTables = {};
+    for (const { gender, label } of GENDERS) {
+      babyNames[gender] = workspace.readJSON(path.join(WORK_DIR, dir, WORK_FILES.merged(label)));
+      lifeTables[gender] = workspace.readJSON(path.join(WORK_DIR, dir, WORK_FILES.lifeTables(gender)));
+    }
+
+    const calibration = buildCalibration(babyNames, lifeTables, population, year);
+    const inputs = [...namesFiles, ...GENDERS.map(({ gender }) => path.posix.join(dir, WORK_FILES.lifeTables(gender)))];
+
+    for (const { gender } of GENDERS) {
+      const { openAge, cohorts } = calibration[gender];
+      const file = path.posix.join(dir, WORK_FILES.calibration(gender));
+      const years = { start: cohorts[openAge].birthYear, end: year };
+
+      workspace.writeJSON(path.join(WORK_DIR, file), calibration[gender]);
+      outputs[file] = {
+        description: `Living estimates against the mid-year population by birth year, ${gender}${dir ? `, ${regionName}` : ''}`,
+        sources: [
+          {
+            workbook: path.basename(workbook.file),
+            sheet: parsed.sheet,
+            releaseYear: getReleaseYear(year + 1),
+            years: { start: year, end: year }
+          },
+          ...inputs.flatMap(input => (files[input] ? files[input].sources : []))
+        ],
+        years,
+        records: cohorts.length
+      };
+
+      const calibrated = cohorts.filter(cohort => cohort.factor !== null);
+      const total = key => calibrated.reduce((sum, cohort) => sum + cohort[key], 0);
+      console.log(`  ${regionName}, ${gender}: ${calibrated.length} of ${cohorts.length} ages, ` +
+        `living estimates ${Math.round((total('modelled') / total('population')) * 100)}% of the ${year} population`);
+    }
+  }
+
+  recordOutputs(outputs, { script: getScriptVersion(__filename), outputDir: WORK_DIR, workspace });
+}
+
+module.exports = {
+  name: 'calibration',
+  description: 'Compare the living estimates with the ONS mid-year population by age',
+  run
+};
@@ -0,0 +1,55 @@
+const path = require('path');
+
+/**
+ * Where the pipeline stages read and write
+ *
+ * Stages read the raw workbooks and earlier stages' outputs, never their own
+ * outputs, so any stage can be rerun and gives the same result.
+ */
+
+const ROOT_DIR = path.join(__dirname, '../..');
+
+// Downloaded ONS workbooks (see DATA_SOURCES.md)
+const RAW_DIR = path.join(ROOT_DIR, 'data/raw');
+
+// Intermediate outputs, recorded in their own manifest.json
+const WORK_DIR = path.join(ROOT_DIR, 'data/processed');
+
+// Files the app loads, written only by the emit stage
+const OUTPUT_DIR = path.join(ROOT_DIR, 'public/data');
+
+// Baby names files are labelled boys/girls, life tables male/female
+const GENDERS = [
+  { gender: 'male', label: 'boys' },
+  { gender: 'female', label: 'girls' }
+];
+
+// Regions published alongside England & Wales, each with the same files in
+// a subdirectory of WORK_DIR and OUTPUT_DIR (see src/lib/regions.js)
+const REGIONS = [
+  { region: 'scotland', name: 'Scotland', dir: 'scotland' },
+  { region: 'northern-ireland', name: 'Northern Ireland', dir: 'northern-ireland' }
+];
+
+// Intermediate files in WORK_DIR, by the stage that writes them
+const WORK_FILES = {
+  modern: label => `modern-${label}.json`, // ingest: exact births by name and year
+  rankings: label => `rankings-${label}.json`, // ingest: historical top 100 names by decade
+  births: label => `births-${label}.json`, // ingest: total live births by year
+  estimated: label => `estimated-${label}.json`, // estimate: births estimated from the rankings
+  estimateParameters: label => `estimate-parameters-${label}.json`, // estimate: the fitted model behind them
+  merged: label => `baby-names-${label}.json`, // merge: estimated and exact births together
+  lifeTables: gender => `life-tables-${gender}.json`, // life-tables: survival curves by birth year
+  migration: gender => `migration-${gender}.json`, // migration: net migration factors by birth year
+  calibration: gender => `calibration-${gender}.json` // calibration: living estimates against the population by birth year
+};
+
+module.exports = {
+  ROOT_DIR,
+  RAW_DIR,
+  WORK_DIR,
+  OUTPUT_DIR,
+  GENDERS,
+  REGIONS,
+  WORK_FILES
+};
@@ -0,0 +1,176 @@
+const path = require('path');
+const { WORK_DIR, OUTPUT_DIR, GENDERS, REGIONS, WORK_FILES } = require('./config');
+const { getScriptVersion, readManifest, recordOutputs } = require('../manifest');
+
+/**
+ * Stage: emit
+ *
+ * Publishes the merged baby names and the life tables to public/data, splits
+ * the names into the shards the calculator page loads (see name-shards.mjs)
+ * and records everything in public/data/manifest.json. The only stage that
+ * writes to public/data.
+ *
+ * Other regions' files (see REGIONS in config.js) go in a subdirectory, with
+ * their own shards, if the stage that reads them found any data. A region's
+ * net migration factors and calibration are published alongside if the
+ * migration and calibration stages wrote them.
+ */
+
+/**
+ * A region's baby names and life tables files
+ * @param {string} dir - Region subdirectory ('' for England & Wales)
+ * @returns {Array<string>} - Paths from the data directory
+ */
+function getRegionFiles(dir) {
+  return [
+    ...GENDERS.map(({ label }) => WORK_FILES.merged(label)),
+    ...GENDERS.map(({ gender }) => WORK_FILES.lifeTables(gender))
+  ].map(file => path.posix.join(dir, file));
+}
+
+/**
+ * A region's optional files: net migration factors and calibration
+ * @param {string} dir - Region subdirectory ('' for England & Wales)
+ * @returns {Array<Array<string>>} - Paths from the data directory, one list per stage
+ */
+function getOptionalFiles(dir) {
+  return [WORK_FILES.migration, WORK_FILES.calibration].map(workFile => (
+    GENDERS.map(({ gender }) => path.posix.join(dir, workFile(gender)))
+  ));
+}
+
+/**
+ * Copy intermediate files to public/data, keeping their provenance
+ * @param {Object} workspace - Pipeline workspace
+ * @param {Array<string>} files - File names in the work directory
+ */
+function publishFiles(workspace, files) {
+  const { files: workEntries } = readManifest(workspace, WORK_DIR);
+  const outputs = {};
+
+  for (const file of files) {
+    const entry = workEntries[file];
+
+    if (!entry) {
+      throw new Error(`data/processed/${file} isn't in data/processed/manifest.json; rerun the stage that writes it`);
+    }
+
+    workspace.write(path.join(OUTPUT_DIR, file), workspace.read(path.join(WORK_DIR, file)));
+
+    const { description, sources, years, records, script } = entry;
+    outputs[file] = { description, sources, years, records, script };
+  }
+
+  recordOutputs(outputs, { outputDir: OUTPUT_DIR, workspace });
+}
+
+/**
+ * Write a region's name shards, removing any for letters no longer used
+ * @param {Object} workspace - Pipeline workspace
+ * @param {string} [dir] - Region subdirectory ('' for England & Wales)
+ */
+async function publishShards(workspace, dir = '') {
+  const { buildNameShards } = await import('./name-shards.mjs');
+  const shardDir = path.join(OUTPUT_DIR, dir, 'names');
+
+  const babyNames = {};
+  const lifeTables = {};
+  for (const { gender, label } of GENDERS) {
+    babyNames[gender] = workspace.readJSON(path.join(OUTPUT_DIR, dir, WORK_FILES.merged(label)));
+    lifeTables[gender] = workspace.readJSON(path.join(OUTPUT_DIR, dir, WORK_FILES.lifeTables(gender)));
+  }
+
+  const { shards, index } = buildNameShards(babyNames, lifeTables);
+
+  // Shards are derived from the full files, so they share their provenance
+  const { files } = readManifest(workspace, OUTPUT_DIR);
+  const sources = GENDERS.map(({ label }) => path.posix.join(dir, WORK_FILES.merged(label))).map(file => ({
+    file,
+    sha256: files[file] ? files[file].sha256 : null,
+    releaseYear: files[file] ? files[file].releaseYear : null
+  }));
+  const years = { start: index.startYear, end: index.endYear };
+  const outputs = {};
+
+  for (const [key, shard] of Object.entries(shards)) {
+    workspace.writeJSON(path.join(shardDir, `${key}.json`), shard, { pretty: false });
+    outputs[path.posix.join(dir, 'names', `${key}.json`)] = {
+      description: `Compact births for names starting with "${key}"`,
+      sources,
+      years,
+      records: Object.keys(shard.male).length + Object.keys(shard.female).length
+    };
+  }
+
+  workspace.writeJSON(path.join(shardDir, 'index.json'), index, { pretty: false });
+  outputs[path.posix.join(dir, 'names', 'index.json')] = {
+    description: 'Name shard list and most common names',
+    sources,
+    years,
+    records: index.shards.length
+  };
+
+  for (const file of workspace.list(shardDir)) {
+    if (!outputs[path.posix.join(dir, 'names', file)]) {
+      workspace.remove(path.join(shardDir, file));
+    }
+  }
+
+  console.log(`  ${dir ? `${dir}: ` : ''}${index.shards.length} name shards, ${index.startYear}-${index.endYear}`);
+  recordOutputs(outputs, { script: getScriptVersion(path.join(__dirname, 'name-shards.mjs')), outputDir: OUTPUT_DIR, workspace });
+}
+
+/**
+ * Publish a region's optional files, or remove them once there are none
+ * @param {Object} workspace - Pipeline workspace
+ * @param {string} dir - Region subdirectory ('' for England & Wales)
+ */
+function publishOptionalFiles(workspace, dir) {
+  for (const files of getOptionalFiles(dir)) {
+    if (files.every(file => workspace.exists(path.join(WORK_DIR, file)))) {
+      publishFiles(workspace, files);
+    } else {
+      files.forEach(file => workspace.remove(path.join(OUTPUT_DIR, file)));
+      recordOutputs({}, { outputDir: OUTPUT_DIR, workspace });
+    }
+  }
+}
+
+/**
+ * Remove a region's published files and shards, once it has no data
+ * @param {Object} workspace - Pipeline workspace
+ * @param {string} dir - Region subdirectory
+ */
+function removeRegion(workspace, dir) {
+  const shardDir = path.join(OUTPUT_DIR, dir, 'names');
+
+  [...getRegionFiles(dir), ...getOptionalFiles(dir).flat()].forEach(file => workspace.remove(path.join(OUTPUT_DIR, file)));
+  workspace.list(shardDir).forEach(file => workspace.remove(path.join(shardDir, file)));
+  recordOutputs({}, { outputDir: OUTPUT_DIR, workspace });
+}
+
+/**
+ * Run the stage
+ * @param {Object} workspace - Pipeline workspace
+ */
+async function run(workspace) {
+  publishFiles(workspace, getRegionFiles(''));
+  await publishShards(workspace);
+  publishOptionalFiles(workspace, '');
+
+  for (const { dir } of REGIONS) {
+    if (workspace.exists(path.join(WORK_DIR, dir, WORK_FILES.merged(GENDERS[0].label)))) {
+      publishFiles(workspace, getRegionFiles(dir));
+      await publishShards(workspace, dir);
+      publishOptionalFiles(workspace, dir);
+    } else {
+      removeRegion(workspace, dir);
+    }
+  }
+}
+
+module.exports = {
+  name: 'emit',
+  description: 'Publish the data files and name shards to public/data',
+  run
+};
@@ -0,0 +1,509 @@
+const path = require('path');
+const { WORK_DIR, GENDERS, WORK_FILES } = require('./config');
+const { getScriptVersion, describeNameData, readManifest, recordOutputs } = require('../manifest');
+const { publishedBirths } = require('./name-data');
+
+/**
+ * Stage: estimate
+ *
+ * Estimates births before 1996 for the historical top 100 names from their
+ * decade rankings: each ranking gives an estimated count for that year, and
+ * the years between are interpolated (see estimateFromRankings).
+ *
+ * Counts follow a power law in rank (Zipf-Mandelbrot):
+ *
+ *   births(rank) = totalBirths × top100Share × weight(rank) / sum of weight(1..100)
+ *   weight(rank) = (rank + offset)^-exponent
+ *
+ * so the top 100 names share top100Share of the decade's total live births.
+ * The offset flattens the top of the curve, as the most popular few names
+ * are much closer in births than a pure power law has them.
+ * - totalBirths comes from the ONS live births by sex (see ingest), and is
+ *   the only parameter that differs between decades
+ * - exponent, offset and top100Share are fitted once, to the last decade
+ *   (1994) and the 1996 exact births of the names it ranks (see fitAnchor),
+ *   and every decade uses them
+ *
+ * Each decade's own shape and top 100 share aren't fitted: the rankings
+ * have no counts to fit them to, and no other source gives the top 100's
+ * share of births before 1996. Names were probably more concentrated in the
+ * past, so the earliest decades' estimates are likely too low; the
+ * calibration stage measures the gap against the population.
+ *
+ * The fitted parameters are saved next to the estimates, in
+ * estimate-parameters-{boys,girls}.json.
+ */
+
+// First year of exact births; estimates run up to the year before
+const MODERN_START_YEAR = 1996;
+
+// Earliest year estimated
+const HISTORICAL_START_YEAR = 1904;
+
+// Names in each historical ranking
+const TOP_NAMES = 100;
+
+// Fewest ranked names with exact births needed to fit the last decade
+const MIN_ANCHOR_NAMES = 20;
+
+// Births of a name outside the top 100, as a fraction of the 100th name's
+// (and of its births the decade before or after; see estimateUnrankedBirths)
+const UNRANKED_FACTOR = 0.5;
+
+// Offsets tried when fitting the shape of the curve
+const MAX_OFFSET = 50;
+const OFFSET_STEP = 0.5;
+
+/**
+ * Weight of a rank under the power law
+ * @param {number} rank - Rank
+ * @param {Object} shape - { exponent, offset }
+ * @returns {number}
+ */
+function rankWeight(rank, { exponent, offset }) {
+  return Math.pow(rank + offset, -exponent);
+}
+
+/**
+ * Sum of the weights of the top 100 ranks
+ * @param {Object} shape - { exponent, offset }
+ * @returns {number}
+ */
+function totalWeight(shape) {
+  let sum = 0;
+  for (let rank = 1; rank <= TOP_NAMES; rank++) {
+    sum += rankWeight(rank, shape);
+  }
+  return sum;
+}
+
+/**
+ * Least squares line through some points
+ * @param {Array<Array<number>>} points - [[x, y], ...]
+ * @returns {Object|null} - { slope, intercept }, or null for fewer than two distinct x
+ */
+function fitLine(points) {
+  const n = points.length;
+  const meanX = points.reduce((sum, [x]) => sum + x, 0) / n;
+  const meanY = points.reduce((sum, [, y]) => sum + y, 0) / n;
+  let sxx = 0;
+  let sxy = 0;
+
+  for (const [x, y] of points) {
+    sxx += (x - meanX) * (x - meanX);
+    sxy += (x - meanX) * (y - meanY);
+  }
+
+  if (n < 2 || sxx === 0) {
+    return null;
+  }
+
+  return { slope: sxy / sxx, intercept: meanY - (sxy / sxx) * meanX };
+}
+
+/**
+ * Fit births = scale × (rank + offset)^-exponent, by least squares in log
+ * births for each offset tried
+ * @param {Array<Array<number>>} points - [[rank, births], ...]
+ * @returns {Object|null} - { exponent, offset, scale }
+ */
+function fitPowerLaw(points) {
+  let best = null;
+
+  for (let offset = 0; offset <= MAX_OFFSET; offset += OFFSET_STEP) {
+    const logPoints = points.map(([rank, births]) => [Math.log(rank + offset), Math.log(births)]);
+    const line = fitLine(logPoints);
+
+    if (!line) {
+      return null;
+    }
+
+    const error = logPoints.reduce((sum, [x, y]) => sum + Math.pow(y - (line.intercept + line.slope * x), 2), 0);
+
+    if (!best || error < best.error) {
+      best = { exponent: -line.slope, offset, scale: Math.exp(line.intercept), error };
+    }
+  }
+
+  return best && { exponent: best.exponent, offset: best.offset, scale: best.scale };
+}
+
+/**
+ * Total births of one sex in a year, from the nearest year with a total
+ * @param {Object} births - { "1904": 483000, ... }
+ * @param {number} year - Year
+ * @returns {number|null} - Total births, or null if there are none
+ */
+function getTotalBirths(births, year) {
+  const years = Object.keys(births).map(Number);
+
+  if (years.length === 0) {
+    return null;
+  }
+
+  const nearest = years.reduce((best, y) => (Math.abs(y - year) < Math.abs(best - year) ? y : best));
+  return births[nearest];
+}
+
+/**
+ * Exact births of every name in a year, most first
+ * @param {Object} modern - Exact births by name and year
+ * @param {number} year - Year
+ * @returns {Array<number>}
+ */
+function getYearCounts(modern, year) {
+  return Object.values(modern)
+    .map(counts => publishedBirths(counts[year]))
+    .filter(Boolean)
+    .sort((a, b) => b - a);
+}
+
+/**
+ * How concentrated one year's exact births are in its top 100 names
+ * @param {Array<number>} counts - Births of every name that year, most first
+ * @param {number} totalBirths - Total births that year
+ * @returns {Object|null} - { exponent, offset, share }
+ */
+function measureConcentration(counts, totalBirths) {
+  const top = counts.slice(0, TOP_NAMES);
+  const fit = fitPowerLaw(top.map((births, i) => [i + 1, births]));
+
+  if (!fit || top.length < TOP_NAMES) {
+    return null;
+  }
+
+  return { exponent: fit.exponent, offset: fit.offset, share: top.reduce((sum, births) => sum + births, 0) / totalBirths };
+}
+
+/**
+ * Fit the last ranked decade to the first year of exact births
+ *
+ * The shape is the first exact year's. Each ranked name's exact births,
+ * scaled by the change in total births between the two years, give its
+ * births in the decade year. The median ratio of those to the curve gives
+ * the decade's share; a median, as a few ranked names all but disappear by
+ * the exact year. With too few ranked names in the exact births, the exact
+ * year's own share is used instead.
+ *
+ * @param {Object} rankings - { "Mary": 1, ... } for the decade
+ * @param {Object} modern - Exact births by name and year
+ * @param {number} decadeTotal - Total births in the decade year
+ * @param {number} modernTotal - Total births in the first exact year
+ * @returns {Object|null} - { names, exponent, offset, share }
+ */
+function fitAnchor(rankings, modern, decadeTotal, modernTotal) {
+  const concentration = measureConcentration(getYearCounts(modern, MODERN_START_YEAR), modernTotal);
+
+  if (!concentration) {
+    return null;
+  }
+
+  const shape = { exponent: concentration.exponent, offset: concentration.offset };
+  const modernNames = new Map(Object.keys(modern).map(name => [name.toLowerCase(), name]));
+  const points = [];
+
+  for (const [name, rank] of Object.entries(rankings)) {
+    const match = modernNames.get(name.toLowerCase());
+    const count = match && publishedBirths(modern[match][MODERN_START_YEAR]);
+
+    if (count) {
+      points.push([rank, count * decadeTotal / modernTotal]);
+    }
+  }
+
+  if (points.length < MIN_ANCHOR_NAMES) {
+    return { names: 0, ...concentration };
+  }
+
+  const ratios = points.map(([rank, births]) => births / rankWeight(rank, shape)).sort((a, b) => a - b);
+  const middle = Math.floor(ratios.length / 2);
+  const scale = ratios.length % 2 === 1 ? ratios[middle] : (ratios[middle - 1] + ratios[middle]) / 2;
+
+  return {
+    names: points.length,
+    ...shape,
+    share: scale * totalWeight(shape) / decadeTotal
+  };
+}
+
+/**
+ * Set the power law for every ranked decade
+ *
+ * Every decade gets the shape (exponent and offset) and top100Share fitted
+ * to the last decade by fitAnchor, with its own total births.
+ *
+ * @param {Object} rankingsByDecade - { "1904": { "Mary": 1, ... }, ... }
+ * @param {Object} modern - Exact births by name and year
+ * @param {Object} births - Total births by year (may be empty)
+ * @returns {Object} - Parameters: { model, totalBirths, anchor, decades: { "1904": { totalBirths, top100Share, exponent, offset } } }
+ */
+function fitDecades(rankingsByDecade, modern, births) {
+  const decades = Object.keys(rankingsByDecade).map(Number).sort((a, b) => a - b);
+  const exactTotal = getYearCounts(modern, MODERN_START_YEAR).reduce((sum, count) => sum + count, 0);
+  const modernTotal = births[MODERN_START_YEAR] || exactTotal;
+  const totalFor = year => getTotalBirths(births, year) || modernTotal;
+
+  const parameters = {
+    model: 'births = totalBirths * top100Share * (rank + offset)^-exponent / sum((r + offset)^-exponent, r = 1..100)',
+    interpolation: `monotone cubic in log births through every decade and ${MODERN_START_YEAR}'s exact births`,
+    unranked: `${UNRANKED_FACTOR} x the 100th name's births, again for each further decade from a ranked one`,
+    shape: `exponent and offset fitted once, to the top 100 names of ${MODERN_START_YEAR}, and used for every decade`,
+    top100Share: `fitted once, to the last decade's names' ${MODERN_START_YEAR} births, and used for every decade`,
+    notFitted: 'each decade\'s own shape and top 100 share: the rankings have no counts to fit them to',
+    totalBirths: Object.keys(births).length > 0 ? 'ONS live births by sex' : `not available: assumed ${modernTotal} every year, the names' total for ${MODERN_START_YEAR}`,
+    anchor: null,
+    decades: {}
+  };
+
+  if (decades.length === 0) {
+    return parameters;
+  }
+
+  const anchorDecade = decades[decades.length - 1];
+  const anchor = fitAnchor(rankingsByDecade[anchorDecade], modern, totalFor(anchorDecade), modernTotal);
+
+  if (!anchor) {
+    throw new Error(`Not enough exact births in ${MODERN_START_YEAR} to fit the historical estimates to`);
+  }
+
+  parameters.anchor = { decade: anchorDecade, year: MODERN_START_YEAR, ...anchor };
+
+  for (const decade of decades) {
+    parameters.decades[decade] = {
+      totalBirths: totalFor(decade),
+      top100Share: anchor.share,
+      exponent: anchor.exponent,
+      offset: anchor.offset
+    };
+  }
+
+  return parameters;
+}
+
+/**
+ * Estimate birth counts from ranking position
+ *
+ * @param {number} rank - Rank in the decade (1-100)
+ * @param {Object} decade - The decade's parameters: { totalBirths, top100Share, exponent, offset }
+ * @returns {number} - Estimated births
+ */
+function estimateBirthsFromRank(rank, decade) {
+  if (rank < 1 || rank > TOP_NAMES) {
+    return 0;
+  }
+
+  return Math.round(decade.totalBirths * decade.top100Share * rankWeight(rank, decade) / totalWeight(decade));
+}
+
+/**
+ * Monotone cubic interpolation (Fritsch-Carlson) through some points
+ *
+ * Unlike an ordinary cubic spline it never overshoots: between two points
+ * the curve stays between their values, so a name's births can't dip below
+ * zero or peak above its best decade.
+ *
+ * @param {Array<number>} xs - Increasing x values
+ * @param {Array<number>} ys - Values at xs
+ * @returns {Function} - x => interpolated value (flat beyond the ends)
+ */
+function monotoneCubic(xs, ys) {
+  const n = xs.length;
+  const secants = [];
+  for (let i = 0; i < n - 1; i++) {
+    secants.push((ys[i + 1] - ys[i]) / (xs[i + 1] - xs[i]));
+  }
+
+  const tangents = ys.map((y, i) => {
+    if (i === 0) return secants[0] || 0;
+    if (i === n - 1) return secants[n - 2];
+    return secants[i - 1] * secants[i] > 0 ? (secants[i - 1] + secants[i]) / 2 : 0;
+  });
+
+  // Limit the tangents so each piece stays monotone
+  for (let i = 0; i < n - 1; i++) {
+    if (secants[i] === 0) {
+      tangents[i] = 0;
+      tangents[i + 1] = 0;
+      continue;
+    }
+
+    const a = tangents[i] / secants[i];
+    const b = tangents[i + 1] / secants[i];
+    const length = Math.hypot(a, b);
+
+    if (length > 3) {
+      tangents[i] = (3 / length) * a * secants[i];
+      tangents[i + 1] = (3 / length) * b * secants[i];
+    }
+  }
+
+  return (x) => {
+    if (x <= xs[0]) return ys[0];
+    if (x >= xs[n - 1]) return ys[n - 1];
+
+    let i = 0;
+    while (x > xs[i + 1]) i++;
+
+    const h = xs[i + 1] - xs[i];
+    const t = (x - xs[i]) / h;
+    const t2 = t * t;
+    const t3 = t2 * t;
+
+    return (2 * t3 - 3 * t2 + 1) * ys[i] +
+      (t3 - 2 * t2 + t) * h * tangents[i] +
+      (-2 * t3 + 3 * t2) * ys[i + 1] +
+      (t3 - t2) * h * tangents[i + 1];
+  };
+}
+
+/**
+ * Births of a name in a decade it isn't ranked in
+ *
+ * It had fewer births than the 100th name, so it's put at half of those,
+ * halving again for each decade further from one it is ranked in: a name
+ * fades in before its first ranked decade and out after its last.
+ *
+ * @param {Object} decade - The decade's parameters
+ * @param {number} distance - Decades to the nearest decade the name is ranked in
+ * @returns {number} - Estimated births (not rounded)
+ */
+function estimateUnrankedBirths(decade, distance) {
+  return estimateBirthsFromRank(TOP_NAMES, decade) * Math.pow(UNRANKED_FACTOR, distance);
+}
+
+/**
+ * Estimate yearly births from one gender's rankings
+ *
+ * Each name gets an estimate for every ranked decade (see
+ * estimateUnrankedBirths for decades it isn't ranked in) and its exact
+ * births in 1996 (1 if it has none, as names with under 3 births aren't
+ * published), and the years between are interpolated through those with
+ * monotone cubics in log births, so 1995 leads smoothly into 1996.
+ *
+ * @param {Object} rankingsByDecade - { "1904": { "Mary": 1, ... }, ... }
+ * @param {Object} parameters - fitDecades() result
+ * @param {Object} modern - Exact births by name and year
+ * @returns {Object} - { "Mary": { "1904": 47800, ... }, ... }
+ */
+function estimateFromRankings(rankingsByDecade, parameters, modern) {
+  const decades = Object.keys(rankingsByDecade).map(Number).sort((a, b) => a - b);
+  const modernNames = new Map(Object.keys(modern).map(name => [name.toLowerCase(), name]));
+  const ranksByName = {};
+
+  decades.forEach((decade, index) => {
+    for (const [name, rank] of Object.entries(rankingsByDecade[decade])) {
+      ranksByName[name] = ranksByName[name] || [];
+      ranksByName[name][index] = rank;
+    }
+  });
+
+  const estimatedCounts = {};
+
+  for (const [name, ranks] of Object.entries(ranksByName)) {
+    const rankedIndexes = decades.map((decade, index) => index).filter(index => ranks[index]);
+    const xs = [];
+    const ys = [];
+
+    decades.forEach((decade, index) => {
+      const distance = Math.min(...rankedIndexes.map(ranked => Math.abs(ranked - index)));
+      const births = distance === 0
+        ? estimateBirthsFromRank(ranks[index], parameters.decades[decade])
+        : estimateUnrankedBirths(parameters.decades[decade], distance);
+
+      xs.push(decade);
+      ys.push(Math.log(Math.max(births, 1)));
+    });
+
+    const match = modernNames.get(name.toLowerCase());
+    xs.push(MODERN_START_YEAR);
+    ys.push(Math.log((match && publishedBirths(modern[match][MODERN_START_YEAR])) || 1));
+
+    const curve = monotoneCubic(xs, ys);
+    estimatedCounts[name] = {};
+
+    for (let year = Math.min(HISTORICAL_START_YEAR, decades[0]); year < MODERN_START_YEAR; year++) {
+      const births = Math.round(Math.exp(curve(year)));
+
+      if (births > 0) {
+        estimatedCounts[name][year] = births;
+      }
+    }
+  }
+
+  return estimatedCounts;
+}
+
+/**
+ * Log the fitted parameters
+ * @param {Object} parameters - fitDecades() result
+ */
+function logParameters(parameters) {
+  const { anchor, decades } = parameters;
+
+  if (!anchor) {
+    return;
+  }
+
+  const fittedTo = anchor.names > 0 ? `${anchor.names} of its names' ${anchor.year} births` : `the top 100 of ${anchor.year}`;
+  console.log(`    ${anchor.decade} fitted to ${fittedTo}`);
+
+  console.log(`    Curve: (rank + ${anchor.offset})^-${anchor.exponent.toFixed(2)}, top 100 share ${(anchor.share * 100).toFixed(1)}%`);
+
+  for (const [decade, { totalBirths }] of Object.entries(decades)) {
+    console.log(`    ${decade}: ${totalBirths} births`);
+  }
+}
+
+/**
+ * Run the stage
+ * @param {Object} workspace - Pipeline workspace
+ */
+async function run(workspace) {
+  const { files } = readManifest(workspace, WORK_DIR);
+  const outputs = {};
+
+  for (const { label } of GENDERS) {
+    const inputFiles = [WORK_FILES.rankings(label), WORK_FILES.modern(label), WORK_FILES.births(label)];
+    const [rankings, modern, births] = inputFiles.map(file => workspace.readJSON(path.join(WORK_DIR, file)));
+    const [rankingsSources, modernSources, birthsSources] = inputFiles.map(file => (files[file] ? files[file].sources : []));
+    // Total births scale the estimates but aren't counts of any name
+    const totalsSources = birthsSources.map(source => ({ ...source, totals: true }));
+
+    const parameters = fitDecades(rankings, modern, births);
+    const estimated = estimateFromRankings(rankings, parameters, modern);
+    const { years, records } = describeNameData(estimated);
+    const estimatedFile = WORK_FILES.estimated(label);
+    const parametersFile = WORK_FILES.estimateParameters(label);
+
+    workspace.writeJSON(path.join(WORK_DIR, estimatedFile), estimated);
+    workspace.writeJSON(path.join(WORK_DIR, parametersFile), parameters);
+    outputs[estimatedFile] = {
+      description: `Births by name and year estimated from rankings, ${label}`,
+      sources: [...rankingsSources.map(source => ({ ...source, years, estimated: true })), ...totalsSources],
+      years,
+      records
+    };
+    outputs[parametersFile] = {
+      description: `Power law for each decade's rankings, ${label}`,
+      sources: [...rankingsSources, ...modernSources, ...totalsSources],
+      years,
+      records: Object.keys(parameters.decades).length
+    };
+
+    console.log(`  ${label}: ${records} names estimated${years ? `, ${years.start}-${years.end}` : ''}`);
+    logParameters(parameters);
+  }
+
+  recordOutputs(outputs, { script: getScriptVersion(__filename), outputDir: WORK_DIR, workspace });
+}
+
+module.exports = {
+  name: 'estimate',
+  description: 'Estimate births before 1996 from the historical rankings',
+  run,
+  fitDecades,
+  estimateBirthsFromRank,
+  estimateFromRankings,
+  monotoneCubic,
+  MODERN_START_YEAR
+};
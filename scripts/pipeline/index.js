@@ -0,0 +1,229 @@
+/**
+ * Data pipeline: turns the downloaded ONS workbooks into the app's data files
+ *
+ * Usage:
+ *   npm run pipeline -- [--only=stage,...] [--from=stage] [--dry-run] [--strict] [--release-year=YYYY]
+ *
+ * Stages, in order:
+ *   ingest       Read the ONS workbooks in data/raw
+ *   validate     Check the ingested data before building from it
+ *   estimate     Estimate births before 1996 from the historical rankings
+ *   merge        Combine the historical estimates with the exact births
+ *   life-tables  Build survival curves by birth year from the ONS life tables
+ *   scotland     Read the NRS baby names and life tables for Scotland
+ *   northern-ireland  Read the NISRA baby names and life tables for Northern Ireland
+ *   migration    Build net migration factors from the ONS mid-year population estimates
+ *   calibration  Compare the living estimates with the ONS mid-year population by age
+ *   emit         Publish the data files and name shards to public/data
+ *
+ * Every stage but emit writes to data/processed; each reads only data/raw and
+ * earlier stages' outputs, so rerunning with the same inputs changes nothing.
+ * --only runs just the named stages and --from runs a stage and those after
+ * it, using earlier stages' outputs from the last run. --dry-run runs the
+ * stages without writing anything and lists the files that would change.
+ *
+ * Every data file a stage writes is checked against its schema (see
+ * schemas.js) before the next stage runs. Errors stop the pipeline, and so
+ * do warnings with --strict. The results go in data/processed/quality-report.md,
+ * whether or not the run succeeds.
+ */
+
+const path = require('path');
+const { WORK_DIR } = require('./config');
+const { createWorkspace, relativePath } = require('./workspace');
+const { checkFile } = require('./schemas');
+const { createQualityReport, printResult } = require('./quality-report');
+
+const REPORT_FILE = path.join(WORK_DIR, 'quality-report.md');
+
+const STAGES = [
+  require('./ingest'),
+  require('./validate'),
+  require('./estimate-historical'),
+  require('./merge'),
+  require('./life-tables'),
+  require('./scotland'),
+  require('./northern-ireland'),
+  require('./migration'),
+  require('./calibration'),
+  require('./emit')
+];
+
+/**
+ * Value of a --name=value argument
+ * @param {Array<string>} args - Command line arguments
+ * @param {string} name - Option name
+ * @returns {string|null} - Value, or null if not given
+ */
+function getOption(args, name) {
+  const arg = args.find(a => a.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : null;
+}
+
+/**
+ * Pick the stages to run from --only / --from
+ * @param {Array<string>} args - Command line arguments
+ * @returns {Array<Object>} - Stages, in pipeline order
+ */
+function selectStages(args) {
+  const only = getOption(args, 'only');
+  const from = getOption(args, 'from');
+  const stageNames = STAGES.map(stage => stage.name);
+
+  const checkName = (name) => {
+    if (!stageNames.includes(name)) {
+      throw new Error(`Unknown stage "${name}" (stages: ${stageNames.join(', ')})`);
+    }
+  };
+
+  if (only && from) {
+    throw new Error('Use either --only or --from, not both');
+  }
+
+  if (only) {
+    const names = only.split(',').map(name => name.trim()).filter(Boolean);
+    names.forEach(checkName);
+    return STAGES.filter(stage => names.includes(stage.name));
+  }
+
+  if (from) {
+    checkName(from);
+    return STAGES.slice(stageNames.indexOf(from));
+  }
+
+  return STAGES;
+}
+
+/**
+ * Check the files a stage wrote against their schemas
+ * @param {Object} workspace - Pipeline workspace
+ * @param {Object} report - Quality report
+ * @param {Set<string>} checked - Files already checked this run (updated)
+ */
+function checkOutputs(workspace, report, checked) {
+  for (const filePath of workspace.getWritten()) {
+    if (checked.has(filePath)) {
+      continue;
+    }
+
+    checked.add(filePath);
+    const result = checkFile(workspace, filePath, report);
+
+    if (result) {
+      printResult(relativePath(filePath), result);
+    }
+  }
+}
+
+/**
+ * Write the quality report and summarise it
+ * @param {Object} workspace - Pipeline workspace
+ * @param {Object} report - Quality report
+ */
+function writeReport(workspace, report) {
+  const { errors, warnings } = report.getCounts();
+
+  workspace.write(REPORT_FILE, report.format());
+  console.log(`Quality report: ${errors} error(s), ${warnings} warning(s), see ${relativePath(REPORT_FILE)}\n`);
+}
+
+/**
+ * Format a file size for the summary
+ * @param {number|null} bytes - Size in bytes
+ * @returns {string} - e.g. "3.1 MB"
+ */
+function formatSize(bytes) {
+  if (bytes >= 1024 * 1024) {
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  }
+
+  return `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+/**
+ * Print the files a run changed (or would change)
+ * @param {Array<Object>} changes - workspace.getChanges() result
+ * @param {boolean} dryRun - Whether nothing was written
+ */
+function printChanges(changes, dryRun) {
+  if (changes.length === 0) {
+    console.log(dryRun ? 'Dry run: everything is up to date.' : 'Everything was already up to date.');
+    return;
+  }
+
+  console.log(dryRun ? `Dry run: ${changes.length} file(s) would change (nothing was written):` : `${changes.length} file(s) changed:`);
+
+  for (const { file, status, before, after } of changes) {
+    if (status === 'added') {
+      console.log(`  + ${file} (${formatSize(after)})`);
+    } else if (status === 'removed') {
+      console.log(`  - ${file}`);
+    } else {
+      console.log(`  ~ ${file} (${formatSize(before)} -> ${formatSize(after)})`);
+    }
+  }
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help')) {
+    console.log(`Usage: npm run pipeline -- [--only=stage,...] [--from=stage] [--dry-run] [--strict] [--release-year=YYYY]\n`);
+    STAGES.forEach(stage => console.log(`  ${stage.name.padEnd(12)} ${stage.description}`));
+    return;
+  }
+
+  const dryRun = args.includes('--dry-run');
+  const strict = args.includes('--strict');
+  const workspace = createWorkspace({ dryRun });
+  const report = createQualityReport();
+  const checked = new Set();
+  let stages;
+
+  try {
+    stages = selectStages(args);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  console.log(`=== Data Pipeline${dryRun ? ' (dry run)' : ''}${strict ? ' (strict)' : ''} ===\n`);
+
+  for (const stage of stages) {
+    console.log(`--- ${stage.name}: ${stage.description} ---`);
+
+    try {
+      await stage.run(workspace, { report });
+      checkOutputs(workspace, report, checked);
+
+      const { errors, warnings } = report.getCounts();
+
+      if (errors > 0) {
+        throw new Error(`${errors} error(s) in the data`);
+      }
+      if (strict && warnings > 0) {
+        throw new Error(`${warnings} warning(s) in the data (--strict)`);
+      }
+    } catch (error) {
+      console.error(`\n❌ Stage "${stage.name}" failed: ${error.message}`);
+
+      if (error.message.startsWith('Missing ')) {
+        console.error('   Run the earlier stages first (drop --only/--from to run the whole pipeline).');
+      }
+
+      console.log('');
+      writeReport(workspace, report);
+      process.exit(1);
+    }
+
+    console.log('');
+  }
+
+  writeReport(workspace, report);
+  printChanges(workspace.getChanges(), dryRun);
+}
+
+main();
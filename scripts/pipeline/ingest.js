@@ -0,0 +1,507 @@
+const XLSX = require('xlsx');
+const fs = require('fs');
+const path = require('path');
+const { RAW_DIR, WORK_DIR, GENDERS, WORK_FILES } = require('./config');
+const { getScriptVersion, getReleaseYear, describeNameData, recordOutputs } = require('../manifest');
+const { countSuppressed, foldCaseVariants } = require('./name-data');
+
+/**
+ * Stage: ingest
+ *
+ * Reads the ONS baby names workbooks in data/raw into plain JSON:
+ * - modern-{boys,girls}.json: exact births by name and year, from the
+ *   "Baby names in England and Wales" workbook (baby-names-1996-2024.xlsx),
+ *   or from separate baby-names-boys.xlsx / baby-names-girls.xlsx files with
+ *   one row per name and year
+ * - rankings-{boys,girls}.json: the top 100 names of each decade, from the
+ *   historical workbook (historical-names-1904-2024.xlsx), if downloaded
+ * - births-{boys,girls}.json: total live births of each sex by year, from the
+ *   births summary tables (births-1838-2024.xlsx or .csv), if downloaded
+ *
+ * Where a newer release has been downloaded alongside an older one, the
+ * workbook whose name ends with the latest year is used. Names that differ
+ * only in case are combined (see name-data.js).
+ */
+
+// Both ONS workbooks have girls in Table_1 and boys in Table_2
+const SHEETS = { girls: 'Table_1', boys: 'Table_2' };
+
+const MODERN_WORKBOOK = /^baby-names-\d{4}-(\d{4})\.xlsx$/;
+const HISTORICAL_WORKBOOK = /^historical-names-\d{4}-(\d{4})\.xlsx$/;
+const BIRTHS_WORKBOOK = /^births-\d{4}-(\d{4})\.(xlsx|csv)$/;
+
+// Years the historical workbook ranks names for
+const HISTORICAL_DECADES = [1904, 1914, 1924, 1934, 1944, 1954, 1964, 1974, 1984, 1994];
+
+/**
+ * Find the latest downloaded workbook matching a file name pattern
+ * @param {RegExp} pattern - File name pattern, capturing the last year covered
+ * @returns {Object|null} - { file (path), endYear } or null if there is none
+ */
+function findWorkbook(pattern) {
+  if (!fs.existsSync(RAW_DIR)) {
+    return null;
+  }
+
+  const matches = fs.readdirSync(RAW_DIR)
+    .map(file => ({ file, match: file.match(pattern) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => ({ file: path.join(RAW_DIR, file), endYear: parseInt(match[1]) }))
+    .sort((a, b) => a.endYear - b.endYear);
+
+  return matches.length > 0 ? matches[matches.length - 1] : null;
+}
+
+/**
+ * Whether a cell holds ONS shorthand for a suppressed count ("[x]")
+ *
+ * ONS withholds counts under 3 to protect privacy. The year is kept, with a
+ * count of null, so the app can allow for those births rather than treat
+ * them as none (see SUPPRESSED_BIRTHS in src/lib/calculations.js).
+ *
+ * @param {*} value - Cell value
+ * @returns {boolean}
+ */
+function isSuppressed(value) {
+  return typeof value === 'string' && value.trim().toLowerCase() === '[x]';
+}
+
+/**
+ * Parse a births count cell, skipping ONS shorthand for suppressed ("[x]") or
+ * not applicable ("[z]") values
+ * @param {*} value - Cell value
+ * @returns {number} - Count, or 0 if there is none
+ */
+function parseCount(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+
+  if (typeof value === 'string') {
+    const parsed = parseInt(value.replace(/,/g, ''));
+    return isNaN(parsed) ? 0 : parsed;
+  }
+
+  return 0;
+}
+
+/**
+ * Parse one gender's sheet of the ONS baby names workbook
+ *
+ * One row per name, with a "YYYY Count" column for each year.
+ *
+ * @param {Object} sheet - XLSX worksheet
+ * @returns {Object|null} - { "Oliver": { "1996": 4532, ... }, ... } or null if unrecognised
+ */
+function parseModernSheet(sheet) {
+  const rawData = XLSX.utils.sheet_to_json(sheet, { header: 1 });
+
+  // Find the header row (contains "Name" and year columns)
+  let headerRowIndex = -1;
+  for (let i = 0; i < Math.min(10, rawData.length); i++) {
+    if (rawData[i][0] === 'Name') {
+      headerRowIndex = i;
+      break;
+    }
+  }
+
+  if (headerRowIndex === -1) {
+    return null;
+  }
+
+  // Extract years and their count column indices ("2024 Count", "2023 Count", ...)
+  const headers = rawData[headerRowIndex];
+  const yearColumns = {};
+  for (let i = 1; i < headers.length; i++) {
+    const match = String(headers[i]).match(/(\d{4})\s+Count/);
+    if (match) {
+      yearColumns[match[1]] = i;
+    }
+  }
+
+  const nameData = {};
+
+  for (let i = headerRowIndex + 1; i < rawData.length; i++) {
+    const row = rawData[i];
+    const name = row[0];
+
+    if (!name || typeof name !== 'string') {
+      continue;
+    }
+
+    const years = {};
+    for (const [year, colIndex] of Object.entries(yearColumns)) {
+      const count = parseCount(row[colIndex]);
+      if (count > 0) {
+        years[year] = count;
+      } else if (isSuppressed(row[colIndex])) {
+        years[year] = null;
+      }
+    }
+
+    // Only keep names with at least one published count
+    if (Object.values(years).some(count => count !== null)) {
+      nameData[name.trim()] = years;
+    }
+  }
+
+  return nameData;
+}
+
+/**
+ * Parse a workbook with one row per name and year (columns like Name, Year, Count)
+ * @param {string} filePath - Path to Excel file
+ * @returns {Object|null} - { nameData, sheet } or null if no sheet has those columns
+ */
+function parseLongFormatWorkbook(filePath) {
+  const workbook = XLSX.readFile(filePath);
+
+  for (const sheetName of workbook.SheetNames) {
+    const rows = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName]);
+    const nameData = {};
+
+    for (const row of rows) {
+      const name = row.Name || row.name || row.NAME;
+      const year = row.Year || row.year || row.YEAR || row.Period || row.period;
+      const value = row.Count || row.count || row.COUNT || row.Number || row.number || row.Occurrences;
+      const count = parseCount(value);
+
+      if (!name || !year || (count <= 0 && !isSuppressed(value)) || !String(name).trim()) {
+        continue;
+      }
+
+      const normalizedName = String(name).trim();
+      nameData[normalizedName] = nameData[normalizedName] || {};
+      nameData[normalizedName][String(year)] = count > 0 ? count : null;
+    }
+
+    // Only keep names with at least one published count
+    for (const [name, years] of Object.entries(nameData)) {
+      if (!Object.values(years).some(count => count !== null)) {
+        delete nameData[name];
+      }
+    }
+
+    if (Object.keys(nameData).length > 0) {
+      return { nameData, sheet: sheetName };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Parse one gender's sheet of the historical top 100 workbook
+ *
+ * One row per rank, with a column of names for each decade.
+ *
+ * @param {Object} sheet - XLSX worksheet
+ * @returns {Object|null} - { "1904": { "Mary": 1, ... }, ... } or null if unrecognised
+ */
+function parseRankingsSheet(sheet) {
+  const rawData = XLSX.utils.sheet_to_json(sheet, { header: 1 });
+
+  // Find header row with decade years
+  let headerRowIndex = -1;
+  for (let i = 0; i < Math.min(10, rawData.length); i++) {
+    if (rawData[i][0] === 'Rank' || rawData[i][0] === 'rank') {
+      headerRowIndex = i;
+      break;
+    }
+  }
+
+  if (headerRowIndex === -1) {
+    return null;
+  }
+
+  // Map decade years to their column indices
+  const headers = rawData[headerRowIndex];
+  const decadeColumns = {};
+  for (let i = 1; i < headers.length; i++) {
+    const year = parseInt(headers[i]);
+    if (HISTORICAL_DECADES.includes(year)) {
+      decadeColumns[year] = i;
+    }
+  }
+
+  const rankings = {};
+  for (const decade of Object.keys(decadeColumns)) {
+    rankings[decade] = {};
+  }
+
+  for (let i = headerRowIndex + 1; i < rawData.length; i++) {
+    const row = rawData[i];
+    const rank = parseInt(row[0]);
+
+    if (isNaN(rank) || rank < 1 || rank > 100) {
+      continue;
+    }
+
+    for (const [decade, colIndex] of Object.entries(decadeColumns)) {
+      const name = row[colIndex];
+      if (name && typeof name === 'string') {
+        rankings[decade][name.trim()] = rank;
+      }
+    }
+  }
+
+  return rankings;
+}
+
+/**
+ * Parse total live births by sex from a births summary table
+ *
+ * Looks in each sheet for a header row with a Year column and columns for
+ * males and females (e.g. "Live births: Males"), one row per year.
+ *
+ * @param {string} filePath - Path to Excel or CSV file
+ * @returns {Object|null} - { boys: { "1904": 483000, ... }, girls: { ... }, sheet } or null if unrecognised
+ */
+function parseBirthsWorkbook(filePath) {
+  const workbook = XLSX.readFile(filePath);
+
+  for (const sheetName of workbook.SheetNames) {
+    const rawData = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1 });
+
+    for (let i = 0; i < Math.min(15, rawData.length); i++) {
+      const headers = rawData[i].map(cell => String(cell || '').toLowerCase());
+      const yearColumn = headers.findIndex(header => /^year\b/.test(header.trim()));
+      const columns = {
+        boys: headers.findIndex(header => /\bmales?\b/.test(header)),
+        girls: headers.findIndex(header => /\bfemales?\b/.test(header))
+      };
+
+      if (yearColumn === -1 || columns.boys === -1 || columns.girls === -1) {
+        continue;
+      }
+
+      const births = { boys: {}, girls: {} };
+
+      for (const row of rawData.slice(i + 1)) {
+        // Years may carry a note marker, e.g. "2021 [note 3]"
+        const match = String(row[yearColumn] || '').match(/^\s*(\d{4})\b/);
+
+        if (!match) {
+          continue;
+        }
+
+        for (const { label } of GENDERS) {
+          const count = parseCount(row[columns[label]]);
+          if (count > 0) {
+            births[label][match[1]] = count;
+          }
+        }
+      }
+
+      return { ...births, sheet: sheetName };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Read the total live births for each gender
+ * @returns {Object} - { boys: { births, source }, girls: { ... } } (empty births without the workbook)
+ */
+function ingestBirths() {
+  const workbook = findWorkbook(BIRTHS_WORKBOOK);
+  const results = {};
+
+  if (!workbook) {
+    console.warn('⚠️  No live births workbook found, so the estimates before 1996 assume births stayed at their 1996 level');
+    console.warn('   (expected births-1838-2024.xlsx or similar, see DATA_SOURCES.md)');
+  } else {
+    console.log(`Reading ${path.basename(workbook.file)}...`);
+  }
+
+  const parsed = workbook ? parseBirthsWorkbook(workbook.file) : null;
+
+  if (workbook && !parsed) {
+    throw new Error(`Could not find Year, Males and Females columns in ${path.basename(workbook.file)}`);
+  }
+
+  for (const { label } of GENDERS) {
+    if (!parsed) {
+      results[label] = { births: {}, source: null };
+      continue;
+    }
+
+    const years = Object.keys(parsed[label]).map(Number);
+    results[label] = {
+      births: parsed[label],
+      source: {
+        workbook: path.basename(workbook.file),
+        sheet: parsed.sheet,
+        releaseYear: getReleaseYear(workbook.endYear + 1),
+        years: years.length > 0 ? { start: Math.min(...years), end: Math.max(...years) } : null
+      }
+    };
+  }
+
+  return results;
+}
+
+/**
+ * Read the exact births for each gender
+ * @returns {Object} - { boys: { nameData, source }, girls: { ... } }
+ */
+function ingestModern() {
+  const workbook = findWorkbook(MODERN_WORKBOOK);
+  const results = {};
+
+  if (workbook) {
+    console.log(`Reading ${path.basename(workbook.file)}...`);
+    const sheets = XLSX.readFile(workbook.file).Sheets;
+
+    for (const { label } of GENDERS) {
+      const sheet = sheets[SHEETS[label]];
+      const nameData = sheet ? parseModernSheet(sheet) : null;
+
+      if (!nameData) {
+        throw new Error(`Could not find the ${label} names table (${SHEETS[label]}) in ${path.basename(workbook.file)}`);
+      }
+
+      results[label] = { nameData, source: { workbook: path.basename(workbook.file), sheet: SHEETS[label] } };
+    }
+
+    return results;
+  }
+
+  // Separate files per gender, one row per name and year
+  for (const { label } of GENDERS) {
+    const file = path.join(RAW_DIR, `baby-names-${label}.xlsx`);
+
+    if (!fs.existsSync(file)) {
+      throw new Error(
+        'No baby names workbook found in data/raw (expected baby-names-1996-2024.xlsx or similar). ' +
+        'See DATA_SOURCES.md for download instructions.'
+      );
+    }
+
+    console.log(`Reading ${path.basename(file)}...`);
+    const parsed = parseLongFormatWorkbook(file);
+
+    if (!parsed) {
+      throw new Error(`Could not find Name, Year and Count columns in ${path.basename(file)}`);
+    }
+
+    results[label] = { nameData: parsed.nameData, source: { workbook: path.basename(file), sheet: parsed.sheet } };
+  }
+
+  return results;
+}
+
+/**
+ * Read the historical top 100 rankings for each gender
+ * @returns {Object} - { boys: { rankings, source }, girls: { ... } } (empty rankings without the workbook)
+ */
+function ingestRankings() {
+  const workbook = findWorkbook(HISTORICAL_WORKBOOK);
+  const results = {};
+
+  if (!workbook) {
+    console.warn('⚠️  No historical rankings workbook found, so there will be no estimates before 1996');
+    console.warn('   (expected historical-names-1904-2024.xlsx or similar, see DATA_SOURCES.md)');
+  } else {
+    console.log(`Reading ${path.basename(workbook.file)}...`);
+  }
+
+  const sheets = workbook ? XLSX.readFile(workbook.file).Sheets : {};
+
+  for (const { label } of GENDERS) {
+    if (!workbook) {
+      results[label] = { rankings: {}, source: null };
+      continue;
+    }
+
+    const sheet = sheets[SHEETS[label]];
+    const rankings = sheet ? parseRankingsSheet(sheet) : null;
+
+    if (!rankings) {
+      throw new Error(`Could not find the ${label} rankings table (${SHEETS[label]}) in ${path.basename(workbook.file)}`);
+    }
+
+    const decades = Object.keys(rankings).map(Number);
+    results[label] = {
+      rankings,
+      source: {
+        workbook: path.basename(workbook.file),
+        sheet: SHEETS[label],
+        releaseYear: getReleaseYear(workbook.endYear + 1),
+        years: decades.length > 0 ? { start: Math.min(...decades), end: Math.max(...decades) } : null
+      }
+    };
+  }
+
+  return results;
+}
+
+/**
+ * Run the stage
+ * @param {Object} workspace - Pipeline workspace
+ */
+async function run(workspace) {
+  const modern = ingestModern();
+  const rankings = ingestRankings();
+  const births = ingestBirths();
+  const outputs = {};
+
+  for (const { label } of GENDERS) {
+    const { nameData, folded } = foldCaseVariants(modern[label].nameData);
+    const { source } = modern[label];
+    const { years, records } = describeNameData(nameData);
+    const modernFile = WORK_FILES.modern(label);
+
+    workspace.writeJSON(path.join(WORK_DIR, modernFile), nameData);
+    outputs[modernFile] = {
+      description: `Births by name and year, ${label}`,
+      sources: [{ ...source, releaseYear: getReleaseYear(years ? years.end + 1 : null), years }],
+      years,
+      records
+    };
+    console.log(`  ${label}: ${records} names${years ? `, ${years.start}-${years.end}` : ''}`);
+
+    const suppressed = Object.values(nameData)
+      .reduce((sum, years) => sum + Object.values(years).reduce((n, count) => n + countSuppressed(count), 0), 0);
+    if (suppressed > 0) {
+      console.log(`    Kept ${suppressed} suppressed count(s) (under 3)`);
+    }
+
+    if (folded.length > 0) {
+      const examples = folded.slice(0, 5).map(spellings => spellings.join('/'));
+      console.log(`    Combined ${folded.length} name(s) differing only in case: ${examples.join(', ')}${folded.length > 5 ? ', ...' : ''}`);
+    }
+
+    const rankingsFile = WORK_FILES.rankings(label);
+    const decades = rankings[label].source ? rankings[label].source.years : null;
+
+    workspace.writeJSON(path.join(WORK_DIR, rankingsFile), rankings[label].rankings);
+    outputs[rankingsFile] = {
+      description: `Top 100 names by decade, ${label}`,
+      sources: rankings[label].source ? [rankings[label].source] : [],
+      years: decades,
+      records: Object.keys(rankings[label].rankings).length
+    };
+
+    const birthsFile = WORK_FILES.births(label);
+
+    workspace.writeJSON(path.join(WORK_DIR, birthsFile), births[label].births);
+    outputs[birthsFile] = {
+      description: `Total live births by year, ${label}`,
+      sources: births[label].source ? [births[label].source] : [],
+      years: births[label].source ? births[label].source.years : null,
+      records: Object.keys(births[label].births).length
+    };
+  }
+
+  recordOutputs(outputs, { script: getScriptVersion(__filename), outputDir: WORK_DIR, workspace });
+}
+
+module.exports = {
+  name: 'ingest',
+  description: 'Read the ONS baby names and births workbooks in data/raw',
+  run,
+  findWorkbook,
+  parseCount
+};
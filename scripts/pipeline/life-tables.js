@@ -0,0 +1,604 @@
+const XLSX = require('xlsx');
+const fs = require('fs');
+const path = require('path');
+const { RAW_DIR, WORK_DIR, GENDERS, WORK_FILES } = require('./config');
+const { getScriptVersion, readManifest, recordOutputs } = require('../manifest');
+
+/**
+ * Stage: life-tables
+ *
+ * Builds a survival curve for every birth year from the ONS life tables
+ * workbooks in data/raw, or from a simplified mortality model if neither has
+ * been downloaded.
+ */
+
+const START_YEAR = 1904; // Earliest birth cohort in the (historical) baby names data
+const MAX_AGE = 100; // ONS life tables stop at age 100
+
+// Input files (see DATA_SOURCES.md)
+const NATIONAL_LIFE_TABLES_FILE = 'life-tables.xlsx';
+const COHORT_LIFE_TABLES_FILE = 'cohort-life-tables.xlsx';
+
+/**
+ * Parse a numeric spreadsheet cell, ignoring blanks and ONS shorthand like "[x]"
+ * @param {*} value - Cell value
+ * @returns {number|null} - Parsed number or null
+ */
+function parseNumber(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+
+  if (typeof value === 'string') {
+    const parsed = parseFloat(value.replace(/,/g, ''));
+    return isNaN(parsed) ? null : parsed;
+  }
+
+  return null;
+}
+
+/**
+ * Normalise a header cell for comparison ("  qx " -> "qx")
+ * @param {*} value - Cell value
+ * @returns {string} - Lower-case trimmed text
+ */
+function headerText(value) {
+  return value === undefined || value === null ? '' : String(value).trim().toLowerCase();
+}
+
+/**
+ * Parse the period label of a national life tables sheet ("2020-2022" -> { start, end })
+ * @param {string} sheetName - Sheet name
+ * @returns {Object|null} - { start, end } or null if not a period sheet
+ */
+function parsePeriodLabel(sheetName) {
+  const match = String(sheetName).trim().match(/^(\d{4})\s*[-–]\s*(\d{4})$/);
+
+  if (!match) {
+    return null;
+  }
+
+  return { start: parseInt(match[1]), end: parseInt(match[2]) };
+}
+
+/**
+ * Convert an lx column (survivors per 100,000) to qx (probability of dying before next age)
+ * @param {Array<number>} lx - lx values by age
+ * @returns {Array<number>} - qx values by age
+ */
+function qxFromLx(lx) {
+  const qx = [];
+
+  for (let age = 0; age < lx.length; age++) {
+    if (lx[age] === undefined || lx[age + 1] === undefined || lx[age] <= 0) {
+      continue;
+    }
+
+    qx[age] = 1 - lx[age + 1] / lx[age];
+  }
+
+  return qx;
+}
+
+/**
+ * Parse one three-year period sheet of the ONS national life tables
+ *
+ * Each sheet holds a males block and a females block side by side, each with
+ * columns age, mx, qx, lx, dx, ex under a "Males"/"Females" caption.
+ *
+ * @param {Object} sheet - XLSX worksheet
+ * @returns {Object|null} - { male: [qx by age], female: [qx by age] } or null if unrecognised
+ */
+function parsePeriodSheet(sheet) {
+  const rows = XLSX.utils.sheet_to_json(sheet, { header: 1, blankrows: true });
+
+  // Find the header row (contains "age" and "qx" or "lx")
+  let headerRowIndex = -1;
+  for (let i = 0; i < Math.min(20, rows.length); i++) {
+    const cells = (rows[i] || []).map(headerText);
+    if (cells.includes('age') && (cells.includes('qx') || cells.includes('lx'))) {
+      headerRowIndex = i;
+      break;
+    }
+  }
+
+  if (headerRowIndex === -1) {
+    return null;
+  }
+
+  const headers = rows[headerRowIndex].map(headerText);
+  const ageColumns = headers.reduce((cols, cell, index) => (cell === 'age' ? [...cols, index] : cols), []);
+
+  const result = {};
+
+  ageColumns.forEach((ageCol, blockIndex) => {
+    const blockEnd = ageColumns[blockIndex + 1] ?? headers.length;
+    const qxCol = headers.indexOf('qx', ageCol);
+    const lxCol = headers.indexOf('lx', ageCol);
+
+    // Work out which sex this block describes from the caption rows above it,
+    // defaulting to the ONS ordering (males first, then females)
+    let gender = blockIndex === 0 ? 'male' : 'female';
+    for (let i = Math.max(0, headerRowIndex - 3); i < headerRowIndex; i++) {
+      const caption = (rows[i] || []).slice(ageCol, blockEnd).map(headerText).join(' ');
+      if (/\bfemales?\b/.test(caption)) {
+        gender = 'female';
+      } else if (/\bmales?\b/.test(caption)) {
+        gender = 'male';
+      }
+    }
+
+    const qx = [];
+    const lx = [];
+
+    for (let i = headerRowIndex + 1; i < rows.length; i++) {
+      const row = rows[i] || [];
+      const age = parseNumber(row[ageCol]);
+
+      if (age === null || age < 0 || age > MAX_AGE) {
+        continue;
+      }
+
+      const qxValue = qxCol !== -1 && qxCol < blockEnd ? parseNumber(row[qxCol]) : null;
+      const lxValue = lxCol !== -1 && lxCol < blockEnd ? parseNumber(row[lxCol]) : null;
+
+      if (qxValue !== null) {
+        qx[age] = qxValue;
+      }
+      if (lxValue !== null) {
+        lx[age] = lxValue;
+      }
+    }
+
+    // Older releases only publish lx for some periods - derive qx from it
+    const derived = qxFromLx(lx);
+    for (let age = 0; age <= MAX_AGE; age++) {
+      if (qx[age] === undefined && derived[age] !== undefined) {
+        qx[age] = derived[age];
+      }
+    }
+
+    if (qx.some(value => value !== undefined)) {
+      result[gender] = qx;
+    }
+  });
+
+  return result.male || result.female ? result : null;
+}
+
+/**
+ * Parse every three-year period sheet of the ONS national life tables workbook
+ * @param {string} filePath - Path to Excel file
+ * @returns {Array<Object>} - [{ period, start, end, sheet, male, female }, ...] sorted by period
+ */
+function parseNationalLifeTables(filePath) {
+  console.log(`\nProcessing national life tables from: ${filePath}`);
+
+  const workbook = XLSX.readFile(filePath);
+  const periods = [];
+
+  for (const sheetName of workbook.SheetNames) {
+    const label = parsePeriodLabel(sheetName);
+
+    if (!label) {
+      continue;
+    }
+
+    const parsed = parsePeriodSheet(workbook.Sheets[sheetName]);
+
+    if (!parsed) {
+      console.warn(`Could not find age/qx columns in sheet: ${sheetName}`);
+      continue;
+    }
+
+    periods.push({
+      period: `${label.start}-${label.end}`,
+      start: label.start,
+      end: label.end,
+      sheet: sheetName,
+      male: parsed.male || [],
+      female: parsed.female || []
+    });
+  }
+
+  periods.sort((a, b) => a.start - b.start);
+
+  if (periods.length > 0) {
+    console.log(`Found ${periods.length} period sheets: ${periods[0].period} to ${periods[periods.length - 1].period}`);
+  } else {
+    console.warn(`No period sheets found. Available sheets: ${workbook.SheetNames.join(', ')}`);
+  }
+
+  return periods;
+}
+
+/**
+ * Parse the ONS past and projected cohort life tables workbook
+ *
+ * Cohort qx sheets (e.g. "males cohort qx") have one row per age and one
+ * column per year of birth.
+ *
+ * @param {string} filePath - Path to Excel file
+ * @param {number} endYear - Last birth year to read
+ * @returns {Object} - { male: { [birthYear]: { qx, sheet } }, female: { ... } }
+ */
+function parseCohortLifeTables(filePath, endYear) {
+  console.log(`\nProcessing cohort life tables from: ${filePath}`);
+
+  const workbook = XLSX.readFile(filePath);
+  const cohorts = { male: {}, female: {} };
+
+  for (const sheetName of workbook.SheetNames) {
+    const lowerName = sheetName.toLowerCase();
+
+    if (!lowerName.includes('cohort') || !lowerName.includes('qx')) {
+      continue;
+    }
+
+    const gender = /female/.test(lowerName) ? 'female' : 'male';
+    const rows = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1 });
+
+    // Find the header row: "Age" followed by birth years
+    let headerRowIndex = -1;
+    for (let i = 0; i < Math.min(20, rows.length); i++) {
+      const row = rows[i] || [];
+      if (headerText(row[0]) === 'age' && row.slice(1).some(cell => parseNumber(cell) >= 1800)) {
+        headerRowIndex = i;
+        break;
+      }
+    }
+
+    if (headerRowIndex === -1) {
+      console.warn(`Could not find header row in sheet: ${sheetName}`);
+      continue;
+    }
+
+    const headers = rows[headerRowIndex];
+    let cohortCount = 0;
+
+    for (let col = 1; col < headers.length; col++) {
+      const birthYear = parseNumber(headers[col]);
+
+      if (birthYear === null || birthYear < START_YEAR || birthYear > endYear) {
+        continue;
+      }
+
+      const qx = [];
+      for (let i = headerRowIndex + 1; i < rows.length; i++) {
+        const row = rows[i] || [];
+        const age = parseNumber(row[0]);
+        const value = parseNumber(row[col]);
+
+        if (age !== null && age >= 0 && age <= MAX_AGE && value !== null) {
+          qx[age] = value;
+        }
+      }
+
+      if (qx.length > 0) {
+        cohorts[gender][birthYear] = { qx, sheet: sheetName };
+        cohortCount++;
+      }
+    }
+
+    console.log(`Found ${cohortCount} ${gender} birth cohorts in sheet: ${sheetName}`);
+  }
+
+  return cohorts;
+}
+
+/**
+ * Find the period table in force during a calendar year
+ *
+ * Years outside every period (before the first, after the last, or in a gap
+ * between releases) use the nearest period.
+ *
+ * @param {Array<Object>} periods - Parsed period tables, sorted by start year
+ * @param {number} year - Calendar year
+ * @returns {Object} - Period table
+ */
+function findPeriodForYear(periods, year) {
+  // Periods overlap when releases are rolling, so prefer the latest that covers the year
+  for (let i = periods.length - 1; i >= 0; i--) {
+    if (year >= periods[i].start && year <= periods[i].end) {
+      return periods[i];
+    }
+  }
+
+  const distance = period => (year < period.start ? period.start - year : year - period.end);
+
+  return periods.reduce((nearest, period) => (distance(period) < distance(nearest) ? period : nearest), periods[0]);
+}
+
+/**
+ * Build cumulative survival probabilities from qx values
+ *
+ * survival[age] is the probability that someone born into the cohort is still
+ * alive at exact age `age` (survival[0] = 1).
+ *
+ * @param {Function} qxAt - Returns qx for an age, or undefined if unknown
+ * @returns {Array<number>} - Survival probabilities for ages 0-100
+ */
+function survivalFromQx(qxAt) {
+  const survival = [1];
+
+  for (let age = 1; age <= MAX_AGE; age++) {
+    const qx = qxAt(age - 1);
+    const probability = survival[age - 1] * (1 - Math.min(1, Math.max(0, qx ?? 0)));
+    survival[age] = Math.round(probability * 1e6) / 1e6;
+  }
+
+  return survival;
+}
+
+/**
+ * Build a cohort survival curve by following a birth cohort diagonally through the period tables
+ * @param {number} birthYear - Year of birth
+ * @param {string} gender - 'male' or 'female'
+ * @param {Array<Object>} periods - Parsed period tables
+ * @param {number} endYear - Last year of the names data
+ * @returns {Object} - { survival, periodsUsed, extrapolated }
+ */
+function buildCohortFromPeriods(birthYear, gender, periods, endYear) {
+  const periodsUsed = [];
+  let extrapolated = false;
+
+  const survival = survivalFromQx(age => {
+    const year = birthYear + age;
+
+    // Only ages the cohort had reached by the end of the data count towards provenance
+    const table = findPeriodForYear(periods, year);
+    if (year <= endYear) {
+      if (!periodsUsed.includes(table.period)) {
+        periodsUsed.push(table.period);
+      }
+      if (year < table.start || year > table.end) {
+        extrapolated = true;
+      }
+    }
+
+    return table[gender][age];
+  });
+
+  return { survival, periodsUsed, extrapolated };
+}
+
+/**
+ * Build per-birth-cohort life tables from the ONS workbooks
+ *
+ * Cohort tables (past and projected) are used where available, since they
+ * follow each birth cohort's actual and projected mortality. Otherwise the
+ * cohort is traced through the national period life tables, taking qx at
+ * each age from the period covering the calendar year it reached that age.
+ *
+ * @param {Object} options - { nationalFile, cohortFile } paths (either may be missing), the
+ *                           { endYear } of the names data (the last cohort to build), and the
+ *                           { publisher } named in the sources' labels (default ONS)
+ * @returns {Object|null} - { male: { survival, sources }, female: { ... } } or null if no data
+ */
+function buildLifeTables({ nationalFile, cohortFile, endYear, publisher = 'ONS' }) {
+  const periods = nationalFile && fs.existsSync(nationalFile) ? parseNationalLifeTables(nationalFile) : [];
+  const cohorts = cohortFile && fs.existsSync(cohortFile) ? parseCohortLifeTables(cohortFile, endYear) : { male: {}, female: {} };
+
+  if (periods.length === 0 && Object.keys(cohorts.male).length === 0 && Object.keys(cohorts.female).length === 0) {
+    return null;
+  }
+
+  const lifeTableData = {};
+
+  for (const gender of ['male', 'female']) {
+    console.log(`\nBuilding ${gender} cohort life tables...`);
+
+    const genderPeriods = periods.filter(p => p[gender].length > 0);
+    const survival = {};
+    const sources = {};
+    let fromCohort = 0;
+    let fromPeriod = 0;
+
+    for (let year = START_YEAR; year <= endYear; year++) {
+      const cohort = cohorts[gender][year];
+
+      if (cohort) {
+        // Fill any ages missing from the cohort table from the period tables
+        const fromPeriods = genderPeriods.length > 0 ? buildCohortFromPeriods(year, gender, genderPeriods, endYear).survival : null;
+        survival[year] = survivalFromQx(age => {
+          if (cohort.qx[age] !== undefined) {
+            return cohort.qx[age];
+          }
+          return fromPeriods && fromPeriods[age] > 0 ? 1 - fromPeriods[age + 1] / fromPeriods[age] : undefined;
+        });
+        sources[year] = {
+          type: 'cohort',
+          file: path.basename(cohortFile),
+          sheet: cohort.sheet,
+          label: `${publisher} past and projected cohort life tables (${cohort.sheet})`
+        };
+        fromCohort++;
+      } else if (genderPeriods.length > 0) {
+        const { survival: curve, periodsUsed, extrapolated } = buildCohortFromPeriods(year, gender, genderPeriods, endYear);
+        survival[year] = curve;
+        sources[year] = {
+          type: 'period',
+          file: path.basename(nationalFile),
+          periods: periodsUsed,
+          extrapolated,
+          label: periodsUsed.length > 1
+            ? `${publisher} national life tables ${periodsUsed[0]} to ${periodsUsed[periodsUsed.length - 1]}`
+            : `${publisher} national life tables ${periodsUsed[0]}`
+        };
+        fromPeriod++;
+      }
+    }
+
+    console.log(`Built ${fromCohort} cohorts from cohort tables and ${fromPeriod} from period tables`);
+    lifeTableData[gender] = { survival, sources };
+  }
+
+  return lifeTableData;
+}
+
+/**
+ * Generate simplified life tables if ONS data is unavailable
+ * This uses a simplified mortality model based on average UK life expectancy
+ * @param {number} endYear - Last year of the names data (the last cohort to generate)
+ */
+function generateSimplifiedLifeTables(endYear) {
+  console.log('\nGenerating simplified life tables...');
+  console.log('Note: This is an approximation. For best results, use actual ONS data.\n');
+
+  const lifeTableData = {
+    male: { survival: {}, sources: {} },
+    female: { survival: {}, sources: {} }
+  };
+
+  // Simplified mortality model parameters
+  // Based on average UK life expectancy: ~79 for males, ~83 for females
+  const params = {
+    male: { lifeExpectancy: 79 },
+    female: { lifeExpectancy: 83 }
+  };
+
+  for (const gender of ['male', 'female']) {
+    const { lifeExpectancy } = params[gender];
+
+    for (let year = START_YEAR; year <= endYear; year++) {
+      const survivalProbabilities = [];
+
+      for (let age = 0; age <= MAX_AGE; age++) {
+        // Simplified Gompertz–Makeham law of mortality
+        // Higher survival for younger ages, declining as age approaches life expectancy
+        let survival;
+
+        if (age === 0) {
+          survival = 0.995; // 99.5% infant survival
+        } else if (age < 10) {
+          survival = 0.995 - (age * 0.0001); // Very low childhood mortality
+        } else {
+          // Exponential decline after childhood, never above the childhood
+          // survival it follows on from
+          const ageFactor = age / lifeExpectancy;
+          survival = Math.min(survivalProbabilities[age - 1], Math.exp(-Math.pow(ageFactor, 4)));
+        }
+
+        survivalProbabilities[age] = Math.max(0, Math.min(1, survival));
+      }
+
+      lifeTableData[gender].survival[year] = survivalProbabilities;
+      lifeTableData[gender].sources[year] = {
+        type: 'simplified',
+        label: `Simplified mortality model (life expectancy ${lifeExpectancy})`
+      };
+    }
+
+    console.log(`Generated ${endYear - START_YEAR + 1} years of ${gender} life tables`);
+  }
+
+  return lifeTableData;
+}
+
+/**
+ * Summarise where a gender's cohort curves came from, for the manifest
+ *
+ * Period tables are published the year after their last year, so that
+ * gives the release year; cohort tables' release year isn't recorded.
+ *
+ * @param {Object} sources - Sources by birth year: { "1904": { type, file, sheet, periods }, ... }
+ * @returns {Array<Object>} - [{ workbook, sheets, releaseYear, estimated }] one per input
+ */
+function describeLifeTableSources(sources) {
+  const byInput = new Map();
+
+  for (const source of Object.values(sources)) {
+    const key = source.file || source.type;
+
+    if (!byInput.has(key)) {
+      byInput.set(key, { workbook: source.file || null, type: source.type, sheets: new Set(), lastYear: null });
+    }
+
+    const input = byInput.get(key);
+    if (source.sheet) {
+      input.sheets.add(source.sheet);
+    }
+    for (const period of source.periods || []) {
+      input.sheets.add(period);
+      input.lastYear = Math.max(input.lastYear || 0, parseInt(period.split('-')[1]));
+    }
+  }
+
+  return [...byInput.values()].map(input => ({
+    workbook: input.workbook,
+    sheets: [...input.sheets].sort(),
+    releaseYear: input.lastYear ? input.lastYear + 1 : null,
+    estimated: input.type === 'simplified'
+  }));
+}
+
+/**
+ * Write life-tables-male.json / life-tables-female.json:
+ * { "survival": { "1904": [1, 0.87, ...], ... }, "sources": { "1904": { type, label, ... }, ... } }
+ *
+ * @param {Object} workspace - Pipeline workspace
+ * @param {Object} lifeTableData - { male: { survival, sources }, female: { ... } }
+ * @param {Object} [region] - { dir, regionName } for a region's subdirectory of the work directory
+ * @returns {Object} - Manifest entries for the files, by path from the work directory
+ */
+function writeLifeTables(workspace, lifeTableData, { dir = '', regionName = null } = {}) {
+  const outputs = {};
+
+  for (const gender of ['male', 'female']) {
+    const file = path.posix.join(dir, WORK_FILES.lifeTables(gender));
+    workspace.writeJSON(path.join(WORK_DIR, file), lifeTableData[gender]);
+
+    const birthYears = Object.keys(lifeTableData[gender].survival).map(Number);
+    outputs[file] = {
+      description: `Survival curve by birth year, ${gender}${regionName ? `, ${regionName}` : ''}`,
+      sources: describeLifeTableSources(lifeTableData[gender].sources),
+      years: birthYears.length > 0 ? { start: Math.min(...birthYears), end: Math.max(...birthYears) } : null,
+      records: birthYears.length
+    };
+  }
+
+  return outputs;
+}
+
+/**
+ * Run the stage
+ * @param {Object} workspace - Pipeline workspace
+ */
+async function run(workspace) {
+  // Cohorts run to the names data's last year, so the tables don't depend on the date they're built
+  const { files } = readManifest(workspace, WORK_DIR);
+  const namesYears = GENDERS.map(({ label }) => (files[WORK_FILES.merged(label)] || {}).years);
+
+  if (namesYears.some(years => !years)) {
+    throw new Error(`Missing ${GENDERS.map(({ label }) => WORK_FILES.merged(label)).join(' and ')} in the manifest`);
+  }
+
+  const endYear = Math.max(...namesYears.map(years => years.end));
+  let lifeTableData = buildLifeTables({
+    nationalFile: path.join(RAW_DIR, NATIONAL_LIFE_TABLES_FILE),
+    cohortFile: path.join(RAW_DIR, COHORT_LIFE_TABLES_FILE),
+    endYear
+  });
+
+  // Fallback to simplified model if no data file found
+  if (!lifeTableData) {
+    console.warn('⚠️  No life table data file found');
+    console.warn('   Using simplified mortality model instead');
+    console.warn('   For more accurate results, download ONS life tables (see DATA_SOURCES.md)');
+
+    lifeTableData = generateSimplifiedLifeTables(endYear);
+  }
+
+  const outputs = writeLifeTables(workspace, lifeTableData);
+
+  recordOutputs(outputs, { script: getScriptVersion(__filename), outputDir: WORK_DIR, workspace });
+}
+
+module.exports = {
+  name: 'life-tables',
+  description: 'Build survival curves by birth year from the ONS life tables',
+  run,
+  buildLifeTables,
+  generateSimplifiedLifeTables,
+  writeLifeTables
+};
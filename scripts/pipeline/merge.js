@@ -0,0 +1,107 @@
+const path = require('path');
+const { WORK_DIR, GENDERS, WORK_FILES } = require('./config');
+const { getScriptVersion, describeNameData, readManifest, recordOutputs } = require('../manifest');
+
+/**
+ * Stage: merge
+ *
+ * Combines the historical estimates with the exact births into the baby
+ * names data the app uses. Exact births take precedence for any year both
+ * have.
+ */
+
+/**
+ * Merge one gender's estimated and exact births
+ *
+ * A ranked name spelt with different capitals from the exact births (say
+ * Mcdonald and McDonald) is filed under the exact births' spelling.
+ *
+ * @param {Object} estimated - { "Mary": { "1904": 47800, ... }, ... }
+ * @param {Object} modern - { "Oliver": { "1996": 4532, ... }, ... }
+ * @returns {Object} - Merged births by name and year
+ */
+function mergeNameData(estimated, modern) {
+  const merged = {};
+  const modernSpelling = new Map(Object.keys(modern).map(name => [name.toLowerCase(), name]));
+
+  for (const [name, years] of Object.entries(estimated)) {
+    merged[modernSpelling.get(name.toLowerCase()) || name] = { ...years };
+  }
+
+  for (const [name, years] of Object.entries(modern)) {
+    merged[name] = { ...merged[name], ...years };
+  }
+
+  return merged;
+}
+
+/**
+ * Log how many names have estimated births, exact births or both
+ * @param {Object} merged - Merged births by name and year
+ * @param {Object} estimated - Estimated births by name and year
+ * @param {Object} modern - Exact births by name and year
+ */
+function logCoverage(merged, estimated, modern) {
+  let bothCount = 0;
+  let estimatedOnlyCount = 0;
+  let modernOnlyCount = 0;
+
+  const estimatedNames = new Set(Object.keys(estimated).map(name => name.toLowerCase()));
+
+  for (const name of Object.keys(merged)) {
+    const isEstimated = estimatedNames.has(name.toLowerCase());
+
+    if (isEstimated && modern[name]) {
+      bothCount++;
+    } else if (isEstimated) {
+      estimatedOnlyCount++;
+    } else {
+      modernOnlyCount++;
+    }
+  }
+
+  console.log(`    Names with both estimated & exact births: ${bothCount}`);
+  console.log(`    Names with only estimated births: ${estimatedOnlyCount}`);
+  console.log(`    Names with only exact births: ${modernOnlyCount}`);
+}
+
+/**
+ * Run the stage
+ * @param {Object} workspace - Pipeline workspace
+ */
+async function run(workspace) {
+  const { files } = readManifest(workspace, WORK_DIR);
+  const outputs = {};
+
+  for (const { label } of GENDERS) {
+    const modernFile = WORK_FILES.modern(label);
+    const estimatedFile = WORK_FILES.estimated(label);
+    const modern = workspace.readJSON(path.join(WORK_DIR, modernFile));
+    const estimated = workspace.readJSON(path.join(WORK_DIR, estimatedFile));
+    const merged = mergeNameData(estimated, modern);
+    const { years, records } = describeNameData(merged);
+    const mergedFile = WORK_FILES.merged(label);
+    const hasEstimates = Object.keys(estimated).length > 0;
+
+    console.log(`  ${label}: ${records} names${years ? `, ${years.start}-${years.end}` : ''}`);
+    logCoverage(merged, estimated, modern);
+
+    workspace.writeJSON(path.join(WORK_DIR, mergedFile), merged);
+    outputs[mergedFile] = {
+      description: hasEstimates
+        ? `Births by name and year, ${label} (pre-1996 estimated from rankings)`
+        : `Births by name and year, ${label}`,
+      sources: [modernFile, estimatedFile].flatMap(file => (files[file] ? files[file].sources : [])),
+      years,
+      records
+    };
+  }
+
+  recordOutputs(outputs, { script: getScriptVersion(__filename), outputDir: WORK_DIR, workspace });
+}
+
+module.exports = {
+  name: 'merge',
+  description: 'Combine the historical estimates with the exact births',
+  run
+};
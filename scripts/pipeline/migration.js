@@ -0,0 +1,240 @@
+const XLSX = require('xlsx');
+const path = require('path');
+const { WORK_DIR, GENDERS, REGIONS, WORK_FILES } = require('./config');
+const { getScriptVersion, getReleaseYear, recordOutputs } = require('../manifest');
+const { findWorkbook } = require('./ingest');
+const { findAreaColumns, parseAreaRow } = require('./population');
+
+/**
+ * Stage: migration
+ *
+ * Reads the ONS mid-year population estimates' components of change
+ * (mid-year-components-2001-2022.csv or .xlsx, one row per area, sex and
+ * single year of age) into migration-{male,female}.json for each nation in
+ * the file: England & Wales in data/processed, the others in their
+ * subdirectory (see REGIONS in config.js).
+ *
+ * Each year's net migration at an age (international, plus moves to and
+ * from the rest of the UK) is a share of the population it joins, so a
+ * birth cohort's factor at an age is the product of those years' ratios of
+ * the population to the population without migration. Years before the
+ * components start count as no migration, and the factor stays at its last
+ * value after they end.
+ *
+ * The file is optional: without it there is no migration adjustment, and
+ * any files from an earlier run are removed.
+ */
+
+const COMPONENTS_WORKBOOK = /^mid-year-components-\d{4}-(\d{4})\.(xlsx|csv)$/;
+
+const START_YEAR = 1904; // Earliest birth cohort in the (historical) baby names data
+const MAX_AGE = 100; // Factors stop at the life tables' last age
+
+// Migration components, each either one net column (e.g. "international_net_2022")
+// or in and out columns ("international_in_2022", "international_out_2022")
+const MIGRATION_COMPONENTS = ['international', 'internal', 'cross_border'];
+
+/**
+ * Find the columns of a components of change header row
+ * @param {Array<string>} headers - Lower-case header cells
+ * @returns {Object|null} - { sex, age, country, years: { "2022": { population, net: [[column, sign]] } } }
+ *                          or null if it isn't one
+ */
+function findColumns(headers) {
+  const areaColumns = findAreaColumns(headers);
+  const years = {};
+
+  headers.forEach((header, index) => {
+    const match = header.match(/^population_(\d{4})$/);
+    if (match) {
+      years[match[1]] = { population: index, net: [] };
+    }
+  });
+
+  for (const [year, columns] of Object.entries(years)) {
+    for (const component of MIGRATION_COMPONENTS) {
+      const net = headers.indexOf(`${component}_net_${year}`);
+      const into = headers.indexOf(`${component}_in_${year}`);
+      const out = headers.indexOf(`${component}_out_${year}`);
+
+      if (net !== -1) {
+        columns.net.push([net, 1]);
+      } else if (into !== -1 && out !== -1) {
+        columns.net.push([into, 1], [out, -1]);
+      }
+    }
+
+    // The first year's population has no components before it
+    if (columns.net.length === 0) {
+      delete years[year];
+    }
+  }
+
+  if (!areaColumns || Object.keys(years).length === 0) {
+    return null;
+  }
+
+  return { ...areaColumns, years };
+}
+
+/**
+ * Parse the components of change by sex and single year of age
+ *
+ * Areas are summed into nations (see population.js), so moves between
+ * areas of the same nation cancel out.
+ *
+ * @param {string} filePath - Path to Excel or CSV file
+ * @returns {Object|null} - { byDir: { [dir]: { male: { "2022": [{ population, net } by age] }, female } }, sheet }
+ *                          or null if unrecognised
+ */
+function parseComponentsWorkbook(filePath) {
+  const workbook = XLSX.readFile(filePath);
+
+  for (const sheetName of workbook.SheetNames) {
+    const rawData = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1 });
+
+    for (let i = 0; i < Math.min(10, rawData.length); i++) {
+      const columns = findColumns((rawData[i] || []).map(cell => String(cell ?? '').trim().toLowerCase()));
+
+      if (!columns) {
+        continue;
+      }
+
+      const byDir = {};
+
+      for (const row of rawData.slice(i + 1)) {
+        const area = parseAreaRow(row, columns);
+
+        if (!area) {
+          continue;
+        }
+
+        const { dir, gender, age } = area;
+        byDir[dir] = byDir[dir] || { male: {}, female: {} };
+
+        for (const [year, { population, net }] of Object.entries(columns.years)) {
+          const ages = byDir[dir][gender][year] = byDir[dir][gender][year] || [];
+          const totals = ages[age] = ages[age] || { population: 0, net: 0 };
+
+          totals.population += Number(row[population]) || 0;
+          totals.net += net.reduce((sum, [column, sign]) => sum + sign * (Number(row[column]) || 0), 0);
+        }
+      }
+
+      return { byDir, sheet: sheetName };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build each birth cohort's cumulative net migration factor by age
+ * @param {Object} components - { "2022": [{ population, net } by age] } for one nation and gender
+ * @returns {Object} - { years: { start, end }, factors: { "1904": [1, 1, ..., 1.0213], ... } }
+ */
+function buildMigrationFactors(components) {
+  const years = Object.keys(components).map(Number).sort((a, b) => a - b);
+  const start = years[0];
+  const end = years[years.length - 1];
+  const factors = {};
+
+  // Population with / population without that year's migration
+  const yearFactor = (year, age) => {
+    const ages = components[year];
+    const totals = ages && ages[Math.min(age, ages.length - 1)];
+
+    if (!totals || totals.population - totals.net <= 0) {
+      return 1;
+    }
+
+    return totals.population / (totals.population - totals.net);
+  };
+
+  for (let birthYear = START_YEAR; birthYear <= end; birthYear++) {
+    const curve = [1];
+
+    for (let age = 1; age <= MAX_AGE && birthYear + age <= end; age++) {
+      curve.push(curve[age - 1] * yearFactor(birthYear + age, age));
+    }
+
+    factors[birthYear] = curve.map(factor => Math.round(factor * 1e5) / 1e5);
+  }
+
+  return { years: { start, end }, factors };
+}
+
+/**
+ * Remove a nation's migration files from an earlier run
+ * @param {Object} workspace - Pipeline workspace
+ * @param {string} dir - Region subdirectory ('' for England & Wales)
+ */
+function removeOutputs(workspace, dir) {
+  GENDERS.forEach(({ gender }) => workspace.remove(path.join(WORK_DIR, dir, WORK_FILES.migration(gender))));
+}
+
+/**
+ * Run the stage
+ * @param {Object} workspace - Pipeline workspace
+ */
+async function run(workspace) {
+  const workbook = findWorkbook(COMPONENTS_WORKBOOK);
+  const dirs = ['', ...REGIONS.map(({ dir }) => dir)];
+
+  if (!workbook) {
+    console.log('No mid-year population components file found, so there will be no migration adjustment');
+    console.log('   (expected mid-year-components-2001-2022.csv or similar, see DATA_SOURCES.md)');
+    dirs.forEach(dir => removeOutputs(workspace, dir));
+    recordOutputs({}, { script: getScriptVersion(__filename), outputDir: WORK_DIR, workspace });
+    return;
+  }
+
+  console.log(`Reading ${path.basename(workbook.file)}...`);
+  const parsed = parseComponentsWorkbook(workbook.file);
+
+  if (!parsed) {
+    throw new Error(`Could not find sex, age, population and migration columns in ${path.basename(workbook.file)}`);
+  }
+
+  const outputs = {};
+
+  for (const dir of dirs) {
+    if (!parsed.byDir[dir]) {
+      removeOutputs(workspace, dir);
+      continue;
+    }
+
+    const regionName = dir ? REGIONS.find(entry => entry.dir === dir).name : 'England & Wales';
+    let years;
+
+    for (const { gender } of GENDERS) {
+      const migration = buildMigrationFactors(parsed.byDir[dir][gender]);
+      years = migration.years;
+      const file = path.posix.join(dir, WORK_FILES.migration(gender));
+
+      workspace.writeJSON(path.join(WORK_DIR, file), migration);
+      outputs[file] = {
+        description: `Net migration factor by birth year and age, ${gender}${dir ? `, ${regionName}` : ''}`,
+        sources: [{
+          workbook: path.basename(workbook.file),
+          sheet: parsed.sheet,
+          releaseYear: getReleaseYear(migration.years.end + 1),
+          years: migration.years
+        }],
+        years: migration.years,
+        records: Object.keys(migration.factors).length
+      };
+    }
+
+    console.log(`  ${regionName}: net migration ${years.start}-${years.end}`);
+  }
+
+  recordOutputs(outputs, { script: getScriptVersion(__filename), outputDir: WORK_DIR, workspace });
+}
+
+module.exports = {
+  name: 'migration',
+  description: 'Build net migration factors from the ONS mid-year population estimates',
+  run,
+  buildMigrationFactors
+};
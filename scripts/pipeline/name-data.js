@@ -0,0 +1,112 @@
+/**
+ * Helpers for births by name and year: { "Oliver": { "1996": 4532, ... }, ... }
+ *
+ * A count of null is one ONS suppressed (under 3). Where several counts are
+ * added together and some were suppressed, the sum is { births, suppressed }:
+ * the published births and how many suppressed counts it includes. The app
+ * imputes each one (see addBirthCounts in src/lib/calculations.js, which
+ * this follows).
+ */
+
+/**
+ * Published births in a count, leaving out suppressed ones
+ * @param {number|null|Object} count - Births count
+ * @returns {number} - Births
+ */
+function publishedBirths(count) {
+  return count !== null && typeof count === 'object' ? count.births : count || 0;
+}
+
+/**
+ * How many suppressed counts a count includes
+ * @param {number|null|Object} count - Births count
+ * @returns {number} - Suppressed counts
+ */
+function countSuppressed(count) {
+  return count === null ? 1 : (count && count.suppressed) || 0;
+}
+
+/**
+ * Add two births counts for the same year
+ * @param {number|null|Object|undefined} a - Births count (undefined for none yet)
+ * @param {number|null|Object} b - Births count
+ * @returns {number|null|Object} - The sum, in the same form
+ */
+function addCounts(a, b) {
+  if (a === undefined) {
+    return b;
+  }
+
+  const births = publishedBirths(a) + publishedBirths(b);
+  const suppressed = countSuppressed(a) + countSuppressed(b);
+
+  if (suppressed === 0) {
+    return births;
+  }
+
+  return births === 0 && suppressed === 1 ? null : { births, suppressed };
+}
+
+/**
+ * Total published births of a name across all years
+ * @param {Object} years - Births by year
+ * @returns {number} - Total births
+ */
+function totalBirths(years) {
+  return Object.values(years).reduce((sum, count) => sum + publishedBirths(count), 0);
+}
+
+/**
+ * Combine names that differ only in case into one
+ *
+ * ONS capitalised letters after an apostrophe until 2021 and not since
+ * (D'Andre, then D'andre), which would otherwise split one name in two.
+ * Births in the same year are added together, keeping any suppressed
+ * counts (see addCounts), and the combined name takes the spelling with the
+ * most births.
+ *
+ * @param {Object} nameData - Births by name and year
+ * @returns {Object} - { nameData, folded: [[kept, ...combined], ...] }
+ */
+function foldCaseVariants(nameData) {
+  const variants = new Map();
+
+  for (const name of Object.keys(nameData)) {
+    const key = name.toLowerCase();
+    variants.set(key, [...(variants.get(key) || []), name]);
+  }
+
+  const folded = [];
+  const result = {};
+
+  for (const [name, years] of Object.entries(nameData)) {
+    const spellings = variants.get(name.toLowerCase());
+
+    if (spellings.length === 1) {
+      result[name] = years;
+      continue;
+    }
+
+    // Every spelling is handled when the first one comes up
+    if (spellings[0] !== name) {
+      continue;
+    }
+
+    const kept = spellings.reduce((best, spelling) =>
+      (totalBirths(nameData[spelling]) > totalBirths(nameData[best]) ? spelling : best));
+    const combined = {};
+
+    for (const spelling of spellings) {
+      for (const [year, count] of Object.entries(nameData[spelling])) {
+        combined[year] = addCounts(combined[year], count);
+      }
+    }
+
+    result[kept] = combined;
+    folded.push([kept, ...spellings.filter(spelling => spelling !== kept)]);
+  }
+
+  return { nameData: result, folded };
+}
+
+module.exports = { publishedBirths, countSuppressed, totalBirths, foldCaseVariants };
@@ -0,0 +1,102 @@
+/**
+ * Compact, sharded name data loaded by the calculator page
+ *
+ * The emit stage writes these to public/data/names/:
+ * - index.json: the year range, the list of shards and the most common names
+ *   of each gender with their number living in the data's last year (for
+ *   instant suggestions)
+ * - <letter>.json: every name whose folded form (Élodie -> elodie) starts with
+ *   that letter, for both genders. Names with no letters go in "_.json".
+ *
+ * Each name is stored as [firstYear, births, births, ...], one count per year
+ * from its first year to its last, with 0 for years with no recorded births,
+ * null for years ONS suppressed and { births, suppressed } for sums that
+ * include suppressed counts (see name-data.js).
+ *
+ * The page loads index.json and the life tables up front, then fetches a
+ * shard when a name starting with its letter is typed or searched. The full
+ * baby-names-*.json files stay for the API, CSV enrichment and names by age.
+ *
+ * An ES module, unlike the other stages' code, since it uses the app's own
+ * calculations to rank the most common names.
+ */
+
+import { normalizeLifeTables } from '../../src/lib/dataLoader.js';
+import { calculateAgeDistribution, calculateTotalLiving } from '../../src/lib/calculations.js';
+import { getShardKey } from '../../src/lib/utils.js';
+
+// Names per gender listed in index.json, enough to cover most searches
+// before any shard has loaded
+const POPULAR_NAMES = 300;
+
+/**
+ * Encode one name's births as [firstYear, births, births, ...]
+ * @param {Object} nameData - Births by year: { "1996": 4532, ... }
+ * @returns {Array} - Compact births
+ */
+function encodeNameData(nameData) {
+  const years = Object.keys(nameData).map(Number).sort((a, b) => a - b);
+  const firstYear = years[0];
+  const births = new Array(years[years.length - 1] - firstYear + 1).fill(0);
+
+  for (const year of years) {
+    births[year - firstYear] = nameData[year];
+  }
+
+  return [firstYear, ...births];
+}
+
+/**
+ * Build the name shards and their index
+ *
+ * The popular names' living counts are as of the data's last year rather
+ * than today, so building the same data twice gives the same index.
+ *
+ * @param {Object} babyNames - { male: baby names data, female: ... }
+ * @param {Object} lifeTables - { male: life tables file contents, female: ... }
+ * @returns {Object} - { shards: { [key]: { male, female } }, index: { startYear, endYear, shards, popular } }
+ */
+export function buildNameShards(babyNames, lifeTables) {
+  const shards = {};
+  const popular = {};
+  let startYear = Infinity;
+  let endYear = -Infinity;
+
+  for (const gender of ['male', 'female']) {
+    for (const [name, nameData] of Object.entries(babyNames[gender])) {
+      const key = getShardKey(name);
+      const encoded = encodeNameData(nameData);
+
+      shards[key] = shards[key] || { male: {}, female: {} };
+      shards[key][gender][name] = encoded;
+
+      startYear = Math.min(startYear, encoded[0]);
+      endYear = Math.max(endYear, encoded[0] + encoded.length - 2);
+    }
+  }
+
+  for (const gender of ['male', 'female']) {
+    const { survival } = normalizeLifeTables(lifeTables[gender]);
+    const living = [];
+
+    for (const [name, nameData] of Object.entries(babyNames[gender])) {
+      const distribution = calculateAgeDistribution(name, gender, nameData, survival, endYear);
+      living.push([name, Math.round(calculateTotalLiving(distribution))]);
+    }
+
+    popular[gender] = living
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, POPULAR_NAMES);
+  }
+
+  const keys = Object.keys(shards).sort();
+  const sortedShards = {};
+  for (const key of keys) {
+    sortedShards[key] = shards[key];
+  }
+
+  return {
+    shards: sortedShards,
+    index: { startYear, endYear, shards: keys, popular }
+  };
+}
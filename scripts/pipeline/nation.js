@@ -0,0 +1,223 @@
+const XLSX = require('xlsx');
+const path = require('path');
+const { RAW_DIR, WORK_DIR, GENDERS, REGIONS, WORK_FILES } = require('./config');
+const { getScriptVersion, getReleaseYear, describeNameData, recordOutputs } = require('../manifest');
+const { foldCaseVariants } = require('./name-data');
+const { findWorkbook, parseCount } = require('./ingest');
+const { buildLifeTables, generateSimplifiedLifeTables, writeLifeTables } = require('./life-tables');
+
+/**
+ * Stages for the nations published alongside England & Wales
+ *
+ * Each nation's statistics office publishes every name given, however rare,
+ * in one file, so there is nothing to estimate or merge: a stage reads the
+ * names and the life tables straight into the files England & Wales has, in
+ * data/processed/{dir} (see REGIONS in config.js). Without the names file
+ * there is no data for the nation, and any from an earlier run is removed.
+ */
+
+// Column headers in the long layout (e.g. yr, sex, FirstForename, number)
+const COLUMNS = {
+  year: /^(yr|year)$/,
+  name: /forename|^names?$/,
+  count: /^(number|count|births)$/,
+  sex: /^(sex|gender)$/
+};
+
+// Year columns in the wide layout (e.g. "1997" or "1997 Number", but not "1997 Rank")
+const YEAR_COLUMN = /^(\d{4})( (number|count|births))?$/;
+
+/**
+ * Which gender a sex code or sheet name means ("B", "Girls", "Male", ...)
+ * @param {*} value - Cell value or sheet name
+ * @returns {string|null} - 'boys', 'girls' or null if neither
+ */
+function parseSex(value) {
+  const text = String(value || '').trim().toLowerCase();
+
+  if (/^(b|m|boys?|males?)$/.test(text) || /\bboys?\b/.test(text)) {
+    return 'boys';
+  }
+  if (/^(g|f|girls?|females?)$/.test(text) || /\bgirls?\b/.test(text)) {
+    return 'girls';
+  }
+
+  return null;
+}
+
+/**
+ * Add one count to births by name and year
+ * @param {Object} nameData - { boys: births by name and year, girls: ... }
+ * @param {string|null} label - 'boys' or 'girls'
+ * @param {*} name - Name cell
+ * @param {number} year - Year of birth
+ * @param {*} value - Count cell
+ */
+function addCount(nameData, label, name, year, value) {
+  const trimmed = String(name || '').trim();
+  const count = parseCount(value);
+
+  if (!label || isNaN(year) || !trimmed || count <= 0) {
+    return;
+  }
+
+  nameData[label][trimmed] = nameData[label][trimmed] || {};
+  nameData[label][trimmed][year] = (nameData[label][trimmed][year] || 0) + count;
+}
+
+/**
+ * Parse a full list of babies' first names
+ *
+ * Either one row per name, year and sex (long), or one row per name with a
+ * column per year (wide). Sheets with no sex column take it from the sheet
+ * name instead.
+ *
+ * @param {string} filePath - Path to Excel or CSV file
+ * @returns {Object|null} - { boys: births by name and year, girls: ..., sheets } or null if unrecognised
+ */
+function parseNamesWorkbook(filePath) {
+  const workbook = XLSX.readFile(filePath);
+  const nameData = { boys: {}, girls: {} };
+  const sheets = [];
+
+  for (const sheetName of workbook.SheetNames) {
+    const rawData = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1 });
+    const sheetSex = parseSex(sheetName);
+
+    for (let i = 0; i < Math.min(10, rawData.length); i++) {
+      const headers = (rawData[i] || []).map(cell => String(cell || '').trim().toLowerCase());
+      const columns = Object.fromEntries(
+        Object.entries(COLUMNS).map(([key, pattern]) => [key, headers.findIndex(header => pattern.test(header))])
+      );
+      const yearColumns = headers
+        .map((header, index) => ({ match: header.match(YEAR_COLUMN), index }))
+        .filter(({ match }) => match)
+        .map(({ match, index }) => ({ year: parseInt(match[1]), index }));
+      const isLong = columns.year !== -1 && columns.count !== -1;
+      const isWide = !isLong && yearColumns.length > 0;
+
+      if (columns.name === -1 || !(isLong || isWide) || (columns.sex === -1 && !sheetSex)) {
+        continue;
+      }
+
+      for (const row of rawData.slice(i + 1)) {
+        const label = columns.sex === -1 ? sheetSex : parseSex(row[columns.sex]);
+
+        if (isLong) {
+          addCount(nameData, label, row[columns.name], parseInt(row[columns.year]), row[columns.count]);
+        } else {
+          yearColumns.forEach(({ year, index }) => addCount(nameData, label, row[columns.name], year, row[index]));
+        }
+      }
+
+      sheets.push(sheetName);
+      break;
+    }
+  }
+
+  return sheets.length > 0 ? { ...nameData, sheets } : null;
+}
+
+/**
+ * Remove a nation's files from an earlier run
+ * @param {Object} workspace - Pipeline workspace
+ * @param {string} dir - The nation's subdirectory
+ */
+function removeOutputs(workspace, dir) {
+  const files = [
+    ...GENDERS.map(({ label }) => WORK_FILES.merged(label)),
+    ...GENDERS.map(({ gender }) => WORK_FILES.lifeTables(gender))
+  ];
+
+  files.forEach(file => workspace.remove(path.join(WORK_DIR, dir, file)));
+}
+
+/**
+ * Create the stage for a nation
+ * @param {Object} options - { region (see REGIONS in config.js), publisher (e.g. 'NRS'),
+ *                           namesWorkbook (pattern capturing the last year), namesExample,
+ *                           lifeTablesFile, cohortLifeTablesFile }
+ * @returns {Object} - Pipeline stage: { name, description, run }
+ */
+function createNationStage({ region, publisher, namesWorkbook, namesExample, lifeTablesFile, cohortLifeTablesFile }) {
+  const { name: regionName, dir } = REGIONS.find(entry => entry.region === region);
+
+  async function run(workspace) {
+    const workbook = findWorkbook(namesWorkbook);
+
+    if (!workbook) {
+      console.log(`No ${publisher} baby names file found, so there will be no ${regionName} data`);
+      console.log(`   (expected ${namesExample} or similar, see DATA_SOURCES.md)`);
+      removeOutputs(workspace, dir);
+      recordOutputs({}, { script: getScriptVersion(__filename), outputDir: WORK_DIR, workspace });
+      return;
+    }
+
+    console.log(`Reading ${path.basename(workbook.file)}...`);
+    const parsed = parseNamesWorkbook(workbook.file);
+
+    if (!parsed) {
+      throw new Error(`Could not find name, year and count columns in ${path.basename(workbook.file)}`);
+    }
+
+    const outputs = {};
+    let endYear = null;
+
+    for (const { label } of GENDERS) {
+      const { nameData, folded } = foldCaseVariants(parsed[label]);
+      const { years, records } = describeNameData(nameData);
+      const file = path.posix.join(dir, WORK_FILES.merged(label));
+
+      workspace.writeJSON(path.join(WORK_DIR, file), nameData);
+      outputs[file] = {
+        description: `Births by name and year, ${label}, ${regionName}`,
+        sources: [{
+          workbook: path.basename(workbook.file),
+          sheet: parsed.sheets.join(', '),
+          releaseYear: getReleaseYear(years ? years.end + 1 : null),
+          years
+        }],
+        years,
+        records
+      };
+      console.log(`  ${label}: ${records} names${years ? `, ${years.start}-${years.end}` : ''}`);
+
+      if (years) {
+        endYear = Math.max(endYear || 0, years.end);
+      }
+
+      if (folded.length > 0) {
+        console.log(`    Combined ${folded.length} name(s) differing only in case`);
+      }
+    }
+
+    if (!endYear) {
+      throw new Error(`No births found in ${path.basename(workbook.file)}`);
+    }
+
+    const nationalFile = path.join(RAW_DIR, lifeTablesFile);
+    const cohortFile = path.join(RAW_DIR, cohortLifeTablesFile);
+    let lifeTableData = buildLifeTables({ nationalFile, cohortFile, endYear, publisher });
+
+    if (!lifeTableData) {
+      console.warn(`⚠️  No ${regionName} life tables found`);
+      console.warn(`   Using simplified mortality model instead (expected ${lifeTablesFile}, see DATA_SOURCES.md)`);
+
+      lifeTableData = generateSimplifiedLifeTables(endYear);
+    }
+
+    Object.assign(outputs, writeLifeTables(workspace, lifeTableData, { dir, regionName }));
+
+    recordOutputs(outputs, { script: getScriptVersion(__filename), outputDir: WORK_DIR, workspace });
+  }
+
+  return {
+    name: region,
+    description: `Read the ${publisher} baby names and life tables for ${regionName}`,
+    run
+  };
+}
+
+module.exports = {
+  createNationStage
+};
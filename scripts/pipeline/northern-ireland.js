@@ -0,0 +1,27 @@
+const { createNationStage } = require('./nation');
+
+/**
+ * Stage: northern-ireland
+ *
+ * Reads the Northern Ireland Statistics and Research Agency (NISRA) files in
+ * data/raw into the same files as England & Wales has, in
+ * data/processed/northern-ireland:
+ * - baby-names-{boys,girls}.json: births by name and year, from the NISRA
+ *   full lists of baby names (northern-ireland-baby-names-1997-2024.xlsx or
+ *   .csv), with a sheet per sex and a column per year
+ * - life-tables-{male,female}.json: survival curves by birth year, from the
+ *   national life tables for Northern Ireland
+ *   (northern-ireland-life-tables.xlsx) and, if downloaded, the cohort life
+ *   tables (northern-ireland-cohort-life-tables.xlsx)
+ *
+ * NISRA publishes every name given from 1997 (see nation.js).
+ */
+
+module.exports = createNationStage({
+  region: 'northern-ireland',
+  publisher: 'NISRA',
+  namesWorkbook: /^northern-ireland-baby-names-\d{4}-(\d{4})\.(xlsx|csv)$/,
+  namesExample: 'northern-ireland-baby-names-1997-2024.xlsx',
+  lifeTablesFile: 'northern-ireland-life-tables.xlsx',
+  cohortLifeTablesFile: 'northern-ireland-cohort-life-tables.xlsx'
+});
@@ -0,0 +1,67 @@
+/**
+ * Reading the ONS mid-year population estimates
+ *
+ * The estimates come as one row per area, sex and single year of age, with
+ * a column per year ("population_2022", and for the components of change
+ * "international_net_2022" and so on). Areas are summed into the nations
+ * the calculator covers, by their country or area code; a file with neither
+ * is taken to be England & Wales. The oldest age is open-ended ("90+").
+ */
+
+// Region subdirectory (see REGIONS in config.js) by the first letter of the
+// country or area code (e.g. "E" or "E06000001")
+const COUNTRY_DIRS = { E: '', W: '', S: 'scotland', N: 'northern-ireland' };
+
+/**
+ * Which gender a sex code means ("1", "M", "Female", ...)
+ * @param {*} value - Cell value
+ * @returns {string|null} - 'male', 'female' or null if neither
+ */
+function parseSex(value) {
+  const text = String(value ?? '').trim().toLowerCase();
+
+  if (/^(1|m|males?)$/.test(text)) {
+    return 'male';
+  }
+  if (/^(2|f|females?)$/.test(text)) {
+    return 'female';
+  }
+
+  return null;
+}
+
+/**
+ * Find the columns every population estimates file has
+ * @param {Array<string>} headers - Lower-case header cells
+ * @returns {Object|null} - { sex, age, country (-1 if none) } or null if it isn't a header row
+ */
+function findAreaColumns(headers) {
+  const sex = headers.indexOf('sex');
+  const age = headers.indexOf('age');
+  const country = headers.findIndex(header => header === 'country' || /^(lad|area)_?code/.test(header));
+
+  return sex === -1 || age === -1 ? null : { sex, age, country };
+}
+
+/**
+ * Read the nation, sex and age of a row
+ * @param {Array} row - Row cells
+ * @param {Object} columns - findAreaColumns() result
+ * @returns {Object|null} - { dir (region subdirectory), gender, age }, or null for rows to skip
+ */
+function parseAreaRow(row, columns) {
+  const gender = parseSex(row[columns.sex]);
+  const age = parseInt(row[columns.age]);
+  const dir = columns.country === -1 ? '' : COUNTRY_DIRS[String(row[columns.country] ?? '').trim().charAt(0).toUpperCase()];
+
+  if (!gender || isNaN(age) || age < 0 || dir === undefined) {
+    return null;
+  }
+
+  return { dir, gender, age };
+}
+
+module.exports = {
+  findAreaColumns,
+  parseAreaRow
+};
@@ -0,0 +1,140 @@
+/**
+ * Data quality report
+ *
+ * Collects the result of checking each file the pipeline writes (see
+ * schemas.js) and any checks across files, and writes them up as a
+ * Markdown report in data/processed/quality-report.md. The report has no
+ * timestamps, so a rerun with the same inputs leaves it unchanged.
+ */
+
+// Issues listed per file before the rest are summarised
+const MAX_LISTED = 10;
+
+/**
+ * List messages, summarising the tail of long lists
+ * @param {Array<string>} messages - Messages
+ * @returns {Array<string>} - Markdown list items
+ */
+function listMessages(messages) {
+  const lines = messages.slice(0, MAX_LISTED).map(message => `- ${message}`);
+
+  if (messages.length > MAX_LISTED) {
+    lines.push(`- ...and ${messages.length - MAX_LISTED} more`);
+  }
+
+  return lines;
+}
+
+/**
+ * Print a file's or check's problems to the console
+ * @param {string} title - File or check
+ * @param {Object} result - { errors, warnings }
+ */
+function printResult(title, { errors, warnings }) {
+  if (errors.length > 0) {
+    console.error(`❌ ${title}: ${errors.length} error(s)`);
+    listMessages(errors).forEach(line => console.error(`  ${line}`));
+  }
+
+  if (warnings.length > 0) {
+    console.warn(`⚠️  ${title}: ${warnings.length} warning(s)`);
+    listMessages(warnings).forEach(line => console.warn(`  ${line}`));
+  }
+}
+
+/**
+ * Create a quality report
+ * @returns {Object} - { addFile, hasFile, addCheck, getCounts, format }
+ */
+function createQualityReport() {
+  // Results by file (relative path) or cross-file check name:
+  // { title, description, summary, errors, warnings }
+  const results = new Map();
+
+  return {
+    /**
+     * Record the result of checking a file against its schema
+     * @param {string} file - Path from the repository root
+     * @param {string} description - What the file holds
+     * @param {Object} result - { summary, errors, warnings }
+     */
+    addFile(file, description, { summary, errors, warnings }) {
+      results.set(file, { title: file, description, summary, errors, warnings });
+    },
+
+    /**
+     * Whether a file has been checked
+     * @param {string} file - Path from the repository root
+     * @returns {boolean}
+     */
+    hasFile(file) {
+      return results.has(file);
+    },
+
+    /**
+     * Record the result of a check across files
+     * @param {string} title - What was checked
+     * @param {Object} result - { errors, warnings }
+     */
+    addCheck(title, { errors = [], warnings = [] }) {
+      results.set(title, { title, summary: errors.length + warnings.length === 0 ? 'passed' : null, errors, warnings });
+    },
+
+    /**
+     * Number of errors and warnings so far
+     * @returns {Object} - { errors, warnings }
+     */
+    getCounts() {
+      let errors = 0;
+      let warnings = 0;
+
+      for (const result of results.values()) {
+        errors += result.errors.length;
+        warnings += result.warnings.length;
+      }
+
+      return { errors, warnings };
+    },
+
+    /**
+     * Write up the report
+     * @returns {string} - Markdown
+     */
+    format() {
+      const { errors, warnings } = this.getCounts();
+      const lines = [
+        '# Data quality report',
+        '',
+        'Written by `npm run pipeline`, which checks every file it writes against its schema.',
+        'Errors stop the pipeline; warnings only stop it with `--strict`.',
+        '',
+        `**${results.size} checked, ${errors} error(s), ${warnings} warning(s)**`,
+        ''
+      ];
+
+      const sorted = [...results.values()].sort((a, b) => a.title.localeCompare(b.title));
+
+      for (const { title, description, summary, errors: fileErrors, warnings: fileWarnings } of sorted) {
+        const status = fileErrors.length > 0 ? '❌' : fileWarnings.length > 0 ? '⚠️' : '✓';
+
+        lines.push(`## ${status} ${title}`, '');
+
+        const about = [description, summary].filter(Boolean).join(': ');
+        if (about) {
+          lines.push(about, '');
+        }
+
+        if (fileErrors.length > 0) {
+          lines.push(`Errors (${fileErrors.length}):`, '', ...listMessages(fileErrors), '');
+        }
+        if (fileWarnings.length > 0) {
+          lines.push(`Warnings (${fileWarnings.length}):`, '', ...listMessages(fileWarnings), '');
+        }
+      }
+
+      return lines.join('\n');
+    }
+  };
+}
+
+module.exports = { createQualityReport, printResult };
@@ -0,0 +1,575 @@
+/**
+ * Schemas for the pipeline's data files
+ *
+ * Every JSON file a stage writes is checked against the schema for its kind
+ * of file (picked by file name). A check returns:
+ * - summary: one line describing the contents, for the quality report
+ * - errors: the file breaks its schema and nothing should be built from it
+ * - warnings: the file is valid but something looks wrong; the pipeline
+ *   only stops for these with --strict
+ */
+
+const { relativePath } = require('./workspace');
+
+// Earliest birth year any file may contain
+const MIN_YEAR = 1900;
+
+// Life tables run from age 0 to 100
+const MAX_AGE = 100;
+
+// Rounding in the life tables can leave a curve a hair above the previous age
+const SURVIVAL_TOLERANCE = 1e-9;
+
+/**
+ * Collect issues, naming the thing each is about
+ * @returns {Object} - { errors, warnings, error(message), warning(message) }
+ */
+function createIssues() {
+  const errors = [];
+  const warnings = [];
+
+  return {
+    errors,
+    warnings,
+    error: message => errors.push(message),
+    warning: message => warnings.push(message)
+  };
+}
+
+/**
+ * Whether a key is a plausible birth year
+ * @param {string} year - Object key
+ * @returns {boolean}
+ */
+function isValidYear(year) {
+  const value = Number(year);
+  return /^\d{4}$/.test(year) && value >= MIN_YEAR && value <= new Date().getFullYear();
+}
+
+/**
+ * Check a list of years for years with no data between the first and last
+ * @param {Set<number>} years - Years with data
+ * @returns {Array<number>} - Missing years
+ */
+function findYearGaps(years) {
+  const sorted = [...years].sort((a, b) => a - b);
+  const gaps = [];
+
+  for (let year = sorted[0]; year < sorted[sorted.length - 1]; year++) {
+    if (!years.has(year)) {
+      gaps.push(year);
+    }
+  }
+
+  return gaps;
+}
+
+/**
+ * Whether a count is a sum that includes suppressed counts: { births, suppressed }
+ * @param {*} count - Births count
+ * @returns {boolean}
+ */
+function isPartlySuppressed(count) {
+  return Boolean(count) && typeof count === 'object' && Number.isInteger(count.births) && count.births >= 0 &&
+    Number.isInteger(count.suppressed) && count.suppressed > 0;
+}
+
+/**
+ * Births by name and year: { "Oliver": { "1996": 4532, ... }, ... }
+ *
+ * Names are non-empty, trimmed and unique ignoring case; years are four
+ * digits from 1900 to this year; counts are positive integers, null where
+ * ONS suppressed a count under 3, or { births, suppressed } where counts
+ * added together included suppressed ones (see name-data.js).
+ */
+function checkNameData(nameData) {
+  const issues = createIssues();
+  const seen = new Map();
+  const years = new Set();
+  let suppressed = 0;
+
+  if (!nameData || typeof nameData !== 'object' || Array.isArray(nameData)) {
+    issues.error('not an object of names');
+    return { summary: 'invalid', ...issues };
+  }
+
+  for (const [name, counts] of Object.entries(nameData)) {
+    if (!name.trim() || name !== name.trim()) {
+      issues.error(`name "${name}" is empty or has surrounding spaces`);
+    }
+
+    const key = name.toLowerCase();
+    if (seen.has(key)) {
+      issues.error(`"${name}" and "${seen.get(key)}" differ only in case`);
+    }
+    seen.set(key, name);
+
+    if (!counts || typeof counts !== 'object' || Array.isArray(counts)) {
+      issues.error(`${name}: births are not an object of years`);
+      continue;
+    }
+
+    for (const [year, count] of Object.entries(counts)) {
+      if (!isValidYear(year)) {
+        issues.error(`${name}: births in year "${year}"`);
+      } else {
+        years.add(Number(year));
+      }
+
+      if (count === null) {
+        suppressed++;
+      } else if (isPartlySuppressed(count)) {
+        suppressed += count.suppressed;
+      } else if (!Number.isInteger(count) || count <= 0) {
+        issues.error(`${name}: ${JSON.stringify(count)} births in ${year} (not a positive integer)`);
+      }
+    }
+
+    if (Object.keys(counts).length === 0) {
+      issues.warning(`${name}: no births in any year`);
+    }
+  }
+
+  const names = Object.keys(nameData).length;
+
+  if (names === 0) {
+    issues.warning('no names');
+  }
+
+  for (const year of findYearGaps(years)) {
+    issues.warning(`no names at all in ${year}`);
+  }
+
+  const sorted = [...years].sort((a, b) => a - b);
+  const range = sorted.length > 0 ? `, ${sorted[0]}-${sorted[sorted.length - 1]}` : '';
+  const withheld = suppressed > 0 ? `, ${suppressed} suppressed counts` : '';
+
+  return { summary: `${names} names${range}${withheld}`, ...issues };
+}
+
+/**
+ * Historical top 100 by decade: { "1904": { "Mary": 1, ... }, ... }
+ *
+ * Ranks are integers from 1 to 100.
+ */
+function checkRankings(rankings) {
+  const issues = createIssues();
+
+  if (!rankings || typeof rankings !== 'object' || Array.isArray(rankings)) {
+    issues.error('not an object of decades');
+    return { summary: 'invalid', ...issues };
+  }
+
+  for (const [decade, names] of Object.entries(rankings)) {
+    if (!isValidYear(decade)) {
+      issues.error(`rankings for year "${decade}"`);
+    }
+
+    const ranks = Object.values(names);
+
+    for (const [name, rank] of Object.entries(names)) {
+      if (!Number.isInteger(rank) || rank < 1 || rank > 100) {
+        issues.error(`${decade}: ${name} has rank ${JSON.stringify(rank)}`);
+      }
+    }
+
+    if (ranks.length < 100) {
+      issues.warning(`${decade}: only ${ranks.length} ranked names`);
+    }
+
+    const tied = ranks.length - new Set(ranks).size;
+    if (tied > 0) {
+      issues.warning(`${decade}: ${tied} tied ranks`);
+    }
+  }
+
+  const decades = Object.keys(rankings).sort();
+  const summary = decades.length > 0
+    ? `${decades.length} decades, ${decades[0]}-${decades[decades.length - 1]}`
+    : 'no rankings (historical workbook not downloaded)';
+
+  return { summary, ...issues };
+}
+
+/**
+ * Total live births by year: { "1904": 483000, ... }
+ *
+ * Years are four digits from 1900 to this year; totals are positive integers.
+ */
+function checkBirthTotals(births) {
+  const issues = createIssues();
+
+  if (!births || typeof births !== 'object' || Array.isArray(births)) {
+    issues.error('not an object of years');
+    return { summary: 'invalid', ...issues };
+  }
+
+  for (const [year, count] of Object.entries(births)) {
+    if (!isValidYear(year)) {
+      issues.error(`births in year "${year}"`);
+    }
+    if (!Number.isInteger(count) || count <= 0) {
+      issues.error(`${year}: ${JSON.stringify(count)} births (not a positive integer)`);
+    }
+  }
+
+  const years = Object.keys(births).filter(isValidYear).map(Number).sort((a, b) => a - b);
+
+  for (const year of findYearGaps(new Set(years))) {
+    issues.warning(`no total births for ${year}`);
+  }
+
+  const summary = years.length > 0
+    ? `${years.length} years, ${years[0]}-${years[years.length - 1]}`
+    : 'no totals (live births workbook not downloaded)';
+
+  return { summary, ...issues };
+}
+
+/**
+ * Historical estimate parameters: { totalBirths, anchor, decades: { "1904": { totalBirths, top100Share, exponent, offset } } }
+ *
+ * Each decade has positive total births, a top 100 share in (0, 1) and a
+ * curve that falls with rank.
+ */
+function checkEstimateParameters(parameters) {
+  const issues = createIssues();
+  const decades = (parameters && parameters.decades) || null;
+
+  if (!decades || typeof decades !== 'object') {
+    issues.error('no decades');
+    return { summary: 'invalid', ...issues };
+  }
+
+  for (const [decade, { totalBirths, top100Share, exponent, offset }] of Object.entries(decades)) {
+    if (!isValidYear(decade)) {
+      issues.error(`parameters for year "${decade}"`);
+    }
+    if (!(totalBirths > 0)) {
+      issues.error(`${decade}: ${JSON.stringify(totalBirths)} total births`);
+    }
+    if (!(top100Share > 0 && top100Share < 1)) {
+      issues.error(`${decade}: top 100 share ${JSON.stringify(top100Share)} (not between 0 and 1)`);
+    }
+    if (!(exponent > 0) || !(offset >= 0)) {
+      issues.error(`${decade}: exponent ${JSON.stringify(exponent)} and offset ${JSON.stringify(offset)} (not a falling curve)`);
+    }
+  }
+
+  if (Object.keys(decades).length > 0 && String(parameters.totalBirths).startsWith('not available')) {
+    issues.warning(`total births ${parameters.totalBirths}`);
+  }
+
+  const years = Object.keys(decades).sort();
+  const summary = years.length > 0 ? `${years.length} decades, ${years[0]}-${years[years.length - 1]}` : 'no decades';
+
+  return { summary, ...issues };
+}
+
+/**
+ * Life tables: { survival: { "1904": [1, 0.87, ...], ... }, sources: { "1904": { type, label }, ... } }
+ * (or just the survival curves, as files from before sources were recorded)
+ *
+ * Each survival curve has one probability per age from 0 (up to 100), each
+ * in [0, 1] and none higher than the age before.
+ */
+function checkLifeTables(lifeTables) {
+  const issues = createIssues();
+  const hasSources = Boolean(lifeTables && lifeTables.survival);
+  const survival = hasSources ? lifeTables.survival : lifeTables;
+  const sources = (hasSources && lifeTables.sources) || {};
+
+  if (!survival || typeof survival !== 'object' || Array.isArray(survival)) {
+    issues.error('no survival curves');
+    return { summary: 'invalid', ...issues };
+  }
+
+  if (!hasSources) {
+    issues.warning('no sources recorded for any birth year');
+  }
+
+  const simplified = [];
+  const linear = [];
+
+  for (const [year, curve] of Object.entries(survival)) {
+    if (!isValidYear(year)) {
+      issues.error(`survival curve for birth year "${year}"`);
+    }
+
+    if (!Array.isArray(curve) || curve.length === 0 || curve.length > MAX_AGE + 1) {
+      issues.error(`${year}: survival curve is not a list of 1 to ${MAX_AGE + 1} ages`);
+      continue;
+    }
+
+    for (let age = 0; age < curve.length; age++) {
+      const value = curve[age];
+
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || value > 1) {
+        issues.error(`${year}: survival at age ${age} is ${JSON.stringify(value)} (not in [0, 1])`);
+      } else if (age > 0 && typeof curve[age - 1] === 'number' && value > curve[age - 1] + SURVIVAL_TOLERANCE) {
+        issues.error(`${year}: survival rises from ${curve[age - 1]} at age ${age - 1} to ${value} at age ${age}`);
+      }
+    }
+
+    // A straight line (like the app's 1 - age * 0.012 fallback) isn't a real life table
+    const steps = curve.slice(1).map((value, age) => curve[age] - value);
+    if (steps.length > 10 && steps.every(step => Math.abs(step - steps[0]) < 1e-6) && steps[0] > 0) {
+      linear.push(year);
+    }
+
+    if (!hasSources) {
+      continue;
+    } else if (!sources[year]) {
+      issues.warning(`${year}: no source recorded`);
+    } else if (sources[year].type === 'simplified') {
+      simplified.push(year);
+    }
+  }
+
+  const years = Object.keys(survival).sort();
+  const describe = list => (list.length === years.length ? 'every birth year' : `${list.length} birth years (${list[0]}-${list[list.length - 1]})`);
+
+  if (linear.length > 0) {
+    issues.warning(`${describe(linear)}: survival falls in a straight line, which looks like a placeholder`);
+  }
+  if (simplified.length > 0) {
+    issues.warning(`${describe(simplified)}: from the simplified mortality model, not ONS life tables`);
+  }
+  if (years.length === 0) {
+    issues.error('no survival curves');
+  }
+
+  const summary = years.length > 0 ? `${years.length} birth years, ${years[0]}-${years[years.length - 1]}` : 'empty';
+
+  return { summary, ...issues };
+}
+
+/**
+ * Net migration factors: { years: { start, end }, factors: { "1904": [1, 1, ..., 1.02], ... } }
+ *
+ * Each birth year's factors start at 1 at age 0 and run to at most age 100.
+ * Factors are positive; one that more than doubles or halves a cohort is
+ * unusual enough to report.
+ */
+function checkMigration(migration) {
+  const issues = createIssues();
+  const factors = migration && migration.factors;
+  const range = migration && migration.years;
+
+  if (!factors || typeof factors !== 'object' || Array.isArray(factors)) {
+    issues.error('no migration factors');
+    return { summary: 'invalid', ...issues };
+  }
+
+  if (!range || !isValidYear(String(range.start)) || !isValidYear(String(range.end)) || range.start > range.end) {
+    issues.error('years is not a range of years');
+  }
+
+  const extreme = [];
+
+  for (const [year, curve] of Object.entries(factors)) {
+    if (!isValidYear(year)) {
+      issues.error(`migration factors for birth year "${year}"`);
+    }
+
+    if (!Array.isArray(curve) || curve.length === 0 || curve.length > MAX_AGE + 1) {
+      issues.error(`${year}: migration factors are not a list of 1 to ${MAX_AGE + 1} ages`);
+      continue;
+    }
+
+    if (curve[0] !== 1) {
+      issues.error(`${year}: migration factor at age 0 is ${JSON.stringify(curve[0])} (not 1)`);
+    }
+
+    const invalid = curve.findIndex(value => typeof value !== 'number' || !Number.isFinite(value) || value <= 0);
+    if (invalid !== -1) {
+      issues.error(`${year}: migration factor at age ${invalid} is ${JSON.stringify(curve[invalid])} (not positive)`);
+    } else if (curve.some(value => value > 2 || value < 0.5)) {
+      extreme.push(year);
+    }
+  }
+
+  if (extreme.length > 0) {
+    issues.warning(`${extreme.length} birth years (${extreme[0]}-${extreme[extreme.length - 1]}): migration more than doubles or halves the cohort`);
+  }
+
+  const years = Object.keys(factors).sort();
+  const summary = years.length > 0 && range
+    ? `${years.length} birth years, net migration ${range.start}-${range.end}`
+    : 'empty';
+
+  return { summary, ...issues };
+}
+
+/**
+ * Calibration: { year, openAge, cohorts: [{ birthYear, age, population, modelled, factor }] }
+ *
+ * One cohort per age from 0 to openAge (open-ended), born `age` years
+ * before the year. Counts are non-negative and factors positive or null
+ * (no population or no names that year). A factor that more than doubles
+ * or halves a cohort means the names data or life tables miss much of it,
+ * which is worth reporting.
+ */
+function checkCalibration(calibration) {
+  const issues = createIssues();
+  const cohorts = calibration && calibration.cohorts;
+  const year = calibration && calibration.year;
+
+  if (!Array.isArray(cohorts) || cohorts.length === 0) {
+    issues.error('no cohorts');
+    return { summary: 'invalid', ...issues };
+  }
+
+  if (!isValidYear(String(year))) {
+    issues.error(`year is ${JSON.stringify(year)}`);
+  }
+
+  if (calibration.openAge !== cohorts.length - 1) {
+    issues.error(`openAge is ${JSON.stringify(calibration.openAge)} (not the last age, ${cohorts.length - 1})`);
+  }
+
+  const isCount = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+  const extreme = [];
+  let uncalibrated = 0;
+
+  cohorts.forEach((cohort, age) => {
+    if (!cohort || cohort.age !== age || cohort.birthYear !== year - age) {
+      issues.error(`cohort ${age} is not age ${age}, born in ${year - age}`);
+      return;
+    }
+
+    if (!isCount(cohort.modelled) || (cohort.population !== null && !isCount(cohort.population))) {
+      issues.error(`${cohort.birthYear}: counts are not non-negative numbers`);
+    }
+
+    if (cohort.factor === null) {
+      uncalibrated++;
+    } else if (typeof cohort.factor !== 'number' || !Number.isFinite(cohort.factor) || cohort.factor <= 0) {
+      issues.error(`${cohort.birthYear}: factor is ${JSON.stringify(cohort.factor)} (not positive)`);
+    } else if (cohort.factor > 2 || cohort.factor < 0.5) {
+      extreme.push(cohort.birthYear);
+    }
+  });
+
+  if (extreme.length > 0) {
+    issues.warning(`${extreme.length} birth years (${extreme[extreme.length - 1]}-${extreme[0]}): calibration more than doubles or halves the cohort`);
+  }
+
+  const summary = `${cohorts.length} ages in ${year}${uncalibrated > 0 ? `, ${uncalibrated} without a factor` : ''}`;
+
+  return { summary, ...issues };
+}
+
+/**
+ * Name shard: { male: { "Oliver": [firstYear, births, ...] }, female: { ... } }
+ *
+ * Births are non-negative integers, null (suppressed) or { births,
+ * suppressed } (see checkNameData), with births in the first and last year.
+ */
+function checkNameShard(shard) {
+  const issues = createIssues();
+  let names = 0;
+
+  for (const gender of ['male', 'female']) {
+    if (!shard || typeof shard[gender] !== 'object') {
+      issues.error(`no ${gender} names`);
+      continue;
+    }
+
+    for (const [name, encoded] of Object.entries(shard[gender])) {
+      names++;
+
+      if (!Array.isArray(encoded) || encoded.length < 2 || !isValidYear(String(encoded[0]))) {
+        issues.error(`${gender} ${name}: not [firstYear, births, ...]`);
+        continue;
+      }
+
+      const births = encoded.slice(1);
+      if (births.some(count => count !== null && !isPartlySuppressed(count) && (!Number.isInteger(count) || count < 0))) {
+        issues.error(`${gender} ${name}: births that aren't non-negative integers, null or partly suppressed`);
+      } else if (births[0] === 0 || births[births.length - 1] === 0) {
+        issues.error(`${gender} ${name}: no births in its first or last year`);
+      }
+    }
+  }
+
+  return { summary: `${names} names`, ...issues };
+}
+
+/**
+ * Name shard index: { startYear, endYear, shards: ["a", ...], popular: { male: [[name, living]], female } }
+ */
+function checkNameIndex(index) {
+  const issues = createIssues();
+
+  if (!index || !Number.isInteger(index.startYear) || !Number.isInteger(index.endYear) || index.startYear > index.endYear) {
+    issues.error('startYear and endYear are not a range of years');
+  }
+  if (!index || !Array.isArray(index.shards) || index.shards.some(key => typeof key !== 'string')) {
+    issues.error('shards is not a list of shard keys');
+  }
+
+  for (const gender of ['male', 'female']) {
+    const popular = index && index.popular && index.popular[gender];
+
+    if (!Array.isArray(popular)) {
+      issues.error(`no popular ${gender} names`);
+    } else if (popular.some(entry => !Array.isArray(entry) || typeof entry[0] !== 'string' || !(entry[1] >= 0))) {
+      issues.error(`popular ${gender} names are not [name, living] pairs`);
+    }
+  }
+
+  const shards = index && Array.isArray(index.shards) ? index.shards.length : 0;
+
+  return { summary: `${shards} shards`, ...issues };
+}
+
+// Schemas by file name (matched against the path from the repository root)
+const SCHEMAS = [
+  { pattern: /(^|\/)(modern|estimated|baby-names)-(boys|girls)\.json$/, description: 'Births by name and year', check: checkNameData },
+  { pattern: /(^|\/)rankings-(boys|girls)\.json$/, description: 'Top 100 names by decade', check: checkRankings },
+  { pattern: /(^|\/)births-(boys|girls)\.json$/, description: 'Total live births by year', check: checkBirthTotals },
+  { pattern: /(^|\/)estimate-parameters-(boys|girls)\.json$/, description: 'Power law fitted to each decade', check: checkEstimateParameters },
+  { pattern: /(^|\/)life-tables-(male|female)\.json$/, description: 'Survival curves by birth year', check: checkLifeTables },
+  { pattern: /(^|\/)migration-(male|female)\.json$/, description: 'Net migration factors by birth year', check: checkMigration },
+  { pattern: /(^|\/)calibration-(male|female)\.json$/, description: 'Living estimates against the population by birth year', check: checkCalibration },
+  { pattern: /\/names\/index\.json$/, description: 'Name shard index', check: checkNameIndex },
+  { pattern: /\/names\/[^/]+\.json$/, description: 'Name shard', check: checkNameShard }
+];
+
+/**
+ * Find the schema for a file
+ * @param {string} file - Path from the repository root (e.g. "public/data/names/a.json")
+ * @returns {Object|null} - { description, check(data) } or null for files without one (manifests)
+ */
+function getSchema(file) {
+  return SCHEMAS.find(schema => schema.pattern.test(file)) || null;
+}
+
+/**
+ * Check a file against its schema and add the result to the quality report
+ * @param {Object} workspace - Pipeline workspace
+ * @param {string} filePath - Absolute path
+ * @param {Object} report - Quality report
+ * @returns {Object|null} - { summary, errors, warnings } or null for files without a schema
+ */
+function checkFile(workspace, filePath, report) {
+  const file = relativePath(filePath);
+  const schema = getSchema(file);
+
+  if (!schema) {
+    return null;
+  }
+
+  let result;
+  try {
+    result = schema.check(workspace.readJSON(filePath));
+  } catch (error) {
+    result = { summary: 'unreadable', errors: [error.message], warnings: [] };
+  }
+
+  report.addFile(file, schema.description, result);
+  return result;
+}
+
+module.exports = { getSchema, checkFile, checkNameData, checkLifeTables };
@@ -0,0 +1,24 @@
+const { createNationStage } = require('./nation');
+
+/**
+ * Stage: scotland
+ *
+ * Reads the National Records of Scotland (NRS) files in data/raw into the
+ * same files as England & Wales has, in data/processed/scotland:
+ * - baby-names-{boys,girls}.json: births by name and year, from the NRS full
+ *   lists of babies' first names (scotland-baby-names-1974-2024.csv or .xlsx)
+ * - life-tables-{male,female}.json: survival curves by birth year, from the
+ *   national life tables for Scotland (scotland-life-tables.xlsx) and, if
+ *   downloaded, the cohort life tables (scotland-cohort-life-tables.xlsx)
+ *
+ * NRS publishes every name given from 1974 (see nation.js).
+ */
+
+module.exports = createNationStage({
+  region: 'scotland',
+  publisher: 'NRS',
+  namesWorkbook: /^scotland-baby-names-\d{4}-(\d{4})\.(xlsx|csv)$/,
+  namesExample: 'scotland-baby-names-1974-2024.csv',
+  lifeTablesFile: 'scotland-life-tables.xlsx',
+  cohortLifeTablesFile: 'scotland-cohort-life-tables.xlsx'
+});
@@ -0,0 +1,129 @@
+const path = require('path');
+const { WORK_DIR, GENDERS, WORK_FILES } = require('./config');
+const { relativePath } = require('./workspace');
+const { checkFile } = require('./schemas');
+const { printResult } = require('./quality-report');
+const { MODERN_START_YEAR } = require('./estimate-historical');
+
+/**
+ * Stage: validate
+ *
+ * Checks what ingest read before anything is built from it, so a changed
+ * workbook layout fails here rather than producing odd numbers in the app.
+ * Each file is checked against its schema (see schemas.js), then the files
+ * are checked against each other. Problems that make the data unusable stop
+ * the pipeline; anything merely unusual is reported as a warning.
+ */
+
+/**
+ * Year range of some births by name and year
+ * @param {Object} nameData - { "Oliver": { "1996": 4532, ... }, ... }
+ * @returns {Array<number>|null} - [first, last] or null if empty
+ */
+function getYearRange(nameData) {
+  let first = Infinity;
+  let last = -Infinity;
+
+  for (const counts of Object.values(nameData)) {
+    for (const year of Object.keys(counts).map(Number)) {
+      first = Math.min(first, year);
+      last = Math.max(last, year);
+    }
+  }
+
+  return first <= last ? [first, last] : null;
+}
+
+/**
+ * Check the ingested files against each other
+ * @param {Object} modern - { boys: births by name and year, girls: ... }
+ * @param {Object} rankings - { boys: rankings by decade, girls: ... }
+ * @param {Object} births - { boys: total births by year, girls: ... }
+ * @returns {Object} - { errors, warnings } (messages)
+ */
+function checkConsistency(modern, rankings, births) {
+  const errors = [];
+  const warnings = [];
+  const [boys, girls] = GENDERS.map(({ label }) => getYearRange(modern[label]));
+
+  if (boys && girls && (boys[0] !== girls[0] || boys[1] !== girls[1])) {
+    errors.push(`boys' births cover ${boys.join('-')} but girls' cover ${girls.join('-')}`);
+  }
+
+  for (const { label } of GENDERS) {
+    const range = getYearRange(modern[label]);
+    const decades = Object.keys(rankings[label]).map(Number);
+
+    // The estimates fill the years up to the first year of exact births
+    if (range && range[0] !== MODERN_START_YEAR && decades.length > 0) {
+      warnings.push(`${label}: exact births start in ${range[0]}, but the estimates assume ${MODERN_START_YEAR}`);
+    }
+
+    // The estimates scale each ranked decade, and the first exact year, to total births
+    const withoutTotals = [...decades, MODERN_START_YEAR].filter(year => !births[label][year]);
+    if (decades.length > 0 && Object.keys(births[label]).length > 0 && withoutTotals.length > 0) {
+      warnings.push(`${label}: no total births for ${withoutTotals.join(', ')}, so the nearest years' are used`);
+    }
+
+    const overlapping = decades.filter(decade => range && decade >= range[0]);
+    if (overlapping.length > 0) {
+      warnings.push(`${label}: rankings for ${overlapping.join(', ')} overlap the exact births and will be ignored`);
+    }
+  }
+
+  const ranked = GENDERS.filter(({ label }) => Object.keys(rankings[label]).length > 0);
+  if (ranked.length === 1) {
+    warnings.push(`only ${ranked[0].label} have historical rankings`);
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Run the stage
+ * @param {Object} workspace - Pipeline workspace
+ * @param {Object} context - { report } (quality report)
+ */
+async function run(workspace, { report }) {
+  const modern = {};
+  const rankings = {};
+  const births = {};
+  let errors = 0;
+
+  for (const { label } of GENDERS) {
+    modern[label] = workspace.readJSON(path.join(WORK_DIR, WORK_FILES.modern(label)));
+    rankings[label] = workspace.readJSON(path.join(WORK_DIR, WORK_FILES.rankings(label)));
+    births[label] = workspace.readJSON(path.join(WORK_DIR, WORK_FILES.births(label)));
+
+    // Already checked if ingest ran in this run
+    for (const file of [WORK_FILES.modern(label), WORK_FILES.rankings(label), WORK_FILES.births(label)]) {
+      const filePath = path.join(WORK_DIR, file);
+
+      if (!report.hasFile(relativePath(filePath))) {
+        const result = checkFile(workspace, filePath, report);
+        printResult(relativePath(filePath), result);
+        errors += result.errors.length;
+      }
+    }
+  }
+
+  if (errors > 0) {
+    throw new Error('The ingested data is invalid; check the workbooks in data/raw');
+  }
+
+  const consistency = checkConsistency(modern, rankings, births);
+  report.addCheck('Ingested data: boys and girls, exact births, rankings and total births', consistency);
+  printResult('Ingested data', consistency);
+
+  if (consistency.errors.length > 0) {
+    throw new Error('The ingested data is invalid; check the workbooks in data/raw');
+  }
+
+  console.log('✓ Ingested data is valid');
+}
+
+module.exports = {
+  name: 'validate',
+  description: 'Check the ingested data before building from it',
+  run
+};
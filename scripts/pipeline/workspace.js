@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ROOT_DIR } = require('./config');
+
+/**
+ * Pipeline workspace: every file the stages read or write goes through here
+ *
+ * Writing a file with the contents it already has leaves it alone, so a
+ * rerun with the same inputs changes nothing. In a dry run writes are kept in
+ * memory instead: later stages read them as if they had been written, and
+ * getChanges() lists what a real run would change.
+ */
+
+/**
+ * Path relative to the repository, for messages
+ * @param {string} filePath - Absolute path
+ * @returns {string} - e.g. "public/data/manifest.json"
+ */
+function relativePath(filePath) {
+  return path.relative(ROOT_DIR, filePath);
+}
+
+/**
+ * Short hash of some text, to tell whether a file ends up where it started
+ * @param {string|null} text - File contents, or null if there is no file
+ * @returns {string|null} - Hex digest
+ */
+function hashText(text) {
+  return text === null ? null : crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Create a workspace
+ *
+ * @param {Object} options - { dryRun }
+ * @returns {Object} - { dryRun, exists, read, readJSON, write, writeJSON, remove, list, getWritten, getChanges }
+ */
+function createWorkspace({ dryRun = false } = {}) {
+  // Dry run only: contents written so far by path, null once removed
+  const pending = new Map();
+
+  // Files changed so far by path: { before: { bytes, hash }, after: bytes or null }
+  const changes = new Map();
+
+  // Every path written so far, changed or not
+  const written = new Set();
+
+  function exists(filePath) {
+    return pending.has(filePath) ? pending.get(filePath) !== null : fs.existsSync(filePath);
+  }
+
+  function read(filePath) {
+    if (pending.has(filePath)) {
+      return pending.get(filePath);
+    }
+
+    return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+  }
+
+  function noteChange(filePath, previous, text) {
+    if (!changes.has(filePath)) {
+      changes.set(filePath, {
+        before: { bytes: previous === null ? null : Buffer.byteLength(previous), hash: hashText(previous) }
+      });
+    }
+
+    const change = changes.get(filePath);
+    change.after = text === null ? null : Buffer.byteLength(text);
+
+    // Written more than once and back where it started (e.g. the manifest)
+    if (hashText(text) === change.before.hash) {
+      changes.delete(filePath);
+    }
+  }
+
+  return {
+    dryRun,
+
+    /**
+     * Whether a file exists
+     * @param {string} filePath - Absolute path
+     * @returns {boolean}
+     */
+    exists,
+
+    /**
+     * Read a file
+     * @param {string} filePath - Absolute path
+     * @returns {string|null} - Contents, or null if there is no file
+     */
+    read,
+
+    /**
+     * Read a JSON file another stage wrote
+     * @param {string} filePath - Absolute path
+     * @returns {*} - Parsed JSON
+     */
+    readJSON(filePath) {
+      const text = read(filePath);
+
+      if (text === null) {
+        throw new Error(`Missing ${relativePath(filePath)}`);
+      }
+
+      return JSON.parse(text);
+    },
+
+    /**
+     * Write a file unless it already has these contents
+     * @param {string} filePath - Absolute path
+     * @param {string} text - Contents
+     * @returns {boolean} - Whether the file changed
+     */
+    write(filePath, text) {
+      const previous = read(filePath);
+      written.add(filePath);
+
+      if (previous === text) {
+        return false;
+      }
+
+      noteChange(filePath, previous, text);
+
+      if (dryRun) {
+        pending.set(filePath, text);
+      } else {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, text);
+      }
+
+      return true;
+    },
+
+    /**
+     * Write a JSON file unless it already has this data
+     * @param {string} filePath - Absolute path
+     * @param {*} data - Data to write
+     * @param {Object} options - { pretty } (indented, the default, or compact)
+     * @returns {boolean} - Whether the file changed
+     */
+    writeJSON(filePath, data, { pretty = true } = {}) {
+      return this.write(filePath, pretty ? JSON.stringify(data, null, 2) : JSON.stringify(data));
+    },
+
+    /**
+     * Remove a file if it exists
+     * @param {string} filePath - Absolute path
+     */
+    remove(filePath) {
+      const previous = read(filePath);
+
+      if (previous === null) {
+        return;
+      }
+
+      noteChange(filePath, previous, null);
+
+      if (dryRun) {
+        pending.set(filePath, null);
+      } else {
+        fs.rmSync(filePath);
+      }
+    },
+
+    /**
+     * List the files in a directory
+     * @param {string} dir - Absolute path
+     * @returns {Array<string>} - File names, sorted
+     */
+    list(dir) {
+      const files = new Set(fs.existsSync(dir) ? fs.readdirSync(dir) : []);
+
+      for (const [filePath, text] of pending) {
+        if (path.dirname(filePath) !== dir) {
+          continue;
+        }
+
+        if (text === null) {
+          files.delete(path.basename(filePath));
+        } else {
+          files.add(path.basename(filePath));
+        }
+      }
+
+      return [...files].sort();
+    },
+
+    /**
+     * Files written so far, whether or not their contents changed
+     * @returns {Array<string>} - Absolute paths, in the order first written
+     */
+    getWritten() {
+      return [...written];
+    },
+
+    /**
+     * Files changed (or in a dry run, that would change) so far
+     * @returns {Array<Object>} - [{ file (relative path), status: 'added'|'changed'|'removed', before, after (bytes) }]
+     */
+    getChanges() {
+      return [...changes.entries()]
+        .map(([filePath, { before, after }]) => ({
+          file: relativePath(filePath),
+          status: before.bytes === null ? 'added' : after === null ? 'removed' : 'changed',
+          before: before.bytes,
+          after
+        }))
+        .sort((a, b) => a.file.localeCompare(b.file));
+    }
+  };
+}
+
+module.exports = { createWorkspace, relativePath };
@@ -0,0 +1,129 @@
+import { useState, useMemo } from 'react';
+import { BarChart, Bar, Cell, XAxis, YAxis, Tooltip, ResponsiveContainer } from 'recharts';
+import { calculateAgeEstimate } from '../lib/calculations';
+import { getGenderColors, formatPercentage, clamp } from '../lib/utils';
+
+/**
+ * AgeEstimatePanel Component
+ *
+ * Estimates the age of one person with the name: the chance of each age,
+ * the most likely age, a credible interval and the chance of being over a
+ * chosen age.
+ */
+export default function AgeEstimatePanel({ distribution, name, gender, referenceYear }) {
+  const [threshold, setThreshold] = useState(65);
+
+  const estimate = useMemo(
+    () => calculateAgeEstimate(distribution, { threshold }),
+    [distribution, threshold]
+  );
+
+  if (!estimate || estimate.mostLikelyAge === null) {
+    return null;
+  }
+
+  const colors = getGenderColors(gender);
+  const { ages, mostLikelyAge, credibleInterval, probabilityUnder, probabilityAtOrOver } = estimate;
+
+  const chartData = ages.map(d => ({ ...d, percentage: d.probability * 100 }));
+
+  // Custom tooltip
+  const CustomTooltip = ({ active, payload }) => {
+    if (active && payload && payload.length) {
+      const data = payload[0].payload;
+
+      return (
+        <div className="bg-white border border-gray-300 rounded-lg shadow-lg p-2">
+          <p className="text-sm text-gray-700">
+            <span className="font-medium">Age {data.age}:</span> {formatPercentage(data.percentage, 2)}
+          </p>
+        </div>
+      );
+    }
+
+    return null;
+  };
+
+  return (
+    <div className="w-full mt-8">
+      <h3 className="text-xl font-bold text-gray-900 mb-1">How Old Is One {name}?</h3>
+      <p className="text-sm text-gray-600 mb-4">
+        If all you know is that someone is called {name}, these are the chances of each age in {referenceYear}
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+        <div className="bg-white border-2 border-gray-200 rounded-lg p-5">
+          <div className="text-sm font-medium text-gray-600 mb-2">Most Likely Age</div>
+          <div className="text-2xl font-bold text-gray-900 mb-1">{mostLikelyAge} years</div>
+        </div>
+
+        <div className="bg-white border-2 border-gray-200 rounded-lg p-5">
+          <div className="text-sm font-medium text-gray-600 mb-2">
+            {Math.round(credibleInterval.interval * 100)}% Credible Interval
+          </div>
+          <div className="text-2xl font-bold text-gray-900 mb-1">
+            {credibleInterval.low}-{credibleInterval.high} years
+          </div>
+          <div className="text-xs text-gray-500">
+            covers {formatPercentage(credibleInterval.probability * 100)} of the probability
+          </div>
+        </div>
+
+        <div className="bg-white border-2 border-gray-200 rounded-lg p-5">
+          <label htmlFor="age-threshold" className="text-sm font-medium text-gray-600 mb-2 flex items-center gap-2">
+            Chance of being
+            <input
+              id="age-threshold"
+              type="number"
+              min="0"
+              max="120"
+              value={threshold}
+              onChange={(e) => setThreshold(clamp(parseInt(e.target.value, 10) || 0, 0, 120))}
+              className="w-16 px-2 py-0.5 border-2 border-gray-300 rounded focus:outline-none focus:border-blue-500"
+            />
+            or over
+          </label>
+          <div className="text-2xl font-bold text-gray-900 mb-1">
+            {formatPercentage(probabilityAtOrOver * 100)}
+          </div>
+          <div className="text-xs text-gray-500">
+            {formatPercentage(probabilityUnder * 100)} chance of being under {threshold}
+          </div>
+        </div>
+      </div>
+
+      <ResponsiveContainer width="100%" height={200}>
+        <BarChart data={chartData} margin={{ top: 10, right: 30, left: 20, bottom: 20 }}>
+          <XAxis
+            dataKey="age"
+            stroke="#6b7280"
+            style={{ fontSize: '12px' }}
+            tick={{ fill: '#6b7280' }}
+            label={{ value: 'Age', position: 'insideBottom', offset: -10, style: { fontSize: '12px', fill: '#374151' } }}
+          />
+          <YAxis
+            stroke="#6b7280"
+            style={{ fontSize: '12px' }}
+            tick={{ fill: '#6b7280' }}
+            tickFormatter={(value) => `${value.toFixed(1)}%`}
+          />
+          <Tooltip content={<CustomTooltip />} />
+          <Bar dataKey="percentage" isAnimationActive={false}>
+            {chartData.map(d => (
+              <Cell
+                key={d.age}
+                fill={colors.primary}
+                fillOpacity={d.age >= credibleInterval.low && d.age <= credibleInterval.high ? 0.7 : 0.25}
+              />
+            ))}
+          </Bar>
+        </BarChart>
+      </ResponsiveContainer>
+
+      <p className="text-xs text-gray-500 mt-2">
+        Darker bars fall inside the credible interval. Each age&apos;s chance is its share of the estimated
+        living population with the name.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,95 @@
+import { formatNumber, getSeriesColor } from '../lib/utils';
+
+/**
+ * ComparisonTable Component
+ *
+ * Side-by-side statistics for the names being compared, one column per name
+ */
+export default function ComparisonTable({ entries, onRemove, onGenderChange }) {
+  if (!entries || entries.length === 0) {
+    return null;
+  }
+
+  const rows = [
+    { label: 'Estimated Living', value: (stats) => formatNumber(stats.totalLiving) },
+    { label: 'Median Age', value: (stats) => `${stats.medianAge} years` },
+    { label: 'Most Popular Year', value: (stats) => stats.peakBirthYear.year },
+    { label: 'Births in Peak Year', value: (stats) => formatNumber(stats.peakBirthYear.births) },
+    { label: 'Age Range (10th-90th)', value: (stats) => `${stats.ageRange.lower}-${stats.ageRange.upper} years` }
+  ];
+
+  // Series colours follow the chart, which only plots names that were found
+  let seriesIndex = 0;
+  const columns = entries.map((entry, index) => ({
+    ...entry,
+    index,
+    color: entry.error ? null : getSeriesColor(seriesIndex++)
+  }));
+
+  return (
+    <div className="w-full mt-8">
+      <h3 className="text-xl font-bold text-gray-900 mb-4">Side-by-Side Statistics</h3>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-sm border-2 border-gray-200 rounded-lg">
+          <thead>
+            <tr className="bg-gray-50">
+              <th className="px-4 py-3 text-left font-medium text-gray-600">Name</th>
+              {columns.map((column) => (
+                <th key={`${column.name}-${column.gender}`} className="px-4 py-3 text-left align-top">
+                  <div className="flex items-center gap-2">
+                    {column.color && (
+                      <span
+                        className="inline-block w-3 h-3 rounded-full"
+                        style={{ backgroundColor: column.color }}
+                      />
+                    )}
+                    <span className="font-bold text-gray-900">{column.name}</span>
+                    <button
+                      type="button"
+                      onClick={() => onRemove(column.index)}
+                      className="text-gray-400 hover:text-red-600"
+                      aria-label={`Remove ${column.name}`}
+                    >
+                      ×
+                    </button>
+                  </div>
+                  <select
+                    value={column.gender}
+                    onChange={(e) => onGenderChange(column.index, e.target.value)}
+                    className="mt-1 text-xs border border-gray-300 rounded px-1 py-0.5 font-normal text-gray-700"
+                    aria-label={`Gender for ${column.name}`}
+                  >
+                    <option value="male">Male</option>
+                    <option value="female">Female</option>
+                    <option value="all">All</option>
+                  </select>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => (
+              <tr key={row.label} className="border-t border-gray-200">
+                <td className="px-4 py-3 font-medium text-gray-600">{row.label}</td>
+                {columns.map((column) => (
+                  <td key={`${column.name}-${column.gender}`} className="px-4 py-3 text-gray-900">
+                    {column.stats ? row.value(column.stats) : '—'}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {columns.some(column => column.error) && (
+        <ul className="mt-3 space-y-1 text-xs text-yellow-800">
+          {columns.filter(column => column.error).map((column) => (
+            <li key={`${column.name}-${column.gender}`}>{column.error}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
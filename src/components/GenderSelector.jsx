@@ -1,12 +1,14 @@
 /**
  * GenderSelector Component
  *
- * Radio button selector for choosing Male or Female
+ * Radio button selector for choosing Male or Female, plus All (both
+ * combined) when `includeAll` is set
  */
-export default function GenderSelector({ selectedGender, onChange }) {
+export default function GenderSelector({ selectedGender, onChange, includeAll = false }) {
   const genders = [
     { value: 'male', label: 'Male' },
-    { value: 'female', label: 'Female' }
+    { value: 'female', label: 'Female' },
+    ...(includeAll ? [{ value: 'all', label: 'All' }] : [])
   ];
 
   return (
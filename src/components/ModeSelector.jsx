@@ -0,0 +1,41 @@
+/**
+ * ModeSelector Component
+ *
+ * Toggle between looking up a single name and comparing several names
+ */
+export default function ModeSelector({ selectedMode, onChange }) {
+  const modes = [
+    { value: 'single', label: 'Single name' },
+    { value: 'compare', label: 'Compare names' }
+  ];
+
+  return (
+    <div className="flex items-center gap-4">
+      <span className="text-sm font-medium text-gray-700">Mode:</span>
+
+      <div className="flex gap-3">
+        {modes.map(({ value, label }) => (
+          <label
+            key={value}
+            className={`flex items-center gap-2 px-4 py-2 rounded-lg border-2 cursor-pointer transition-all ${
+              selectedMode === value
+                ? 'border-blue-500 bg-blue-50 text-blue-900'
+                : 'border-gray-300 bg-white text-gray-700 hover:border-gray-400'
+            }`}
+          >
+            <input
+              type="radio"
+              name="mode"
+              value={value}
+              checked={selectedMode === value}
+              onChange={(e) => onChange(e.target.value)}
+              className="sr-only"
+              aria-label={label}
+            />
+            <span className="font-medium">{label}</span>
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -1,5 +1,10 @@
 import { ComposedChart, Area, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Legend } from 'recharts';
-import { getGenderColors, formatNumber } from '../lib/utils';
+import { getGenderColors, getSeriesColor, formatNumber, formatPercentage, formatYearRange } from '../lib/utils';
+import { calculateLivingShares } from '../lib/calculations';
+import { DEFAULT_REGION, getRegion, formatCoverageGaps, formatRegionPublishers } from '../lib/regions';
+
+// Short gender labels for comparison series
+const GENDER_ABBREVIATIONS = { male: 'M', female: 'F', all: 'All' };
 
 /**
  * NameAgeChart Component
@@ -7,8 +12,21 @@ import { getGenderColors, formatNumber } from '../lib/utils';
  * Displays age distribution visualization with:
  * - Black line: Number of births per year
  * - Shaded area: Estimated living population (adjusted for mortality)
+ *
+ * With gender 'all' the living population is stacked, male under female.
+ * Years whose count ONS suppressed (under 3) get a hollow dot on the births
+ * line, and the tooltip gives their imputed range.
+ *
+ * Pass `series` instead of `data` to overlay several names (comparison mode),
+ * `vintage` (see getDataVintage) to caption the years the data covers (and
+ * for a combined region, any nation whose data starts later) and `region`
+ * (see lib/regions.js) to caption where and whose data it is.
  */
-export default function NameAgeChart({ data, name, gender }) {
+export default function NameAgeChart({ data, name, gender, referenceYear, lifeTableSources, bands, series, normalize, vintage, region = DEFAULT_REGION }) {
+  if (series) {
+    return <ComparisonChart series={series} normalize={normalize} referenceYear={referenceYear} region={region} />;
+  }
+
   if (!data || data.length === 0) {
     return (
       <div className="w-full h-96 flex items-center justify-center bg-gray-50 rounded-lg border-2 border-dashed border-gray-300">
@@ -20,24 +38,69 @@ export default function NameAgeChart({ data, name, gender }) {
   }
 
   const colors = getGenderColors(gender);
+  const isCombined = gender === 'all';
+  const maleColors = getGenderColors('male');
+  const femaleColors = getGenderColors('female');
+
+  // Attach uncertainty bands (if any) to each year's data point
+  const bandsByYear = new Map((bands || []).map(band => [band.year, band]));
+  const chartData = data.map(d => {
+    const band = bandsByYear.get(d.year);
+    return band ? { ...d, livingRange: [band.livingLow, band.livingHigh] } : d;
+  });
+  const hasBands = bandsByYear.size > 0;
+  const hasSuppressed = data.some(d => d.suppressed);
+
+  // Hollow dot on the births line for each suppressed year
+  const renderSuppressedDot = ({ cx, cy, payload }) => (
+    payload.suppressed && cx != null && cy != null
+      ? <circle cx={cx} cy={cy} r={3.5} fill="#ffffff" stroke="#000000" strokeWidth={1.5} />
+      : null
+  );
+
+  const formatRange = ({ low, high }) => `${formatNumber(low)} – ${formatNumber(high)}`;
 
   // Custom tooltip
   const CustomTooltip = ({ active, payload }) => {
     if (active && payload && payload.length) {
       const data = payload[0].payload;
+      const lifeTableSource = lifeTableSources && lifeTableSources[data.year];
 
       return (
         <div className="bg-white border border-gray-300 rounded-lg shadow-lg p-3">
           <p className="font-semibold text-gray-900 mb-2">Year {data.year}</p>
           <p className="text-sm text-gray-700">
-            <span className="font-medium">Births:</span> {formatNumber(data.births)}
+            <span className="font-medium">Births:</span>{' '}
+            {data.suppressed ? formatRange(data.suppressed.births) : formatNumber(data.births)}
           </p>
           <p className="text-sm text-gray-700">
             <span className="font-medium">Est. Living:</span> {formatNumber(data.living)}
+            {data.suppressed && ` (${formatRange(data.suppressed.living)})`}
           </p>
+          {data.suppressed && (
+            <p className="text-xs text-gray-500">
+              Includes a count under 3, which ONS doesn&apos;t publish
+            </p>
+          )}
+          {isCombined && (
+            <p className="text-xs text-gray-500">
+              {formatNumber(data.maleLiving)} male • {formatNumber(data.femaleLiving)} female
+              {data.births > 0 && ` • ${formatPercentage((data.maleBirths / data.births) * 100, 0)} of births male`}
+            </p>
+          )}
+          {data.livingRange && (
+            <p className="text-xs text-gray-500">
+              <span className="font-medium">Likely range:</span> {formatNumber(data.livingRange[0])} – {formatNumber(data.livingRange[1])}
+            </p>
+          )}
           <p className="text-sm text-gray-500">
-            <span className="font-medium">Current Age:</span> {data.age} years
+            <span className="font-medium">{referenceYear ? `Age in ${referenceYear}` : 'Current Age'}:</span> {data.age} years
           </p>
+          {lifeTableSource && (
+            <p className="text-xs text-gray-500 mt-1">
+              <span className="font-medium">Survival:</span> {lifeTableSource.label}
+            </p>
+          )}
         </div>
       );
     }
@@ -45,9 +108,12 @@ export default function NameAgeChart({ data, name, gender }) {
     return null;
   };
 
-  // Check if data includes historical estimates (pre-1996)
-  const hasHistoricalData = data.some(d => d.year < 1996);
+  // Check if data includes historical estimates (before exact counts begin)
+  const exactStartYear = vintage?.exactStartYear ?? 1996;
+  const latestDataYear = vintage?.endYear ?? Math.max(...data.map(d => d.year));
+  const hasHistoricalData = data.some(d => d.year < exactStartYear);
   const earliestYear = data.length > 0 ? Math.min(...data.map(d => d.year)) : 0;
+  const coverageGaps = formatCoverageGaps(vintage, { since: earliestYear });
 
   return (
     <div className="w-full">
@@ -57,21 +123,31 @@ export default function NameAgeChart({ data, name, gender }) {
         </h2>
         <p className="text-sm text-gray-600 mt-1">
           Black line shows births per year, shaded area shows estimated living population
+          {isCombined && ' (blue male, pink female)'}
+          {hasBands && ', lighter band shows its likely range'}
+          {hasSuppressed && '. Hollow dots mark years with fewer than 3 births, which ONS doesn\'t publish'}
         </p>
         {hasHistoricalData && (
           <div className="mt-2 bg-orange-50 border border-orange-200 rounded-md px-3 py-2">
             <p className="text-xs text-orange-900">
-              <span className="font-medium">Note:</span> Data from {earliestYear}-1995 is estimated from historical rankings.
-              Modern data (1996-2024) uses exact birth counts.{' '}
+              <span className="font-medium">Note:</span> Data from {formatYearRange(earliestYear, exactStartYear - 1)} is estimated from historical rankings.
+              Modern data ({formatYearRange(exactStartYear, latestDataYear)}) uses exact birth counts.{' '}
               <a href="/about" className="underline hover:text-orange-700">Learn more</a>
             </p>
           </div>
         )}
+        {coverageGaps && (
+          <div className="mt-2 bg-orange-50 border border-orange-200 rounded-md px-3 py-2">
+            <p className="text-xs text-orange-900">
+              <span className="font-medium">Note:</span> {coverageGaps}.
+            </p>
+          </div>
+        )}
       </div>
 
       <ResponsiveContainer width="100%" height={450}>
         <ComposedChart
-          data={data}
+          data={chartData}
           margin={{ top: 10, right: 30, left: 20, bottom: 70 }}
         >
           <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
@@ -114,16 +190,58 @@ export default function NameAgeChart({ data, name, gender }) {
             iconType="line"
           />
 
+          {/* Lighter band for the likely range of the living population */}
+          {hasBands && (
+            <Area
+              type="monotone"
+              dataKey="livingRange"
+              fill={colors.primary}
+              fillOpacity={0.12}
+              stroke={colors.primary}
+              strokeOpacity={0.3}
+              strokeDasharray="3 3"
+              name="Likely Range"
+              animationDuration={1000}
+            />
+          )}
+
           {/* Shaded area for estimated living population */}
-          <Area
-            type="monotone"
-            dataKey="living"
-            fill={colors.primary}
-            fillOpacity={0.3}
-            stroke="none"
-            name="Estimated Living"
-            animationDuration={1000}
-          />
+          {isCombined ? (
+            [
+              <Area
+                key="male"
+                type="monotone"
+                dataKey="maleLiving"
+                stackId="living"
+                fill={maleColors.primary}
+                fillOpacity={0.3}
+                stroke="none"
+                name="Est. Living (Male)"
+                animationDuration={1000}
+              />,
+              <Area
+                key="female"
+                type="monotone"
+                dataKey="femaleLiving"
+                stackId="living"
+                fill={femaleColors.primary}
+                fillOpacity={0.3}
+                stroke="none"
+                name="Est. Living (Female)"
+                animationDuration={1000}
+              />
+            ]
+          ) : (
+            <Area
+              type="monotone"
+              dataKey="living"
+              fill={colors.primary}
+              fillOpacity={0.3}
+              stroke="none"
+              name="Estimated Living"
+              animationDuration={1000}
+            />
+          )}
 
           {/* Black line for births per year */}
           <Line
@@ -131,7 +249,7 @@ export default function NameAgeChart({ data, name, gender }) {
             dataKey="births"
             stroke="#000000"
             strokeWidth={2}
-            dot={false}
+            dot={hasSuppressed ? renderSuppressedDot : false}
             name="Births per Year"
             animationDuration={1000}
           />
@@ -140,9 +258,155 @@ export default function NameAgeChart({ data, name, gender }) {
 
       <div className="mt-4 text-xs text-gray-500 text-center">
         <p>
-          Data source: Office for National Statistics (ONS)
+          Data source: {formatRegionPublishers(region)}
+          <br />
+          {getRegion(region).label}, {formatYearRange(earliestYear, latestDataYear)}
+          {vintage?.releaseYear && ` (${vintage.releaseYear} release)`}
+        </p>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Overlaid living-population curves for several names
+ *
+ * With `normalize`, each year is shown as a percentage of that name's total
+ * living population so names of very different sizes can be compared.
+ */
+function ComparisonChart({ series, normalize, referenceYear, region }) {
+  if (!series || series.length === 0) {
+    return (
+      <div className="w-full h-96 flex items-center justify-center bg-gray-50 rounded-lg border-2 border-dashed border-gray-300">
+        <p className="text-gray-500 text-lg">
+          No names to compare yet. Add a name to see the visualization.
+        </p>
+      </div>
+    );
+  }
+
+  const keyFor = (index) => `series${index}`;
+
+  // Merge every series into one row per birth year: { year, series0, series1, ... }
+  const rowsByYear = new Map();
+  series.forEach((entry, index) => {
+    const points = normalize ? calculateLivingShares(entry.distribution) : entry.distribution;
+
+    for (const point of points) {
+      if (!rowsByYear.has(point.year)) {
+        rowsByYear.set(point.year, { year: point.year });
+      }
+      rowsByYear.get(point.year)[keyFor(index)] = normalize ? point.share : point.living;
+    }
+  });
+  const chartData = [...rowsByYear.values()].sort((a, b) => a.year - b.year);
+
+  const formatValue = (value) => (normalize ? formatPercentage(value, 2) : formatNumber(Math.round(value)));
+  const seriesLabel = (entry) => `${entry.name} (${GENDER_ABBREVIATIONS[entry.gender]})`;
+
+  // Custom tooltip
+  const CustomTooltip = ({ active, payload, label }) => {
+    if (active && payload && payload.length) {
+      return (
+        <div className="bg-white border border-gray-300 rounded-lg shadow-lg p-3">
+          <p className="font-semibold text-gray-900 mb-2">
+            Year {label}
+            {referenceYear ? ` (age ${referenceYear - label} in ${referenceYear})` : ''}
+          </p>
+          {payload.map((item) => (
+            <p key={item.dataKey} className="text-sm text-gray-700">
+              <span className="font-medium" style={{ color: item.color }}>{item.name}:</span> {formatValue(item.value)}
+            </p>
+          ))}
+        </div>
+      );
+    }
+
+    return null;
+  };
+
+  return (
+    <div className="w-full">
+      <div className="mb-4">
+        <h2 className="text-2xl font-bold text-gray-900">
+          Comparing: {series.map(entry => entry.name).join(', ')}
+        </h2>
+        <p className="text-sm text-gray-600 mt-1">
+          {normalize
+            ? "Lines show each birth year's share of the name's estimated living population"
+            : 'Lines show estimated living population by birth year'}
+        </p>
+      </div>
+
+      <ResponsiveContainer width="100%" height={450}>
+        <ComposedChart
+          data={chartData}
+          margin={{ top: 10, right: 30, left: 20, bottom: 70 }}
+        >
+          <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+
+          <XAxis
+            dataKey="year"
+            stroke="#6b7280"
+            style={{ fontSize: '12px' }}
+            label={{
+              value: 'Birth Year',
+              position: 'insideBottom',
+              offset: -40,
+              style: { fontSize: '14px', fill: '#374151' }
+            }}
+            tick={{ fill: '#6b7280' }}
+          />
+
+          <YAxis
+            stroke="#6b7280"
+            style={{ fontSize: '12px' }}
+            label={{
+              value: normalize ? 'Share of Living (%)' : 'Estimated Living',
+              angle: -90,
+              position: 'insideLeft',
+              style: { fontSize: '14px', fill: '#374151' }
+            }}
+            tick={{ fill: '#6b7280' }}
+            tickFormatter={(value) => {
+              if (normalize) {
+                return `${value.toFixed(1)}%`;
+              }
+              if (value >= 1000) {
+                return `${(value / 1000).toFixed(0)}k`;
+              }
+              return value;
+            }}
+          />
+
+          <Tooltip content={<CustomTooltip />} />
+
+          <Legend
+            wrapperStyle={{ paddingTop: '20px' }}
+            iconType="line"
+          />
+
+          {series.map((entry, index) => (
+            <Line
+              key={keyFor(index)}
+              type="monotone"
+              dataKey={keyFor(index)}
+              stroke={getSeriesColor(index)}
+              strokeWidth={2}
+              dot={false}
+              connectNulls
+              name={seriesLabel(entry)}
+              animationDuration={1000}
+            />
+          ))}
+        </ComposedChart>
+      </ResponsiveContainer>
+
+      <div className="mt-4 text-xs text-gray-500 text-center">
+        <p>
+          Data source: {formatRegionPublishers(region)}
           <br />
-          England & Wales, 1996-2024
+          {getRegion(region).label}
         </p>
       </div>
     </div>
@@ -0,0 +1,66 @@
+import { formatNumber, formatPercentage } from '../lib/utils';
+
+// How each member was matched to the searched name
+const REASON_LABELS = {
+  searched: 'searched',
+  alias: 'known variant',
+  phonetic: 'sounds alike'
+};
+
+/**
+ * NameFamilyPanel Component
+ *
+ * Switch for counting a name's spelling variants together, and the list of
+ * variants with their share of the family so each can be toggled
+ */
+export default function NameFamilyPanel({ enabled, members, onEnabledChange, onToggleMember }) {
+  return (
+    <div className="mb-6">
+      <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+        <input
+          type="checkbox"
+          checked={enabled}
+          onChange={(e) => onEnabledChange(e.target.checked)}
+          className="rounded border-gray-300"
+        />
+        Include spelling variants (e.g. Mohamed and Muhammad with Mohammed)
+      </label>
+
+      {enabled && members && members.length <= 1 && (
+        <p className="mt-2 text-xs text-gray-500">No spelling variants found for this name.</p>
+      )}
+
+      {enabled && members && members.length > 1 && (
+        <div className="mt-3 border-2 border-gray-200 rounded-lg p-4">
+          <p className="text-sm font-medium text-gray-700 mb-2">
+            Spellings counted together ({members.filter(member => member.included).length} of {members.length})
+          </p>
+          <ul className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-x-6 gap-y-1 max-h-60 overflow-y-auto text-sm">
+            {members.map((member) => (
+              <li key={member.name}>
+                <label className="flex items-center gap-2 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={member.included}
+                    disabled={member.reason === 'searched'}
+                    onChange={(e) => onToggleMember(member.name, e.target.checked)}
+                    className="rounded border-gray-300"
+                  />
+                  <span className={`font-medium ${member.included ? 'text-gray-900' : 'text-gray-400'}`}>
+                    {member.name}
+                  </span>
+                  <span className="text-xs text-gray-500">
+                    {formatPercentage(member.share)} • {formatNumber(member.living)} • {REASON_LABELS[member.reason]}
+                  </span>
+                </label>
+              </li>
+            ))}
+          </ul>
+          <p className="mt-2 text-xs text-gray-500">
+            Shares are of the estimated living population across all the spellings listed.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,38 +1,68 @@
-import { useState, useEffect } from 'react';
-import { searchNames } from '../lib/dataLoader';
-import { normalizeName } from '../lib/utils';
+import { useState, useEffect, useRef } from 'react';
+import { normalizeName, foldName, formatNumber } from '../lib/utils';
+
+// Short gender labels shown next to suggestions
+const GENDER_LABELS = { male: 'M', female: 'F' };
 
 /**
  * NameSearchInput Component
  *
- * Text input with autocomplete suggestions for name search
+ * Text input with autocomplete suggestions for name search.
+ * Pass `value` to keep the input in sync with an externally controlled name
+ * (e.g. when the URL changes on back/forward navigation). Suggestions come
+ * from the async `search(query, { limit, gender })` (the data service's
+ * search), limited to `gender` unless it is 'all'.
  */
-export default function NameSearchInput({ onSubmit, babyNamesData, placeholder = "Enter a name..." }) {
-  const [inputValue, setInputValue] = useState('');
+export default function NameSearchInput({ value, onSubmit, search, gender = 'all', placeholder = "Enter a name..." }) {
+  const [inputValue, setInputValue] = useState(value || '');
   const [suggestions, setSuggestions] = useState([]);
   const [showSuggestions, setShowSuggestions] = useState(false);
   const [selectedIndex, setSelectedIndex] = useState(-1);
+  const suppressSuggestions = useRef(false);
+  const latestQuery = useRef(0);
+
+  // Sync with the externally controlled value without opening suggestions
+  useEffect(() => {
+    if (value !== undefined && value !== inputValue) {
+      suppressSuggestions.current = true;
+      setInputValue(value);
+    }
+  }, [value]); // Only external changes, not typing, should sync
 
-  // Update suggestions when input changes
+  // Update suggestions when input changes, keeping only the latest reply
   useEffect(() => {
-    if (!babyNamesData || inputValue.trim().length === 0) {
+    const queryId = ++latestQuery.current;
+
+    if (!search || inputValue.trim().length === 0) {
       setSuggestions([]);
       setShowSuggestions(false);
+      suppressSuggestions.current = false;
       return;
     }
 
-    const matches = searchNames(inputValue, babyNamesData, 10);
-    setSuggestions(matches);
-    setShowSuggestions(matches.length > 0);
-    setSelectedIndex(-1);
-  }, [inputValue, babyNamesData]);
+    search(inputValue, { limit: 10, gender })
+      .catch(() => [])
+      .then((matches) => {
+        if (queryId !== latestQuery.current) {
+          return;
+        }
+
+        setSuggestions(matches);
+        setShowSuggestions(matches.length > 0 && !suppressSuggestions.current);
+        suppressSuggestions.current = false;
+        setSelectedIndex(-1);
+      });
+  }, [inputValue, search, gender]);
 
   const handleInputChange = (e) => {
     setInputValue(e.target.value);
   };
 
   const handleSubmit = (name) => {
-    const normalizedName = normalizeName(name || inputValue);
+    // Typed "Zoë" should find "Zoe": use the top suggestion when it's the same name
+    const topMatch = suggestions[0];
+    const typedName = topMatch && foldName(topMatch.name) === foldName(inputValue) ? topMatch.name : inputValue;
+    const normalizedName = normalizeName(name || typedName);
 
     if (normalizedName) {
       onSubmit(normalizedName);
@@ -63,7 +93,7 @@ export default function NameSearchInput({ onSubmit, babyNamesData, placeholder =
       case 'Enter':
         e.preventDefault();
         if (selectedIndex >= 0 && selectedIndex < suggestions.length) {
-          handleSubmit(suggestions[selectedIndex]);
+          handleSubmit(suggestions[selectedIndex].name);
         } else {
           handleSubmit();
         }
@@ -113,11 +143,11 @@ export default function NameSearchInput({ onSubmit, babyNamesData, placeholder =
           className="absolute z-10 w-full mt-1 bg-white border border-gray-300 rounded-lg shadow-lg max-h-60 overflow-y-auto"
           role="listbox"
         >
-          {suggestions.map((name, index) => (
+          {suggestions.map((suggestion, index) => (
             <li
-              key={name}
-              onClick={() => handleSuggestionClick(name)}
-              className={`px-4 py-2 cursor-pointer transition-colors ${
+              key={`${suggestion.name}-${suggestion.gender}`}
+              onClick={() => handleSuggestionClick(suggestion.name)}
+              className={`flex items-center justify-between gap-4 px-4 py-2 cursor-pointer transition-colors ${
                 index === selectedIndex
                   ? 'bg-blue-100 text-blue-900'
                   : 'hover:bg-gray-100'
@@ -125,7 +155,10 @@ export default function NameSearchInput({ onSubmit, babyNamesData, placeholder =
               role="option"
               aria-selected={index === selectedIndex}
             >
-              {name}
+              <span>{suggestion.name}</span>
+              <span className="text-xs text-gray-500">
+                {formatNumber(suggestion.living)} living • {GENDER_LABELS[suggestion.gender]}
+              </span>
             </li>
           ))}
         </ul>
@@ -0,0 +1,37 @@
+import { toDateInputValue } from '../lib/utils';
+
+/**
+ * ReferenceDateInput Component
+ *
+ * Date picker for the "as of" date that ages and survival are calculated at
+ */
+export default function ReferenceDateInput({ value, onChange }) {
+  const today = toDateInputValue(new Date());
+
+  return (
+    <div className="flex flex-wrap items-center gap-4">
+      <label htmlFor="reference-date" className="text-sm font-medium text-gray-700">
+        Ages as of:
+      </label>
+
+      <input
+        id="reference-date"
+        type="date"
+        value={value}
+        min="1904-01-01"
+        onChange={(e) => e.target.value && onChange(e.target.value)}
+        className="px-3 py-2 border-2 border-gray-300 rounded-lg focus:outline-none focus:border-blue-500 transition-colors"
+      />
+
+      {value !== today && (
+        <button
+          type="button"
+          onClick={() => onChange(today)}
+          className="text-sm text-blue-600 hover:underline"
+        >
+          Reset to today
+        </button>
+      )}
+    </div>
+  );
+}
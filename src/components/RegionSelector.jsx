@@ -0,0 +1,37 @@
+/**
+ * RegionSelector Component
+ *
+ * Radio button selector for the area to calculate for (a nation, or several
+ * combined), from the regions the data covers
+ */
+export default function RegionSelector({ regions, selectedRegion, onChange }) {
+  return (
+    <div className="flex items-center gap-4">
+      <span className="text-sm font-medium text-gray-700">Region:</span>
+
+      <div className="flex flex-wrap gap-3">
+        {regions.map(({ id, label }) => (
+          <label
+            key={id}
+            className={`flex items-center gap-2 px-4 py-2 rounded-lg border-2 cursor-pointer transition-all ${
+              selectedRegion === id
+                ? 'border-blue-500 bg-blue-50 text-blue-900'
+                : 'border-gray-300 bg-white text-gray-700 hover:border-gray-400'
+            }`}
+          >
+            <input
+              type="radio"
+              name="region"
+              value={id}
+              checked={selectedRegion === id}
+              onChange={(e) => onChange(e.target.value)}
+              className="sr-only"
+              aria-label={label}
+            />
+            <span className="font-medium">{label}</span>
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -1,27 +1,56 @@
-import { formatNumber, formatAge, formatYearRange } from '../lib/utils';
+import { formatNumber, formatAge, formatYearRange, formatPercentage } from '../lib/utils';
+import { SUPPRESSED_BIRTHS } from '../lib/calculations';
+import { DEFAULT_REGION, getRegionPlace, formatCoverageGaps, formatRegionPublishers } from '../lib/regions';
+
+// Large-screen columns by number of cards, so six make two rows of three
+const GRID_COLUMNS = { 4: 'lg:grid-cols-4', 5: 'lg:grid-cols-5', 6: 'lg:grid-cols-3' };
 
 /**
  * StatsDisplay Component
  *
- * Displays key statistics about the name's age distribution
+ * Displays key statistics about the name's age distribution in a region
+ * (see lib/regions.js). Pass the data vintage (see getDataVintage) to name
+ * the release in the footer, and for a combined region, the nations whose
+ * data starts later. Without uncertainty bounds, the living total's
+ * range is the one its suppressed years give it. Migration-adjusted
+ * statistics show the living total before adjustment alongside; pass the
+ * years of migration data (see getMigrationYears) to describe them.
+ * Calibrated statistics do the same, with the population year (see
+ * getCalibrationYear).
  */
-export default function StatsDisplay({ stats, name }) {
+export default function StatsDisplay({ stats, name, vintage, region = DEFAULT_REGION, migrationYears = null, calibrationYear = null }) {
   if (!stats) {
     return null;
   }
 
-  const { totalLiving, medianAge, peakBirthYear, ageRange, yearRange } = stats;
+  const { referenceYear, totalLiving, medianAge, peakBirthYear, ageRange, yearRange, uncertainty, genderSplit, suppressed, migration, calibration } = stats;
+  const livingRange = uncertainty ? uncertainty.totalLiving : suppressed && suppressed.totalLiving;
+  const hasEstimates = vintage ? vintage.exactStartYear > vintage.startYear : true;
+  const exactStartYear = vintage?.exactStartYear ?? 1996;
+  const coverageGaps = formatCoverageGaps(vintage, { since: yearRange.earliest });
 
   const statCards = [
     {
       label: 'Estimated Living',
       value: formatNumber(totalLiving),
-      description: `people named ${name} in England & Wales`
+      range: livingRange && `${formatNumber(livingRange.low)} – ${formatNumber(livingRange.high)}`,
+      description: `people named ${name} in ${getRegionPlace(region)} in ${referenceYear}`
     },
+    ...(migration ? [{
+      label: 'Without Migration',
+      value: formatNumber(migration.unadjustedTotalLiving),
+      description: `${migration.change >= 0 ? '+' : ''}${formatPercentage(migration.change)} once people moving in and out are counted`
+    }] : []),
+    ...(calibration ? [{
+      label: 'Before Calibration',
+      value: formatNumber(calibration.unadjustedTotalLiving),
+      description: `${calibration.change >= 0 ? '+' : ''}${formatPercentage(calibration.change)} once scaled to the population of each age`
+    }] : []),
     {
       label: 'Median Age',
       value: `${medianAge} years`,
-      description: 'typical age of someone with this name'
+      range: uncertainty && `${uncertainty.medianAge.low} – ${uncertainty.medianAge.high} years`,
+      description: `typical age of someone with this name in ${referenceYear}`
     },
     {
       label: 'Most Popular Year',
@@ -31,15 +60,28 @@ export default function StatsDisplay({ stats, name }) {
     {
       label: 'Age Range',
       value: `${ageRange.lower}-${ageRange.upper} years`,
+      range: uncertainty && (
+        `${uncertainty.ageRange.lower.low}–${uncertainty.ageRange.lower.high} to ` +
+        `${uncertainty.ageRange.upper.low}–${uncertainty.ageRange.upper.high} years`
+      ),
       description: '10th to 90th percentile'
     }
   ];
 
+  // Combined (both genders) view
+  if (genderSplit) {
+    statCards.push({
+      label: 'Gender Split',
+      value: `${formatPercentage(genderSplit.living.maleShare, 0)} male`,
+      description: `${formatNumber(genderSplit.living.male)} male and ${formatNumber(genderSplit.living.female)} female living`
+    });
+  }
+
   return (
     <div className="w-full mt-8">
       <h3 className="text-xl font-bold text-gray-900 mb-4">Key Statistics</h3>
 
-      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+      <div className={`grid grid-cols-1 md:grid-cols-2 ${GRID_COLUMNS[statCards.length] || 'lg:grid-cols-4'} gap-4`}>
         {statCards.map((card) => (
           <div
             key={card.label}
@@ -51,6 +93,11 @@ export default function StatsDisplay({ stats, name }) {
             <div className="text-2xl font-bold text-gray-900 mb-1">
               {card.value}
             </div>
+            {card.range && (
+              <div className="text-xs font-medium text-gray-600 mb-1">
+                Likely range: {card.range}
+              </div>
+            )}
             <div className="text-xs text-gray-500">
               {card.description}
             </div>
@@ -62,8 +109,41 @@ export default function StatsDisplay({ stats, name }) {
         <p>
           Data coverage: {formatYearRange(yearRange.earliest, yearRange.latest)}
           {' • '}
-          Source: Office for National Statistics (ONS)
+          Source: {formatRegionPublishers(region)}
+          {vintage?.releaseYear && `, ${vintage.releaseYear} release`}
         </p>
+        {coverageGaps && (
+          <p className="text-xs text-gray-500 mt-1">
+            {coverageGaps}.
+          </p>
+        )}
+        {uncertainty && (
+          <p className="text-xs text-gray-500 mt-1">
+            Likely ranges are {Math.round(uncertainty.interval * 100)}% intervals from {formatNumber(uncertainty.samples)} simulations
+            allowing for error in {hasEstimates && `estimated pre-${exactStartYear} births and in `}mortality rates{suppressed && ', and for suppressed counts'}.
+          </p>
+        )}
+        {migration && (
+          <p className="text-xs text-gray-500 mt-1">
+            Adjusted for net migration by sex and single year of age from ONS mid-year population estimates
+            {migrationYears && `, ${formatYearRange(migrationYears.startYear, migrationYears.endYear)}`}.
+            {migrationYears && ` Moves before ${migrationYears.startYear} aren't counted.`}
+          </p>
+        )}
+        {calibration && (
+          <p className="text-xs text-gray-500 mt-1">
+            Each birth year is scaled so that all names together match the ONS mid-year population estimate of
+            that age{calibrationYear && ` in ${calibrationYear}`}, which counts everyone who moved in or out.{' '}
+            <a href="/calibration" className="underline hover:text-gray-700">See how far off the estimates are</a>.
+          </p>
+        )}
+        {suppressed && (
+          <p className="text-xs text-gray-500 mt-1">
+            ONS doesn&apos;t publish counts under 3. {suppressed.years === 1 ? 'One year' : `${suppressed.years} years`} with
+            such counts {suppressed.years === 1 ? 'is' : 'are'} counted as {SUPPRESSED_BIRTHS.births} birth each
+            ({SUPPRESSED_BIRTHS.low}–{SUPPRESSED_BIRTHS.high}), giving {formatNumber(suppressed.totalLiving.low)} – {formatNumber(suppressed.totalLiving.high)} living.
+          </p>
+        )}
       </div>
     </div>
   );
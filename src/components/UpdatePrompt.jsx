@@ -0,0 +1,103 @@
+import { useEffect, useRef, useState } from 'react';
+import { checkForDataUpdate, applyDataUpdate } from '../lib/dataLoader';
+
+/**
+ * UpdatePrompt Component
+ *
+ * Registers the service worker (public/sw.js) that keeps the app available
+ * offline, and offers to switch when a new version of the app or a newer
+ * data release is published. Until the user accepts, the cached versions
+ * stay in use so results don't change mid-visit.
+ */
+export default function UpdatePrompt() {
+  const [waitingWorker, setWaitingWorker] = useState(null);
+  const [dataUpdate, setDataUpdate] = useState(null);
+  const [dismissed, setDismissed] = useState(false);
+  const appUpdateAccepted = useRef(false);
+
+  useEffect(() => {
+    // The dev server's assets change on every edit, so only cache production builds
+    if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) {
+      return undefined;
+    }
+
+    // The first install also takes control of the page, so only reload for an accepted update
+    const handleControllerChange = () => {
+      if (appUpdateAccepted.current) {
+        window.location.reload();
+      }
+    };
+    navigator.serviceWorker.addEventListener('controllerchange', handleControllerChange);
+
+    navigator.serviceWorker.register('/sw.js')
+      .then((registration) => {
+        if (registration.waiting && navigator.serviceWorker.controller) {
+          setWaitingWorker(registration.waiting);
+        }
+
+        registration.addEventListener('updatefound', () => {
+          const installing = registration.installing;
+          installing.addEventListener('statechange', () => {
+            if (installing.state === 'installed' && navigator.serviceWorker.controller) {
+              setWaitingWorker(installing);
+            }
+          });
+        });
+
+        // Assets this page loaded before the service worker took control
+        const urls = performance.getEntriesByType('resource')
+          .map(entry => entry.name)
+          .filter(url => url.startsWith(`${window.location.origin}/_next/static/`));
+
+        return navigator.serviceWorker.ready.then(ready => ready.active.postMessage({ type: 'CACHE_URLS', urls }));
+      })
+      .catch(error => console.error('Service worker registration failed:', error));
+
+    return () => navigator.serviceWorker.removeEventListener('controllerchange', handleControllerChange);
+  }, []);
+
+  useEffect(() => {
+    checkForDataUpdate().then(setDataUpdate);
+  }, []);
+
+  const handleAppUpdate = () => {
+    appUpdateAccepted.current = true;
+    waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+  };
+
+  const handleDataUpdate = async () => {
+    await applyDataUpdate(dataUpdate);
+    window.location.reload();
+  };
+
+  if (dismissed || (!waitingWorker && !dataUpdate)) {
+    return null;
+  }
+
+  return (
+    <div
+      className="fixed bottom-4 left-1/2 -translate-x-1/2 z-50 w-[calc(100%-2rem)] max-w-md bg-white border-2 border-blue-200 rounded-lg shadow-lg p-4"
+      role="status"
+    >
+      <p className="text-sm text-gray-800 mb-3">
+        {dataUpdate
+          ? 'A newer ONS data release is available. Update to recalculate with it.'
+          : 'A new version of the calculator is available.'}
+      </p>
+      <div className="flex justify-end gap-2">
+        <button
+          onClick={() => setDismissed(true)}
+          className="px-3 py-1.5 text-sm text-gray-600 hover:text-gray-900"
+        >
+          Later
+        </button>
+        <button
+          onClick={dataUpdate ? handleDataUpdate : handleAppUpdate}
+          className="px-3 py-1.5 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors font-medium"
+        >
+          {dataUpdate ? 'Update data' : 'Reload'}
+        </button>
+      </div>
+    </div>
+  );
+}
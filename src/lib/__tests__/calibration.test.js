@@ -0,0 +1,74 @@
+import { applyCalibration, calculateAgeDistribution, calculateCalibrationResiduals, getCalibrationFactor } from '../calculations';
+
+const AS_OF = '2022-07-01';
+
+/**
+ * Calibration for 2022 with the oldest age open-ended
+ * @param {Array<Array>} counts - [population, modelled] by age
+ * @returns {Object} - { year, openAge, cohorts }
+ */
+function makeCalibration(counts) {
+  return {
+    year: 2022,
+    openAge: counts.length - 1,
+    cohorts: counts.map(([population, modelled], age) => ({
+      birthYear: 2022 - age,
+      age,
+      population,
+      modelled,
+      factor: population > 0 && modelled > 0 ? population / modelled : null
+    }))
+  };
+}
+
+const CALIBRATION = makeCalibration([[100, 80], [90, 100], [50, 0], [200, 160]]);
+
+describe('getCalibrationFactor', () => {
+  it('looks up the factor of a birth cohort', () => {
+    expect(getCalibrationFactor(CALIBRATION, 2022)).toBe(1.25);
+    expect(getCalibrationFactor(CALIBRATION, 2021)).toBe(0.9);
+  });
+
+  it('gives cohorts in the open-ended age its factor', () => {
+    expect(getCalibrationFactor(CALIBRATION, 2019)).toBe(1.25);
+    expect(getCalibrationFactor(CALIBRATION, 1930)).toBe(1.25);
+  });
+
+  it('is 1 for cohorts with nothing to compare, or born after the population year', () => {
+    expect(getCalibrationFactor(CALIBRATION, 2020)).toBe(1);
+    expect(getCalibrationFactor(CALIBRATION, 2023)).toBe(1);
+    expect(getCalibrationFactor(null, 2022)).toBe(1);
+  });
+});
+
+describe('applyCalibration', () => {
+  it('scales living counts and keeps the unadjusted ones', () => {
+    // Everyone survives, so living counts equal births
+    const lifeTables = { 2021: Array(101).fill(1), 2022: Array(101).fill(1) };
+    const distribution = calculateAgeDistribution('Test', 'female', { 2021: 1000, 2022: null }, lifeTables, AS_OF);
+    const [older, younger] = applyCalibration(distribution, CALIBRATION);
+
+    expect(older).toMatchObject({ year: 2021, living: 900, unadjustedLiving: 1000, calibration: 0.9 });
+    expect(younger.suppressed.living).toEqual({ low: 0, high: Math.round(2 * 1.25) });
+  });
+});
+
+describe('calculateCalibrationResiduals', () => {
+  it('sums calibrations of the same year age by age', () => {
+    const other = makeCalibration([[300, 320], [110, 100], [60, 50], [100, 40]]);
+    const [newborn, one, two, open] = calculateCalibrationResiduals([CALIBRATION, other]);
+
+    expect(newborn).toMatchObject({ birthYear: 2022, age: 0, open: false, population: 400, modelled: 400, factor: 1, residual: 0 });
+    expect(one).toMatchObject({ population: 200, modelled: 200 });
+    expect(open).toMatchObject({ birthYear: 2019, open: true, population: 300, modelled: 200, factor: 1.5 });
+    expect(open.residual).toBeCloseTo(-100 / 3);
+
+    // The first calibration has no names born in 2020 to compare
+    expect(two).toMatchObject({ age: 2, population: null, modelled: null, factor: null, residual: null });
+  });
+
+  it('is empty without calibrations', () => {
+    expect(calculateCalibrationResiduals([])).toEqual([]);
+    expect(calculateCalibrationResiduals(null)).toEqual([]);
+  });
+});
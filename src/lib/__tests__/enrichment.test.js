@@ -0,0 +1,103 @@
+import { detectColumns, enrichRows, parseCsv, parseGenderValue, toCsv } from '../enrichment';
+
+const AS_OF = '2024-07-01';
+
+// Everyone survives, so living counts equal births
+const LIFE_TABLES = { 2000: Array(101).fill(1), 2010: Array(101).fill(1) };
+
+const DATASETS = {
+  male: { babyNames: { Jack: { 2000: 800 }, Alex: { 2000: 300 } }, lifeTables: LIFE_TABLES },
+  female: { babyNames: { Olivia: { 2010: 500 }, Alex: { 2010: 100 } }, lifeTables: LIFE_TABLES }
+};
+
+/**
+ * Each output row's name and appended columns
+ * @param {Array<Array<string>>} rows - Parsed CSV rows
+ * @returns {Array<Array>} - [name, likely_gender, likely_gender_share, median_age, age_p10, age_p90, total_living, match_status]
+ */
+function resultsFor(rows) {
+  return enrichRows(rows, DATASETS, { asOf: AS_OF }).rows.slice(1).map(row => [row[0], ...row.slice(-7)]);
+}
+
+describe('parseCsv and toCsv', () => {
+  it('read quoted cells, escaped quotes and CRLF line endings', () => {
+    expect(parseCsv('name,note\r\n"Smith, Jack","said ""hi""\nthen left"\r\n\r\nOlivia,\n')).toEqual([
+      ['name', 'note'],
+      ['Smith, Jack', 'said "hi"\nthen left'],
+      ['Olivia', '']
+    ]);
+  });
+
+  it('round-trip cells that need quoting', () => {
+    const rows = [['name', 'note'], ['Smith, Jack', 'said "hi"\nthen left'], ['Olivia', '']];
+
+    expect(toCsv(rows)).toBe('name,note\n"Smith, Jack","said ""hi""\nthen left"\nOlivia,\n');
+    expect(parseCsv(toCsv(rows))).toEqual(rows);
+  });
+
+  it('write missing values as blank cells', () => {
+    expect(toCsv([['Jack', null, undefined, 0]])).toBe('Jack,,,0\n');
+  });
+});
+
+describe('parseGenderValue', () => {
+  it('recognises the usual ways of writing a gender', () => {
+    expect(['M', ' boy ', 'Male', 'f', 'GIRLS', 'woman'].map(parseGenderValue)).toEqual(['male', 'male', 'male', 'female', 'female', 'female']);
+  });
+
+  it('gives null for blank or unrecognised values', () => {
+    expect(['', undefined, 'x', 'non-binary'].map(parseGenderValue)).toEqual([null, null, null, null]);
+  });
+});
+
+describe('detectColumns', () => {
+  it('finds the name and gender columns from the header', () => {
+    expect(detectColumns(['id', 'First Name', 'Sex'])).toEqual({ hasHeader: true, nameColumn: 1, genderColumn: 2 });
+    expect(detectColumns(['forename', 'email'])).toEqual({ hasHeader: true, nameColumn: 0, genderColumn: -1 });
+  });
+
+  it('assumes name, gender without a header', () => {
+    expect(detectColumns(['Jack', 'M'])).toEqual({ hasHeader: false, nameColumn: 0, genderColumn: 1 });
+    expect(detectColumns(['Jack'])).toEqual({ hasHeader: false, nameColumn: 0, genderColumn: -1 });
+  });
+});
+
+describe('enrichRows', () => {
+  it('estimates ages with the row\'s gender, or the likely one', () => {
+    expect(resultsFor([['name', 'gender'], ['jack', 'M'], ['Alex', ''], ['Alex', 'F']])).toEqual([
+      ['jack', 'male', '1.000', 24, 24, 24, 800, 'found'],
+      ['Alex', 'male', '0.750', 24, 24, 24, 300, 'found'],
+      ['Alex', 'male', '0.750', 14, 14, 14, 100, 'found']
+    ]);
+  });
+
+  it('labels the columns of a file without a header', () => {
+    const { rows } = enrichRows([['Jack', 'M', 'x']], DATASETS, { asOf: AS_OF });
+
+    expect(rows[0].slice(0, 4)).toEqual(['name', 'gender', 'column_3', 'likely_gender']);
+  });
+
+  it('lists names not found once, with how many rows had them', () => {
+    const { rows, summary } = enrichRows([['name', 'sex'], ['Olivia', 'M'], ['Olivia', 'm'], ['Zebedee', ''], ['', '']], DATASETS, { asOf: AS_OF });
+
+    expect(rows.slice(1).map(row => row[row.length - 1])).toEqual(['other_gender', 'other_gender', 'not_found', 'not_found']);
+    expect(summary).toMatchObject({ totalRows: 4, matched: 0, unmatched: 4, invalidGender: [] });
+    expect(summary.notFound).toEqual([
+      expect.objectContaining({ name: 'Olivia', gender: 'male', status: 'other_gender', rows: 2 }),
+      expect.objectContaining({ name: 'Zebedee', gender: null, status: 'not_found', rows: 1 }),
+      { name: '', gender: null, status: 'not_found', message: 'Blank name', rows: 1 }
+    ]);
+    expect(summary.notFound[0].message).toContain('Check the gender in the "sex" column');
+  });
+
+  it('leaves rows with an unrecognised gender blank rather than guessing', () => {
+    const { summary } = enrichRows([['Jack', 'x'], ['Olivia', 'x'], ['Alex', 'other']], DATASETS, { asOf: AS_OF });
+
+    expect(resultsFor([['Jack', 'x']])).toEqual([['Jack', 'male', '1.000', '', '', '', '', 'invalid_gender']]);
+    expect(summary.invalidGender).toEqual([
+      { value: 'x', message: '"x" in the gender column (column 2) is not a recognised gender (use M or F, or leave it blank)', rows: 2 },
+      expect.objectContaining({ value: 'other', rows: 1 })
+    ]);
+    expect(summary.unmatched).toBe(3);
+  });
+});
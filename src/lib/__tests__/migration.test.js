@@ -0,0 +1,51 @@
+import { applyMigration, calculateAgeDistribution, combineDistributions, getMigrationFactor } from '../calculations';
+
+const AS_OF = '2024-07-01';
+
+// Everyone survives, so living counts equal births
+const LIFE_TABLES = { 1990: Array(101).fill(1), 2020: Array(101).fill(1) };
+
+const FACTORS = { 1990: [1, 1.01, 1.02, 1.05], 2020: [1, 0.98] };
+
+describe('getMigrationFactor', () => {
+  it('looks up the factor for a birth year and age', () => {
+    expect(getMigrationFactor(FACTORS, 1990, 2)).toBe(1.02);
+    expect(getMigrationFactor(FACTORS, 2020, 1)).toBe(0.98);
+  });
+
+  it('keeps the last factor for older ages', () => {
+    expect(getMigrationFactor(FACTORS, 1990, 34)).toBe(1.05);
+  });
+
+  it('is 1 without migration data for the year', () => {
+    expect(getMigrationFactor(FACTORS, 2023, 1)).toBe(1);
+    expect(getMigrationFactor(null, 1990, 2)).toBe(1);
+    expect(getMigrationFactor({ 1990: [] }, 1990, 2)).toBe(1);
+  });
+});
+
+describe('applyMigration', () => {
+  const distribution = calculateAgeDistribution('Test', 'male', { 1990: 1000, 2020: 500 }, LIFE_TABLES, AS_OF);
+
+  it('scales living counts and keeps the unadjusted ones', () => {
+    const [older, younger] = applyMigration(distribution, FACTORS);
+
+    expect(older).toMatchObject({ year: 1990, births: 1000, living: 1050, unadjustedLiving: 1000, migration: 1.05 });
+    expect(younger).toMatchObject({ year: 2020, births: 500, living: 490, unadjustedLiving: 500, migration: 0.98 });
+  });
+
+  it('scales the ranges of suppressed counts', () => {
+    const [entry] = applyMigration(calculateAgeDistribution('Test', 'male', { 1990: null }, LIFE_TABLES, AS_OF), FACTORS);
+
+    expect(entry.suppressed.living).toEqual({ low: 0, high: Math.round(2 * 1.05) });
+  });
+
+  it('gives the overall factor when both genders are combined', () => {
+    const male = applyMigration(distribution, FACTORS);
+    const female = applyMigration(distribution, { 1990: [1, 1.15] });
+    const [combined] = combineDistributions(male, female);
+
+    expect(combined).toMatchObject({ living: 1050 + 1150, unadjustedLiving: 2000 });
+    expect(combined.migration).toBeCloseTo(1.1);
+  });
+});
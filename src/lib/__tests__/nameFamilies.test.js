@@ -0,0 +1,101 @@
+import { calculateFamilyDistribution, getNameAliases, getNameFamily, mergeFamilyMembers } from '../nameFamilies';
+
+const AS_OF = '2024-07-01';
+
+// Everyone survives, so living counts equal births
+const LIFE_TABLES = { 2000: Array(101).fill(1), 2010: Array(101).fill(1) };
+
+const BOYS = {
+  Mohammed: { 2000: 400, 2010: 600 },
+  Muhammad: { 2000: 300, 2010: 500 },
+  Mohamed: { 2010: 200 },
+  Jack: { 2000: 800 },
+  Jacky: { 2000: 10 },
+  Jock: { 2000: 5 }
+};
+
+const GIRLS = {
+  Ella: { 2010: 500 },
+  Ellie: { 2010: 400 },
+  Katherine: { 2000: 90 },
+  Catherine: { 2000: 120 },
+  Kathryn: { 2000: 30 }
+};
+
+/**
+ * Names in a family, with why each is in it
+ * @param {string} name - Searched name
+ * @param {Object} babyNames - Baby names data
+ * @returns {Object} - { name: reason }
+ */
+function familyOf(name, babyNames) {
+  return Object.fromEntries(getNameFamily(name, babyNames).map(member => [member.name, member.reason]));
+}
+
+describe('getNameAliases', () => {
+  it('finds the curated group of any spelling', () => {
+    expect(getNameAliases(' kathryn ')).toContain('Catherine');
+    expect(getNameAliases('Jack')).toEqual([]);
+  });
+});
+
+describe('getNameFamily', () => {
+  it('groups curated spellings, even with a different first letter', () => {
+    expect(familyOf('Kathryn', GIRLS)).toEqual({ Kathryn: 'searched', Catherine: 'alias', Katherine: 'alias' });
+  });
+
+  it('groups spellings that sound alike and are built alike', () => {
+    expect(familyOf('mohamed', { Mohamed: {}, Mohamad: {}, Mohamet: {} })).toEqual({ Mohamed: 'searched', Mohamad: 'alias', Mohamet: 'phonetic' });
+  });
+
+  it('leaves out related names that only sound alike', () => {
+    expect(familyOf('Jack', BOYS)).toEqual({ Jack: 'searched' });
+    expect(familyOf('Ella', GIRLS)).toEqual({ Ella: 'searched' });
+  });
+
+  it('is empty for a name not in the data', () => {
+    expect(getNameFamily('Zebedee', BOYS)).toEqual([]);
+  });
+});
+
+describe('calculateFamilyDistribution', () => {
+  it('counts the family together, with each member\'s share', () => {
+    const { distribution, members } = calculateFamilyDistribution('Mohammed', 'male', BOYS, LIFE_TABLES, { asOf: AS_OF });
+
+    expect(distribution.map(({ year, births }) => [year, births])).toEqual([[2000, 700], [2010, 1300]]);
+    expect(members.map(({ name, living, share, included }) => [name, living, share, included])).toEqual([
+      ['Mohammed', 1000, 50, true],
+      ['Muhammad', 800, 40, true],
+      ['Mohamed', 200, 10, true]
+    ]);
+  });
+
+  it('leaves out excluded members without changing the shares', () => {
+    const { distribution, members } = calculateFamilyDistribution('Mohammed', 'male', BOYS, LIFE_TABLES, {
+      asOf: AS_OF,
+      excluded: ['muhammad', 'Mohammed']
+    });
+
+    // The searched name can't be excluded
+    expect(distribution.map(({ year, births }) => [year, births])).toEqual([[2000, 400], [2010, 800]]);
+    expect(members.map(({ name, share, included }) => [name, share, included])).toEqual([
+      ['Mohammed', 50, true],
+      ['Muhammad', 40, false],
+      ['Mohamed', 10, true]
+    ]);
+  });
+});
+
+describe('mergeFamilyMembers', () => {
+  it('sums each name across genders or nations and keeps its strongest reason', () => {
+    const merged = mergeFamilyMembers([
+      [{ name: 'Aiden', reason: 'searched', living: 300, included: true }, { name: 'Aidan', reason: 'phonetic', living: 100, included: false }],
+      [{ name: 'Aidan', reason: 'alias', living: 500, included: true }]
+    ]);
+
+    expect(merged).toEqual([
+      { name: 'Aiden', reason: 'searched', living: 300, included: true, share: (300 / 900) * 100 },
+      { name: 'Aidan', reason: 'alias', living: 600, included: true, share: (600 / 900) * 100 }
+    ]);
+  });
+});
@@ -0,0 +1,72 @@
+import { buildSearchIndex, countLiving, searchNames } from '../searchIndex';
+
+const LIVING = {
+  male: [['Oliver', 10000], ['Jack', 8000], ['James', 5000], ['Jacob', 3000], ['Benjamin', 4000]],
+  female: [['Olivia', 9000], ['Jane', 2000], ['Olive', 1000], ['Zoë', 500]]
+};
+
+/**
+ * Names found for a query
+ * @param {string} query - Search query
+ * @param {Object} [options] - searchNames() options
+ * @returns {Array<string>} - Names in order
+ */
+function namesFor(query, options) {
+  return searchNames(query, buildSearchIndex(LIVING), options).map(({ name }) => name);
+}
+
+describe('countLiving', () => {
+  it('counts the people living with each name, rounded', () => {
+    // Everyone survives, so living counts equal births
+    const lifeTables = { 1990: Array(101).fill(1), 2000: Array(101).fill(1) };
+    const babyNames = { Jack: { 1990: 100.4, 2000: 200 }, Jacob: { 2000: null } };
+
+    expect(countLiving(babyNames, 'male', lifeTables, 2024)).toEqual([['Jack', 300], ['Jacob', 1]]);
+  });
+
+  it('is empty without names', () => {
+    expect(countLiving(undefined, 'male', {}, 2024)).toEqual([]);
+  });
+});
+
+describe('searchNames', () => {
+  it('ranks names starting with the query by number living', () => {
+    expect(namesFor('ja')).toEqual(['Jack', 'James', 'Jacob', 'Jane']);
+    expect(searchNames('jam', buildSearchIndex(LIVING))[0]).toEqual({ name: 'James', gender: 'male', living: 5000 });
+  });
+
+  it('filters by gender', () => {
+    expect(namesFor('ja', { gender: 'female' })).toEqual(['Jane']);
+  });
+
+  it('matches without accents or case', () => {
+    expect(namesFor('ZOE')).toEqual(['Zoë']);
+  });
+
+  it('tolerates typos once a few letters are typed', () => {
+    // One swap from Oliver, two edits from Olive
+    expect(namesFor('olvier')).toEqual(['Oliver', 'Olive']);
+    expect(namesFor('jak')).toEqual([]);
+  });
+
+  it('puts names starting with the query before names containing it', () => {
+    expect(namesFor('jam')).toEqual(['James', 'Benjamin']);
+  });
+
+  it('stops at the limit', () => {
+    expect(namesFor('o', { limit: 2 })).toEqual(['Oliver', 'Olivia']);
+  });
+
+  it('finds nothing for an empty query or index', () => {
+    expect(namesFor('  ')).toEqual([]);
+    expect(searchNames('ja', null)).toEqual([]);
+  });
+});
+
+describe('buildSearchIndex', () => {
+  it('takes Maps of living counts, as the calculator keeps them', () => {
+    const living = { male: new Map(LIVING.male), female: new Map(LIVING.female) };
+
+    expect(searchNames('ja', buildSearchIndex(living))).toEqual(searchNames('ja', buildSearchIndex(LIVING)));
+  });
+});
@@ -0,0 +1,75 @@
+import {
+  SUPPRESSED_BIRTHS,
+  addBirthCounts,
+  calculateAgeDistribution,
+  calculateSuppressedRange,
+  imputeBirths
+} from '../calculations';
+import { sumNameData } from '../nameFamilies';
+
+// Everyone survives, so living counts equal births
+const LIFE_TABLES = { 2000: new Array(101).fill(1) };
+
+describe('addBirthCounts', () => {
+  it('adds published counts', () => {
+    expect(addBirthCounts(3, 4)).toBe(7);
+    expect(addBirthCounts(undefined, 5)).toBe(5);
+  });
+
+  it('keeps a lone suppressed count as null', () => {
+    expect(addBirthCounts(undefined, null)).toBeNull();
+    expect(addBirthCounts(0, null)).toBeNull();
+  });
+
+  it('keeps how many suppressed counts are in a sum', () => {
+    expect(addBirthCounts(5, null)).toEqual({ births: 5, suppressed: 1 });
+    expect(addBirthCounts(null, null)).toEqual({ births: 0, suppressed: 2 });
+    expect(addBirthCounts({ births: 5, suppressed: 1 }, null)).toEqual({ births: 5, suppressed: 2 });
+  });
+});
+
+describe('imputeBirths', () => {
+  it('leaves published counts as they are', () => {
+    expect(imputeBirths(12)).toEqual({ births: 12, suppressed: null });
+  });
+
+  it('imputes a suppressed count within its range', () => {
+    expect(imputeBirths(null)).toEqual({
+      births: SUPPRESSED_BIRTHS.births,
+      suppressed: { low: SUPPRESSED_BIRTHS.low, high: SUPPRESSED_BIRTHS.high }
+    });
+  });
+
+  it('imputes each suppressed count in a sum', () => {
+    expect(imputeBirths({ births: 5, suppressed: 3 })).toEqual({ births: 8, suppressed: { low: 5, high: 11 } });
+  });
+});
+
+describe('calculateAgeDistribution with suppressed counts', () => {
+  it('marks imputed years with their ranges', () => {
+    const [entry] = calculateAgeDistribution('Test', 'male', { 2000: { births: 4, suppressed: 2 } }, LIFE_TABLES, 2024);
+
+    expect(entry.births).toBe(6);
+    expect(entry.suppressed).toEqual({ births: { low: 4, high: 8 }, living: { low: 4, high: 8 } });
+  });
+
+  it('gives the total living a range from every suppressed year', () => {
+    const lifeTables = { ...LIFE_TABLES, 2001: LIFE_TABLES[2000], 2002: LIFE_TABLES[2000] };
+    const distribution = calculateAgeDistribution('Test', 'male', { 2000: 10, 2001: null, 2002: null }, lifeTables, 2024);
+
+    expect(calculateSuppressedRange(distribution)).toEqual({ years: 2, totalLiving: { low: 10, high: 14 } });
+  });
+
+  it('has no range without suppressed years', () => {
+    expect(calculateSuppressedRange(calculateAgeDistribution('Test', 'male', { 2000: 10 }, LIFE_TABLES, 2024))).toBeNull();
+  });
+});
+
+describe('sumNameData', () => {
+  it('keeps the suppressed counts of the names it adds up', () => {
+    expect(sumNameData([{ 2000: 5, 2001: null }, { 2000: null, 2001: null }, { 2001: 3 }])).toEqual({
+      2000: { births: 5, suppressed: 1 },
+      2001: { births: 3, suppressed: 2 }
+    });
+  });
+});
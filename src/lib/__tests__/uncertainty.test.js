@@ -0,0 +1,97 @@
+import { calculateAgeDistribution, calculateStatsWithUncertainty } from '../calculations';
+
+const AS_OF = '2024-07-01';
+
+/**
+ * Life tables with survival falling evenly from 1 at birth to 0 at age 100,
+ * the same for every birth year
+ * @returns {Object} - { "1950": [1, 0.99, ...], ... }
+ */
+function makeLifeTables() {
+  const survival = Array.from({ length: 101 }, (_, age) => 1 - age / 100);
+  const lifeTables = {};
+
+  for (let year = 1900; year <= 2024; year++) {
+    lifeTables[year] = survival;
+  }
+
+  return lifeTables;
+}
+
+/**
+ * Age distribution for births by year
+ * @param {Object} births - { "1990": 100, ... }
+ * @returns {Array} - calculateAgeDistribution() result
+ */
+function distributionFor(births) {
+  return calculateAgeDistribution('Test', 'male', births, makeLifeTables(), AS_OF);
+}
+
+// Estimated births before 1996 and exact ones after
+const MIXED_BIRTHS = { 1950: 1000, 1960: 2000, 1975: 3000, 1990: 2000, 2000: 1500, 2010: 1000 };
+
+describe('calculateStatsWithUncertainty', () => {
+  it('gives the same bounds for the same seed', () => {
+    const distribution = distributionFor(MIXED_BIRTHS);
+
+    const first = calculateStatsWithUncertainty(distribution, AS_OF, { seed: 7 });
+    const second = calculateStatsWithUncertainty(distribution, AS_OF, { seed: 7 });
+
+    expect(second.uncertainty).toEqual(first.uncertainty);
+  });
+
+  it('brackets the point estimates', () => {
+    const result = calculateStatsWithUncertainty(distributionFor(MIXED_BIRTHS), AS_OF, { seed: 3 });
+    const { totalLiving, medianAge, ageRange } = result.uncertainty;
+
+    expect(totalLiving.low).toBeLessThan(result.totalLiving);
+    expect(totalLiving.high).toBeGreaterThan(result.totalLiving);
+    expect(medianAge.low).toBeLessThanOrEqual(result.medianAge);
+    expect(medianAge.high).toBeGreaterThanOrEqual(result.medianAge);
+    expect(ageRange.lower.low).toBeLessThanOrEqual(ageRange.lower.high);
+    expect(ageRange.upper.low).toBeLessThanOrEqual(ageRange.upper.high);
+  });
+
+  it('leaves exact births certain without mortality error', () => {
+    const result = calculateStatsWithUncertainty(distributionFor({ 2000: 1500, 2010: 1000 }), AS_OF, { mortalityError: 0 });
+
+    expect(result.uncertainty.totalLiving).toEqual({ low: result.totalLiving, high: result.totalLiving });
+    for (const year of result.uncertainty.byYear) {
+      expect(year.livingLow).toBe(year.livingHigh);
+    }
+  });
+
+  it('widens the bounds for estimated births', () => {
+    const options = { mortalityError: 0, seed: 5 };
+    const exact = calculateStatsWithUncertainty(distributionFor({ 2000: 3000 }), AS_OF, options);
+    const estimated = calculateStatsWithUncertainty(distributionFor({ 1990: 3000 }), AS_OF, options);
+    const width = ({ low, high }) => high - low;
+
+    expect(width(exact.uncertainty.totalLiving)).toBe(0);
+    expect(width(estimated.uncertainty.totalLiving)).toBeGreaterThan(0);
+  });
+
+  it('only perturbs the estimated part of combined entries', () => {
+    const distribution = distributionFor({ 1990: 3000 }).map(entry => ({ ...entry, estimatedBirths: 0 }));
+    const result = calculateStatsWithUncertainty(distribution, AS_OF, { mortalityError: 0 });
+
+    expect(result.uncertainty.totalLiving.low).toBe(result.uncertainty.totalLiving.high);
+  });
+
+  it('keeps suppressed births within their range', () => {
+    const distribution = distributionFor({ 2000: null, 2005: { births: 4, suppressed: 2 } });
+    const result = calculateStatsWithUncertainty(distribution, AS_OF, { mortalityError: 0, samples: 200 });
+    const [single, summed] = result.uncertainty.byYear;
+
+    // At age 24 and 19, 76% and 81% survive
+    expect(single.livingLow).toBeGreaterThanOrEqual(0);
+    expect(single.livingHigh).toBeLessThanOrEqual(Math.round(2 * 0.76));
+    expect(summed.livingLow).toBeGreaterThanOrEqual(Math.round(4 * 0.81));
+    expect(summed.livingHigh).toBeLessThanOrEqual(Math.round(8 * 0.81));
+    expect(summed.livingLow).toBeLessThan(summed.livingHigh);
+  });
+
+  it('has no bounds for an empty distribution', () => {
+    expect(calculateStatsWithUncertainty([], AS_OF).uncertainty).toBeNull();
+  });
+});
@@ -0,0 +1,66 @@
+import { buildQueryState, parseQueryState } from '../urlState';
+
+const DEFAULTS = parseQueryState({});
+
+describe('parseQueryState and buildQueryState', () => {
+  it('round-trip a single name', () => {
+    const state = { ...DEFAULTS, name: 'Olivia', gender: 'female', region: 'scotland', asOf: '2030-01-01', migration: true };
+
+    expect(buildQueryState(state)).toEqual({
+      name: 'Olivia',
+      gender: 'female',
+      region: 'scotland',
+      asOf: '2030-01-01',
+      migration: '1'
+    });
+    expect(parseQueryState(buildQueryState(state))).toEqual(state);
+  });
+
+  it('round-trip a comparison', () => {
+    const state = {
+      ...DEFAULTS,
+      mode: 'compare',
+      comparison: [{ name: 'Jack', gender: 'male' }, { name: 'Alex', gender: 'all' }],
+      normalize: true,
+      calibration: true
+    };
+
+    expect(buildQueryState(state)).toEqual({ mode: 'compare', compare: 'Jack:male,Alex:all', normalize: '1', calibration: '1' });
+    expect(parseQueryState(buildQueryState(state))).toEqual(state);
+  });
+
+  it('round-trip a name family with members switched off', () => {
+    const state = { ...DEFAULTS, name: 'Mohammed', family: true, excluded: ['Mohamed', 'Muhammed'] };
+
+    expect(buildQueryState(state).exclude).toBe('Mohamed,Muhammed');
+    expect(parseQueryState(buildQueryState(state))).toEqual(state);
+  });
+});
+
+describe('parseQueryState', () => {
+  it('falls back to the defaults for unknown values', () => {
+    expect(parseQueryState({ gender: 'other', region: 'wales', asOf: '1/1/2030', mode: 'grid' })).toEqual(DEFAULTS);
+    expect(DEFAULTS).toMatchObject({ name: '', gender: 'male', region: 'england-wales', asOf: '', mode: 'single' });
+  });
+
+  it('reads the first of repeated params', () => {
+    expect(parseQueryState({ name: ['Jack', 'Harry'] }).name).toBe('Jack');
+  });
+
+  it('skips empty comparison entries and defaults their gender', () => {
+    expect(parseQueryState({ compare: 'Jack,,Harry:unknown, :female' }).comparison).toEqual([
+      { name: 'Jack', gender: 'male' },
+      { name: 'Harry', gender: 'male' }
+    ]);
+  });
+});
+
+describe('buildQueryState', () => {
+  it('leaves out the defaults', () => {
+    expect(buildQueryState(DEFAULTS)).toEqual({});
+  });
+
+  it('only keeps excluded members of a name family', () => {
+    expect(buildQueryState({ ...DEFAULTS, name: 'Mohammed', excluded: ['Mohamed'] })).toEqual({ name: 'Mohammed' });
+  });
+});
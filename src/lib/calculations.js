@@ -4,55 +4,186 @@
  * This module calculates age distributions for given names based on:
  * 1. Birth data (number of babies given the name each year)
  * 2. Life tables (survival probabilities by age)
+ * 3. Optionally, net migration factors by birth year and age, or a
+ *    calibration of each birth year to the mid-year population
  */
 
-const CURRENT_YEAR = 2025;
+// Births before this year are estimated from historical rankings rather than counted
+const FIRST_EXACT_YEAR = 1996;
+
+// ONS suppresses counts under 3 ("[x]"), stored as null in the baby names
+// data. Those years count as `births`, within the range low-high.
+export const SUPPRESSED_BIRTHS = { births: 1, low: 0, high: 2 };
+
+/**
+ * Add two births counts for the same year
+ *
+ * A count is the births, null where ONS suppressed it, or
+ * { births, suppressed } where several counts were added together:
+ * the published births and how many suppressed counts are in the sum.
+ *
+ * @param {number|null|Object|undefined} a - Births count (undefined for none yet)
+ * @param {number|null|Object} b - Births count
+ * @returns {number|null|Object} - The sum, in the same form
+ */
+export function addBirthCounts(a, b) {
+  if (a === undefined) {
+    return b;
+  }
+
+  const births = getPublishedBirths(a) + getPublishedBirths(b);
+  const suppressed = countSuppressed(a) + countSuppressed(b);
+
+  if (suppressed === 0) {
+    return births;
+  }
+
+  return births === 0 && suppressed === 1 ? null : { births, suppressed };
+}
+
+/**
+ * Published births in a count (see addBirthCounts)
+ * @param {number|null|Object} count - Births count
+ * @returns {number} - Births, without the suppressed ones
+ */
+function getPublishedBirths(count) {
+  return count !== null && typeof count === 'object' ? count.births : count || 0;
+}
+
+/**
+ * Suppressed counts in a count (see addBirthCounts)
+ * @param {number|null|Object} count - Births count
+ * @returns {number} - How many suppressed counts it includes
+ */
+function countSuppressed(count) {
+  if (count === null) {
+    return 1;
+  }
+
+  return typeof count === 'object' ? count.suppressed : 0;
+}
+
+/**
+ * Impute a births count, each suppressed count in it from SUPPRESSED_BIRTHS
+ * @param {number|null|Object} count - Births count (see addBirthCounts)
+ * @returns {Object} - { births, suppressed: { low, high } of the births, or null if none was suppressed }
+ */
+export function imputeBirths(count) {
+  const births = getPublishedBirths(count);
+  const suppressed = countSuppressed(count);
+
+  return {
+    births: births + suppressed * SUPPRESSED_BIRTHS.births,
+    suppressed: suppressed > 0
+      ? { low: births + suppressed * SUPPRESSED_BIRTHS.low, high: births + suppressed * SUPPRESSED_BIRTHS.high }
+      : null
+  };
+}
+
+// Defaults for calculateStatsWithUncertainty
+const UNCERTAINTY_DEFAULTS = {
+  samples: 500,
+  interval: 0.9, // 90% interval (5th-95th percentile of the simulations)
+  estimatedBirthsError: 0.4, // Log-normal sigma for estimated (pre-1996) birth counts
+  mortalityError: 0.1, // Log-normal sigma applied to cumulative mortality (hazard)
+  firstExactYear: FIRST_EXACT_YEAR, // Birth counts from this year on are exact (see getDataVintage)
+  seed: 1
+};
+
+/**
+ * Resolve the reference ("as of") year used for all age calculations
+ *
+ * @param {Date|string|number} [asOf] - Reference date, ISO date string or year (defaults to today)
+ * @returns {number} - Reference year (e.g., 2025)
+ */
+export function getReferenceYear(asOf) {
+  if (typeof asOf === 'number' && Number.isFinite(asOf)) {
+    return Math.floor(asOf);
+  }
+
+  // Read the year straight from ISO strings so time zones can't shift it
+  if (typeof asOf === 'string' && /^\d{4}-\d{2}-\d{2}/.test(asOf)) {
+    return parseInt(asOf.slice(0, 4), 10);
+  }
+
+  const date = asOf ? new Date(asOf) : new Date();
+
+  if (isNaN(date.getTime())) {
+    return new Date().getFullYear();
+  }
+
+  return date.getFullYear();
+}
+
+/**
+ * Look up the probability that someone born in a year is alive at an age
+ *
+ * @param {Object} lifeTablesData - Life tables: { "1996": [1.0, 0.999, ...], ... }
+ * @param {number} year - Birth year
+ * @param {number} age - Age at the reference date
+ * @returns {number} - Survival probability (0-1)
+ */
+export function getSurvivalProbability(lifeTablesData, year, age) {
+  if (lifeTablesData[year] && lifeTablesData[year][age] !== undefined) {
+    return lifeTablesData[year][age];
+  }
+
+  // Fallback: use most recent year's life table, or estimate
+  const availableYears = Object.keys(lifeTablesData).map(Number).sort((a, b) => b - a);
+  const closestYear = availableYears.find(y => lifeTablesData[y][age] !== undefined);
+
+  if (closestYear && lifeTablesData[closestYear][age] !== undefined) {
+    return lifeTablesData[closestYear][age];
+  }
+
+  // Simple approximation if no data available
+  return Math.max(0, 1 - (age * 0.012));
+}
 
 /**
  * Calculate age distribution for a given name
  *
+ * Ages are measured at the reference date, so cohorts born after it are
+ * excluded and survival is looked up at each cohort's age on that date.
+ *
+ * Years whose count ONS suppressed (null), or whose summed count includes
+ * suppressed ones, are imputed (see imputeBirths) and marked with
+ * `suppressed: { births: { low, high }, living: { low, high } }`.
+ *
  * @param {string} name - The name to analyze
  * @param {string} gender - 'male' or 'female'
- * @param {Object} babyNamesData - Baby names data: { "1996": 4532, "1997": 5123, ... }
+ * @param {Object} babyNamesData - Baby names data: { "1996": 4532, "1997": 5123, "1998": null, "1999": { births: 4, suppressed: 1 }, ... }
  * @param {Object} lifeTablesData - Life tables: { "1996": [1.0, 0.999, ...], "1997": [...], ... }
- * @returns {Array} - Array of {year, births, living, age} objects
+ * @param {Date|string|number} [asOf] - Reference date (defaults to today)
+ * @returns {Array} - Array of {year, births, living, age, survival, suppressed?} objects
  */
-export function calculateAgeDistribution(name, gender, babyNamesData, lifeTablesData) {
+export function calculateAgeDistribution(name, gender, babyNamesData, lifeTablesData, asOf) {
   if (!name || !babyNamesData || !lifeTablesData) {
     return [];
   }
 
+  const referenceYear = getReferenceYear(asOf);
   const distribution = [];
   const years = Object.keys(babyNamesData).map(Number).sort((a, b) => a - b);
 
   for (const year of years) {
-    const births = babyNamesData[year] || 0;
+    const { births, suppressed } = imputeBirths(babyNamesData[year]);
 
     // Skip years with no births
     if (births === 0) {
       continue;
     }
 
-    // Calculate current age for this birth cohort
-    const age = CURRENT_YEAR - year;
+    // Skip cohorts not yet born at the reference date
+    if (year > referenceYear) {
+      continue;
+    }
+
+    // Calculate age at the reference date for this birth cohort
+    const age = referenceYear - year;
 
     // Get survival probability for this age from life tables
-    let survivalProbability = 1.0;
-
-    if (lifeTablesData[year] && lifeTablesData[year][age] !== undefined) {
-      survivalProbability = lifeTablesData[year][age];
-    } else {
-      // Fallback: use most recent year's life table, or estimate
-      const availableYears = Object.keys(lifeTablesData).map(Number).sort((a, b) => b - a);
-      const closestYear = availableYears.find(y => lifeTablesData[y][age] !== undefined);
-
-      if (closestYear && lifeTablesData[closestYear][age] !== undefined) {
-        survivalProbability = lifeTablesData[closestYear][age];
-      } else {
-        // Simple approximation if no data available
-        survivalProbability = Math.max(0, 1 - (age * 0.012));
-      }
-    }
+    const survivalProbability = getSurvivalProbability(lifeTablesData, year, age);
 
     // Calculate estimated living population
     const living = Math.round(births * survivalProbability);
@@ -61,13 +192,361 @@ export function calculateAgeDistribution(name, gender, babyNamesData, lifeTables
       year,
       births,
       living,
-      age
+      age,
+      survival: survivalProbability,
+      ...(suppressed && {
+        suppressed: {
+          births: suppressed,
+          living: {
+            low: Math.round(suppressed.low * survivalProbability),
+            high: Math.round(suppressed.high * survivalProbability)
+          }
+        }
+      })
     });
   }
 
   return distribution;
 }
 
+/**
+ * Look up the net migration factor for someone born in a year at an age
+ *
+ * Migration factors (see scripts/pipeline/migration.js) multiply a birth
+ * cohort's survivors by the net migration into or out of it. Cohorts born
+ * after the last year of migration data have none, and older ages keep the
+ * factor reached in that year.
+ *
+ * @param {Object} migrationData - Migration factors: { "1990": [1, 1, ..., 1.08], ... }
+ * @param {number} year - Birth year
+ * @param {number} age - Age at the reference date
+ * @returns {number} - Factor (1 for no net migration)
+ */
+export function getMigrationFactor(migrationData, year, age) {
+  const factors = migrationData && migrationData[year];
+
+  if (!factors || factors.length === 0) {
+    return 1;
+  }
+
+  return factors[Math.min(age, factors.length - 1)];
+}
+
+/**
+ * Look up the calibration factor for someone born in a year
+ *
+ * Calibration (see scripts/pipeline/calibration.js) scales each birth
+ * cohort so that all names together match the mid-year population of its
+ * age. Cohorts in the open-ended oldest age share its factor. Cohorts born
+ * after the population year, or with no names or population to compare,
+ * have none.
+ *
+ * @param {Object} calibrationData - { year, openAge, cohorts: [{ birthYear, age, population, modelled, factor }] }
+ * @param {number} year - Birth year
+ * @returns {number} - Factor (1 for no calibration)
+ */
+export function getCalibrationFactor(calibrationData, year) {
+  if (!calibrationData || year > calibrationData.year) {
+    return 1;
+  }
+
+  const cohort = calibrationData.cohorts[Math.min(calibrationData.year - year, calibrationData.openAge)];
+
+  return (cohort && cohort.factor) || 1;
+}
+
+/**
+ * Compare the living estimates of all names with the population, by birth year
+ *
+ * Sums calibrations of the same year (e.g. both genders, or each nation of
+ * a combined region) age by age. An age counts only if every calibration
+ * has a factor for it, so a nation with no names that year can't make the
+ * others look short.
+ *
+ * @param {Array<Object>} calibrations - Calibrations: { year, openAge, cohorts: [{ birthYear, age, population, modelled, factor }] }
+ * @returns {Array} - [{ birthYear, age, open, population, modelled, factor, residual (percentage) }] by age,
+ *                    with null counts, factor and residual for ages not compared
+ */
+export function calculateCalibrationResiduals(calibrations) {
+  if (!calibrations || calibrations.length === 0) {
+    return [];
+  }
+
+  const { openAge } = calibrations[0];
+
+  return calibrations[0].cohorts.map(({ birthYear, age }) => {
+    const cohorts = calibrations.map(calibration => calibration.cohorts[age]);
+    const compared = cohorts.every(cohort => cohort && cohort.factor);
+    const population = compared ? cohorts.reduce((sum, cohort) => sum + cohort.population, 0) : null;
+    const modelled = compared ? cohorts.reduce((sum, cohort) => sum + cohort.modelled, 0) : null;
+
+    return {
+      birthYear,
+      age,
+      open: age === openAge,
+      population,
+      modelled,
+      factor: compared ? population / modelled : null,
+      residual: compared ? ((modelled - population) / population) * 100 : null
+    };
+  });
+}
+
+/**
+ * Scale one gender's living counts by a factor for each entry
+ *
+ * The count before scaling is kept as `unadjustedLiving` and the factor
+ * under `key`. `survival` stays the life tables' own, so the two can be
+ * told apart.
+ *
+ * @param {Array} distribution - calculateAgeDistribution() result
+ * @param {string} key - 'migration' or 'calibration'
+ * @param {Function} getFactor - Factor for an entry
+ * @returns {Array} - Same entries with scaled `living` (and `suppressed` ranges), plus `unadjustedLiving` and the factor
+ */
+function scaleDistribution(distribution, key, getFactor) {
+  return (distribution || []).map((entry) => {
+    const factor = getFactor(entry);
+    const adjust = births => Math.round(births * entry.survival * factor);
+
+    return {
+      ...entry,
+      living: adjust(entry.births),
+      unadjustedLiving: entry.living,
+      [key]: factor,
+      ...(entry.suppressed && {
+        suppressed: {
+          births: entry.suppressed.births,
+          living: { low: adjust(entry.suppressed.births.low), high: adjust(entry.suppressed.births.high) }
+        }
+      })
+    };
+  });
+}
+
+/**
+ * Adjust one gender's distribution for net migration
+ *
+ * Each year's living count is multiplied by its cohort's migration factor,
+ * kept as `migration`, with the count before adjustment as `unadjustedLiving`.
+ *
+ * @param {Array} distribution - calculateAgeDistribution() result
+ * @param {Object} migrationData - Migration factors for the same gender and region
+ * @returns {Array} - Same entries with adjusted `living` (and `suppressed` ranges), plus `unadjustedLiving` and `migration`
+ */
+export function applyMigration(distribution, migrationData) {
+  return scaleDistribution(distribution, 'migration', entry => getMigrationFactor(migrationData, entry.year, entry.age));
+}
+
+/**
+ * Calibrate one gender's distribution to the mid-year population
+ *
+ * Each year's living count is multiplied by its cohort's calibration
+ * factor, kept as `calibration`, with the count before as `unadjustedLiving`.
+ * The population already counts everyone who moved in or out, so a
+ * calibrated distribution isn't also adjusted for migration.
+ *
+ * @param {Array} distribution - calculateAgeDistribution() result
+ * @param {Object} calibrationData - Calibration for the same gender and region
+ * @returns {Array} - Same entries with calibrated `living` (and `suppressed` ranges), plus `unadjustedLiving` and `calibration`
+ */
+export function applyCalibration(distribution, calibrationData) {
+  return scaleDistribution(distribution, 'calibration', entry => getCalibrationFactor(calibrationData, entry.year));
+}
+
+/**
+ * Sum the unadjusted living counts of migration-adjusted or calibrated entries for the same year
+ *
+ * @param {Array} entries - Distribution entries for one year
+ * @param {number} living - Their summed (adjusted) living count
+ * @returns {Object|null} - { unadjustedLiving, migration or calibration } for the sum, or null if they weren't adjusted
+ */
+function sumAdjustment(entries, living) {
+  const adjusted = entries.find(entry => entry.unadjustedLiving !== undefined);
+
+  if (!adjusted) {
+    return null;
+  }
+
+  const key = adjusted.calibration !== undefined ? 'calibration' : 'migration';
+  const unadjustedLiving = entries.reduce((sum, entry) => sum + (entry.unadjustedLiving ?? entry.living), 0);
+
+  return { unadjustedLiving, [key]: unadjustedLiving > 0 ? living / unadjustedLiving : 1 };
+}
+
+/**
+ * Sum the suppressed ranges of distribution entries for the same year
+ *
+ * A published count is its own range, so the result covers every entry.
+ *
+ * @param {Array} entries - Distribution entries for one year
+ * @returns {Object|null} - { births: { low, high }, living: { low, high } }, or null if none is suppressed
+ */
+function sumSuppressed(entries) {
+  if (!entries.some(entry => entry.suppressed)) {
+    return null;
+  }
+
+  const range = (key) => ({
+    low: entries.reduce((sum, entry) => sum + (entry.suppressed ? entry.suppressed[key].low : entry[key]), 0),
+    high: entries.reduce((sum, entry) => sum + (entry.suppressed ? entry.suppressed[key].high : entry[key]), 0)
+  });
+
+  return { births: range('births'), living: range('living') };
+}
+
+/**
+ * Combine male and female distributions for a name used by both sexes
+ *
+ * Each side has already been through its own life table, so the totals are
+ * simple sums. The per-gender counts are kept on each entry for stacked
+ * charts and the gender split. A year is `suppressed` if either side's is,
+ * with ranges that include the other side's count. Migration-adjusted or
+ * calibrated sides (see applyMigration and applyCalibration) keep their
+ * summed `unadjustedLiving` and overall `migration` or `calibration` factor.
+ *
+ * @param {Array} maleDistribution - calculateAgeDistribution() result for male (may be empty)
+ * @param {Array} femaleDistribution - calculateAgeDistribution() result for female (may be empty)
+ * @returns {Array} - Array of {year, births, living, age, survival, maleBirths, maleLiving, femaleBirths, femaleLiving, suppressed?}
+ */
+export function combineDistributions(maleDistribution, femaleDistribution) {
+  const byYear = new Map();
+
+  const add = (entries, prefix) => {
+    for (const entry of entries || []) {
+      if (!byYear.has(entry.year)) {
+        byYear.set(entry.year, {
+          year: entry.year,
+          age: entry.age,
+          maleBirths: 0,
+          maleLiving: 0,
+          femaleBirths: 0,
+          femaleLiving: 0,
+          sides: []
+        });
+      }
+
+      const combined = byYear.get(entry.year);
+      combined[`${prefix}Births`] = entry.births;
+      combined[`${prefix}Living`] = entry.living;
+      combined.sides.push(entry);
+    }
+  };
+
+  add(maleDistribution, 'male');
+  add(femaleDistribution, 'female');
+
+  return [...byYear.values()]
+    .sort((a, b) => a.year - b.year)
+    .map(entry => {
+      const births = entry.maleBirths + entry.femaleBirths;
+      const living = entry.maleLiving + entry.femaleLiving;
+      const suppressed = sumSuppressed(entry.sides);
+      const adjustment = sumAdjustment(entry.sides, living);
+
+      return {
+        year: entry.year,
+        births,
+        living,
+        age: entry.age,
+        survival: births > 0 ? (adjustment ? adjustment.unadjustedLiving : living) / births : 0,
+        maleBirths: entry.maleBirths,
+        maleLiving: entry.maleLiving,
+        femaleBirths: entry.femaleBirths,
+        femaleLiving: entry.femaleLiving,
+        ...adjustment,
+        ...(suppressed && { suppressed })
+      };
+    });
+}
+
+/**
+ * Combine the distributions for a name in several regions (e.g. England &
+ * Wales and Scotland for Great Britain)
+ *
+ * Each region's births have already been through its own life tables, so
+ * the totals are simple sums, as are the per-gender counts of combined
+ * genders. A year is `suppressed` if any region's is. Migration-adjusted
+ * and calibrated entries are summed as in combineDistributions.
+ *
+ * Each region's exact counts start in a different year (see
+ * getDataVintage), so given those years every entry records how many of its
+ * births are estimates, as `estimatedBirths`, for
+ * calculateStatsWithUncertainty.
+ *
+ * @param {Array<Array>} distributions - calculateAgeDistribution() or combineDistributions() results, one per region
+ * @param {Array<number>} [firstExactYears] - Each region's first year of exact counts, in the same order
+ * @returns {Array} - Array of {year, births, living, age, survival, suppressed?, estimatedBirths?}, plus the
+ *                    per-gender counts if the inputs have them
+ */
+export function combineRegionDistributions(distributions, firstExactYears) {
+  const byYear = new Map();
+
+  distributions.forEach((distribution, index) => {
+    for (const entry of distribution) {
+      if (!byYear.has(entry.year)) {
+        byYear.set(entry.year, []);
+      }
+      byYear.get(entry.year).push(firstExactYears
+        ? { ...entry, estimatedBirths: entry.year < firstExactYears[index] ? entry.births : 0 }
+        : entry);
+    }
+  });
+
+  const sum = (entries, key) => entries.reduce((total, entry) => total + entry[key], 0);
+
+  return [...byYear.values()]
+    .sort((a, b) => a[0].year - b[0].year)
+    .map(entries => {
+      const births = sum(entries, 'births');
+      const living = sum(entries, 'living');
+      const suppressed = sumSuppressed(entries);
+      const adjustment = sumAdjustment(entries, living);
+      const byGender = entries[0].maleBirths !== undefined && {
+        maleBirths: sum(entries, 'maleBirths'),
+        maleLiving: sum(entries, 'maleLiving'),
+        femaleBirths: sum(entries, 'femaleBirths'),
+        femaleLiving: sum(entries, 'femaleLiving')
+      };
+
+      return {
+        year: entries[0].year,
+        births,
+        living,
+        age: entries[0].age,
+        survival: births > 0 ? (adjustment ? adjustment.unadjustedLiving : living) / births : 0,
+        ...byGender,
+        ...adjustment,
+        ...(suppressed && { suppressed }),
+        ...(firstExactYears && { estimatedBirths: sum(entries, 'estimatedBirths') })
+      };
+    });
+}
+
+/**
+ * Calculate the male/female split of a combined distribution
+ *
+ * @param {Array} distribution - combineDistributions() result
+ * @returns {Object} - { living: { male, female, maleShare }, byYear: [{ year, maleShare }] }
+ *                     with shares as percentages (0-100) of births or of the living
+ */
+export function calculateGenderSplit(distribution) {
+  const male = (distribution || []).reduce((sum, d) => sum + (d.maleLiving || 0), 0);
+  const female = (distribution || []).reduce((sum, d) => sum + (d.femaleLiving || 0), 0);
+
+  return {
+    living: {
+      male,
+      female,
+      maleShare: male + female > 0 ? (male / (male + female)) * 100 : 0
+    },
+    byYear: (distribution || []).map(d => ({
+      year: d.year,
+      maleShare: d.births > 0 ? (d.maleBirths / d.births) * 100 : 0
+    }))
+  };
+}
+
 /**
  * Calculate median age weighted by living population
  *
@@ -185,19 +664,114 @@ export function calculateAgeRange(distribution, lowerPercentile = 10, upperPerce
   };
 }
 
+/**
+ * Express each year's living population as a share of the name's total
+ *
+ * Used to compare names of very different sizes on one chart.
+ *
+ * @param {Array} distribution - Array of {year, births, living, age} objects
+ * @returns {Array} - Same entries with an added `share` (percentage, 0-100)
+ */
+export function calculateLivingShares(distribution) {
+  const totalLiving = calculateTotalLiving(distribution);
+
+  return (distribution || []).map(d => ({
+    ...d,
+    share: totalLiving > 0 ? (d.living / totalLiving) * 100 : 0
+  }));
+}
+
+/**
+ * Count the years with suppressed births and the range they give the total
+ *
+ * @param {Array} distribution - Array of {year, births, living, age, suppressed?} objects
+ * @returns {Object|null} - { years, totalLiving: { low, high } }, or null if no year was suppressed
+ */
+export function calculateSuppressedRange(distribution) {
+  const suppressed = (distribution || []).filter(d => d.suppressed);
+
+  if (suppressed.length === 0) {
+    return null;
+  }
+
+  const total = (key) => (distribution || [])
+    .reduce((sum, d) => sum + (d.suppressed ? d.suppressed.living[key] : d.living), 0);
+
+  return {
+    years: suppressed.length,
+    totalLiving: { low: total('low'), high: total('high') }
+  };
+}
+
+/**
+ * Compare the living total with and without an adjustment
+ *
+ * @param {Array} distribution - Array of {year, living, unadjustedLiving?} objects (see scaleDistribution)
+ * @param {string} key - 'migration' or 'calibration'
+ * @returns {Object|null} - { totalLiving, unadjustedTotalLiving, change (percentage) }, or null if not adjusted that way
+ */
+function calculateAdjustmentEffect(distribution, key) {
+  if (!distribution || !distribution.some(d => d[key] !== undefined)) {
+    return null;
+  }
+
+  const totalLiving = calculateTotalLiving(distribution);
+  const unadjustedTotalLiving = distribution.reduce((sum, d) => sum + (d.unadjustedLiving ?? d.living), 0);
+
+  return {
+    totalLiving,
+    unadjustedTotalLiving,
+    change: unadjustedTotalLiving > 0 ? ((totalLiving - unadjustedTotalLiving) / unadjustedTotalLiving) * 100 : 0
+  };
+}
+
+/**
+ * Compare the living total with and without the migration adjustment
+ *
+ * @param {Array} distribution - Array of {year, living, unadjustedLiving?, migration?} objects (see applyMigration)
+ * @returns {Object|null} - { totalLiving, unadjustedTotalLiving, change (percentage) }, or null if not adjusted
+ */
+export function calculateMigrationEffect(distribution) {
+  return calculateAdjustmentEffect(distribution, 'migration');
+}
+
+/**
+ * Compare the living total with and without calibration
+ *
+ * @param {Array} distribution - Array of {year, living, unadjustedLiving?, calibration?} objects (see applyCalibration)
+ * @returns {Object|null} - { totalLiving, unadjustedTotalLiving, change (percentage) }, or null if not calibrated
+ */
+export function calculateCalibrationEffect(distribution) {
+  return calculateAdjustmentEffect(distribution, 'calibration');
+}
+
 /**
  * Get summary statistics for a name
  *
+ * The distribution's ages already reflect its reference date; pass the same
+ * `asOf` so the summary records which year the figures describe. Combined
+ * (both genders) distributions also get a `genderSplit`, distributions
+ * with suppressed years a `suppressed` range (see calculateSuppressedRange),
+ * migration-adjusted ones a `migration` comparison (see
+ * calculateMigrationEffect) and calibrated ones a `calibration` comparison
+ * (see calculateCalibrationEffect).
+ *
  * @param {Array} distribution - Array of {year, births, living, age} objects
+ * @param {Date|string|number} [asOf] - Reference date (defaults to today)
  * @returns {Object} - Complete statistics summary
  */
-export function calculateStats(distribution) {
+export function calculateStats(distribution, asOf) {
   const totalLiving = calculateTotalLiving(distribution);
   const medianAge = calculateMedianAge(distribution);
   const peakBirthYear = findPeakBirthYear(distribution);
   const ageRange = calculateAgeRange(distribution, 10, 90);
+  const isCombined = distribution.length > 0 && distribution[0].maleLiving !== undefined;
+  const suppressed = calculateSuppressedRange(distribution);
+  const migration = calculateMigrationEffect(distribution);
+  const calibration = calculateCalibrationEffect(distribution);
 
   return {
+    referenceYear: getReferenceYear(asOf),
     totalLiving,
     medianAge,
     peakBirthYear,
@@ -205,6 +779,306 @@ export function calculateStats(distribution) {
     yearRange: {
       earliest: distribution.length > 0 ? distribution[0].year : 0,
       latest: distribution.length > 0 ? distribution[distribution.length - 1].year : 0
+    },
+    ...(isCombined && { genderSplit: calculateGenderSplit(distribution) }),
+    ...(suppressed && { suppressed }),
+    ...(migration && { migration }),
+    ...(calibration && { calibration })
+  };
+}
+
+/**
+ * Estimate the age of one person with the name
+ *
+ * Where calculateStats describes everyone with the name, this answers "how
+ * old is this particular Doris likely to be?". With no other information,
+ * the chance they are a given age is that age's share of the living, so the
+ * normalised living counts are the posterior distribution over age.
+ *
+ * The credible interval is equal-tailed: it leaves at most (1 - interval) / 2
+ * of the probability on each side.
+ *
+ * @param {Array} distribution - Array of {year, births, living, age} objects
+ * @param {Object} [options] - { interval (default 0.9), threshold age (default 65) }
+ * @returns {Object} - { ages: [{ age, probability }], mostLikelyAge, credibleInterval,
+ *                       threshold, probabilityUnder, probabilityAtOrOver }
+ */
+export function calculateAgeEstimate(distribution, { interval = 0.9, threshold = 65 } = {}) {
+  const totalLiving = calculateTotalLiving(distribution);
+  const ages = [...(distribution || [])]
+    .sort((a, b) => a.age - b.age)
+    .map(d => ({ age: d.age, probability: totalLiving > 0 ? d.living / totalLiving : 0 }));
+
+  if (totalLiving === 0) {
+    return {
+      ages,
+      mostLikelyAge: null,
+      credibleInterval: null,
+      threshold,
+      probabilityUnder: null,
+      probabilityAtOrOver: null
+    };
+  }
+
+  const mostLikely = ages.reduce((max, d) => d.probability > max.probability ? d : max, ages[0]);
+
+  // Walk up from the youngest age to find both ends of the interval
+  const tail = (1 - interval) / 2;
+  let cumulative = 0;
+  let low = null;
+  let high = null;
+
+  for (const entry of ages) {
+    cumulative += entry.probability;
+
+    if (low === null && cumulative >= tail) {
+      low = entry.age;
+    }
+    if (high === null && cumulative >= 1 - tail - 1e-9) {
+      high = entry.age;
+      break;
+    }
+  }
+
+  const coverage = ages
+    .filter(d => d.age >= low && d.age <= high)
+    .reduce((sum, d) => sum + d.probability, 0);
+  const probabilityAtOrOver = ages
+    .filter(d => d.age >= threshold)
+    .reduce((sum, d) => sum + d.probability, 0);
+
+  return {
+    ages,
+    mostLikelyAge: mostLikely.age,
+    credibleInterval: { interval, low, high, probability: coverage },
+    threshold,
+    probabilityUnder: 1 - probabilityAtOrOver,
+    probabilityAtOrOver
+  };
+}
+
+/**
+ * Rank names by how many living people of a given age (or age band) have them
+ *
+ * Uses the same births × survival products as calculateAgeDistribution,
+ * including its imputed suppressed counts, but for every name in the
+ * dataset. `probability` is P(name | age): the share of
+ * living people in the band (among names in the dataset) with that name.
+ *
+ * @param {Object} allBabyNamesData - Baby names data for one gender: { "Oliver": { "1996": 4532, ... }, ... }
+ * @param {Object} lifeTablesData - Life tables for the same gender
+ * @param {Object} options - { minAge, maxAge, asOf, limit }
+ * @returns {Object} - { referenceYear, minAge, maxAge, totalLiving, names: [{ name, living, probability }] }
+ */
+export function calculateNamesByAge(allBabyNamesData, lifeTablesData, { minAge, maxAge = minAge, asOf, limit = 100 } = {}) {
+  const referenceYear = getReferenceYear(asOf);
+  const low = Math.max(0, Math.min(minAge, maxAge));
+  const high = Math.max(minAge, maxAge);
+
+  if (!allBabyNamesData || !lifeTablesData || !Number.isFinite(low) || !Number.isFinite(high)) {
+    return { referenceYear, minAge: low, maxAge: high, totalLiving: 0, names: [] };
+  }
+
+  // Survival only depends on birth year, so look it up once per year in the band
+  const cohorts = [];
+  for (let age = low; age <= high; age++) {
+    const year = referenceYear - age;
+    cohorts.push({ year: String(year), survival: getSurvivalProbability(lifeTablesData, year, age) });
+  }
+
+  let totalLiving = 0;
+  const names = [];
+
+  for (const [name, births] of Object.entries(allBabyNamesData)) {
+    let living = 0;
+
+    for (const { year, survival } of cohorts) {
+      if (births[year] !== undefined) {
+        living += imputeBirths(births[year]).births * survival;
+      }
+    }
+
+    if (living > 0) {
+      totalLiving += living;
+      names.push({ name, living });
+    }
+  }
+
+  names.sort((a, b) => b.living - a.living);
+
+  return {
+    referenceYear,
+    minAge: low,
+    maxAge: high,
+    totalLiving: Math.round(totalLiving),
+    names: (limit ? names.slice(0, limit) : names).map(({ name, living }) => ({
+      name,
+      living: Math.round(living),
+      probability: totalLiving > 0 ? living / totalLiving : 0
+    }))
+  };
+}
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32)
+ *
+ * Seeding keeps the simulated bounds stable between re-renders.
+ *
+ * @param {number} seed - Integer seed
+ * @returns {Function} - Returns a number in [0, 1) on each call
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Draw a log-normal multiplier with median 1
+ *
+ * @param {Function} random - Random number generator
+ * @param {number} sigma - Standard deviation of the underlying normal
+ * @returns {number} - Multiplier (e.g., 0.8 or 1.25)
+ */
+function randomLogNormal(random, sigma) {
+  if (!sigma) {
+    return 1;
+  }
+
+  // Box-Muller transform
+  const u1 = 1 - random();
+  const u2 = random();
+  const normal = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+
+  return Math.exp(sigma * normal);
+}
+
+/**
+ * Get a quantile of a list of numbers
+ *
+ * @param {Array<number>} values - Values (need not be sorted)
+ * @param {number} q - Quantile between 0 and 1
+ * @returns {number} - Value at that quantile
+ */
+function quantile(values, q) {
+  if (values.length === 0) {
+    return 0;
+  }
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const index = Math.min(sorted.length - 1, Math.max(0, Math.round(q * (sorted.length - 1))));
+
+  return sorted[index];
+}
+
+/**
+ * Get summary statistics with uncertainty bounds
+ *
+ * Runs a Monte Carlo simulation over the two main sources of error:
+ * - Estimated birth counts (pre-1996, from historical rankings), with one
+ *   log-normal error per decade since each decade comes from one ranking
+ * - Mortality, scaling each simulation's cumulative hazard up or down
+ *   (survival ** factor), so certain survival or death stays certain
+ * - Suppressed birth counts, drawn as a whole number within their range
+ *
+ * Published birth counts (from `firstExactYear`, 1996 for ONS) are not
+ * perturbed, nor are migration or calibration factors (see applyMigration
+ * and applyCalibration). Entries that say how many of their births are
+ * estimated (`estimatedBirths`, see combineRegionDistributions) only have
+ * those perturbed, whatever `firstExactYear` is.
+ *
+ * @param {Array} distribution - Array of {year, births, living, age, survival, estimatedBirths?} objects
+ * @param {Date|string|number} [asOf] - Reference date (defaults to today)
+ * @param {Object} [options] - { samples, interval, estimatedBirthsError, mortalityError, firstExactYear, seed }
+ * @returns {Object} - calculateStats() result plus an `uncertainty` object with low/high bounds
+ */
+export function calculateStatsWithUncertainty(distribution, asOf, options = {}) {
+  const stats = calculateStats(distribution, asOf);
+  const { samples, interval, estimatedBirthsError, mortalityError, firstExactYear, seed } = {
+    ...UNCERTAINTY_DEFAULTS,
+    ...options
+  };
+
+  if (!distribution || distribution.length === 0) {
+    return { ...stats, uncertainty: null };
+  }
+
+  const random = createRandom(seed);
+  const totals = [];
+  const medians = [];
+  const lowerAges = [];
+  const upperAges = [];
+  const livingByYear = distribution.map(() => []);
+
+  for (let i = 0; i < samples; i++) {
+    const decadeFactors = {};
+    const mortalityFactor = randomLogNormal(random, mortalityError);
+
+    const sample = distribution.map((entry, index) => {
+      let births = entry.births;
+      const estimatedBirths = entry.estimatedBirths ?? (entry.year < firstExactYear ? entry.births : 0);
+
+      if (estimatedBirths > 0) {
+        const decade = Math.floor(entry.year / 10);
+        if (decadeFactors[decade] === undefined) {
+          decadeFactors[decade] = randomLogNormal(random, estimatedBirthsError);
+        }
+        births += estimatedBirths * (decadeFactors[decade] - 1);
+      } else if (entry.suppressed) {
+        // One draw from SUPPRESSED_BIRTHS' range for each suppressed count in the year
+        const { low, high } = entry.suppressed.births;
+        const width = SUPPRESSED_BIRTHS.high - SUPPRESSED_BIRTHS.low;
+        births = low;
+        for (let n = 0; n < (high - low) / width; n++) {
+          births += Math.floor(random() * (width + 1));
+        }
+      }
+
+      const survival = entry.survival ?? (entry.births > 0 ? entry.living / entry.births : 0);
+      const living = births * Math.pow(Math.min(1, Math.max(0, survival)), mortalityFactor) * (entry.migration ?? entry.calibration ?? 1);
+
+      livingByYear[index].push(living);
+
+      return { year: entry.year, age: entry.age, births, living };
+    });
+
+    const range = calculateAgeRange(sample, 10, 90);
+
+    totals.push(calculateTotalLiving(sample));
+    medians.push(calculateMedianAge(sample));
+    lowerAges.push(range.lower);
+    upperAges.push(range.upper);
+  }
+
+  const lowQ = (1 - interval) / 2;
+  const highQ = 1 - lowQ;
+  const bounds = (values, round = Math.round) => ({
+    low: round(quantile(values, lowQ)),
+    high: round(quantile(values, highQ))
+  });
+
+  return {
+    ...stats,
+    uncertainty: {
+      interval,
+      samples,
+      totalLiving: bounds(totals),
+      medianAge: bounds(medians),
+      ageRange: {
+        lower: bounds(lowerAges),
+        upper: bounds(upperAges)
+      },
+      byYear: distribution.map((entry, index) => ({
+        year: entry.year,
+        livingLow: Math.round(quantile(livingByYear[index], lowQ)),
+        livingHigh: Math.round(quantile(livingByYear[index], highQ))
+      }))
     }
   };
 }
@@ -0,0 +1,143 @@
+/**
+ * Persistent Data Cache
+ *
+ * Keeps downloaded data files in IndexedDB so later visits (and offline
+ * visits) don't download them again:
+ * - files: parsed JSON by dataset version and path ("743abf032b57:/data/names/o.json")
+ * - meta: the dataset manifest in use, which carries the dataset version
+ *
+ * Works on the page and in the data worker. Where IndexedDB isn't available
+ * (server, Node scripts, some private browsing modes) every read misses and
+ * writes do nothing, so callers just fetch as before.
+ */
+
+const DB_NAME = 'uk-name-age-calculator';
+const DB_VERSION = 1;
+const FILES_STORE = 'files';
+const META_STORE = 'meta';
+
+let dbPromise = null;
+
+/**
+ * Open (and on first use, create) the database
+ *
+ * @returns {Promise<IDBDatabase|null>} - Database, or null if unavailable
+ */
+function openDatabase() {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.resolve(null);
+  }
+
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(FILES_STORE);
+        request.result.createObjectStore(META_STORE);
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.error('Could not open data cache:', request.error);
+        resolve(null);
+      };
+    });
+  }
+
+  return dbPromise;
+}
+
+/**
+ * Run one request against a store
+ *
+ * Failures are logged and treated as a miss, since the cache is only an
+ * optimisation.
+ *
+ * @param {string} storeName - Object store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} makeRequest - (store) => IDBRequest
+ * @returns {Promise<*>} - Request result, or null on failure
+ */
+async function runRequest(storeName, mode, makeRequest) {
+  const db = await openDatabase();
+
+  if (!db) {
+    return null;
+  }
+
+  return new Promise((resolve) => {
+    try {
+      const request = makeRequest(db.transaction(storeName, mode).objectStore(storeName));
+      request.onsuccess = () => resolve(request.result ?? null);
+      request.onerror = () => {
+        console.error(`Data cache ${mode} failed:`, request.error);
+        resolve(null);
+      };
+    } catch (error) {
+      console.error(`Data cache ${mode} failed:`, error);
+      resolve(null);
+    }
+  });
+}
+
+/**
+ * Get a cached data file
+ *
+ * @param {string} version - Dataset version
+ * @param {string} path - File path (e.g., "/data/names/o.json")
+ * @returns {Promise<Object|null>} - Parsed JSON, or null if not cached
+ */
+export function getCachedFile(version, path) {
+  return runRequest(FILES_STORE, 'readonly', store => store.get(`${version}:${path}`));
+}
+
+/**
+ * List the data files cached for a dataset version
+ *
+ * @param {string} version - Dataset version
+ * @returns {Promise<Array<string>|null>} - File paths (e.g., "/data/names/o.json"), or null if
+ *                                         there is no cache
+ */
+export async function getCachedPaths(version) {
+  const keys = await runRequest(FILES_STORE, 'readonly', store => store.getAllKeys());
+
+  return keys && keys
+    .filter(key => key.startsWith(`${version}:`))
+    .map(key => key.slice(version.length + 1));
+}
+
+/**
+ * Cache a data file
+ *
+ * @param {string} version - Dataset version
+ * @param {string} path - File path
+ * @param {Object} data - Parsed JSON
+ * @returns {Promise<void>}
+ */
+export async function setCachedFile(version, path, data) {
+  await runRequest(FILES_STORE, 'readwrite', store => store.put(data, `${version}:${path}`));
+}
+
+/**
+ * Get the dataset manifest in use
+ *
+ * @returns {Promise<Object|null>} - Manifest (with its `version`), or null on a first visit
+ */
+export function getCachedManifest() {
+  return runRequest(META_STORE, 'readonly', store => store.get('manifest'));
+}
+
+/**
+ * Switch to a data release: store its manifest and drop other versions' files
+ *
+ * @param {Object} manifest - Dataset manifest (with its `version`)
+ * @returns {Promise<void>}
+ */
+export async function setCachedManifest(manifest) {
+  await runRequest(META_STORE, 'readwrite', store => store.put(manifest, 'manifest'));
+
+  const keys = await runRequest(FILES_STORE, 'readonly', store => store.getAllKeys());
+  const stale = (keys || []).filter(key => !key.startsWith(`${manifest.version}:`));
+
+  await Promise.all(stale.map(key => runRequest(FILES_STORE, 'readwrite', store => store.delete(key))));
+}
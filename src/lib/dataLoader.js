@@ -1,97 +1,588 @@
 /**
  * Data Loader Module
  *
- * Handles fetching and caching of baby names and life tables data
+ * Handles fetching and caching of baby names and life tables data.
+ * The calculator page loads names a shard at a time (see
+ * scripts/pipeline/name-shards.mjs); other pages load the full files.
+ *
+ * The dataset manifest (public/data/manifest.json, written by the pipeline)
+ * is read first: it names the data release and each file's hash and
+ * provenance. Files are kept in IndexedDB by dataset version (see
+ * dataCache.js), so later and offline visits use the same data release until
+ * the user accepts a newer one (checkForDataUpdate / applyDataUpdate). Files
+ * not cached yet come from the server and are checked against the
+ * manifest's hash before they are cached: if the server has moved on to a
+ * newer release, the app switches to it rather than mixing releases.
+ * prefetchDataFiles downloads the rest of the calculator's files in the
+ * background so it works offline for any name.
+ *
+ * Each nation's files are loaded by region (see regions.js), England & Wales
+ * by default.
  */
 
-// In-memory cache to avoid repeated fetches
+import { getCachedFile, getCachedPaths, setCachedFile, getCachedManifest, setCachedManifest } from './dataCache.js';
+import { DEFAULT_REGION, getRegionDataPath, getRegionMembers } from './regions.js';
+
+const MANIFEST_PATH = '/data/manifest.json';
+
+// Thrown when a downloaded file turns out to be from a newer release (see fetchVersionedJSON)
+const RELEASE_CHANGED_MESSAGE = 'The data has been updated since this page loaded. Please reload the page.';
+
+// In-memory cache to avoid repeated fetches, by path under /data
 let cache = {
-  babyNamesBoys: null,
-  babyNamesGirls: null,
-  lifeTablesMale: null,
-  lifeTablesFemale: null
+  manifest: null,
+  babyNames: {},
+  lifeTables: {},
+  migration: {},
+  calibration: {},
+  nameIndex: {},
+  nameShards: {}
 };
 
 /**
  * Fetch JSON data from public directory
  *
  * @param {string} path - Path to JSON file (relative to /public)
+ * @param {Object} [options] - fetch() options
  * @returns {Promise<Object>} - Parsed JSON data
  */
-async function fetchJSON(path) {
-  const response = await fetch(path);
+async function fetchJSON(path, options) {
+  return await (await fetchResponse(path, options)).json();
+}
+
+/**
+ * Fetch a file from the public directory, failing on an error status
+ *
+ * @param {string} path - Path to the file (relative to /public)
+ * @param {Object} [options] - fetch() options
+ * @returns {Promise<Response>} - The response
+ */
+async function fetchResponse(path, options) {
+  const response = await fetch(path, options);
 
   if (!response.ok) {
     throw new Error(`Failed to fetch ${path}: ${response.status} ${response.statusText}`);
   }
 
-  return await response.json();
+  return response;
+}
+
+/**
+ * The error a loader throws for a failed load
+ *
+ * A release change keeps its own message, since reloading the page is the
+ * fix rather than processing the data or trying again.
+ *
+ * @param {Error} error - The error the load failed with
+ * @param {string} message - Message for any other failure
+ * @returns {Error} - Error to throw
+ */
+function loaderError(error, message) {
+  return error.message === RELEASE_CHANGED_MESSAGE ? error : new Error(message);
+}
+
+/**
+ * SHA-256 of a file's bytes, as the pipeline records it in the manifest
+ *
+ * @param {ArrayBuffer} bytes - File contents
+ * @returns {Promise<string|null>} - Hex digest, or null where Web Crypto isn't available (insecure origins)
+ */
+async function hashBytes(bytes) {
+  if (typeof crypto === 'undefined' || !crypto.subtle) {
+    return null;
+  }
+
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Load the dataset manifest
+ *
+ * This is the manifest of the data release in use: the cached one if there
+ * is one, otherwise the server's (which then becomes the one in use).
+ *
+ * @returns {Promise<Object>} - { version, generatedAt, files: { "baby-names-boys.json": { sources, releaseYear, years, records, sha256, ... } } }
+ */
+export async function loadManifest() {
+  if (!cache.manifest) {
+    cache.manifest = (async () => {
+      const cached = await getCachedManifest();
+
+      if (cached) {
+        return cached;
+      }
+
+      const manifest = await fetchJSON(MANIFEST_PATH);
+      await setCachedManifest(manifest);
+      return manifest;
+    })().catch((error) => {
+      cache.manifest = null;
+      console.error('Error loading data manifest:', error);
+      throw loaderError(error, `Could not load data manifest. Please ensure data files have been processed.`);
+    });
+  }
+
+  return cache.manifest;
+}
+
+/**
+ * Fetch a data file, from IndexedDB when this dataset version has it
+ *
+ * The file's hash goes in the URL so the browser's HTTP cache can't return
+ * another release's copy. The server only has its latest release, though,
+ * so a downloaded file is checked against the hash before it is cached. A
+ * file from another release means the server has moved on: the app switches
+ * to the server's release, dropping the old one's cached files, and the
+ * page has to reload. Files that can't be checked (not in the manifest, or
+ * no Web Crypto) are used but not cached.
+ *
+ * @param {string} path - Path to JSON file (relative to /public)
+ * @returns {Promise<Object>} - Parsed JSON data
+ */
+async function fetchVersionedJSON(path) {
+  const { version, files } = await loadManifest();
+  const cached = await getCachedFile(version, path);
+
+  if (cached) {
+    return cached;
+  }
+
+  const entry = files[path.replace(/^\/data\//, '')];
+
+  if (!entry) {
+    return fetchJSON(path);
+  }
+
+  const bytes = await (await fetchResponse(`${path}?v=${entry.sha256.slice(0, 12)}`)).arrayBuffer();
+  const data = JSON.parse(new TextDecoder().decode(bytes));
+  const sha256 = await hashBytes(bytes);
+
+  if (sha256 === null) {
+    return data;
+  }
+
+  if (sha256 !== entry.sha256) {
+    await applyDataUpdate(await fetchJSON(MANIFEST_PATH, { cache: 'no-store' }));
+    throw new Error(RELEASE_CHANGED_MESSAGE);
+  }
+
+  await setCachedFile(version, path, data);
+  return data;
+}
+
+/**
+ * Download every file the calculator reads that isn't cached yet
+ *
+ * Files are otherwise cached as they are first used, which would leave the
+ * names in shards never loaded (and regions never selected) unavailable
+ * offline. The full baby-names files, for the other pages and the API, are
+ * left out. Files download one at a time; a failure stops the run, and the
+ * next visit carries on where it left off.
+ *
+ * @returns {Promise<number>} - How many files were downloaded (0 without IndexedDB)
+ */
+export async function prefetchDataFiles() {
+  const { version, files } = await loadManifest();
+  const paths = await getCachedPaths(version);
+
+  // Without IndexedDB there is nowhere to keep them
+  if (!paths) {
+    return 0;
+  }
+
+  const cached = new Set(paths);
+  const missing = Object.keys(files)
+    .filter(file => file.endsWith('.json') && !/(^|\/)baby-names-[^/]+\.json$/.test(file))
+    .map(file => `/data/${file}`)
+    .filter(path => !cached.has(path));
+
+  for (const path of missing) {
+    await fetchVersionedJSON(path);
+  }
+
+  return missing.length;
 }
 
 /**
  * Load baby names data for a specific gender
  *
  * @param {string} gender - 'male' or 'female'
+ * @param {string} [region] - Region id with its own data files (see regions.js)
  * @returns {Promise<Object>} - Baby names data: { "Oliver": { "1996": 4532, ... }, ... }
  */
-export async function loadBabyNames(gender) {
-  const cacheKey = gender === 'male' ? 'babyNamesBoys' : 'babyNamesGirls';
-  const filename = gender === 'male' ? 'baby-names-boys.json' : 'baby-names-girls.json';
+export async function loadBabyNames(gender, region = DEFAULT_REGION) {
+  const filePath = getRegionDataPath(region, gender === 'male' ? 'baby-names-boys.json' : 'baby-names-girls.json');
 
   // Return from cache if available
-  if (cache[cacheKey]) {
-    return cache[cacheKey];
+  if (cache.babyNames[filePath]) {
+    return cache.babyNames[filePath];
   }
 
   try {
-    const data = await fetchJSON(`/data/${filename}`);
-    cache[cacheKey] = data;
+    const data = await fetchVersionedJSON(`/data/${filePath}`);
+    cache.babyNames[filePath] = data;
     return data;
   } catch (error) {
     console.error(`Error loading baby names data for ${gender}:`, error);
-    throw new Error(`Could not load baby names data. Please ensure data files have been processed.`);
+    throw loaderError(error, `Could not load baby names data. Please ensure data files have been processed.`);
   }
 }
 
 /**
- * Load life tables data for a specific gender
+ * Load the name shard index
+ *
+ * @param {string} [region] - Region id with its own data files (see regions.js)
+ * @returns {Promise<Object>} - { startYear, endYear, shards: ["a", ...], popular: { male: [[name, living], ...], female: [...] } }
+ */
+export async function loadNameIndex(region = DEFAULT_REGION) {
+  const filePath = getRegionDataPath(region, 'names/index.json');
+
+  if (!cache.nameIndex[filePath]) {
+    cache.nameIndex[filePath] = fetchVersionedJSON(`/data/${filePath}`).catch((error) => {
+      delete cache.nameIndex[filePath];
+      console.error('Error loading name index:', error);
+      throw loaderError(error, `Could not load name index. Please ensure data files have been processed.`);
+    });
+  }
+
+  return cache.nameIndex[filePath];
+}
+
+/**
+ * Check the server for a newer data release than the one in use
+ *
+ * @returns {Promise<Object|null>} - The newer release's manifest, or null
+ *                                   if there is none (or the server can't be reached)
+ */
+export async function checkForDataUpdate() {
+  try {
+    const [current, latest] = await Promise.all([
+      getCachedManifest(),
+      fetchJSON(MANIFEST_PATH, { cache: 'no-store' })
+    ]);
+
+    return current && latest.version !== current.version ? latest : null;
+  } catch (error) {
+    // Offline: keep using the cached release
+    return null;
+  }
+}
+
+/**
+ * Switch to a newer data release from checkForDataUpdate()
+ *
+ * Reload the page afterwards: data already loaded (including in the data
+ * worker) is from the old release.
+ *
+ * @param {Object} manifest - The newer release's manifest
+ * @returns {Promise<void>}
+ */
+export async function applyDataUpdate(manifest) {
+  await setCachedManifest(manifest);
+  clearCache();
+}
+
+/**
+ * Describe the data release for display, from the baby names files' entries
+ *
+ * For a combined region the years span all its members, and exact counts
+ * start in the year no member's births are estimated any more. A member
+ * whose data starts later (Scotland's in 1974, say) has no births at all
+ * before then, rather than estimated ones; `members` gives each one's own
+ * years (see formatCoverageGaps).
+ *
+ * @param {Object} manifest - Dataset manifest
+ * @param {string} [region] - Region id (see regions.js)
+ * @returns {Object|null} - { releaseYear, startYear, endYear, exactStartYear, members: [{ region, startYear,
+ *                          endYear, exactStartYear }] } (exactStartYear: first year of exact counts rather
+ *                          than estimates), or null if unknown
+ */
+export function getDataVintage(manifest, region = DEFAULT_REGION) {
+  const vintages = getRegionMembers(region).map((member) => {
+    const entries = ['baby-names-boys.json', 'baby-names-girls.json']
+      .map(file => manifest && manifest.files[getRegionDataPath(member, file)])
+      .filter(entry => entry && entry.years);
+
+    if (entries.length === 0) {
+      return null;
+    }
+
+    const exactYears = entries
+      .flatMap(entry => entry.sources)
+      .filter(source => !source.estimated && !source.totals && source.years)
+      .map(source => source.years.start);
+
+    return {
+      region: member,
+      releaseYear: Math.max(...entries.map(entry => entry.releaseYear || 0)) || null,
+      startYear: Math.min(...entries.map(entry => entry.years.start)),
+      endYear: Math.max(...entries.map(entry => entry.years.end)),
+      exactStartYear: exactYears.length > 0 ? Math.min(...exactYears) : null
+    };
+  });
+
+  if (vintages.length === 0 || vintages.includes(null)) {
+    return null;
+  }
+
+  const exactStartYears = vintages.map(vintage => vintage.exactStartYear);
+  const estimated = vintages.filter(vintage => vintage.exactStartYear > vintage.startYear);
+
+  return {
+    releaseYear: Math.max(...vintages.map(vintage => vintage.releaseYear || 0)) || null,
+    startYear: Math.min(...vintages.map(vintage => vintage.startYear)),
+    endYear: Math.max(...vintages.map(vintage => vintage.endYear)),
+    exactStartYear: exactStartYears.includes(null) ? null : (estimated.length > 0
+      ? Math.max(...estimated.map(vintage => vintage.exactStartYear))
+      : Math.min(...exactStartYears)),
+    members: vintages.map(({ region: member, startYear, endYear, exactStartYear }) => ({ region: member, startYear, endYear, exactStartYear }))
+  };
+}
+
+/**
+ * Get the years of net migration a region's migration adjustment covers
+ *
+ * The adjustment is optional (see scripts/pipeline/migration.js), so a
+ * release may not have it. A combined region has it only if every member
+ * does, and covers the years they all do.
+ *
+ * @param {Object} manifest - Dataset manifest
+ * @param {string} [region] - Region id (see regions.js)
+ * @returns {Object|null} - { startYear, endYear }, or null if there is no adjustment
+ */
+export function getMigrationYears(manifest, region = DEFAULT_REGION) {
+  const ranges = getRegionMembers(region).flatMap(member => ['male', 'female'].map((gender) => {
+    const entry = manifest && manifest.files[getRegionDataPath(member, `migration-${gender}.json`)];
+    return entry && entry.years;
+  }));
+
+  if (ranges.length === 0 || ranges.some(range => !range)) {
+    return null;
+  }
+
+  return {
+    startYear: Math.max(...ranges.map(range => range.start)),
+    endYear: Math.min(...ranges.map(range => range.end))
+  };
+}
+
+/**
+ * Get the year of the mid-year population a region's calibration matches
+ *
+ * Calibration is optional (see scripts/pipeline/calibration.js), so a
+ * release may not have it. A combined region has it only if every member
+ * does.
+ *
+ * @param {Object} manifest - Dataset manifest
+ * @param {string} [region] - Region id (see regions.js)
+ * @returns {number|null} - Population year, or null if there is no calibration
+ */
+export function getCalibrationYear(manifest, region = DEFAULT_REGION) {
+  const ranges = getRegionMembers(region).flatMap(member => ['male', 'female'].map((gender) => {
+    const entry = manifest && manifest.files[getRegionDataPath(member, `calibration-${gender}.json`)];
+    return entry && entry.years;
+  }));
+
+  if (ranges.length === 0 || ranges.some(range => !range)) {
+    return null;
+  }
+
+  return Math.max(...ranges.map(range => range.end));
+}
+
+/**
+ * Decode one gender's names from a shard
+ *
+ * @param {Object} encodedNames - { "Oliver": [firstYear, births, births, ...], ... }
+ * @returns {Object} - Baby names data: { "Oliver": { "1996": 4532, ... }, ... }
+ */
+function decodeShardNames(encodedNames) {
+  const babyNames = {};
+
+  for (const [name, [firstYear, ...births]] of Object.entries(encodedNames || {})) {
+    const nameData = {};
+
+    births.forEach((count, offset) => {
+      // Years inside the range with no recorded births are stored as 0, and
+      // suppressed counts as null (or in a sum, { births, suppressed })
+      if (count !== 0) {
+        nameData[firstYear + offset] = count;
+      }
+    });
+
+    babyNames[name] = nameData;
+  }
+
+  return babyNames;
+}
+
+/**
+ * Load the names in one shard, for both genders
+ *
+ * Concurrent requests for the same shard share one fetch.
+ *
+ * @param {string} key - Shard key from getShardKey() (e.g., "o")
+ * @param {string} [region] - Region id with its own data files (see regions.js)
+ * @returns {Promise<Object>} - { male: babyNamesData, female: babyNamesData }
+ */
+export async function loadNameShard(key, region = DEFAULT_REGION) {
+  const filePath = getRegionDataPath(region, `names/${key}.json`);
+
+  if (!cache.nameShards[filePath]) {
+    cache.nameShards[filePath] = fetchVersionedJSON(`/data/${filePath}`)
+      .then(shard => ({
+        male: decodeShardNames(shard.male),
+        female: decodeShardNames(shard.female)
+      }))
+      .catch((error) => {
+        delete cache.nameShards[filePath];
+        console.error(`Error loading name shard "${key}":`, error);
+        throw loaderError(error, `Could not load names starting with "${key}". Please try again.`);
+      });
+  }
+
+  return cache.nameShards[filePath];
+}
+
+/**
+ * Normalize a life tables file into { survival, sources }
+ *
+ * Older files are a bare { "1996": [...] } map with no provenance.
+ *
+ * @param {Object} data - Parsed life tables JSON
+ * @returns {Object} - { survival: { "1996": [...] }, sources: { "1996": { type, label } } }
+ */
+export function normalizeLifeTables(data) {
+  if (data && data.survival) {
+    return { survival: data.survival, sources: data.sources || {} };
+  }
+
+  return { survival: data, sources: {} };
+}
+
+/**
+ * Load and cache the life tables file for a specific gender
  *
  * @param {string} gender - 'male' or 'female'
- * @returns {Promise<Object>} - Life tables data: { "1996": [1.0, 0.999, ...], "1997": [...], ... }
+ * @param {string} region - Region id with its own data files (see regions.js)
+ * @returns {Promise<Object>} - { survival, sources }
  */
-export async function loadLifeTables(gender) {
-  const cacheKey = gender === 'male' ? 'lifeTablesMale' : 'lifeTablesFemale';
-  const filename = `life-tables-${gender}.json`;
+async function loadLifeTablesFile(gender, region) {
+  const filePath = getRegionDataPath(region, `life-tables-${gender}.json`);
 
   // Return from cache if available
-  if (cache[cacheKey]) {
-    return cache[cacheKey];
+  if (cache.lifeTables[filePath]) {
+    return cache.lifeTables[filePath];
   }
 
   try {
-    const data = await fetchJSON(`/data/${filename}`);
-    cache[cacheKey] = data;
-    return data;
+    const data = await fetchVersionedJSON(`/data/${filePath}`);
+    cache.lifeTables[filePath] = normalizeLifeTables(data);
+    return cache.lifeTables[filePath];
   } catch (error) {
     console.error(`Error loading life tables data for ${gender}:`, error);
-    throw new Error(`Could not load life tables data. Please ensure data files have been processed.`);
+    throw loaderError(error, `Could not load life tables data. Please ensure data files have been processed.`);
+  }
+}
+
+/**
+ * Load life tables data for a specific gender
+ *
+ * @param {string} gender - 'male' or 'female'
+ * @param {string} [region] - Region id with its own data files (see regions.js)
+ * @returns {Promise<Object>} - Life tables data: { "1996": [1.0, 0.999, ...], "1997": [...], ... }
+ */
+export async function loadLifeTables(gender, region = DEFAULT_REGION) {
+  const { survival } = await loadLifeTablesFile(gender, region);
+  return survival;
+}
+
+/**
+ * Load the provenance of each birth cohort's life table for a specific gender
+ *
+ * @param {string} gender - 'male' or 'female'
+ * @param {string} [region] - Region id with its own data files (see regions.js)
+ * @returns {Promise<Object>} - Sources by birth year: { "1996": { type: 'period', periods: [...], label }, ... }
+ */
+export async function loadLifeTableSources(gender, region = DEFAULT_REGION) {
+  const { sources } = await loadLifeTablesFile(gender, region);
+  return sources;
+}
+
+/**
+ * Load the net migration factors for a specific gender
+ *
+ * @param {string} gender - 'male' or 'female'
+ * @param {string} [region] - Region id with its own data files (see regions.js)
+ * @returns {Promise<Object|null>} - Factors by birth year and age: { "1990": [1, 1, ..., 1.08], ... },
+ *                                   or null if this data release has none for the region
+ */
+export async function loadMigration(gender, region = DEFAULT_REGION) {
+  const filePath = getRegionDataPath(region, `migration-${gender}.json`);
+  const { files } = await loadManifest();
+
+  if (!files[filePath]) {
+    return null;
+  }
+
+  if (!cache.migration[filePath]) {
+    cache.migration[filePath] = fetchVersionedJSON(`/data/${filePath}`)
+      .then(data => data.factors)
+      .catch((error) => {
+        delete cache.migration[filePath];
+        console.error(`Error loading migration data for ${gender}:`, error);
+        throw loaderError(error, `Could not load migration data. Please ensure data files have been processed.`);
+      });
+  }
+
+  return cache.migration[filePath];
+}
+
+/**
+ * Load the calibration to the mid-year population for a specific gender
+ *
+ * @param {string} gender - 'male' or 'female'
+ * @param {string} [region] - Region id with its own data files (see regions.js)
+ * @returns {Promise<Object|null>} - { year, openAge, cohorts: [{ birthYear, age, population, modelled, factor }] },
+ *                                   or null if this data release has none for the region
+ */
+export async function loadCalibration(gender, region = DEFAULT_REGION) {
+  const filePath = getRegionDataPath(region, `calibration-${gender}.json`);
+  const { files } = await loadManifest();
+
+  if (!files[filePath]) {
+    return null;
   }
+
+  if (!cache.calibration[filePath]) {
+    cache.calibration[filePath] = fetchVersionedJSON(`/data/${filePath}`)
+      .catch((error) => {
+        delete cache.calibration[filePath];
+        console.error(`Error loading calibration data for ${gender}:`, error);
+        throw loaderError(error, `Could not load calibration data. Please ensure data files have been processed.`);
+      });
+  }
+
+  return cache.calibration[filePath];
 }
 
 /**
  * Load all data for a specific gender
  *
  * @param {string} gender - 'male' or 'female'
- * @returns {Promise<Object>} - { babyNames, lifeTables }
+ * @param {string} [region] - Region id with its own data files (see regions.js)
+ * @returns {Promise<Object>} - { babyNames, lifeTables, lifeTableSources }
  */
-export async function loadAllData(gender) {
+export async function loadAllData(gender, region = DEFAULT_REGION) {
   try {
-    const [babyNames, lifeTables] = await Promise.all([
-      loadBabyNames(gender),
-      loadLifeTables(gender)
+    const [babyNames, lifeTables, lifeTableSources] = await Promise.all([
+      loadBabyNames(gender, region),
+      loadLifeTables(gender, region),
+      loadLifeTableSources(gender, region)
     ]);
 
-    return { babyNames, lifeTables };
+    return { babyNames, lifeTables, lifeTableSources };
   } catch (error) {
     console.error(`Error loading data for ${gender}:`, error);
     throw error;
@@ -115,8 +606,9 @@ export function nameExists(name, gender, babyNamesData) {
   const normalizedName = name.trim();
   const lowerCaseName = normalizedName.toLowerCase();
 
-  // Check if exact match exists first
-  if (normalizedName in babyNamesData) {
+  // Check if exact match exists first (the data's own names, not inherited
+  // properties like "constructor")
+  if (Object.hasOwn(babyNamesData, normalizedName)) {
     return true;
   }
 
@@ -125,86 +617,83 @@ export function nameExists(name, gender, babyNamesData) {
 }
 
 /**
- * Get name data for a specific name (case-insensitive)
+ * Explain why a name can't be shown for a gender
  *
- * @param {string} name - Name to retrieve
- * @param {Object} babyNamesData - Baby names data object
- * @returns {Object|null} - Name data by year or null if not found
+ * Points the user at the other gender when the name only exists there.
+ * With gender 'all', the name only needs to exist for one of them.
+ *
+ * @param {string} name - Name to check
+ * @param {string} gender - 'male', 'female' or 'all'
+ * @param {Object} babyNamesByGender - { male: babyNamesData, female: babyNamesData }
+ * @returns {string|null} - User-facing message, or null if the name exists for that gender
  */
-export function getNameData(name, babyNamesData) {
-  if (!name || !babyNamesData) {
+export function getNameNotFoundMessage(name, gender, babyNamesByGender) {
+  if (gender === 'all') {
+    const existsForEither = nameExists(name, 'male', babyNamesByGender.male) ||
+      nameExists(name, 'female', babyNamesByGender.female);
+
+    return existsForEither
+      ? null
+      : `"${name}" was not found in the dataset. Please check the spelling or try a different name.`;
+  }
+
+  if (nameExists(name, gender, babyNamesByGender[gender])) {
     return null;
   }
 
-  const normalizedName = name.trim();
+  const otherGender = gender === 'male' ? 'female' : 'male';
 
-  // Try exact match first
-  if (babyNamesData[normalizedName]) {
-    return babyNamesData[normalizedName];
+  if (nameExists(name, otherGender, babyNamesByGender[otherGender])) {
+    return (
+      `"${name}" was not found in ${gender} names, but exists in ${otherGender} names. ` +
+      `Try switching the gender selector.`
+    );
   }
 
-  // Case-insensitive search
-  const lowerCaseName = normalizedName.toLowerCase();
-  const matchingKey = Object.keys(babyNamesData).find(key => key.toLowerCase() === lowerCaseName);
-
-  return matchingKey ? babyNamesData[matchingKey] : null;
+  return (
+    `"${name}" was not found in the dataset. ` +
+    `Please check the spelling or try a different name. ` +
+    `Note: Very rare names may not be included in the data.`
+  );
 }
 
 /**
- * Get list of all available names for autocomplete
+ * Get the dataset's own spelling of a name (case-insensitive)
  *
+ * @param {string} name - Name to look up (e.g., "oliver")
  * @param {Object} babyNamesData - Baby names data object
- * @param {number} limit - Maximum number of names to return
- * @returns {Array<string>} - Array of names sorted alphabetically
+ * @returns {string|null} - Matching key (e.g., "Oliver") or null if not found
  */
-export function getAllNames(babyNamesData, limit = 1000) {
-  if (!babyNamesData) {
-    return [];
+export function getNameKey(name, babyNamesData) {
+  if (!name || !babyNamesData) {
+    return null;
+  }
+
+  const normalizedName = name.trim();
+
+  // Try exact match first (own names only, not "toString" and the like)
+  if (Object.hasOwn(babyNamesData, normalizedName)) {
+    return normalizedName;
   }
 
-  const names = Object.keys(babyNamesData).sort();
+  // Case-insensitive search
+  const lowerCaseName = normalizedName.toLowerCase();
+  const matchingKey = Object.keys(babyNamesData).find(key => key.toLowerCase() === lowerCaseName);
 
-  return limit ? names.slice(0, limit) : names;
+  return matchingKey || null;
 }
 
 /**
- * Search for names matching a query
+ * Get name data for a specific name (case-insensitive)
  *
- * @param {string} query - Search query
+ * @param {string} name - Name to retrieve
  * @param {Object} babyNamesData - Baby names data object
- * @param {number} limit - Maximum number of results
- * @returns {Array<string>} - Array of matching names
+ * @returns {Object|null} - Name data by year or null if not found
  */
-export function searchNames(query, babyNamesData, limit = 20) {
-  if (!query || !babyNamesData) {
-    return [];
-  }
-
-  const normalizedQuery = query.trim().toLowerCase();
-
-  if (normalizedQuery.length === 0) {
-    return [];
-  }
-
-  const allNames = Object.keys(babyNamesData);
-
-  // Find names that start with the query
-  const startsWith = allNames.filter(name =>
-    name.toLowerCase().startsWith(normalizedQuery)
-  );
-
-  // If we have enough matches, return them
-  if (startsWith.length >= limit) {
-    return startsWith.slice(0, limit).sort();
-  }
-
-  // Otherwise, also include names that contain the query
-  const contains = allNames.filter(name =>
-    name.toLowerCase().includes(normalizedQuery) &&
-    !name.toLowerCase().startsWith(normalizedQuery)
-  );
+export function getNameData(name, babyNamesData) {
+  const key = getNameKey(name, babyNamesData);
 
-  return [...startsWith, ...contains].slice(0, limit).sort();
+  return key ? babyNamesData[key] : null;
 }
 
 /**
@@ -212,9 +701,12 @@ export function searchNames(query, babyNamesData, limit = 20) {
  */
 export function clearCache() {
   cache = {
-    babyNamesBoys: null,
-    babyNamesGirls: null,
-    lifeTablesMale: null,
-    lifeTablesFemale: null
+    manifest: null,
+    babyNames: {},
+    lifeTables: {},
+    migration: {},
+    calibration: {},
+    nameIndex: {},
+    nameShards: {}
   };
 }
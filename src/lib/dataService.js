@@ -0,0 +1,84 @@
+/**
+ * Data Service
+ *
+ * The calculator page's access to name data: async `init`, `search`,
+ * `getDistribution` and `getStats` (see lib/dataStore.js). The work runs in a
+ * Web Worker so typing and calculating never block the page; where workers
+ * aren't available the same store runs on the main thread instead.
+ */
+
+import { createDataStore } from './dataStore';
+
+// Methods forwarded to the store
+const METHODS = ['init', 'search', 'getDistribution', 'getStats'];
+
+/**
+ * Create a data service backed by a Web Worker
+ *
+ * @returns {Object} - Store methods that post messages to the worker, plus terminate()
+ */
+function createWorkerService() {
+  const worker = new Worker(new URL('./dataWorker.js', import.meta.url));
+  const pending = new Map();
+  let nextId = 0;
+
+  worker.onmessage = ({ data: { id, result, error } }) => {
+    const request = pending.get(id);
+    if (!request) {
+      return;
+    }
+
+    pending.delete(id);
+    if (error) {
+      request.reject(new Error(error));
+    } else {
+      request.resolve(result);
+    }
+  };
+
+  // A worker that fails to load or crashes can't answer what's pending
+  worker.onerror = (event) => {
+    pending.forEach(request => request.reject(new Error(event.message || 'Data worker failed')));
+    pending.clear();
+  };
+
+  const service = {
+    terminate() {
+      worker.terminate();
+      pending.forEach(request => request.reject(new Error('Data service stopped')));
+      pending.clear();
+    }
+  };
+
+  for (const method of METHODS) {
+    service[method] = (...args) => new Promise((resolve, reject) => {
+      const id = nextId++;
+      pending.set(id, { resolve, reject });
+      worker.postMessage({ id, method, args });
+    });
+  }
+
+  return service;
+}
+
+/**
+ * Create the data service
+ *
+ * @returns {Object} - { init, search, getDistribution, getStats, terminate }, all async except terminate
+ */
+export function createDataService() {
+  if (typeof Worker !== 'undefined') {
+    try {
+      return createWorkerService();
+    } catch (error) {
+      console.error('Could not start data worker, calculating on the main thread:', error);
+    }
+  }
+
+  const store = createDataStore();
+
+  return {
+    ...Object.fromEntries(METHODS.map(method => [method, (...args) => store[method](...args)])),
+    terminate() {}
+  };
+}
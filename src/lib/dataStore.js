@@ -0,0 +1,474 @@
+/**
+ * Name Data Store
+ *
+ * Owns the calculator page's data: the life tables, any net migration
+ * factors and calibration, the name shard index and whichever name shards
+ * have loaded so far, for each region used so far.
+ * Answers searches and calculates distributions and statistics, loading the
+ * shards each request needs. A combined region (see lib/regions.js) is
+ * calculated for each member nation, with its own life tables, and summed.
+ *
+ * Runs inside the data worker (lib/dataWorker.js) so the page stays
+ * responsive, or on the main thread where workers aren't available (see
+ * lib/dataService.js).
+ */
+
+import {
+  loadManifest,
+  getDataVintage,
+  getCalibrationYear,
+  getMigrationYears,
+  loadLifeTables,
+  loadLifeTableSources,
+  loadMigration,
+  loadCalibration,
+  loadNameIndex,
+  loadNameShard,
+  prefetchDataFiles,
+  getNameData,
+  getNameNotFoundMessage
+} from './dataLoader';
+import {
+  applyCalibration,
+  applyMigration,
+  calculateAgeDistribution,
+  calculateStats,
+  calculateStatsWithUncertainty,
+  combineDistributions,
+  combineRegionDistributions
+} from './calculations';
+import { calculateFamilyDistribution, getNameAliases, mergeFamilyMembers } from './nameFamilies';
+import { DEFAULT_REGION, getAvailableRegions, getRegion, getRegionMembers } from './regions';
+import { buildSearchIndex, countLiving, searchNames } from './searchIndex';
+import { getShardKey } from './utils';
+
+/**
+ * Get the name shards needed to calculate a name
+ *
+ * @param {string} name - Name to calculate
+ * @param {boolean} family - Whether spelling variants are counted too
+ * @returns {Array<string>} - Shard keys
+ */
+function getRequiredShards(name, family) {
+  const keys = new Set([getShardKey(name)]);
+
+  // Curated variants can start with another letter (Catherine/Katherine)
+  if (family) {
+    getNameAliases(name).forEach(alias => keys.add(getShardKey(alias)));
+  }
+
+  return [...keys];
+}
+
+/**
+ * Calculate one gender's distribution for a name
+ *
+ * Calibrated to the mid-year population if the data has a calibration, or
+ * else adjusted for net migration if it has migration factors (see
+ * getDatasets).
+ *
+ * @param {string} name - Name to calculate
+ * @param {string} gender - 'male' or 'female'
+ * @param {Object} data - { babyNames, lifeTables, migration, calibration } for the gender
+ * @param {string} asOf - Reference date
+ * @param {Object|null} family - { excluded } to include spelling variants, or null
+ * @returns {Object} - { distribution, members } (distribution is null if the name isn't in the data)
+ */
+function calculateGenderDistribution(name, gender, data, asOf, family) {
+  const adjust = (result) => {
+    if (result.distribution && data.calibration) {
+      return { ...result, distribution: applyCalibration(result.distribution, data.calibration) };
+    }
+    if (result.distribution && data.migration) {
+      return { ...result, distribution: applyMigration(result.distribution, data.migration) };
+    }
+    return result;
+  };
+
+  if (family) {
+    const result = calculateFamilyDistribution(name, gender, data.babyNames, data.lifeTables, {
+      asOf,
+      excluded: family.excluded
+    });
+    return result.members.length > 0 ? adjust(result) : { distribution: null, members: [] };
+  }
+
+  const nameData = getNameData(name, data.babyNames);
+
+  return adjust({
+    distribution: nameData ? calculateAgeDistribution(name, gender, nameData, data.lifeTables, asOf) : null,
+    members: []
+  });
+}
+
+/**
+ * Calculate the distribution for one name
+ *
+ * @param {string} name - Name to calculate
+ * @param {string} gender - 'male', 'female' or 'all' (both combined)
+ * @param {Object} datasets - { male: { babyNames, lifeTables }, female: { ... } }
+ * @param {string} asOf - Reference date
+ * @param {Object|null} family - { excluded } to count spelling variants together
+ * @returns {Object} - { distribution, error, family (members, or null) }
+ */
+function calculateNameDistribution(name, gender, datasets, asOf, family) {
+  const notFoundMessage = getNameNotFoundMessage(name, gender, {
+    male: datasets.male.babyNames,
+    female: datasets.female.babyNames
+  });
+
+  if (notFoundMessage) {
+    return { distribution: [], error: notFoundMessage, family: null };
+  }
+
+  if (gender === 'all') {
+    // Each gender goes through its own life table before the two are summed
+    const [male, female] = ['male', 'female'].map(g => calculateGenderDistribution(name, g, datasets[g], asOf, family));
+
+    return {
+      distribution: combineDistributions(male.distribution, female.distribution),
+      error: null,
+      family: family ? mergeFamilyMembers([male.members, female.members]) : null
+    };
+  }
+
+  const { distribution, members } = calculateGenderDistribution(name, gender, datasets[gender], asOf, family);
+
+  if (!distribution) {
+    return { distribution: [], error: `No data found for "${name}"`, family: null };
+  }
+
+  return { distribution, error: null, family: family ? members : null };
+}
+
+/**
+ * Calculate the distribution for one name in a combined region
+ *
+ * Each member's distribution is calculated as for a single region, then the
+ * members' are summed year by year, noting how many births are estimated
+ * (see combineRegionDistributions). The name only needs to be in one of
+ * them.
+ *
+ * @param {string} name - Name to calculate
+ * @param {string} gender - 'male', 'female' or 'all' (both combined)
+ * @param {Array<Object>} memberDatasets - getDatasets() result for each member region
+ * @param {Array<number>} firstExactYears - Each member region's first year of exact counts
+ * @param {string} asOf - Reference date
+ * @param {Object|null} family - { excluded } to count spelling variants together
+ * @returns {Object} - { distribution, error, family (members, or null) }
+ */
+function calculateCombinedDistribution(name, gender, memberDatasets, firstExactYears, asOf, family) {
+  const results = memberDatasets.map(datasets => calculateNameDistribution(name, gender, datasets, asOf, family));
+  const found = results.map((result, index) => ({ result, firstExactYear: firstExactYears[index] }))
+    .filter(({ result }) => !result.error);
+
+  if (found.length === 0) {
+    return results[0];
+  }
+
+  return {
+    distribution: combineRegionDistributions(
+      found.map(({ result }) => result.distribution),
+      found.map(({ firstExactYear }) => firstExactYear)
+    ),
+    error: null,
+    family: family ? mergeFamilyMembers(found.map(({ result }) => result.family)) : null
+  };
+}
+
+/**
+ * Merge search results from several regions
+ *
+ * A name found in more than one region is listed once, with the numbers
+ * living summed, in the best position any region gave it.
+ *
+ * @param {Array<Array>} resultLists - searchNames() results, one per region
+ * @param {number} limit - Maximum number of results
+ * @returns {Array} - [{ name, gender, living }]
+ */
+function mergeSearchResults(resultLists, limit) {
+  const merged = new Map();
+
+  resultLists.forEach(results => results.forEach(({ name, gender, living }, rank) => {
+    const key = `${name}|${gender}`;
+    const existing = merged.get(key);
+
+    if (existing) {
+      existing.living += living;
+      existing.rank = Math.min(existing.rank, rank);
+    } else {
+      merged.set(key, { name, gender, living, rank });
+    }
+  }));
+
+  return [...merged.values()]
+    .sort((a, b) => a.rank - b.rank || b.living - a.living)
+    .slice(0, limit)
+    .map(({ name, gender, living }) => ({ name, gender, living }));
+}
+
+/**
+ * Create a data store
+ *
+ * @returns {Object} - { init, search, getDistribution, getStats }, all async
+ */
+export function createDataStore() {
+  let manifest = null;
+  let prefetching = null;
+  const regions = {};
+
+  /**
+   * Load a region's life tables and name shard index, once
+   *
+   * @param {string} region - Region id with its own data files
+   * @returns {Promise<Object>} - The region's state: { nameIndex, lifeData, babyNames, loadedShards, living, searchIndex }
+   */
+  async function loadRegion(region) {
+    if (!regions[region]) {
+      const loadLifeData = gender => Promise.all([
+        loadLifeTables(gender, region),
+        loadLifeTableSources(gender, region),
+        loadMigration(gender, region),
+        loadCalibration(gender, region)
+      ]).then(([lifeTables, lifeTableSources, migration, calibration]) => ({ lifeTables, lifeTableSources, migration, calibration }));
+
+      regions[region] = Promise.all([
+        loadNameIndex(region),
+        loadLifeData('male'),
+        loadLifeData('female')
+      ]).then(([nameIndex, male, female]) => ({
+        nameIndex,
+        lifeData: { male, female },
+        babyNames: { male: {}, female: {} },
+        loadedShards: new Set(),
+        living: {
+          male: new Map((nameIndex.popular || {}).male),
+          female: new Map((nameIndex.popular || {}).female)
+        },
+        searchIndex: null
+      })).catch((error) => {
+        delete regions[region];
+        throw error;
+      });
+    }
+
+    return regions[region];
+  }
+
+  /**
+   * Load shards that aren't loaded yet
+   *
+   * Merged names go into new objects, since name families cache their
+   * phonetic index per object. Each shard's living counts for the search
+   * index are counted once here, at the data's last year like the index's
+   * popular names.
+   *
+   * @param {Object} state - Region state from loadRegion()
+   * @param {string} region - Region id
+   * @param {Array<string>} keys - Shard keys
+   */
+  async function ensureShards(state, region, keys) {
+    const missing = keys.filter(key => !state.loadedShards.has(key) && state.nameIndex.shards.includes(key));
+
+    await Promise.all(missing.map(async (key) => {
+      const shard = await loadNameShard(key, region);
+
+      if (!state.loadedShards.has(key)) {
+        state.babyNames = {
+          male: { ...state.babyNames.male, ...shard.male },
+          female: { ...state.babyNames.female, ...shard.female }
+        };
+        state.loadedShards.add(key);
+
+        for (const gender of ['male', 'female']) {
+          const { lifeTables } = state.lifeData[gender];
+          for (const [name, living] of countLiving(shard[gender], gender, lifeTables, state.nameIndex.endYear)) {
+            state.living[gender].set(name, living);
+          }
+        }
+        state.searchIndex = null;
+      }
+    }));
+  }
+
+  /**
+   * Get a region's datasets with the names loaded so far
+   *
+   * @param {Object} state - Region state from loadRegion()
+   * @param {Object} [adjustments] - { migration, calibration }: whether to adjust for net migration or
+   *                                 calibrate (leaves out the factors if not)
+   * @returns {Object} - { male: { babyNames, lifeTables, migration, calibration }, female: { ... } }
+   */
+  function getDatasets(state, { migration = false, calibration = false } = {}) {
+    const getDataset = gender => ({
+      ...state.lifeData[gender],
+      babyNames: state.babyNames[gender],
+      migration: migration ? state.lifeData[gender].migration : null,
+      calibration: calibration ? state.lifeData[gender].calibration : null
+    });
+
+    return { male: getDataset('male'), female: getDataset('female') };
+  }
+
+  /**
+   * Load the regions with data files that make up a region
+   *
+   * @param {string} region - Region id
+   * @returns {Promise<Array<Object>>} - [{ region, state }] for each member
+   */
+  async function loadMembers(region) {
+    const members = getRegionMembers(region);
+
+    return Promise.all(members.map(async member => ({ region: member, state: await loadRegion(member) })));
+  }
+
+  return {
+    /**
+     * Load the data manifest, and a region's life tables and name shard index
+     *
+     * The first call also starts downloading every other file the calculator
+     * reads (see prefetchDataFiles).
+     *
+     * @param {string} [region] - Region id (see lib/regions.js)
+     * @returns {Promise<Object>} - { vintage (see getDataVintage), lifeTableSources: { male, female }
+     *                              (null for a combined region), migration (see getMigrationYears),
+     *                              calibration (see getCalibrationYear), regions: [{ id, label }] available }
+     */
+    async init(region = DEFAULT_REGION) {
+      if (!manifest) {
+        // The manifest says which release to load everything else from
+        manifest = await loadManifest();
+      }
+
+      const available = getAvailableRegions(manifest);
+
+      if (!available.some(({ id }) => id === region)) {
+        const { label } = getRegion(region) || { label: region };
+        throw new Error(`There is no ${label} data in this data release.`);
+      }
+
+      const members = await loadMembers(region);
+
+      // Once this region is ready, download the rest of the release in the
+      // background so every name and region works offline
+      if (!prefetching) {
+        prefetching = prefetchDataFiles().catch((error) => {
+          console.error('Could not download the data for offline use:', error);
+        });
+      }
+
+      return {
+        vintage: getDataVintage(manifest, region),
+        lifeTableSources: members.length === 1
+          ? {
+              male: members[0].state.lifeData.male.lifeTableSources,
+              female: members[0].state.lifeData.female.lifeTableSources
+            }
+          : null,
+        migration: getMigrationYears(manifest, region),
+        calibration: getCalibrationYear(manifest, region),
+        regions: available
+      };
+    },
+
+    /**
+     * Suggest names for a search query
+     *
+     * Loads the shard for the query's first letter. If that fails, the
+     * most common names from the shard index are still suggested.
+     *
+     * @param {string} query - Search query
+     * @param {Object} [options] - searchNames() options: { limit, gender }, plus { region }
+     * @returns {Promise<Array>} - [{ name, gender, living }]
+     */
+    async search(query, { region = DEFAULT_REGION, ...options } = {}) {
+      await this.init(region);
+
+      const resultLists = await Promise.all((await loadMembers(region)).map(async ({ region: member, state }) => {
+        if (query && query.trim()) {
+          try {
+            await ensureShards(state, member, [getShardKey(query)]);
+          } catch (error) {
+            console.error('Error loading names for search:', error);
+          }
+        }
+
+        if (!state.searchIndex) {
+          state.searchIndex = buildSearchIndex(state.living);
+        }
+
+        return searchNames(query, state.searchIndex, options);
+      }));
+
+      return resultLists.length === 1 ? resultLists[0] : mergeSearchResults(resultLists, options.limit ?? 10);
+    },
+
+    /**
+     * Calculate the age distribution for a name
+     *
+     * @param {string} name - Name to calculate
+     * @param {string} gender - 'male', 'female' or 'all' (both combined)
+     * @param {Object} options - { asOf, family: { excluded } to count spelling variants together, or null,
+     *                           region (see lib/regions.js), migration to adjust for net migration,
+     *                           calibration to calibrate to the mid-year population (each ignored
+     *                           unless the region has the data) }
+     * @returns {Promise<Object>} - { distribution, error, family (members, or null) }
+     */
+    async getDistribution(name, gender, { asOf, family = null, region = DEFAULT_REGION, migration = false, calibration = false } = {}) {
+      await this.init(region);
+
+      // A combined region is only adjusted if every member can be. The
+      // population already counts everyone who moved, so calibration
+      // replaces the migration adjustment.
+      const calibrate = calibration && Boolean(getCalibrationYear(manifest, region));
+      const adjust = {
+        calibration: calibrate,
+        migration: !calibrate && migration && Boolean(getMigrationYears(manifest, region))
+      };
+      const members = await loadMembers(region);
+      await Promise.all(members.map(({ region: member, state }) => (
+        ensureShards(state, member, getRequiredShards(name, Boolean(family)))
+      )));
+
+      if (members.length === 1) {
+        return calculateNameDistribution(name, gender, getDatasets(members[0].state, adjust), asOf, family);
+      }
+
+      const { members: vintages = [] } = getDataVintage(manifest, region) || {};
+
+      return calculateCombinedDistribution(
+        name,
+        gender,
+        members.map(({ state }) => getDatasets(state, adjust)),
+        members.map(({ region: member }) => vintages.find(vintage => vintage.region === member)?.exactStartYear),
+        asOf,
+        family
+      );
+    },
+
+    /**
+     * Calculate the distribution and statistics for a name
+     *
+     * @param {string} name - Name to calculate
+     * @param {string} gender - 'male', 'female' or 'all' (both combined)
+     * @param {Object} options - { asOf, withUncertainty, family, region, migration, calibration } (see getDistribution)
+     * @returns {Promise<Object>} - { distribution, stats, error, family }
+     */
+    async getStats(name, gender, { asOf, withUncertainty = false, family = null, region = DEFAULT_REGION, migration = false, calibration = false } = {}) {
+      const result = await this.getDistribution(name, gender, { asOf, family, region, migration, calibration });
+
+      if (result.error) {
+        return { ...result, stats: null };
+      }
+
+      // Births before the exact counts start are estimates (a combined region's
+      // entries say how many of theirs are)
+      const { exactStartYear } = getDataVintage(manifest, region) || {};
+      const stats = withUncertainty
+        ? calculateStatsWithUncertainty(result.distribution, asOf, exactStartYear ? { firstExactYear: exactStartYear } : {})
+        : calculateStats(result.distribution, asOf);
+
+      return { ...result, stats };
+    }
+  };
+}
@@ -0,0 +1,20 @@
+/**
+ * Data Worker
+ *
+ * Runs a data store (lib/dataStore.js) off the main thread. Messages are
+ * { id, method, args }; replies are { id, result } or { id, error }.
+ * Use it through lib/dataService.js rather than directly.
+ */
+
+import { createDataStore } from './dataStore';
+
+const store = createDataStore();
+
+self.onmessage = async ({ data: { id, method, args } }) => {
+  try {
+    const result = await store[method](...args);
+    self.postMessage({ id, result });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
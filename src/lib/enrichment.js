@@ -0,0 +1,307 @@
+/**
+ * Bulk Enrichment Module
+ *
+ * Estimates ages for a list of first names (e.g. a CRM export) and appends
+ * the results as extra CSV columns. Shared by the /enrich page and the
+ * scripts/enrich-names.mjs CLI.
+ *
+ * Imports use explicit .js extensions so the CLI can load this file with Node.
+ */
+
+import { calculateAgeDistribution, calculateStats } from './calculations.js';
+import { getNameNotFoundMessage } from './dataLoader.js';
+
+// Header names recognised for the name and gender columns (lower case)
+const NAME_HEADERS = ['name', 'first name', 'first_name', 'firstname', 'forename', 'given name'];
+const GENDER_HEADERS = ['gender', 'sex'];
+
+// Columns appended to every row
+export const ENRICHMENT_COLUMNS = [
+  'likely_gender',
+  'likely_gender_share',
+  'median_age',
+  'age_p10',
+  'age_p90',
+  'total_living',
+  'match_status'
+];
+
+/**
+ * Parse CSV text into rows of cells (handles quoted cells, "" escapes and CRLF)
+ *
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} - Rows of cells
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+/**
+ * Convert rows of cells to CSV text, quoting where needed
+ *
+ * @param {Array<Array>} rows - Rows of cells
+ * @returns {string} - CSV text
+ */
+export function toCsv(rows) {
+  const escapeCell = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return rows.map(row => row.map(escapeCell).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Normalise a gender cell ("F", "girl", "Female") to 'male' / 'female'
+ *
+ * @param {string} value - Gender cell
+ * @returns {string|null} - 'male', 'female' or null if blank/unrecognised
+ */
+export function parseGenderValue(value) {
+  const normalized = String(value || '').trim().toLowerCase();
+
+  if (['m', 'male', 'man', 'boy', 'boys'].includes(normalized)) {
+    return 'male';
+  }
+  if (['f', 'female', 'woman', 'girl', 'girls'].includes(normalized)) {
+    return 'female';
+  }
+
+  return null;
+}
+
+/**
+ * Work out which columns hold the name and gender
+ *
+ * Uses the header row if it has a recognisable name column, otherwise
+ * assumes there is no header and the columns are name, gender.
+ *
+ * @param {Array<string>} firstRow - First CSV row
+ * @returns {Object} - { hasHeader, nameColumn, genderColumn (or -1) }
+ */
+export function detectColumns(firstRow) {
+  const headers = (firstRow || []).map(cell => cell.trim().toLowerCase());
+  const nameColumn = headers.findIndex(cell => NAME_HEADERS.includes(cell));
+
+  if (nameColumn === -1) {
+    return { hasHeader: false, nameColumn: 0, genderColumn: headers.length > 1 ? 1 : -1 };
+  }
+
+  return {
+    hasHeader: true,
+    nameColumn,
+    genderColumn: headers.findIndex(cell => GENDER_HEADERS.includes(cell))
+  };
+}
+
+/**
+ * Build a case-insensitive lookup of dataset names
+ *
+ * @param {Object} babyNamesData - Baby names data object
+ * @returns {Map<string, string>} - Lower-case name -> dataset key
+ */
+function buildNameIndex(babyNamesData) {
+  const index = new Map();
+
+  for (const key of Object.keys(babyNamesData || {})) {
+    const lower = key.toLowerCase();
+    if (!index.has(lower)) {
+      index.set(lower, key);
+    }
+  }
+
+  return index;
+}
+
+/**
+ * Explain that a name only exists for the other gender than the row gave
+ *
+ * The calculator's message points at its gender selector; here the gender
+ * comes from the file, so this points at the gender column instead.
+ *
+ * @param {string} name - Name from the row
+ * @param {string} gender - The row's gender
+ * @param {string} column - Description of the gender column, e.g. 'the "sex" column'
+ * @returns {string} - Message for the summary
+ */
+function getOtherGenderMessage(name, gender, column) {
+  const otherGender = gender === 'male' ? 'female' : 'male';
+
+  return (
+    `"${name}" was not found in ${gender} names, but exists in ${otherGender} names. ` +
+    `Check the gender in ${column}, or leave it blank to use the likely gender.`
+  );
+}
+
+/**
+ * Estimate ages for every row of a parsed CSV
+ *
+ * Rows with a gender use it; rows without one use whichever gender has more
+ * living people with the name. Names that can't be matched get blank
+ * results and are listed in the summary with the calculator's messages,
+ * except that "exists in the other gender" hints point at the gender
+ * column. Rows whose gender isn't recognised (anything but M/F and the
+ * like, or blank) get blank results too, rather than the likely gender's,
+ * and are listed separately by value.
+ *
+ * @param {Array<Array<string>>} rows - Parsed CSV rows (including any header row)
+ * @param {Object} datasets - { male: { babyNames, lifeTables }, female: { ... } }
+ * @param {Object} [options] - { asOf } reference date
+ * @returns {Object} - { rows (with appended columns), summary }
+ */
+export function enrichRows(rows, datasets, { asOf } = {}) {
+  const { hasHeader, nameColumn, genderColumn } = detectColumns(rows[0]);
+  let genderColumnLabel = null;
+  if (genderColumn !== -1) {
+    genderColumnLabel = hasHeader
+      ? `the "${rows[0][genderColumn].trim()}" column`
+      : `the gender column (column ${genderColumn + 1})`;
+  }
+  const indexes = {
+    male: buildNameIndex(datasets.male.babyNames),
+    female: buildNameIndex(datasets.female.babyNames)
+  };
+
+  // Many rows share a name, so calculate each name/gender once
+  const statsCache = new Map();
+  const getStats = (key, gender) => {
+    const cacheKey = `${gender}:${key}`;
+    if (!statsCache.has(cacheKey)) {
+      const data = datasets[gender];
+      const distribution = calculateAgeDistribution(key, gender, data.babyNames[key], data.lifeTables, asOf);
+      statsCache.set(cacheKey, calculateStats(distribution, asOf));
+    }
+    return statsCache.get(cacheKey);
+  };
+
+  const notFound = new Map();
+  const invalidGender = new Map();
+  let matched = 0;
+
+  const dataRows = hasHeader ? rows.slice(1) : rows;
+  const outputRows = dataRows.map((row) => {
+    const name = (row[nameColumn] || '').trim();
+    const genderValue = genderColumn === -1 ? '' : (row[genderColumn] || '').trim();
+    const requestedGender = parseGenderValue(genderValue);
+    const lower = name.toLowerCase();
+
+    const maleKey = indexes.male.get(lower);
+    const femaleKey = indexes.female.get(lower);
+    const maleLiving = maleKey ? getStats(maleKey, 'male').totalLiving : 0;
+    const femaleLiving = femaleKey ? getStats(femaleKey, 'female').totalLiving : 0;
+    const bothLiving = maleLiving + femaleLiving;
+
+    const likelyGender = bothLiving === 0 ? '' : (maleLiving >= femaleLiving ? 'male' : 'female');
+    const likelyShare = bothLiving === 0
+      ? ''
+      : (Math.max(maleLiving, femaleLiving) / bothLiving).toFixed(3);
+
+    if (genderValue && !requestedGender) {
+      if (!invalidGender.has(genderValue)) {
+        invalidGender.set(genderValue, {
+          value: genderValue,
+          message: `"${genderValue}" in ${genderColumnLabel} is not a recognised gender (use M or F, or leave it blank)`,
+          rows: 0
+        });
+      }
+      invalidGender.get(genderValue).rows++;
+
+      return [...row, likelyGender, likelyShare, '', '', '', '', 'invalid_gender'];
+    }
+
+    const gender = requestedGender || likelyGender;
+    const key = gender === 'male' ? maleKey : femaleKey;
+
+    if (!name || !gender || !key) {
+      const status = name && likelyGender ? 'other_gender' : 'not_found';
+      const reportKey = `${lower}:${gender}`;
+
+      if (!notFound.has(reportKey)) {
+        let message = 'Blank name';
+        if (status === 'other_gender') {
+          message = getOtherGenderMessage(name, gender, genderColumnLabel);
+        } else if (name) {
+          message = getNameNotFoundMessage(name, gender || 'male', {
+            male: datasets.male.babyNames,
+            female: datasets.female.babyNames
+          });
+        }
+        notFound.set(reportKey, { name, gender: gender || null, status, message, rows: 0 });
+      }
+      notFound.get(reportKey).rows++;
+
+      return [...row, likelyGender, likelyShare, '', '', '', '', status];
+    }
+
+    matched++;
+    const stats = getStats(key, gender);
+
+    return [
+      ...row,
+      likelyGender,
+      likelyShare,
+      stats.medianAge,
+      stats.ageRange.lower,
+      stats.ageRange.upper,
+      stats.totalLiving,
+      'found'
+    ];
+  });
+
+  // Without a header row, label the input columns so the output still has one
+  const inputHeaders = hasHeader
+    ? rows[0]
+    : (rows[0] || []).map((_, i) => (i === nameColumn ? 'name' : i === genderColumn ? 'gender' : `column_${i + 1}`));
+
+  return {
+    rows: [[...inputHeaders, ...ENRICHMENT_COLUMNS], ...outputRows],
+    summary: {
+      totalRows: dataRows.length,
+      matched,
+      unmatched: dataRows.length - matched,
+      notFound: [...notFound.values()].sort((a, b) => b.rows - a.rows),
+      invalidGender: [...invalidGender.values()].sort((a, b) => b.rows - a.rows)
+    }
+  };
+}
@@ -0,0 +1,356 @@
+/**
+ * Name API Module
+ *
+ * Shared request handling for the /api/names and /api/names-by-age routes:
+ * validates parameters, runs the same calculations as the app's pages and
+ * shapes the JSON
+ */
+
+import { loadServerData, loadServerManifest, loadServerRegions } from './serverDataLoader';
+import { getCalibrationYear, getDataVintage, getMigrationYears, getNameKey, nameExists } from './dataLoader';
+import {
+  applyCalibration,
+  applyMigration,
+  calculateAgeDistribution,
+  calculateStats,
+  calculateStatsWithUncertainty,
+  calculateAgeEstimate,
+  calculateNamesByAge,
+  combineDistributions,
+  combineRegionDistributions,
+  getReferenceYear
+} from './calculations';
+import { calculateFamilyDistribution, mergeFamilyMembers } from './nameFamilies';
+import { DEFAULT_REGION, REGIONS, getRegion, getRegionMembers } from './regions';
+import { isValidName } from './utils';
+
+const GENDERS = ['male', 'female', 'all'];
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Maximum number of names accepted by the batch endpoint
+export const MAX_BATCH_NAMES = 100;
+
+// Maximum number of names returned by the names-by-age endpoint
+export const MAX_NAMES_BY_AGE = 1000;
+
+/**
+ * Validate the shared query options (gender, region, asOf, uncertainty, threshold, family, exclude, migration, calibration)
+ *
+ * @param {Object} params - { gender, region, asOf, uncertainty, threshold, family, exclude, migration, calibration } as strings
+ *                          (exclude may also be a list)
+ * @returns {Object} - { options } or { error } with a message
+ */
+export function parseNameOptions({ gender = 'male', region = DEFAULT_REGION, asOf, uncertainty, threshold, family, exclude, migration, calibration } = {}) {
+  if (!GENDERS.includes(gender)) {
+    return { error: `Invalid gender "${gender}". Use "male", "female" or "all".` };
+  }
+
+  if (!getRegion(region)) {
+    return { error: `Invalid region "${region}". Use ${REGIONS.map(({ id }) => `"${id}"`).join(', ')}.` };
+  }
+
+  if (asOf !== undefined && (!ISO_DATE.test(asOf) || isNaN(new Date(asOf).getTime()))) {
+    return { error: `Invalid asOf "${asOf}". Use a date like 2025-06-01.` };
+  }
+
+  const thresholdAge = threshold === undefined ? 65 : Number(threshold);
+
+  if (!Number.isInteger(thresholdAge) || thresholdAge < 0 || thresholdAge > 120) {
+    return { error: `Invalid threshold "${threshold}". Use a whole number of years from 0 to 120.` };
+  }
+
+  return {
+    options: {
+      gender,
+      region,
+      asOf: asOf || undefined,
+      uncertainty: uncertainty === 'true' || uncertainty === '1' || uncertainty === true,
+      threshold: thresholdAge,
+      family: family === 'true' || family === '1' || family === true,
+      exclude: (Array.isArray(exclude) ? exclude : String(exclude || '').split(','))
+        .map(name => String(name).trim())
+        .filter(Boolean),
+      migration: migration === 'true' || migration === '1' || migration === true,
+      calibration: calibration === 'true' || calibration === '1' || calibration === true
+    }
+  };
+}
+
+/**
+ * Calculate one gender's distribution for a name, with its spelling variants if requested
+ *
+ * @param {string} key - Dataset spelling of the name
+ * @param {string} gender - 'male' or 'female'
+ * @param {Object} data - { babyNames, lifeTables, migration, calibration } for the gender
+ * @param {Object} options - { asOf, family, exclude, migration, calibration }
+ * @returns {Object} - { distribution, members } (members is empty without `family`)
+ */
+function calculateNameDistribution(key, gender, data, { asOf, family, exclude, migration, calibration }) {
+  const result = family
+    ? calculateFamilyDistribution(key, gender, data.babyNames, data.lifeTables, { asOf, excluded: exclude })
+    : { distribution: calculateAgeDistribution(key, gender, data.babyNames[key], data.lifeTables, asOf), members: [] };
+
+  if (calibration) {
+    return { ...result, distribution: applyCalibration(result.distribution, data.calibration) };
+  }
+
+  return migration ? { ...result, distribution: applyMigration(result.distribution, data.migration) } : result;
+}
+
+/**
+ * Calculate a name's distribution in one region with its own data files
+ *
+ * With gender 'all', each gender goes through its own life table before
+ * the two are summed, and the name only needs to exist for one of them.
+ *
+ * @param {string} name - Name to look up (case-insensitive)
+ * @param {string} gender - 'male', 'female' or 'all'
+ * @param {string} region - Region id with its own data files
+ * @param {Object} options - { asOf, family, exclude, migration, calibration }
+ * @returns {Object|null} - { key, distribution, members }, or null if the name isn't in the region's data
+ */
+function calculateRegionDistribution(name, gender, region, options) {
+  if (gender !== 'all') {
+    const data = loadServerData(gender, region);
+    const key = getNameKey(name, data.babyNames);
+
+    return key ? { key, ...calculateNameDistribution(key, gender, data, options) } : null;
+  }
+
+  const datasets = { male: loadServerData('male', region), female: loadServerData('female', region) };
+  const keys = {
+    male: getNameKey(name, datasets.male.babyNames),
+    female: getNameKey(name, datasets.female.babyNames)
+  };
+
+  if (!keys.male && !keys.female) {
+    return null;
+  }
+
+  const [male, female] = ['male', 'female'].map((g) => (
+    keys[g]
+      ? calculateNameDistribution(keys[g], g, datasets[g], options)
+      : { distribution: [], members: [] }
+  ));
+
+  return {
+    key: keys.male || keys.female,
+    distribution: combineDistributions(male.distribution, female.distribution),
+    members: mergeFamilyMembers([male.members, female.members])
+  };
+}
+
+/**
+ * Check that the processed data covers a region
+ *
+ * @param {string} region - Region id
+ * @returns {Object|null} - { status, body } to respond with if it doesn't, or null
+ */
+function checkRegionAvailable(region) {
+  if (loadServerRegions().some(({ id }) => id === region)) {
+    return null;
+  }
+
+  return { status: 404, body: { error: `No ${getRegion(region).label} data in this data release`, region } };
+}
+
+/**
+ * Give each member nation's years, for a combined region's response
+ *
+ * Totals for years before a nation's names data starts leave that nation
+ * out (Scotland before 1974, say).
+ *
+ * @param {string} region - Region id
+ * @returns {Object|null} - { coverage: [{ region, startYear, endYear }] } to add to the body, or null
+ *                          for a single nation
+ */
+function describeCoverage(region) {
+  const vintage = getDataVintage(loadServerManifest(), region);
+
+  if (getRegionMembers(region).length === 1 || !vintage) {
+    return null;
+  }
+
+  return { coverage: vintage.members.map(({ region: member, startYear, endYear }) => ({ region: member, startYear, endYear })) };
+}
+
+/**
+ * Calculate the age distribution, statistics and single-person age estimate for one name
+ *
+ * With `family`, the name's spelling variants (less any in `exclude`) are
+ * counted together and listed with their shares. In a combined region (e.g.
+ * great-britain) each nation's births go through its own life tables before
+ * they are summed. With `migration`, each nation's living counts are
+ * adjusted for net migration (see applyMigration), and with `calibration`
+ * calibrated to the mid-year population instead (see applyCalibration), if
+ * the data release has the data for all of them.
+ *
+ * @param {string} name - Name to look up (case-insensitive)
+ * @param {Object} options - { gender, region, asOf, uncertainty, threshold, family, exclude, migration, calibration }
+ *                           from parseNameOptions()
+ * @returns {Object} - { status, body } ready to send as the JSON response
+ */
+export function getNameResult(name, { gender, region = DEFAULT_REGION, asOf, uncertainty, threshold, family, exclude = [], migration = false, calibration = false }) {
+  if (!isValidName(name)) {
+    return { status: 400, body: { error: 'Invalid name', name } };
+  }
+
+  const unavailable = checkRegionAvailable(region);
+
+  if (unavailable) {
+    return unavailable;
+  }
+
+  const calibrationYear = calibration ? getCalibrationYear(loadServerManifest(), region) : null;
+
+  if (calibration && !calibrationYear) {
+    return { status: 404, body: { error: `No ${getRegion(region).label} calibration data in this data release`, region } };
+  }
+
+  // The population already counts everyone who moved, so calibration replaces the migration adjustment
+  const adjustMigration = migration && !calibration;
+  const migrationYears = adjustMigration ? getMigrationYears(loadServerManifest(), region) : null;
+
+  if (adjustMigration && !migrationYears) {
+    return { status: 404, body: { error: `No ${getRegion(region).label} migration data in this data release`, region } };
+  }
+
+  const members = getRegionMembers(region);
+  const results = members
+    .map((member) => {
+      const result = calculateRegionDistribution(name, gender, member, { asOf, family, exclude, migration: adjustMigration, calibration });
+      return result && { ...result, region: member };
+    })
+    .filter(Boolean);
+
+  if (results.length === 0) {
+    const body = { error: 'Name not found', name, gender, region };
+    const otherGender = gender === 'male' ? 'female' : 'male';
+
+    // Point the caller at the other gender when the name only exists there
+    if (gender !== 'all' && members.some(member => nameExists(name, otherGender, loadServerData(otherGender, member).babyNames))) {
+      body.hint = `"${name}" was not found in ${gender} names, but exists in ${otherGender} names. Try gender=${otherGender}.`;
+      body.availableGender = otherGender;
+    }
+
+    return { status: 404, body };
+  }
+
+  // Births before the exact counts start are estimates, from a different year
+  // in each nation (a combined region's entries say how many of theirs are)
+  const { exactStartYear, members: vintages = [] } = getDataVintage(loadServerManifest(), region) || {};
+  const distribution = members.length === 1
+    ? results[0].distribution
+    : combineRegionDistributions(
+      results.map(result => result.distribution),
+      results.map(result => vintages.find(vintage => vintage.region === result.region)?.exactStartYear ?? exactStartYear)
+    );
+  const stats = uncertainty
+    ? calculateStatsWithUncertainty(distribution, asOf, exactStartYear ? { firstExactYear: exactStartYear } : {})
+    : calculateStats(distribution, asOf);
+
+  return {
+    status: 200,
+    body: {
+      name: results[0].key,
+      gender,
+      region,
+      asOf: asOf || null,
+      referenceYear: getReferenceYear(asOf),
+      ...describeCoverage(region),
+      ...(migrationYears && { migration: migrationYears }),
+      ...(calibrationYear && { calibration: { year: calibrationYear } }),
+      ...(family && { family: mergeFamilyMembers(results.map(result => result.members)) }),
+      stats,
+      estimate: calculateAgeEstimate(distribution, { threshold }),
+      distribution
+    }
+  };
+}
+
+/**
+ * Rank the most common names at an age or age band
+ *
+ * In a combined region each nation's names are ranked in full, then summed
+ * and ranked again.
+ *
+ * @param {Object} params - { age } or { minAge, maxAge }, plus { limit } as strings
+ * @param {Object} options - { gender, region, asOf } from parseNameOptions()
+ * @returns {Object} - { status, body } ready to send as the JSON response
+ */
+export function getNamesByAgeResult({ age, minAge, maxAge, limit }, { gender, region = DEFAULT_REGION, asOf }) {
+  const low = parseInt(age ?? minAge, 10);
+  const high = parseInt(age ?? maxAge ?? minAge, 10);
+  const count = limit === undefined ? 100 : parseInt(limit, 10);
+
+  if (isNaN(low) || isNaN(high) || low < 0 || high < low || high > 120) {
+    return { status: 400, body: { error: 'Provide "age", or "minAge" and "maxAge", between 0 and 120' } };
+  }
+
+  if (isNaN(count) || count < 1 || count > MAX_NAMES_BY_AGE) {
+    return { status: 400, body: { error: `"limit" must be between 1 and ${MAX_NAMES_BY_AGE}` } };
+  }
+
+  if (gender === 'all') {
+    return { status: 400, body: { error: 'Names by age needs gender "male" or "female"' } };
+  }
+
+  const unavailable = checkRegionAvailable(region);
+
+  if (unavailable) {
+    return unavailable;
+  }
+
+  const members = getRegionMembers(region);
+  const results = members.map((member) => {
+    const data = loadServerData(gender, member);
+    return calculateNamesByAge(data.babyNames, data.lifeTables, {
+      minAge: low,
+      maxAge: high,
+      asOf,
+      limit: members.length === 1 ? count : 0
+    });
+  });
+
+  return {
+    status: 200,
+    body: {
+      gender,
+      region,
+      asOf: asOf || null,
+      ...describeCoverage(region),
+      ...(results.length === 1 ? results[0] : combineNamesByAge(results, count))
+    }
+  };
+}
+
+/**
+ * Sum several regions' calculateNamesByAge() results
+ *
+ * @param {Array<Object>} results - Unlimited calculateNamesByAge() results for the same ages
+ * @param {number} limit - Maximum number of names
+ * @returns {Object} - { referenceYear, minAge, maxAge, totalLiving, names: [{ name, living, probability }] }
+ */
+function combineNamesByAge(results, limit) {
+  const living = new Map();
+
+  for (const { names } of results) {
+    for (const entry of names) {
+      living.set(entry.name, (living.get(entry.name) || 0) + entry.living);
+    }
+  }
+
+  const totalLiving = results.reduce((sum, result) => sum + result.totalLiving, 0);
+  const { referenceYear, minAge, maxAge } = results[0];
+
+  return {
+    referenceYear,
+    minAge,
+    maxAge,
+    totalLiving,
+    names: [...living]
+      .sort(([, a], [, b]) => b - a)
+      .slice(0, limit)
+      .map(([name, count]) => ({ name, living: count, probability: totalLiving > 0 ? count / totalLiving : 0 }))
+  };
+}
@@ -0,0 +1,307 @@
+/**
+ * Name Families Module
+ *
+ * ONS counts each spelling as a separate name, so "Mohammed", "Muhammad" and
+ * "Mohamed" each get their own figures. A name family groups the searched
+ * name with its variants so they can be counted together:
+ * - Names in the same curated alias group (for variants that are spelt too
+ *   differently to match automatically, e.g. Catherine/Kathryn)
+ * - Names with the same Double Metaphone key that are also within a small
+ *   edit distance and have the same spelling "shape" (Aiden/Aidan match;
+ *   Ella/Ellie and Jack/Jacky sound alike but don't)
+ *
+ * Families are built around the searched name within one gender's data,
+ * so they aren't transitive: Aidan's family may differ from Aden's.
+ */
+
+import { doubleMetaphone } from 'double-metaphone';
+import { addBirthCounts, calculateAgeDistribution, calculateTotalLiving } from './calculations';
+import { getNameKey } from './dataLoader';
+import { getEditDistance } from './utils';
+
+// Curated spelling variants. Keep each group to one name, not related names
+// (Sophie/Sofie, but not Sophie/Sophia).
+const NAME_ALIASES = [
+  ['Mohammed', 'Muhammad', 'Mohammad', 'Mohamed', 'Muhammed', 'Mohamad', 'Mohammod', 'Mahammad'],
+  ['Ahmed', 'Ahmad'],
+  ['Yusuf', 'Yousuf', 'Yousef', 'Yusef'],
+  ['Ibrahim', 'Ebrahim'],
+  ['Zachary', 'Zachery', 'Zackary', 'Zakary'],
+  ['Stephen', 'Steven', 'Stephan'],
+  ['Philip', 'Phillip'],
+  ['Matthew', 'Mathew'],
+  ['Jonathan', 'Johnathan', 'Jonathon'],
+  ['Sean', 'Shaun', 'Shawn'],
+  ['Geoffrey', 'Jeffrey', 'Jeffery'],
+  ['Alistair', 'Alastair', 'Alasdair'],
+  ['Aidan', 'Aiden', 'Ayden', 'Aden'],
+  ['Jayden', 'Jaden', 'Jaiden', 'Jaydon', 'Jaydn'],
+  ['Connor', 'Conor'],
+  ['Oscar', 'Oskar'],
+  ['Catherine', 'Katherine', 'Kathryn', 'Catharine', 'Katharine'],
+  ['Caitlin', 'Katelyn', 'Kaitlyn', 'Caitlyn', 'Katelin'],
+  ['Rebecca', 'Rebekah'],
+  ['Isabel', 'Isabelle', 'Isobel', 'Izabel', 'Isabell'],
+  ['Sophie', 'Sofie'],
+  ['Sophia', 'Sofia'],
+  ['Layla', 'Leila', 'Laila', 'Lailah', 'Leyla', 'Leilah'],
+  ['Lily', 'Lilly', 'Lillie', 'Lili'],
+  ['Eleanor', 'Elinor', 'Eleanore'],
+  ['Zoe', 'Zoey'],
+  ['Aisha', 'Ayesha', 'Aysha'],
+  ['Fatima', 'Fatimah'],
+  ['Hannah', 'Hanna'],
+  ['Sarah', 'Sara'],
+  ['Leah', 'Lea', 'Lia'],
+  ['Niamh', 'Neve', 'Neave'],
+  ['Siobhan', 'Shevaun'],
+  ['Evie', 'Evey'],
+  ['Maisie', 'Maisy', 'Maizie'],
+  ['Freya', 'Freyja']
+];
+
+// Lower-case name -> its alias group
+const ALIAS_LOOKUP = new Map(
+  NAME_ALIASES.flatMap(group => group.map(name => [name.toLowerCase(), group]))
+);
+
+// Why a name is in a family, strongest first
+const REASON_ORDER = ['searched', 'alias', 'phonetic'];
+
+// Phonetic index per baby names object, built on first use
+const phoneticIndexCache = new WeakMap();
+
+/**
+ * Maximum spelling difference for two names that sound alike to be grouped
+ *
+ * Short names need a tighter limit, since one letter changes more of the name.
+ *
+ * @param {string} a - First name
+ * @param {string} b - Second name
+ * @returns {number} - Maximum edit distance
+ */
+function getMaxEditDistance(a, b) {
+  return Math.min(a.length, b.length) <= 5 ? 1 : 2;
+}
+
+/**
+ * Summarise how a name is built, to tell variant spellings from related names
+ *
+ * Double Metaphone ignores vowels, so on its own it matches names like
+ * Jack/Jock or Sophie/Sophia. Variant spellings keep the first letter, the
+ * first vowel sound, the number of syllables and the ending, so the shape is
+ * made of those.
+ *
+ * @param {string} name - Name to summarise
+ * @returns {string} - Shape key; equal keys mean compatible spellings
+ */
+function getSpellingShape(name) {
+  const letters = name
+    .toLowerCase()
+    .replace(/[^a-z]/g, '')
+    .replace(/(.)\1+/g, '$1') // Olliver -> Oliver
+    .replace(/([aeiouy])h$/, '$1'); // Hannah -> Hanna
+
+  // A leading Y is a consonant (Yusuf); elsewhere it's a vowel (Jayden)
+  const groups = (letters[0] === 'y' ? letters.slice(1) : letters).match(/[aeiouy]+/g) || [];
+
+  let ending = 'consonant';
+  if (/(y|i|ie|ey)$/.test(letters)) {
+    ending = 'i';
+  } else if (/[aeou]$/.test(letters)) {
+    ending = letters.slice(-1);
+  }
+
+  return [letters[0], groups[0] || '', groups.length, ending].join('|');
+}
+
+/**
+ * Index a baby names dataset by Double Metaphone codes
+ *
+ * @param {Object} babyNamesData - Baby names data object
+ * @returns {Map<string, Array<string>>} - Phonetic code -> dataset names
+ */
+function getPhoneticIndex(babyNamesData) {
+  if (phoneticIndexCache.has(babyNamesData)) {
+    return phoneticIndexCache.get(babyNamesData);
+  }
+
+  const index = new Map();
+
+  for (const name of Object.keys(babyNamesData)) {
+    for (const code of new Set(doubleMetaphone(name))) {
+      if (!index.has(code)) {
+        index.set(code, []);
+      }
+      index.get(code).push(name);
+    }
+  }
+
+  phoneticIndexCache.set(babyNamesData, index);
+  return index;
+}
+
+/**
+ * Get the curated spelling variants of a name
+ *
+ * Unlike sound-alike variants, these can start with a different letter
+ * (Catherine/Katherine), so the page uses them to load the right name shards.
+ *
+ * @param {string} name - Name to look up (case-insensitive)
+ * @returns {Array<string>} - The name's alias group, or [] if it has none
+ */
+export function getNameAliases(name) {
+  return ALIAS_LOOKUP.get((name || '').trim().toLowerCase()) || [];
+}
+
+/**
+ * Find the spelling variants of a name in one gender's data
+ *
+ * @param {string} name - Name to look up (case-insensitive)
+ * @param {Object} babyNamesData - Baby names data object
+ * @returns {Array} - [{ name, reason }] with reason 'searched', 'alias' or
+ *                    'phonetic'; the searched name comes first. Empty if the
+ *                    name isn't in the data.
+ */
+export function getNameFamily(name, babyNamesData) {
+  const key = getNameKey(name, babyNamesData);
+
+  if (!key) {
+    return [];
+  }
+
+  const members = new Map([[key, 'searched']]);
+  const lowerKey = key.toLowerCase();
+
+  for (const alias of getNameAliases(lowerKey)) {
+    const aliasKey = getNameKey(alias, babyNamesData);
+    if (aliasKey && !members.has(aliasKey)) {
+      members.set(aliasKey, 'alias');
+    }
+  }
+
+  const index = getPhoneticIndex(babyNamesData);
+  const shape = getSpellingShape(key);
+
+  for (const code of new Set(doubleMetaphone(key))) {
+    for (const candidate of index.get(code) || []) {
+      if (members.has(candidate)) {
+        continue;
+      }
+
+      const lowerCandidate = candidate.toLowerCase();
+      if (
+        getSpellingShape(candidate) === shape &&
+        getEditDistance(lowerKey, lowerCandidate) <= getMaxEditDistance(lowerKey, lowerCandidate)
+      ) {
+        members.set(candidate, 'phonetic');
+      }
+    }
+  }
+
+  return [...members].map(([memberName, reason]) => ({ name: memberName, reason }));
+}
+
+/**
+ * Add up several names' births year by year
+ *
+ * A year where some names' counts were suppressed keeps them, as
+ * { births, suppressed } (see addBirthCounts), so each is still imputed
+ * with its own range.
+ *
+ * @param {Array<Object>} nameDataList - Per-name data: [{ "1996": 4532, ... }, ...]
+ * @returns {Object} - Combined data: { "1996": total, ... }
+ */
+export function sumNameData(nameDataList) {
+  const total = {};
+
+  for (const nameData of nameDataList) {
+    for (const [year, births] of Object.entries(nameData || {})) {
+      total[year] = addBirthCounts(total[year], births);
+    }
+  }
+
+  return total;
+}
+
+/**
+ * Calculate one distribution for a name and its spelling variants
+ *
+ * Members' shares are of the whole family (including excluded members), so
+ * they don't change as members are toggled. The searched name is always
+ * included.
+ *
+ * @param {string} name - Searched name
+ * @param {string} gender - 'male' or 'female'
+ * @param {Object} babyNamesData - Baby names data for the gender
+ * @param {Object} lifeTablesData - Life tables for the gender
+ * @param {Object} [options] - { asOf, excluded: names to leave out }
+ * @returns {Object} - { distribution, members: [{ name, reason, living, share, included }] }
+ */
+export function calculateFamilyDistribution(name, gender, babyNamesData, lifeTablesData, { asOf, excluded = [] } = {}) {
+  const excludedNames = new Set(excluded.map(member => member.toLowerCase()));
+
+  const members = getNameFamily(name, babyNamesData).map((member) => {
+    const distribution = calculateAgeDistribution(member.name, gender, babyNamesData[member.name], lifeTablesData, asOf);
+
+    return {
+      ...member,
+      living: calculateTotalLiving(distribution),
+      included: member.reason === 'searched' || !excludedNames.has(member.name.toLowerCase())
+    };
+  });
+
+  const includedData = members
+    .filter(member => member.included)
+    .map(member => babyNamesData[member.name]);
+
+  return {
+    distribution: members.length > 0
+      ? calculateAgeDistribution(name, gender, sumNameData(includedData), lifeTablesData, asOf)
+      : [],
+    members: addMemberShares(members)
+  };
+}
+
+/**
+ * Merge family members calculated separately, for each gender in the combined
+ * (both genders) view or for each nation in a combined region
+ *
+ * @param {Array<Array>} memberLists - calculateFamilyDistribution() members for each gender or region
+ * @returns {Array} - One entry per name, with living summed and shares recalculated
+ */
+export function mergeFamilyMembers(memberLists) {
+  const byName = new Map();
+
+  for (const member of memberLists.flat()) {
+    const existing = byName.get(member.name);
+
+    if (!existing) {
+      byName.set(member.name, { ...member });
+      continue;
+    }
+
+    existing.living += member.living;
+    existing.included = existing.included || member.included;
+    if (REASON_ORDER.indexOf(member.reason) < REASON_ORDER.indexOf(existing.reason)) {
+      existing.reason = member.reason;
+    }
+  }
+
+  return addMemberShares([...byName.values()]);
+}
+
+/**
+ * Add each member's share of the family's living total, searched name first
+ * then by size
+ *
+ * @param {Array} members - [{ name, reason, living, included }]
+ * @returns {Array} - Sorted members with `share` (percentage, 0-100)
+ */
+function addMemberShares(members) {
+  const familyLiving = members.reduce((sum, member) => sum + member.living, 0);
+
+  return members
+    .map(member => ({ ...member, share: familyLiving > 0 ? (member.living / familyLiving) * 100 : 0 }))
+    .sort((a, b) => (b.reason === 'searched') - (a.reason === 'searched') || b.living - a.living);
+}
@@ -0,0 +1,153 @@
+/**
+ * Regions Module
+ *
+ * The areas the calculator covers. Each nation's data is published as the
+ * same set of files, England & Wales' in public/data and the others' in a
+ * subdirectory (see REGIONS in scripts/pipeline/config.js). Combined regions
+ * have no files of their own: each member nation's names go through its own
+ * life tables and the results are summed.
+ */
+
+export const DEFAULT_REGION = 'england-wales';
+
+// Statistics offices publishing each nation's births and life tables
+const PUBLISHERS = {
+  ons: { name: 'Office for National Statistics', abbreviation: 'ONS', url: 'https://www.ons.gov.uk/' },
+  nrs: { name: 'National Records of Scotland', abbreviation: 'NRS', url: 'https://www.nrscotland.gov.uk/' },
+  nisra: { name: 'Northern Ireland Statistics and Research Agency', abbreviation: 'NISRA', url: 'https://www.nisra.gov.uk/' }
+};
+
+export const REGIONS = [
+  { id: 'england-wales', label: 'England & Wales', dataDir: '', publisher: PUBLISHERS.ons },
+  { id: 'scotland', label: 'Scotland', dataDir: 'scotland/', publisher: PUBLISHERS.nrs },
+  { id: 'northern-ireland', label: 'Northern Ireland', dataDir: 'northern-ireland/', publisher: PUBLISHERS.nisra },
+  { id: 'great-britain', label: 'Great Britain', members: ['england-wales', 'scotland'] },
+  { id: 'united-kingdom', label: 'United Kingdom', place: 'the United Kingdom', members: ['england-wales', 'scotland', 'northern-ireland'] }
+];
+
+/**
+ * Look up a region
+ *
+ * @param {string} id - Region id (e.g., "scotland")
+ * @returns {Object|null} - { id, label, dataDir, publisher } or { id, label, place?, members }, or null if unknown
+ */
+export function getRegion(id) {
+  return REGIONS.find(region => region.id === id) || null;
+}
+
+/**
+ * Name a region for use in a sentence ("people named Oliver in ...")
+ *
+ * @param {string} id - Region id
+ * @returns {string} - e.g. "Scotland" or "the United Kingdom"
+ */
+export function getRegionPlace(id) {
+  const region = getRegion(id);
+
+  return region.place || region.label;
+}
+
+/**
+ * Get the regions with data files that make up a region
+ *
+ * @param {string} id - Region id
+ * @returns {Array<string>} - Region ids: the region itself, or a combined region's members
+ */
+export function getRegionMembers(id) {
+  const region = getRegion(id);
+
+  if (!region) {
+    return [];
+  }
+
+  return region.members || [region.id];
+}
+
+/**
+ * Get the statistics offices whose data a region uses
+ *
+ * @param {string} id - Region id
+ * @returns {Array<Object>} - [{ name, abbreviation, url }]
+ */
+export function getRegionPublishers(id) {
+  return getRegionMembers(id).map(member => getRegion(member).publisher);
+}
+
+/**
+ * Name the statistics offices whose data a region uses, for captions
+ *
+ * @param {string} id - Region id
+ * @param {Object} [options] - { short } for abbreviations only
+ * @returns {string} - e.g. "Office for National Statistics (ONS)", or "ONS and NRS" when short
+ */
+export function formatRegionPublishers(id, { short = false } = {}) {
+  const names = getRegionPublishers(id).map(publisher => (
+    short ? publisher.abbreviation : `${publisher.name} (${publisher.abbreviation})`
+  ));
+
+  return names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}` : names.join('');
+}
+
+/**
+ * Name the member nations whose data starts later than the rest, for captions
+ *
+ * A combined region's totals for earlier years leave those nations out:
+ * their statistics offices' names data doesn't go back that far.
+ *
+ * @param {Object|null} vintage - getDataVintage() result for the region
+ * @param {Object} [options] - { since: only name nations whose data starts after this year (e.g. a
+ *                             name's first birth year) }
+ * @returns {string|null} - e.g. "Scotland's names data starts in 1974 and Northern Ireland's in 1997,
+ *                          so births there before then aren't counted", or null if there are none
+ */
+export function formatCoverageGaps(vintage, { since = -Infinity } = {}) {
+  const late = ((vintage && vintage.members) || [])
+    .filter(member => member.startYear > Math.max(vintage.startYear, since));
+
+  if (late.length === 0) {
+    return null;
+  }
+
+  const [first, ...rest] = late.map(({ region, startYear }, i) => (
+    i === 0 ? `${getRegion(region).label}'s names data starts in ${startYear}` : `${getRegion(region).label}'s in ${startYear}`
+  ));
+  const list = rest.length > 0 ? `${[first, ...rest.slice(0, -1)].join(', ')} and ${rest[rest.length - 1]}` : first;
+
+  return `${list}, so births there before then aren't counted`;
+}
+
+/**
+ * Path of one of a region's data files, relative to public/data
+ *
+ * @param {string} id - Region id (not a combined region)
+ * @param {string} file - File name (e.g., "baby-names-boys.json" or "names/index.json")
+ * @returns {string} - e.g. "scotland/baby-names-boys.json"
+ */
+export function getRegionDataPath(id, file) {
+  const region = getRegion(id);
+
+  if (!region || region.members) {
+    throw new Error(`No data files for region "${id}"`);
+  }
+
+  return `${region.dataDir}${file}`;
+}
+
+/**
+ * List the regions this data release has files for
+ *
+ * England & Wales is always listed. Other nations are listed if the
+ * pipeline published their names, and combined regions if all their
+ * members are available.
+ *
+ * @param {Object} manifest - Dataset manifest
+ * @returns {Array<Object>} - [{ id, label }] in display order
+ */
+export function getAvailableRegions(manifest) {
+  const files = (manifest && manifest.files) || {};
+  const hasData = (id) => id === DEFAULT_REGION || Boolean(files[getRegionDataPath(id, 'names/index.json')]);
+
+  return REGIONS
+    .filter(region => getRegionMembers(region.id).every(hasData))
+    .map(({ id, label }) => ({ id, label }));
+}
@@ -0,0 +1,201 @@
+/**
+ * Name Search Index
+ *
+ * Autocomplete over both genders' names:
+ * - Names sorted by their folded form (Zoë -> zoe) for fast prefix lookups
+ * - A trigram index for typo-tolerant ("Olvier") and mid-name matches
+ *
+ * Suggestions are ranked by the estimated number of people living with the
+ * name, so "Ja" offers James and Jack before rare names.
+ *
+ * The calculator page only has some names loaded at a time, so the index is
+ * built from living counts rather than the names themselves: the shard
+ * index's list of popular names to start with, then each shard's counts
+ * (see countLiving) as it arrives. Both are counted at the data's last year,
+ * so a name ranks the same before and after its shard loads.
+ */
+
+import { calculateAgeDistribution, calculateTotalLiving } from './calculations';
+import { foldName, getEditDistance } from './utils';
+
+// Typo tolerance only kicks in once this many letters have been typed
+const MIN_FUZZY_LENGTH = 4;
+
+/**
+ * Split a folded name into trigrams, padded at the start so the first
+ * letters count for more
+ *
+ * @param {string} folded - Folded name
+ * @returns {Array<string>} - Unique trigrams
+ */
+function getTrigrams(folded) {
+  const padded = `  ${folded}`;
+  const trigrams = new Set();
+
+  for (let i = 0; i + 3 <= padded.length; i++) {
+    trigrams.add(padded.slice(i, i + 3));
+  }
+
+  return [...trigrams];
+}
+
+/**
+ * Maximum typos accepted for a query of a given length
+ *
+ * @param {number} length - Folded query length
+ * @returns {number} - Maximum edit distance
+ */
+function getMaxTypos(length) {
+  return length <= 5 ? 1 : 2;
+}
+
+/**
+ * Count the people living with each of a gender's names, to rank them by
+ *
+ * Counts are rounded, like the shard index's popular names.
+ *
+ * @param {Object} babyNames - Baby names data for the gender
+ * @param {string} gender - 'male' or 'female'
+ * @param {Object} lifeTables - The gender's life tables
+ * @param {Date|string|number} [asOf] - Reference date (pass the data's last year to match the popular names)
+ * @returns {Array} - [[name, living], ...]
+ */
+export function countLiving(babyNames, gender, lifeTables, asOf) {
+  return Object.keys(babyNames || {}).map((name) => {
+    const distribution = calculateAgeDistribution(name, gender, babyNames[name], lifeTables, asOf);
+
+    return [name, Math.round(calculateTotalLiving(distribution))];
+  });
+}
+
+/**
+ * Build the search index
+ *
+ * @param {Object} living - Living counts by gender: { male: [[name, living], ...], female: [...] }
+ *                          (a Map of name to living works too)
+ * @returns {Object} - Search index for searchNames()
+ */
+export function buildSearchIndex(living) {
+  const entries = [];
+
+  for (const gender of ['male', 'female']) {
+    for (const [name, count] of living[gender] || []) {
+      entries.push({ name, gender, folded: foldName(name), living: count });
+    }
+  }
+
+  entries.sort((a, b) => (a.folded < b.folded ? -1 : a.folded > b.folded ? 1 : b.living - a.living));
+
+  const trigrams = new Map();
+  entries.forEach((entry, index) => {
+    for (const trigram of getTrigrams(entry.folded)) {
+      if (!trigrams.has(trigram)) {
+        trigrams.set(trigram, []);
+      }
+      trigrams.get(trigram).push(index);
+    }
+  });
+
+  return { entries, trigrams };
+}
+
+/**
+ * Find the first entry whose folded name is not before the query
+ *
+ * @param {Array} entries - Index entries sorted by folded name
+ * @param {string} folded - Folded query
+ * @returns {number} - Entry index
+ */
+function findFirstAtOrAfter(entries, folded) {
+  let low = 0;
+  let high = entries.length;
+
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (entries[mid].folded < folded) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+
+  return low;
+}
+
+/**
+ * Search for names matching a query
+ *
+ * Names starting with the query come first, then near-misses (typos in what
+ * has been typed so far), then names containing the query. Each group is
+ * ordered by number living.
+ *
+ * @param {string} query - Search query
+ * @param {Object} searchIndex - buildSearchIndex() result
+ * @param {Object} [options] - { limit (default 10), gender ('male', 'female' or 'all') }
+ * @returns {Array} - [{ name, gender, living }]
+ */
+export function searchNames(query, searchIndex, { limit = 10, gender = 'all' } = {}) {
+  const folded = foldName(query || '');
+
+  if (!searchIndex || folded.length === 0) {
+    return [];
+  }
+
+  const { entries, trigrams } = searchIndex;
+  const matchesGender = entry => gender === 'all' || entry.gender === gender;
+  const scored = new Map();
+
+  // Prefix matches are a contiguous run of the sorted entries
+  for (let i = findFirstAtOrAfter(entries, folded); i < entries.length && entries[i].folded.startsWith(folded); i++) {
+    if (matchesGender(entries[i])) {
+      scored.set(i, 0);
+    }
+  }
+
+  if (folded.length >= 3) {
+    const queryTrigrams = getTrigrams(folded);
+    const shared = new Map();
+
+    for (const trigram of queryTrigrams) {
+      for (const index of trigrams.get(trigram) || []) {
+        shared.set(index, (shared.get(index) || 0) + 1);
+      }
+    }
+
+    const minShared = Math.ceil(queryTrigrams.length / 3);
+    const maxTypos = getMaxTypos(folded.length);
+
+    for (const [index, count] of shared) {
+      const entry = entries[index];
+
+      if (count < minShared || scored.has(index) || !matchesGender(entry)) {
+        continue;
+      }
+
+      if (folded.length >= MIN_FUZZY_LENGTH) {
+        // Compare with the same number of letters, as the query may be unfinished
+        const typos = Math.min(
+          getEditDistance(folded, entry.folded.slice(0, folded.length)),
+          getEditDistance(folded, entry.folded)
+        );
+
+        if (typos <= maxTypos) {
+          scored.set(index, 1 + typos / 10);
+          continue;
+        }
+      }
+
+      if (entry.folded.includes(folded)) {
+        scored.set(index, 2);
+      }
+    }
+  }
+
+  return [...scored]
+    .sort(([a, scoreA], [b, scoreB]) => scoreA - scoreB || entries[b].living - entries[a].living)
+    .slice(0, limit)
+    .map(([index]) => {
+      const { name, gender: entryGender, living } = entries[index];
+      return { name, gender: entryGender, living };
+    });
+}
@@ -0,0 +1,75 @@
+/**
+ * Server Data Loader Module
+ *
+ * Reads the processed datasets from public/data on the server (for API
+ * routes), where the browser-side fetch in dataLoader.js isn't available
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { normalizeLifeTables } from './dataLoader';
+import { DEFAULT_REGION, getAvailableRegions, getRegionDataPath } from './regions';
+
+const DATA_DIR = path.join(process.cwd(), 'public', 'data');
+
+// In-memory cache, kept for the lifetime of the server process
+const cache = {};
+
+/**
+ * Read and parse a JSON file from public/data (cached)
+ *
+ * @param {string} filename - File name (e.g., "baby-names-boys.json" or "scotland/baby-names-boys.json")
+ * @returns {Object} - Parsed JSON data
+ */
+function readDataFile(filename) {
+  if (!cache[filename]) {
+    const filePath = path.join(DATA_DIR, filename);
+
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Data file not found: ${filename}. Please ensure data files have been processed.`);
+    }
+
+    cache[filename] = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  return cache[filename];
+}
+
+/**
+ * Load the dataset manifest
+ *
+ * @returns {Object} - Dataset manifest, as returned by loadManifest()
+ */
+export function loadServerManifest() {
+  return readDataFile('manifest.json');
+}
+
+/**
+ * List the regions the processed data covers
+ *
+ * @returns {Array<Object>} - [{ id, label }], as returned by getAvailableRegions()
+ */
+export function loadServerRegions() {
+  return getAvailableRegions(loadServerManifest());
+}
+
+/**
+ * Load all data for a specific gender
+ *
+ * @param {string} gender - 'male' or 'female'
+ * @param {string} [region] - Region id with its own data files (see regions.js)
+ * @returns {Object} - { babyNames, lifeTables, lifeTableSources }, as returned by loadAllData(),
+ *                     plus the net migration factors and calibration as returned by loadMigration()
+ *                     and loadCalibration() (or null)
+ */
+export function loadServerData(gender, region = DEFAULT_REGION) {
+  const babyNames = readDataFile(getRegionDataPath(region, gender === 'male' ? 'baby-names-boys.json' : 'baby-names-girls.json'));
+  const { survival, sources } = normalizeLifeTables(readDataFile(getRegionDataPath(region, `life-tables-${gender}.json`)));
+  const migrationFile = getRegionDataPath(region, `migration-${gender}.json`);
+  const calibrationFile = getRegionDataPath(region, `calibration-${gender}.json`);
+  const { files } = loadServerManifest();
+  const migration = files[migrationFile] ? readDataFile(migrationFile).factors : null;
+  const calibration = files[calibrationFile] ? readDataFile(calibrationFile) : null;
+
+  return { babyNames, lifeTables: survival, lifeTableSources: sources, migration, calibration };
+}
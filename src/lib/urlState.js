@@ -0,0 +1,113 @@
+/**
+ * URL State Module
+ *
+ * Converts between the calculator's view state and the query string, so
+ * results can be bookmarked and shared (e.g. /?name=Oliver&gender=male)
+ */
+
+import { DEFAULT_REGION, getRegion } from './regions';
+
+const GENDERS = ['male', 'female', 'all'];
+const MODES = ['single', 'compare'];
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Read a single string value from a Next.js query param (which may be an array)
+ *
+ * @param {string|Array<string>|undefined} value - Query param value
+ * @returns {string} - First value, or '' if missing
+ */
+function firstValue(value) {
+  if (Array.isArray(value)) {
+    return value[0] || '';
+  }
+
+  return typeof value === 'string' ? value : '';
+}
+
+/**
+ * Parse the calculator state from a query object
+ *
+ * Unknown or invalid values fall back to the defaults.
+ *
+ * @param {Object} query - Query object (e.g. router.query)
+ * @returns {Object} - { name, gender, region, asOf, mode, comparison, normalize, family, excluded, migration, calibration }
+ */
+export function parseQueryState(query = {}) {
+  const gender = firstValue(query.gender);
+  const region = firstValue(query.region);
+  const mode = firstValue(query.mode);
+  const asOf = firstValue(query.asOf);
+
+  // compare=Jack:male,Harry:male
+  const comparison = firstValue(query.compare)
+    .split(',')
+    .map(item => {
+      const [name, entryGender] = item.split(':');
+      return { name: (name || '').trim(), gender: GENDERS.includes(entryGender) ? entryGender : 'male' };
+    })
+    .filter(entry => entry.name.length > 0);
+
+  return {
+    name: firstValue(query.name).trim(),
+    gender: GENDERS.includes(gender) ? gender : 'male',
+    region: getRegion(region) ? region : DEFAULT_REGION,
+    asOf: ISO_DATE.test(asOf) ? asOf : '',
+    mode: MODES.includes(mode) ? mode : 'single',
+    comparison,
+    normalize: firstValue(query.normalize) === '1',
+    family: firstValue(query.family) === '1',
+    // exclude=Mohamed,Muhammed (family members switched off)
+    excluded: firstValue(query.exclude).split(',').map(name => name.trim()).filter(Boolean),
+    migration: firstValue(query.migration) === '1',
+    calibration: firstValue(query.calibration) === '1'
+  };
+}
+
+/**
+ * Build a query object from the calculator state
+ *
+ * Default values are left out to keep shared links short.
+ *
+ * @param {Object} state - { name, gender, region, asOf, mode, comparison, normalize, family, excluded, migration, calibration }
+ * @returns {Object} - Query object for router.push
+ */
+export function buildQueryState(state) {
+  const query = {};
+
+  if (state.mode === 'compare') {
+    query.mode = 'compare';
+  }
+  if (state.name) {
+    query.name = state.name;
+  }
+  if (state.gender && state.gender !== 'male') {
+    query.gender = state.gender;
+  }
+  if (state.region && state.region !== DEFAULT_REGION) {
+    query.region = state.region;
+  }
+  if (state.asOf) {
+    query.asOf = state.asOf;
+  }
+  if (state.comparison && state.comparison.length > 0) {
+    query.compare = state.comparison.map(entry => `${entry.name}:${entry.gender}`).join(',');
+  }
+  if (state.normalize) {
+    query.normalize = '1';
+  }
+  if (state.family) {
+    query.family = '1';
+  }
+  if (state.family && state.excluded && state.excluded.length > 0) {
+    query.exclude = state.excluded.join(',');
+  }
+  if (state.migration) {
+    query.migration = '1';
+  }
+  if (state.calibration) {
+    query.calibration = '1';
+  }
+
+  return query;
+}
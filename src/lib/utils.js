@@ -32,6 +32,60 @@ export function normalizeName(name) {
   return name.trim();
 }
 
+/**
+ * Fold a name for fuzzy matching: lower case, accents removed (Zoë -> zoe)
+ * and anything other than letters dropped
+ *
+ * @param {string} name - Name to fold
+ * @returns {string} - Folded name
+ */
+export function foldName(name) {
+  return normalizeName(name)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z]/g, '');
+}
+
+/**
+ * Get the data shard a name is stored in: the first letter of its folded
+ * form, or "_" for names with no letters
+ *
+ * @param {string} name - Name to look up
+ * @returns {string} - Shard key (e.g., "o" for Oliver, "e" for Élodie)
+ */
+export function getShardKey(name) {
+  return foldName(name).charAt(0) || '_';
+}
+
+/**
+ * Count the edits (insertions, deletions, substitutions or swaps of adjacent
+ * letters) needed to turn one string into another
+ *
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - Edit distance (optimal string alignment)
+ */
+export function getEditDistance(a, b) {
+  const rows = [Array.from({ length: b.length + 1 }, (_, j) => j)];
+
+  for (let i = 1; i <= a.length; i++) {
+    rows[i] = [i];
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+
+      // Swapped neighbours (Olvier -> Oliver) count as one edit
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return rows[a.length][b.length];
+}
+
 /**
  * Validate that a name is valid (not empty, reasonable length)
  *
@@ -82,28 +136,21 @@ export function formatYearRange(startYear, endYear) {
 }
 
 /**
- * Get a suggested gender based on name presence in datasets
+ * Format a date as a value for an <input type="date"> (YYYY-MM-DD, local time)
  *
- * @param {string} name - Name to check
- * @param {Object} boysData - Boys names data
- * @param {Object} girlsData - Girls names data
- * @returns {string} - 'male', 'female', or 'both'
+ * @param {Date} date - Date to format (defaults to today)
+ * @returns {string} - Formatted date (e.g., "2025-06-01")
  */
-export function suggestGender(name, boysData, girlsData) {
-  const normalizedName = normalizeName(name);
-
-  const inBoys = boysData && normalizedName in boysData;
-  const inGirls = girlsData && normalizedName in girlsData;
-
-  if (inBoys && inGirls) {
-    return 'both';
-  } else if (inBoys) {
-    return 'male';
-  } else if (inGirls) {
-    return 'female';
+export function toDateInputValue(date = new Date()) {
+  if (!(date instanceof Date) || isNaN(date.getTime())) {
+    return '';
   }
 
-  return null;
+  const year = String(date.getFullYear()).padStart(4, '0');
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+
+  return `${year}-${month}-${day}`;
 }
 
 /**
@@ -163,7 +210,7 @@ export function formatOrdinal(num) {
 /**
  * Get a color based on gender
  *
- * @param {string} gender - 'male' or 'female'
+ * @param {string} gender - 'male', 'female' or 'all'
  * @returns {Object} - { primary, secondary } colors
  */
 export function getGenderColors(gender) {
@@ -175,6 +222,14 @@ export function getGenderColors(gender) {
     };
   }
 
+  if (gender === 'all') {
+    return {
+      primary: '#8b5cf6', // Purple
+      secondary: '#ede9fe', // Light purple
+      line: '#5b21b6' // Dark purple
+    };
+  }
+
   // Default to male colors
   return {
     primary: '#3b82f6', // Blue
@@ -183,6 +238,19 @@ export function getGenderColors(gender) {
   };
 }
 
+// Distinguishable colours for overlaid series (comparison mode)
+const SERIES_COLORS = ['#2563eb', '#db2777', '#16a34a', '#ea580c', '#7c3aed', '#0891b2'];
+
+/**
+ * Get a colour for the nth series in a comparison chart
+ *
+ * @param {number} index - Series index (0-based)
+ * @returns {string} - Hex colour
+ */
+export function getSeriesColor(index) {
+  return SERIES_COLORS[index % SERIES_COLORS.length];
+}
+
 /**
  * Calculate percentage
  *
@@ -1,5 +1,17 @@
+import Head from 'next/head'
+import UpdatePrompt from '../components/UpdatePrompt'
 import '../styles/globals.css'
 
 export default function App({ Component, pageProps }) {
-  return <Component {...pageProps} />
+  return (
+    <>
+      <Head>
+        <link rel="manifest" href="/manifest.webmanifest" />
+        <link rel="apple-touch-icon" href="/icon.svg" />
+        <meta name="theme-color" content="#2563eb" />
+      </Head>
+      <Component {...pageProps} />
+      <UpdatePrompt />
+    </>
+  )
 }
@@ -1,7 +1,66 @@
+import { useState, useEffect } from 'react';
 import Head from 'next/head';
 import Link from 'next/link';
+import { loadManifest, getDataVintage, getMigrationYears, getCalibrationYear } from '../lib/dataLoader';
+import { DEFAULT_REGION, formatCoverageGaps, getAvailableRegions, getRegion, getRegionPlace } from '../lib/regions';
+import { formatYearRange } from '../lib/utils';
+
+// Where the other nations' data comes from, shown if the release includes them
+const NATION_SOURCES = {
+  scotland: {
+    description: 'From National Records of Scotland (NRS): the full lists of babies\' first names, which include ' +
+      'every name however rare, and the national life tables for Scotland.',
+    url: 'https://www.nrscotland.gov.uk/statistics-and-data/statistics/statistics-by-theme/vital-events/names/babies-first-names',
+    linkText: 'View NRS Baby Names Data'
+  },
+  'northern-ireland': {
+    description: 'From the Northern Ireland Statistics and Research Agency (NISRA): the full lists of baby names, ' +
+      'which include every name however rare, and the national life tables for Northern Ireland.',
+    url: 'https://www.nisra.gov.uk/statistics/births-deaths-and-marriages/baby-names',
+    linkText: 'View NISRA Baby Names Data'
+  }
+};
+
+/**
+ * List labels in a sentence ("A, B and C")
+ *
+ * @param {Array<string>} labels - Labels
+ * @param {string} [conjunction] - Word before the last label
+ * @returns {string} - The labels joined
+ */
+function formatList(labels, conjunction = 'and') {
+  return labels.length > 1
+    ? `${labels.slice(0, -1).join(', ')} ${conjunction} ${labels[labels.length - 1]}`
+    : labels.join('');
+}
 
 export default function About() {
+  // The page is static, so the data release is read from the manifest once
+  // it loads; until then the years of the last release documented here show
+  const [manifest, setManifest] = useState(null);
+
+  useEffect(() => {
+    loadManifest()
+      .then(setManifest)
+      .catch(error => console.error('Error loading data manifest:', error));
+  }, []);
+
+  const vintage = getDataVintage(manifest);
+  const migrationYears = getMigrationYears(manifest);
+  const calibrationYear = getCalibrationYear(manifest);
+  const exactStartYear = vintage?.exactStartYear ?? 1996;
+  const endYear = vintage?.endYear ?? 2024;
+  const modernYears = formatYearRange(exactStartYear, endYear);
+  const regions = getAvailableRegions(manifest);
+  const nations = regions
+    .filter(({ id }) => id !== DEFAULT_REGION && !getRegion(id).members)
+    .map(({ id, label }) => ({ id, label, vintage: getDataVintage(manifest, id), ...NATION_SOURCES[id] }));
+  const combined = regions.filter(({ id }) => getRegion(id).members);
+  // The widest combined region has every nation whose data starts late
+  const coverageGaps = combined.length > 0 && formatCoverageGaps(getDataVintage(manifest, combined[combined.length - 1].id));
+  const nationLabels = ['England & Wales', ...nations.map(({ label }) => label)];
+  const missingNations = ['Scotland', 'Northern Ireland'].filter(label => !nationLabels.includes(label));
+
   return (
     <>
       <Head>
@@ -31,7 +90,7 @@ export default function About() {
               <h2 className="text-2xl font-bold text-gray-900 mb-4">What is this?</h2>
               <p className="text-gray-700 mb-3">
                 The UK Name Age Calculator estimates the age distribution of people with a given name
-                in England & Wales. It's based on the excellent{' '}
+                in {formatList(regions.map(({ id }) => getRegionPlace(id)), 'or')}. It's based on the excellent{' '}
                 <a
                   href="https://name-age-calculator.randalolson.com/"
                   target="_blank"
@@ -51,6 +110,11 @@ export default function About() {
                 <li>The median age of someone with that name</li>
                 <li>The most popular year for that name</li>
               </ul>
+              <p className="text-gray-700 mt-2">
+                For names given to both boys and girls, such as Alex or Charlie, choose &quot;All&quot; to combine
+                them. Each gender is aged with its own life table before the two are added together, and the
+                calculator shows the male/female split by birth year and among those living today.
+              </p>
             </section>
 
             {/* Methodology */}
@@ -60,10 +124,10 @@ export default function About() {
               <h3 className="text-xl font-semibold text-gray-900 mb-2">Data Sources</h3>
               <div className="space-y-3 mb-4">
                 <div className="border-l-4 border-blue-500 pl-4">
-                  <p className="font-medium text-gray-900">Baby Names Data (1996-2024)</p>
+                  <p className="font-medium text-gray-900">Baby Names Data ({modernYears})</p>
                   <p className="text-sm text-gray-700">
                     From the Office for National Statistics (ONS) "Baby names in England and Wales" dataset.
-                    Covers births from 1996 to 2024 with exact counts.
+                    Covers births from {exactStartYear} to {endYear} with exact counts.
                   </p>
                   <a
                     href="https://www.ons.gov.uk/peoplepopulationandcommunity/birthsdeathsandmarriages/livebirths/datasets/babynamesinenglandandwalesfrom1996"
@@ -94,8 +158,10 @@ export default function About() {
                 <div className="border-l-4 border-blue-500 pl-4">
                   <p className="font-medium text-gray-900">Life Tables</p>
                   <p className="text-sm text-gray-700">
-                    From the ONS "National life tables: England and Wales" dataset.
-                    Provides survival probabilities by age and birth year.
+                    From the ONS "National life tables: England and Wales" dataset and the
+                    past and projected cohort life tables. Each birth cohort gets its own survival
+                    curve, built from cohort tables where available or by following the cohort
+                    through each three-year period table.
                   </p>
                   <a
                     href="https://www.ons.gov.uk/peoplepopulationandcommunity/birthsdeathsandmarriages/lifeexpectancies/datasets/nationallifetablesenglandandwalesreferencetables"
@@ -106,14 +172,61 @@ export default function About() {
                     View ONS Life Tables →
                   </a>
                 </div>
+
+                {nations.map(nation => (
+                  <div key={nation.id} className="border-l-4 border-indigo-500 pl-4">
+                    <p className="font-medium text-gray-900">
+                      {nation.label}
+                      {nation.vintage && ` (${formatYearRange(nation.vintage.startYear, nation.vintage.endYear)})`}
+                    </p>
+                    <p className="text-sm text-gray-700">{nation.description}</p>
+                    <a
+                      href={nation.url}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="text-sm text-blue-600 hover:underline"
+                    >
+                      {nation.linkText} →
+                    </a>
+                  </div>
+                ))}
+
+                {combined.length > 0 && (
+                  <p className="text-sm text-gray-700">
+                    {formatList(combined.map(({ label }) => label))} combine the nations&apos; data: each
+                    nation&apos;s births go through its own life tables, then the living estimates are added together.
+                    {coverageGaps && ` ${coverageGaps} in the combined figures.`}
+                    {' '}Likely ranges only vary the estimated births of England & Wales before {exactStartYear}, since
+                    the other nations&apos; counts are exact from their first year.
+                  </p>
+                )}
               </div>
 
+              {manifest && (
+                <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 mb-4">
+                  <p className="text-sm text-gray-700">
+                    <span className="font-medium">Data in use:</span>
+                    {vintage?.releaseYear && ` ONS ${vintage.releaseYear} release,`}
+                    {vintage && ` births ${formatYearRange(vintage.startYear, vintage.endYear)},`}
+                    {' '}data version <code className="text-xs">{manifest.version}</code>
+                    {manifest.generatedAt && ` (processed ${manifest.generatedAt.slice(0, 10)})`}.
+                  </p>
+                  <p className="text-xs text-gray-500 mt-1">
+                    The{' '}
+                    <a href="/data/manifest.json" className="text-blue-600 hover:underline">
+                      data manifest
+                    </a>{' '}
+                    lists the source workbook and sheet, year coverage and checksum of every data file.
+                  </p>
+                </div>
+              )}
+
               <h3 className="text-xl font-semibold text-gray-900 mb-2">Calculation Process</h3>
 
-              <h4 className="text-lg font-semibold text-gray-900 mb-2 mt-4">Modern Data (1996-2024)</h4>
+              <h4 className="text-lg font-semibold text-gray-900 mb-2 mt-4">Modern Data ({modernYears})</h4>
               <ol className="list-decimal list-inside text-gray-700 space-y-2 ml-4">
                 <li>
-                  <span className="font-medium">Count births:</span> For each year from 1996-2024,
+                  <span className="font-medium">Count births:</span> For each year from {modernYears},
                   we know exactly how many babies were given a particular name.
                 </li>
                 <li>
@@ -124,6 +237,17 @@ export default function About() {
                   <span className="font-medium">Calculate statistics:</span> We compute the median age,
                   total living population, and other metrics from this distribution.
                 </li>
+                <li>
+                  <span className="font-medium">Estimate uncertainty:</span> We re-run the calculation hundreds
+                  of times with the estimated pre-1996 birth counts and the mortality rates varied within plausible
+                  error bands, and report the range that covers 90% of the results.
+                </li>
+                <li>
+                  <span className="font-medium">Estimate one person&apos;s age:</span> If all you know about someone
+                  is their name, the chance they are a given age is that age&apos;s share of the living population
+                  with the name. From this we report the most likely age, a 90% credible interval and the chance
+                  of being over an age you choose.
+                </li>
               </ol>
 
               <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 mt-4">
@@ -145,8 +269,11 @@ export default function About() {
                   at 10-year intervals (1904, 1914, 1924... 1994), not actual birth counts.
                 </li>
                 <li>
-                  <span className="font-medium">Estimated counts:</span> We estimate birth counts based on the
-                  historical ranking position. Higher-ranked names are assigned higher estimated counts.
+                  <span className="font-medium">Estimated counts:</span> We estimate birth counts from each
+                  name&apos;s ranking position, sharing out the decade&apos;s total live births along one curve,
+                  fitted to the 1996 birth counts and used for every decade (the rankings alone can&apos;t show how
+                  it changed). Names were probably more concentrated in the past, so the earliest decades&apos;
+                  counts are likely underestimated.
                 </li>
                 <li>
                   <span className="font-medium">Top 100 only:</span> Historical estimates are only available
@@ -154,7 +281,9 @@ export default function About() {
                 </li>
                 <li>
                   <span className="font-medium">Interpolation:</span> For years between the 10-year intervals,
-                  we interpolate estimated values.
+                  we draw a smooth curve through each decade&apos;s estimate that joins up with the actual 1996 count.
+                  In decades where a name is outside the top 100, it&apos;s assumed to have fewer births than the
+                  100th name.
                 </li>
               </ol>
 
@@ -165,7 +294,7 @@ export default function About() {
                 <p className="text-sm text-orange-900">
                   Pre-1996 data is based on statistical estimates from historical rankings, not actual birth records.
                   These estimates should be considered approximate indicators of name popularity trends rather than
-                  precise demographic data. Modern data (1996-2024) uses exact ONS birth registration counts and
+                  precise demographic data. Modern data ({modernYears}) uses exact ONS birth registration counts and
                   is significantly more accurate.
                 </p>
               </div>
@@ -178,8 +307,9 @@ export default function About() {
                 <li className="flex items-start">
                   <span className="text-yellow-600 mr-2">⚠️</span>
                   <span>
-                    <span className="font-medium">Geographic coverage:</span> England & Wales only.
-                    Scotland and Northern Ireland have separate statistics.
+                    <span className="font-medium">Geographic coverage:</span>{' '}
+                    {formatList(nationLabels)}{missingNations.length === 0 && ', the whole United Kingdom'}.
+                    {missingNations.length > 0 && ` ${formatList(missingNations)} ${missingNations.length > 1 ? 'have' : 'has'} separate statistics, not included here.`}
                   </span>
                 </li>
                 <li className="flex items-start">
@@ -187,28 +317,63 @@ export default function About() {
                   <span>
                     <span className="font-medium">Historical data limitations:</span> Pre-1996 data (1904-1994)
                     is estimated from historical rankings, not actual counts. Only available for top 100 names
-                    at 10-year intervals. Modern data (1996-2024) uses exact birth counts and is more accurate.
+                    at 10-year intervals. Modern data ({modernYears}) uses exact birth counts and is more accurate.
                   </span>
                 </li>
                 <li className="flex items-start">
                   <span className="text-yellow-600 mr-2">⚠️</span>
                   <span>
-                    <span className="font-medium">Migration ignored:</span> We don't account for people
-                    moving in or out of England & Wales.
+                    {migrationYears ? (
+                      <>
+                        <span className="font-medium">Migration:</span> By default we don&apos;t account for
+                        people moving in or out of each nation. The &quot;Adjust for people moving in and out&quot;
+                        option applies ONS net migration by sex and single year of age for{' '}
+                        {formatYearRange(migrationYears.startYear, migrationYears.endYear)} to each birth
+                        cohort, and shows the total without it alongside. Moves before{' '}
+                        {migrationYears.startYear} still aren&apos;t counted.
+                      </>
+                    ) : (
+                      <>
+                        <span className="font-medium">Migration ignored:</span> We don&apos;t account for people
+                        moving in or out of each nation.
+                      </>
+                    )}
                   </span>
                 </li>
+                {calibrationYear && (
+                  <li className="flex items-start">
+                    <span className="text-yellow-600 mr-2">⚠️</span>
+                    <span>
+                      <span className="font-medium">Calibration:</span> All names together don&apos;t add up
+                      to the whole population of each age, mostly because the historical estimates cover only the
+                      top 100 names. The &quot;Scale each birth year&quot; option scales every name&apos;s
+                      estimate so that they match the ONS mid-year population estimates for {calibrationYear},
+                      which also counts everyone who moved in or out, so it replaces the migration adjustment. It
+                      assumes the names missing from a birth year are as old as the ones counted.{' '}
+                      <Link href="/calibration" className="text-blue-600 hover:underline">
+                        See the difference by birth year
+                      </Link>
+                      .
+                    </span>
+                  </li>
+                )}
                 <li className="flex items-start">
                   <span className="text-yellow-600 mr-2">⚠️</span>
                   <span>
-                    <span className="font-medium">Rare names excluded:</span> Very rare names
-                    (typically fewer than 3 occurrences) are excluded for privacy reasons by ONS.
+                    <span className="font-medium">Rare names:</span> ONS doesn&apos;t publish counts
+                    under 3, for privacy. Names that never reach 3 in a year aren&apos;t included; for the rest,
+                    each year with a suppressed count is counted as 1 birth (it could be 0 to 2) and shown as
+                    a hollow dot on the chart, and the living total shows the range this gives.
                   </span>
                 </li>
                 <li className="flex items-start">
                   <span className="text-yellow-600 mr-2">⚠️</span>
                   <span>
-                    <span className="font-medium">Spelling variants:</span> Different spellings are
-                    treated as separate names (e.g., "Mohammed", "Muhammad", "Mohamed").
+                    <span className="font-medium">Spelling variants:</span> ONS treats different spellings
+                    as separate names (e.g., "Mohammed", "Muhammad", "Mohamed"). Tick &quot;Include spelling
+                    variants&quot; to count them together. Variants come from a hand-made list plus names that sound
+                    alike and are spelt similarly, so the grouping can miss a spelling or include a related name;
+                    switch off any that don&apos;t belong.
                   </span>
                 </li>
                 <li className="flex items-start">
@@ -0,0 +1,30 @@
+import { parseNameOptions, getNamesByAgeResult } from '../../lib/nameApi';
+
+/**
+ * GET /api/names-by-age?age=35&gender=female&asOf=2025-06-01&limit=50
+ * GET /api/names-by-age?minAge=30&maxAge=39&gender=female&region=scotland
+ *
+ * Ranks names by the estimated number of living people of that age, with
+ * P(name | age) as `probability`.
+ */
+export default function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: `Method ${req.method} not allowed` });
+  }
+
+  const { age, minAge, maxAge, limit, gender, region, asOf } = req.query;
+  const { options, error } = parseNameOptions({ gender, region, asOf });
+
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const { status, body } = getNamesByAgeResult({ age, minAge, maxAge, limit }, options);
+    return res.status(status).json(body);
+  } catch (err) {
+    console.error('Error ranking names by age:', err);
+    return res.status(500).json({ error: 'Could not load name data' });
+  }
+}
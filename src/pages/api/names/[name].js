@@ -0,0 +1,34 @@
+import { parseNameOptions, getNameResult } from '../../../lib/nameApi';
+
+/**
+ * GET /api/names/:name?gender=female&asOf=2025-06-01&uncertainty=true&threshold=65
+ * GET /api/names/:name?family=true&exclude=Mohamed  (count spelling variants together)
+ * GET /api/names/:name?region=scotland  (or northern-ireland, great-britain, united-kingdom; england-wales by default)
+ * GET /api/names/:name?migration=true  (adjust for net migration, if the data release has it)
+ * GET /api/names/:name?calibration=true  (calibrate to the mid-year population instead, if the data release has it)
+ *
+ * Returns the age distribution, summary statistics and an age estimate for
+ * one person with the name.
+ * Responds 404 if the name isn't found, with a hint if it exists under the other gender.
+ */
+export default function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: `Method ${req.method} not allowed` });
+  }
+
+  const { name, gender, region, asOf, uncertainty, threshold, family, exclude, migration, calibration } = req.query;
+  const { options, error } = parseNameOptions({ gender, region, asOf, uncertainty, threshold, family, exclude, migration, calibration });
+
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const { status, body } = getNameResult(name, options);
+    return res.status(status).json(body);
+  } catch (err) {
+    console.error('Error calculating name result:', err);
+    return res.status(500).json({ error: 'Could not load name data' });
+  }
+}
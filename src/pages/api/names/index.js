@@ -0,0 +1,74 @@
+import { parseNameOptions, getNameResult, MAX_BATCH_NAMES } from '../../../lib/nameApi';
+
+/**
+ * Batch lookup of many names in one request
+ *
+ * GET  /api/names?names=Oliver,Emily&gender=female&asOf=2025-06-01
+ * POST /api/names  { "names": ["Oliver", { "name": "Emily", "gender": "female" }], "gender": "male", "asOf": "2025-06-01" }
+ *
+ * Each result carries its own status (200 or 404), so one unknown name
+ * doesn't fail the whole batch. Per-name genders override the default.
+ */
+export default function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.setHeader('Allow', 'GET, POST');
+    return res.status(405).json({ error: `Method ${req.method} not allowed` });
+  }
+
+  const params = req.method === 'POST' ? (req.body || {}) : req.query;
+  const names = typeof params.names === 'string'
+    ? params.names.split(',').map(name => name.trim()).filter(Boolean)
+    : params.names;
+
+  if (!Array.isArray(names) || names.length === 0) {
+    return res.status(400).json({ error: 'Provide "names" as a list or comma-separated string' });
+  }
+
+  if (names.length > MAX_BATCH_NAMES) {
+    return res.status(400).json({ error: `Too many names (maximum ${MAX_BATCH_NAMES} per request)` });
+  }
+
+  const { options, error } = parseNameOptions({
+    gender: params.gender,
+    region: params.region,
+    asOf: params.asOf,
+    uncertainty: params.uncertainty,
+    threshold: params.threshold,
+    family: params.family,
+    exclude: params.exclude,
+    migration: params.migration,
+    calibration: params.calibration
+  });
+
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const results = names.map((entry) => {
+      const name = typeof entry === 'string' ? entry : entry && entry.name;
+      const entryGender = entry && typeof entry === 'object' && entry.gender;
+
+      if (entryGender) {
+        const parsed = parseNameOptions({ ...options, gender: entryGender });
+        if (parsed.error) {
+          return { status: 400, error: parsed.error, name };
+        }
+        const { status, body } = getNameResult(name, parsed.options);
+        return { status, ...body };
+      }
+
+      const { status, body } = getNameResult(name, options);
+      return { status, ...body };
+    });
+
+    return res.status(200).json({
+      count: results.length,
+      found: results.filter(result => result.status === 200).length,
+      results
+    });
+  } catch (err) {
+    console.error('Error calculating batch results:', err);
+    return res.status(500).json({ error: 'Could not load name data' });
+  }
+}
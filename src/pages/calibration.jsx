@@ -0,0 +1,254 @@
+import { useState, useEffect, useMemo } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import { BarChart, Bar, Cell, XAxis, YAxis, Tooltip, ReferenceLine, ResponsiveContainer } from 'recharts';
+import GenderSelector from '../components/GenderSelector';
+import RegionSelector from '../components/RegionSelector';
+import { loadManifest, loadCalibration, getCalibrationYear } from '../lib/dataLoader';
+import { calculateCalibrationResiduals } from '../lib/calculations';
+import { DEFAULT_REGION, getAvailableRegions, getRegionMembers, getRegionPlace } from '../lib/regions';
+import { getGenderColors, formatNumber, formatPercentage } from '../lib/utils';
+
+/**
+ * Calibration diagnostics
+ *
+ * How far the living estimates of all names together are from the ONS
+ * mid-year population, birth year by birth year (see
+ * scripts/pipeline/calibration.js). These are the gaps the calculator's
+ * calibration option scales away.
+ */
+export default function Calibration() {
+  const [manifest, setManifest] = useState(null);
+  const [region, setRegion] = useState(DEFAULT_REGION);
+  const [gender, setGender] = useState('all');
+  const [calibrations, setCalibrations] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadManifest()
+      .then(setManifest)
+      .catch((err) => {
+        console.error('Error loading data manifest:', err);
+        setError('Failed to load data files. See DATA_SOURCES.md for instructions.');
+        setLoading(false);
+      });
+  }, []);
+
+  const regions = useMemo(
+    () => getAvailableRegions(manifest).filter(({ id }) => getCalibrationYear(manifest, id)),
+    [manifest]
+  );
+  const year = getCalibrationYear(manifest, region);
+
+  // Every member nation's calibration for the selected genders, summed below
+  useEffect(() => {
+    if (!manifest) {
+      return undefined;
+    }
+
+    if (!year) {
+      setCalibrations(null);
+      setLoading(false);
+      return undefined;
+    }
+
+    let current = true;
+    const genders = gender === 'all' ? ['male', 'female'] : [gender];
+    setLoading(true);
+
+    Promise.all(getRegionMembers(region).flatMap(member => genders.map(g => loadCalibration(g, member))))
+      .then(results => current && setCalibrations(results))
+      .catch(err => current && setError(err.message))
+      .finally(() => current && setLoading(false));
+
+    return () => {
+      current = false;
+    };
+  }, [manifest, region, gender, year]);
+
+  const rows = useMemo(() => calculateCalibrationResiduals(calibrations), [calibrations]);
+  const compared = rows.filter(row => row.residual !== null);
+  const totals = compared.reduce(
+    (sum, row) => ({ population: sum.population + row.population, modelled: sum.modelled + row.modelled }),
+    { population: 0, modelled: 0 }
+  );
+  const chartData = [...compared].reverse();
+  const colors = getGenderColors(gender);
+  const formatBirthYear = row => (row.open ? `${row.birthYear} or earlier` : row.birthYear);
+
+  const CustomTooltip = ({ active, payload }) => {
+    if (active && payload && payload.length) {
+      const data = payload[0].payload;
+
+      return (
+        <div className="bg-white border border-gray-300 rounded-lg shadow-lg p-2 text-sm text-gray-700">
+          <p className="font-medium">Born {formatBirthYear(data)} (age {data.age}{data.open && '+'})</p>
+          <p>Population: {formatNumber(data.population)}</p>
+          <p>All names: {formatNumber(data.modelled)}</p>
+          <p>Difference: {data.residual >= 0 ? '+' : ''}{formatPercentage(data.residual)}</p>
+        </div>
+      );
+    }
+
+    return null;
+  };
+
+  return (
+    <>
+      <Head>
+        <title>Calibration - UK Name Age Calculator</title>
+        <meta
+          name="description"
+          content="How close the living estimates of all names together come to the ONS mid-year population by age"
+        />
+      </Head>
+
+      <main className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100">
+        <div className="container mx-auto px-4 py-8 max-w-4xl">
+          {/* Header */}
+          <header className="text-center mb-8">
+            <h1 className="text-4xl font-bold text-gray-900 mb-3">
+              Calibration
+            </h1>
+            <p className="text-gray-700 max-w-2xl mx-auto mb-2">
+              Everyone born in a year was given some name, so the living estimates of all names together should
+              come close to the number of people that age. This is how close they come.
+            </p>
+            <Link href="/" className="text-blue-600 hover:underline">
+              ← Back to Calculator
+            </Link>
+          </header>
+
+          <div className="bg-white rounded-xl shadow-xl p-6 md:p-8">
+            {/* Loading State */}
+            {loading && !error && (
+              <div className="text-center py-12">
+                <div className="inline-block animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+                <p className="mt-4 text-gray-600">Loading data...</p>
+              </div>
+            )}
+
+            {/* Error State */}
+            {error && (
+              <div className="bg-red-50 border-2 border-red-200 rounded-lg p-6 text-center">
+                <p className="text-red-700 text-sm">{error}</p>
+              </div>
+            )}
+
+            {/* No calibration in this release */}
+            {!loading && !error && !year && (
+              <p className="text-gray-500 py-8 text-center">
+                This data release has no mid-year population estimates to compare with. See DATA_SOURCES.md for
+                how to add them.
+              </p>
+            )}
+
+            {!loading && !error && year && calibrations && (
+              <>
+                {/* Controls */}
+                <div className="space-y-4 mb-8">
+                  {regions.length > 1 && (
+                    <RegionSelector regions={regions} selectedRegion={region} onChange={setRegion} />
+                  )}
+
+                  <GenderSelector selectedGender={gender} onChange={setGender} includeAll />
+                </div>
+
+                {/* Summary */}
+                <h2 className="text-2xl font-bold text-gray-900 mb-1">
+                  All names against the {year} population of {getRegionPlace(region)}
+                </h2>
+                <p className="text-sm text-gray-600 mb-4">
+                  {compared.length} of {rows.length} ages compared
+                  {compared.length > 0 && (
+                    <>
+                      {' • '}
+                      {formatNumber(totals.modelled)} estimated living against {formatNumber(totals.population)} people
+                      ({formatPercentage((totals.modelled / totals.population) * 100)})
+                    </>
+                  )}
+                </p>
+
+                {/* Residual by birth year */}
+                <ResponsiveContainer width="100%" height={300}>
+                  <BarChart data={chartData} margin={{ top: 10, right: 30, left: 20, bottom: 20 }}>
+                    <XAxis
+                      dataKey="birthYear"
+                      stroke="#6b7280"
+                      style={{ fontSize: '12px' }}
+                      tick={{ fill: '#6b7280' }}
+                      label={{ value: 'Birth year', position: 'insideBottom', offset: -10, style: { fontSize: '12px', fill: '#374151' } }}
+                    />
+                    <YAxis
+                      stroke="#6b7280"
+                      style={{ fontSize: '12px' }}
+                      tick={{ fill: '#6b7280' }}
+                      tickFormatter={(value) => `${value.toFixed(0)}%`}
+                    />
+                    <Tooltip content={<CustomTooltip />} />
+                    <ReferenceLine y={0} stroke="#374151" />
+                    <Bar dataKey="residual" isAnimationActive={false}>
+                      {chartData.map(row => (
+                        <Cell key={row.birthYear} fill={colors.primary} fillOpacity={row.residual < 0 ? 0.7 : 0.35} />
+                      ))}
+                    </Bar>
+                  </BarChart>
+                </ResponsiveContainer>
+
+                <p className="mt-2 mb-6 text-xs text-gray-500">
+                  Bars below 0 are birth years with fewer estimated living than people that age: births the names
+                  data misses (before 1996, only the historical top 100 names are estimated), or people who moved
+                  in. Bars above 0 are birth years with more, such as people who moved away. Ages are in whole
+                  years at {year}, and the oldest ({rows.length > 0 && rows[rows.length - 1].age}+) are one group.
+                </p>
+
+                {/* Table */}
+                <div className="overflow-x-auto max-h-96 overflow-y-auto">
+                  <table className="min-w-full text-sm border-2 border-gray-200">
+                    <thead>
+                      <tr className="bg-gray-50">
+                        <th className="px-4 py-2 text-left font-medium text-gray-600">Birth Year</th>
+                        <th className="px-4 py-2 text-right font-medium text-gray-600">Population</th>
+                        <th className="px-4 py-2 text-right font-medium text-gray-600">All Names</th>
+                        <th className="px-4 py-2 text-right font-medium text-gray-600">Difference</th>
+                        <th className="px-4 py-2 text-right font-medium text-gray-600">Scaled By</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {rows.map(row => (
+                        <tr key={row.birthYear} className="border-t border-gray-200">
+                          <td className="px-4 py-2 text-gray-900">{formatBirthYear(row)}</td>
+                          {row.residual === null ? (
+                            <td colSpan={4} className="px-4 py-2 text-right text-gray-400">no names data to compare</td>
+                          ) : (
+                            <>
+                              <td className="px-4 py-2 text-right text-gray-900">{formatNumber(row.population)}</td>
+                              <td className="px-4 py-2 text-right text-gray-900">{formatNumber(row.modelled)}</td>
+                              <td className="px-4 py-2 text-right text-gray-900">
+                                {row.residual >= 0 ? '+' : ''}{formatPercentage(row.residual)}
+                              </td>
+                              <td className="px-4 py-2 text-right text-gray-900">×{row.factor.toFixed(2)}</td>
+                            </>
+                          )}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+
+                <p className="mt-4 text-xs text-gray-500">
+                  Population from the ONS mid-year population estimates by sex and single year of age. Estimated
+                  living are every name&apos;s births through the life tables, before any migration adjustment.
+                  Turning on
+                  calibration in the calculator scales each name&apos;s estimate for a birth year by that
+                  year&apos;s factor.
+                </p>
+              </>
+            )}
+          </div>
+        </div>
+      </main>
+    </>
+  );
+}
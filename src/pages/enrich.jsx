@@ -0,0 +1,229 @@
+import { useState, useEffect } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import ReferenceDateInput from '../components/ReferenceDateInput';
+import { loadAllData } from '../lib/dataLoader';
+import { parseCsv, toCsv, enrichRows } from '../lib/enrichment';
+import { formatNumber, toDateInputValue } from '../lib/utils';
+
+// Number of enriched rows shown on the page (the download has them all)
+const PREVIEW_ROWS = 20;
+
+export default function Enrich() {
+  // State
+  const [asOf, setAsOf] = useState(() => toDateInputValue(new Date()));
+  const [file, setFile] = useState(null);
+  const [result, setResult] = useState(null);
+  const [downloadUrl, setDownloadUrl] = useState(null);
+  const [processing, setProcessing] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Release the previous download link when a new one is made
+  useEffect(() => {
+    return () => {
+      if (downloadUrl) {
+        URL.revokeObjectURL(downloadUrl);
+      }
+    };
+  }, [downloadUrl]);
+
+  // Handle CSV processing
+  const handleProcess = async () => {
+    if (!file) {
+      return;
+    }
+
+    try {
+      setProcessing(true);
+      setError(null);
+
+      const [text, maleData, femaleData] = await Promise.all([
+        file.text(),
+        loadAllData('male'),
+        loadAllData('female')
+      ]);
+
+      const rows = parseCsv(text);
+
+      if (rows.length === 0) {
+        setError('The file is empty.');
+        setResult(null);
+        return;
+      }
+
+      const enriched = enrichRows(rows, { male: maleData, female: femaleData }, { asOf });
+      const blob = new Blob([toCsv(enriched.rows)], { type: 'text/csv;charset=utf-8' });
+
+      setResult(enriched);
+      setDownloadUrl(URL.createObjectURL(blob));
+    } catch (err) {
+      console.error('Error enriching CSV:', err);
+      setError('Could not process the file. Please check it is a CSV with a name column.');
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const downloadName = file ? file.name.replace(/\.csv$/i, '') + '-enriched.csv' : 'enriched.csv';
+
+  return (
+    <>
+      <Head>
+        <title>Bulk Age Estimates - UK Name Age Calculator</title>
+        <meta
+          name="description"
+          content="Estimate ages for a CSV list of first names using ONS data for England & Wales"
+        />
+      </Head>
+
+      <main className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100">
+        <div className="container mx-auto px-4 py-8 max-w-6xl">
+          {/* Header */}
+          <header className="text-center mb-8">
+            <h1 className="text-4xl font-bold text-gray-900 mb-3">
+              Bulk Age Estimates
+            </h1>
+            <p className="text-gray-700 max-w-2xl mx-auto mb-2">
+              Upload a CSV of first names (with an optional gender column) to add the likely gender,
+              median age, 10th/90th percentile ages and estimated number living for each row.
+            </p>
+            <Link href="/" className="text-blue-600 hover:underline">
+              ← Back to Calculator
+            </Link>
+          </header>
+
+          <div className="bg-white rounded-xl shadow-xl p-6 md:p-8 space-y-6">
+            {/* Upload Controls */}
+            <div className="space-y-4">
+              <div className="flex flex-wrap items-center gap-4">
+                <label htmlFor="csv-file" className="text-sm font-medium text-gray-700">
+                  CSV file:
+                </label>
+                <input
+                  id="csv-file"
+                  type="file"
+                  accept=".csv,text/csv"
+                  onChange={(e) => {
+                    setFile(e.target.files[0] || null);
+                    setResult(null);
+                  }}
+                  className="text-sm"
+                />
+              </div>
+
+              <ReferenceDateInput value={asOf} onChange={setAsOf} />
+
+              <p className="text-xs text-gray-500">
+                The name column can be headed &quot;name&quot;, &quot;first name&quot; or &quot;forename&quot;,
+                and the gender column &quot;gender&quot; or &quot;sex&quot; (M/F). Without a header, the first
+                column is read as the name and the second as the gender. Rows without a gender use the
+                more common gender for the name. Files are processed in your browser and never uploaded.
+              </p>
+
+              <button
+                type="button"
+                onClick={handleProcess}
+                disabled={!file || processing}
+                className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {processing ? 'Processing...' : 'Estimate Ages'}
+              </button>
+            </div>
+
+            {/* Error State */}
+            {error && (
+              <div className="bg-red-50 border-2 border-red-200 rounded-lg p-4">
+                <p className="text-red-800 text-sm">{error}</p>
+              </div>
+            )}
+
+            {/* Results */}
+            {result && (
+              <>
+                <div className="flex flex-wrap items-center justify-between gap-4">
+                  <p className="text-gray-900">
+                    <span className="font-bold">{formatNumber(result.summary.matched)}</span> of{' '}
+                    {formatNumber(result.summary.totalRows)} rows matched
+                  </p>
+                  <a
+                    href={downloadUrl}
+                    download={downloadName}
+                    className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 transition-colors font-medium"
+                  >
+                    Download enriched CSV
+                  </a>
+                </div>
+
+                {/* Not Found Report */}
+                {result.summary.notFound.length > 0 && (
+                  <div className="bg-yellow-50 border-2 border-yellow-200 rounded-lg p-4">
+                    <p className="text-yellow-900 font-medium mb-2">
+                      Names not found ({formatNumber(result.summary.notFound.reduce((sum, entry) => sum + entry.rows, 0))} rows)
+                    </p>
+                    <ul className="space-y-1 text-sm text-yellow-800 max-h-60 overflow-y-auto">
+                      {result.summary.notFound.map((entry) => (
+                        <li key={`${entry.name}:${entry.gender}`}>
+                          <span className="font-medium">{entry.name || '(blank)'}</span>
+                          {entry.rows > 1 && ` ×${entry.rows}`}: {entry.message}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+
+                {/* Unrecognised Gender Report */}
+                {result.summary.invalidGender.length > 0 && (
+                  <div className="bg-yellow-50 border-2 border-yellow-200 rounded-lg p-4">
+                    <p className="text-yellow-900 font-medium mb-2">
+                      Genders not recognised (
+                      {formatNumber(result.summary.invalidGender.reduce((sum, entry) => sum + entry.rows, 0))} rows)
+                    </p>
+                    <ul className="space-y-1 text-sm text-yellow-800 max-h-60 overflow-y-auto">
+                      {result.summary.invalidGender.map((entry) => (
+                        <li key={entry.value}>
+                          <span className="font-medium">{entry.value}</span>
+                          {entry.rows > 1 && ` ×${entry.rows}`}: {entry.message}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+
+                {/* Preview */}
+                <div>
+                  <h3 className="text-lg font-bold text-gray-900 mb-2">
+                    Preview{result.rows.length - 1 > PREVIEW_ROWS && ` (first ${PREVIEW_ROWS} rows)`}
+                  </h3>
+                  <div className="overflow-x-auto">
+                    <table className="min-w-full text-sm border-2 border-gray-200">
+                      <thead>
+                        <tr className="bg-gray-50">
+                          {result.rows[0].map((header, index) => (
+                            <th key={index} className="px-3 py-2 text-left font-medium text-gray-600">
+                              {header}
+                            </th>
+                          ))}
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {result.rows.slice(1, PREVIEW_ROWS + 1).map((row, rowIndex) => (
+                          <tr key={rowIndex} className="border-t border-gray-200">
+                            {row.map((cell, cellIndex) => (
+                              <td key={cellIndex} className="px-3 py-2 text-gray-900">
+                                {cell}
+                              </td>
+                            ))}
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      </main>
+    </>
+  );
+}
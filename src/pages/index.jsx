@@ -1,41 +1,88 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo, useCallback } from 'react';
 import Head from 'next/head';
+import { useRouter } from 'next/router';
 import NameAgeChart from '../components/NameAgeChart';
 import NameSearchInput from '../components/NameSearchInput';
 import GenderSelector from '../components/GenderSelector';
+import RegionSelector from '../components/RegionSelector';
 import StatsDisplay from '../components/StatsDisplay';
-import { loadAllData, getNameData, nameExists } from '../lib/dataLoader';
-import { calculateAgeDistribution, calculateStats } from '../lib/calculations';
-import { suggestGender } from '../lib/utils';
+import AgeEstimatePanel from '../components/AgeEstimatePanel';
+import ReferenceDateInput from '../components/ReferenceDateInput';
+import ModeSelector from '../components/ModeSelector';
+import ComparisonTable from '../components/ComparisonTable';
+import NameFamilyPanel from '../components/NameFamilyPanel';
+import { createDataService } from '../lib/dataService';
+import { formatYearRange, toDateInputValue } from '../lib/utils';
+import { parseQueryState, buildQueryState } from '../lib/urlState';
+import { getRegion, getRegionPlace, getRegionPublishers, formatRegionPublishers } from '../lib/regions';
+
+// Maximum number of names shown at once in comparison mode
+const MAX_COMPARISON_NAMES = 6;
+
+// Who the page description refers to for each gender option
+const GENDER_DESCRIPTIONS = {
+  male: 'boys and men',
+  female: 'girls and women',
+  all: 'people'
+};
+
+// Shown before a name is searched
+const EMPTY_RESULT = { distribution: [], stats: null, error: null, family: null };
 
 export default function Home() {
+  const router = useRouter();
+
+  // View state lives in the query string so results can be shared and
+  // back/forward navigation restores them
+  const queryState = useMemo(() => parseQueryState(router.query), [router.query]);
+  const today = toDateInputValue(new Date());
+  const { mode, gender, region, comparison, normalize, family, excluded, migration, calibration } = queryState;
+  const searchedName = queryState.name;
+  const asOf = queryState.asOf || today;
+
   // State
-  const [gender, setGender] = useState('male');
-  const [searchedName, setSearchedName] = useState('');
-  const [distribution, setDistribution] = useState([]);
-  const [stats, setStats] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [dataLoaded, setDataLoaded] = useState(false);
+  const [calculating, setCalculating] = useState(false);
+
+  // Data lives in the data service (a Web Worker where available), which
+  // loads names a shard (first letter) at a time as they're needed
+  const [dataService, setDataService] = useState(null);
+  const [lifeTableSources, setLifeTableSources] = useState(null);
+  const [vintage, setVintage] = useState(null);
+  const [migrationYears, setMigrationYears] = useState(null);
+  const [calibrationYear, setCalibrationYear] = useState(null);
+  const [regions, setRegions] = useState([]);
+  const [regionError, setRegionError] = useState(null);
+  const [result, setResult] = useState(EMPTY_RESULT);
+  const [comparisonResults, setComparisonResults] = useState([]);
+
+  // Offline, the service worker serves the last cached copy of this page,
+  // which carries the query of the URL it was cached from. Re-read the
+  // query from the address bar if it differs.
+  useEffect(() => {
+    const addressState = parseQueryState(Object.fromEntries(new URLSearchParams(window.location.search)));
 
-  // Data
-  const [maleData, setMaleData] = useState(null);
-  const [femaleData, setFemaleData] = useState(null);
+    if (JSON.stringify(buildQueryState(addressState)) !== JSON.stringify(buildQueryState(queryState))) {
+      router.replace(window.location.pathname + window.location.search, undefined, { shallow: true, scroll: false });
+    }
+  }, []);
 
-  // Load data on component mount
+  // Start the data service on component mount
   useEffect(() => {
+    const service = createDataService();
+
     async function loadData() {
       try {
         setLoading(true);
         setError(null);
 
-        const [maleDataset, femaleDataset] = await Promise.all([
-          loadAllData('male'),
-          loadAllData('female')
-        ]);
+        // England & Wales is always there; the region effect below loads the selected one
+        const { regions: availableRegions } = await service.init();
 
-        setMaleData(maleDataset);
-        setFemaleData(femaleDataset);
+        setRegions(availableRegions);
+        setDataService(service);
         setDataLoaded(true);
       } catch (err) {
         console.error('Error loading data:', err);
@@ -49,107 +96,240 @@ export default function Home() {
     }
 
     loadData();
+
+    return () => service.terminate();
   }, []);
 
+  // Load the selected region's life tables and describe its data, and
+  // whether it can be adjusted for migration or calibrated
+  useEffect(() => {
+    if (!dataLoaded) {
+      return undefined;
+    }
+
+    let current = true;
+    setRegionError(null);
+
+    dataService
+      .init(region)
+      .then(({ lifeTableSources: sources, vintage: dataVintage, migration: years, calibration: populationYear }) => {
+        if (current) {
+          setLifeTableSources(sources);
+          setVintage(dataVintage);
+          setMigrationYears(years);
+          setCalibrationYear(populationYear);
+        }
+      })
+      .catch(err => current && setRegionError(err.message));
+
+    return () => {
+      current = false;
+    };
+  }, [dataLoaded, dataService, region]);
+
+  // Results are derived from the inputs, so changing the name, gender,
+  // region, reference date, migration adjustment or calibration recalculates everything
+  // on screen. Replies for inputs that have since changed are ignored.
+  const excludedKey = excluded.join(',');
+  const comparisonKey = buildQueryState({ comparison }).compare || '';
+
+  useEffect(() => {
+    if (!dataLoaded || !searchedName) {
+      setResult(EMPTY_RESULT);
+      return undefined;
+    }
+
+    let current = true;
+    setCalculating(true);
+
+    dataService
+      .getStats(searchedName, gender, {
+        asOf,
+        region,
+        withUncertainty: true,
+        family: family ? { excluded } : null,
+        migration,
+        calibration
+      })
+      .then(nextResult => current && setResult(nextResult))
+      .catch(err => current && setResult({ ...EMPTY_RESULT, error: err.message }))
+      .finally(() => current && setCalculating(false));
+
+    return () => {
+      current = false;
+    };
+  }, [dataLoaded, dataService, searchedName, gender, region, asOf, family, excludedKey, migration, calibration]);
+
+  useEffect(() => {
+    if (!dataLoaded) {
+      return undefined;
+    }
+
+    let current = true;
+
+    Promise.all(comparison.map(entry =>
+      dataService
+        .getStats(entry.name, entry.gender, { asOf, region, migration, calibration })
+        .catch(err => ({ ...EMPTY_RESULT, error: err.message }))
+        .then(entryResult => ({ ...entry, ...entryResult }))
+    )).then(results => current && setComparisonResults(results));
+
+    return () => {
+      current = false;
+    };
+  }, [dataLoaded, dataService, comparisonKey, region, asOf, migration, calibration]);
+
+  // Suggestions come from the selected region's names
+  const searchRegion = useCallback(
+    (query, options) => dataService.search(query, { ...options, region }),
+    [dataService, region]
+  );
+
+  const { distribution, stats } = result;
+  const includedVariants = (result.family || []).filter(member => member.included).length;
+  const displayName = includedVariants > 1 ? `${searchedName} (and variants)` : searchedName;
+  const nameError = regionError || (mode === 'single' ? result.error : null);
+
+  /**
+   * Update the query string with a partial state change
+   *
+   * @param {Object} changes - State fields to change
+   * @param {Object} options - { replace } to update the current history entry instead of adding one
+   */
+  const navigate = (changes, { replace = false } = {}) => {
+    const nextState = { ...queryState, ...changes };
+
+    // Today is the default, so leave it out of the URL
+    if (nextState.asOf === today) {
+      nextState.asOf = '';
+    }
+
+    const url = { pathname: router.pathname, query: buildQueryState(nextState) };
+    const method = replace ? router.replace : router.push;
+    method(url, undefined, { shallow: true, scroll: false });
+  };
+
   // Handle name search
   const handleNameSearch = (name) => {
     if (!name || !dataLoaded) {
       return;
     }
 
-    const currentData = gender === 'male' ? maleData : femaleData;
-    const otherData = gender === 'male' ? femaleData : maleData;
-
-    // Check if name exists in current gender dataset
-    if (!nameExists(name, gender, currentData.babyNames)) {
-      // Check other gender
-      if (nameExists(name, gender === 'male' ? 'female' : 'male', otherData.babyNames)) {
-        setError(
-          `"${name}" was not found in ${gender} names, but exists in ${
-            gender === 'male' ? 'female' : 'male'
-          } names. ` +
-          `Try switching the gender selector.`
-        );
-        return;
-      }
-
-      setError(
-        `"${name}" was not found in the dataset. ` +
-        `Please check the spelling or try a different name. ` +
-        `Note: Very rare names may not be included in the data.`
-      );
+    if (mode === 'compare') {
+      handleAddComparisonName(name);
       return;
     }
 
-    setError(null);
+    // Variants switched off for the last name don't apply to the new one
+    navigate({ name, excluded: [] });
+  };
+
+  // Handle gender change
+  const handleGenderChange = (newGender) => {
+    navigate({ gender: newGender });
+  };
+
+  // Handle region change
+  const handleRegionChange = (newRegion) => {
+    navigate({ region: newRegion });
+  };
+
+  // Handle reference date change
+  const handleReferenceDateChange = (newAsOf) => {
+    navigate({ asOf: newAsOf }, { replace: true });
+  };
+
+  // Handle adjusting for net migration
+  const handleMigrationChange = (enabled) => {
+    navigate({ migration: enabled }, { replace: true });
+  };
+
+  // Handle calibrating to the mid-year population
+  const handleCalibrationChange = (enabled) => {
+    navigate({ calibration: enabled }, { replace: true });
+  };
 
-    // Get name data
-    const nameData = getNameData(name, currentData.babyNames);
+  // Handle counting spelling variants together
+  const handleFamilyChange = (enabled) => {
+    navigate({ family: enabled, excluded: [] }, { replace: true });
+  };
+
+  const handleFamilyMemberToggle = (memberName, included) => {
+    navigate({
+      excluded: included
+        ? excluded.filter(name => name.toLowerCase() !== memberName.toLowerCase())
+        : [...excluded, memberName]
+    }, { replace: true });
+  };
 
-    if (!nameData) {
-      setError(`No data found for "${name}"`);
+  // Handle switching between single-name and comparison modes
+  const handleModeChange = (newMode) => {
+    // Seed the comparison with the name already on screen
+    if (newMode === 'compare' && comparison.length === 0 && searchedName && stats) {
+      navigate({ mode: newMode, comparison: [{ name: searchedName, gender }] });
       return;
     }
 
-    // Calculate distribution
-    const ageDistribution = calculateAgeDistribution(
-      name,
-      gender,
-      nameData,
-      currentData.lifeTables
+    navigate({ mode: newMode });
+  };
+
+  // Add a name (with the currently selected gender) to the comparison
+  const handleAddComparisonName = (name) => {
+    const isDuplicate = comparison.some(entry =>
+      entry.name.toLowerCase() === name.toLowerCase() && entry.gender === gender
     );
 
-    // Calculate statistics
-    const statistics = calculateStats(ageDistribution);
+    if (isDuplicate || comparison.length >= MAX_COMPARISON_NAMES) {
+      return;
+    }
 
-    setSearchedName(name);
-    setDistribution(ageDistribution);
-    setStats(statistics);
+    navigate({ comparison: [...comparison, { name, gender }] });
   };
 
-  // Handle gender change
-  const handleGenderChange = (newGender) => {
-    setGender(newGender);
-
-    // Re-calculate if we have a searched name
-    if (searchedName) {
-      const newData = newGender === 'male' ? maleData : femaleData;
-
-      // Check if name exists in new gender
-      if (nameExists(searchedName, newGender, newData.babyNames)) {
-        const nameData = getNameData(searchedName, newData.babyNames);
-        const ageDistribution = calculateAgeDistribution(
-          searchedName,
-          newGender,
-          nameData,
-          newData.lifeTables
-        );
-        const statistics = calculateStats(ageDistribution);
+  const handleRemoveComparisonName = (index) => {
+    navigate({ comparison: comparison.filter((_, i) => i !== index) });
+  };
 
-        setDistribution(ageDistribution);
-        setStats(statistics);
-        setError(null);
-      } else {
-        setError(
-          `"${searchedName}" was not found in ${newGender} names. ` +
-          `Try searching for a different name.`
-        );
-        setDistribution([]);
-        setStats(null);
-      }
-    }
+  const handleComparisonGenderChange = (index, newGender) => {
+    navigate({
+      comparison: comparison.map((entry, i) => (i === index ? { ...entry, gender: newGender } : entry))
+    });
+  };
+
+  const handleNormalizeChange = (newNormalize) => {
+    navigate({ normalize: newNormalize }, { replace: true });
   };
 
-  const currentData = gender === 'male' ? maleData : femaleData;
+  // Title and description reflect the query so shared links preview sensibly
+  const regionPlace = getRegionPlace(region);
+  const publishers = getRegionPublishers(region);
+  const publisherNames = formatRegionPublishers(region, { short: true });
+  const comparedNames = comparison.map(entry => entry.name).join(' vs ');
+  let pageTitle = `UK Name Age Calculator - ${getRegion(region).label}`;
+  let pageDescription = `Estimate the age distribution of people with a given name in ${regionPlace} using ${publisherNames} data`;
+
+  if (mode === 'compare' && comparedNames) {
+    pageTitle = `${comparedNames} - UK Name Age Calculator`;
+    pageDescription = `Compare the age distributions of people named ${comparedNames} in ${regionPlace} using ${publisherNames} data`;
+  } else if (mode === 'single' && searchedName) {
+    pageTitle = `How old are people named ${searchedName}? - UK Name Age Calculator`;
+    pageDescription =
+      `Estimated age distribution, median age and number living of ${GENDER_DESCRIPTIONS[gender]} ` +
+      `named ${searchedName} in ${regionPlace}, using ${publisherNames} data`;
+  }
+
+  // Life table sources are labelled by period, not gender, so either gender's
+  // labels describe the combined chart
+  const currentSources = lifeTableSources?.[gender === 'female' ? 'female' : 'male'];
+  const comparisonFull = comparison.length >= MAX_COMPARISON_NAMES;
 
   return (
     <>
       <Head>
-        <title>UK Name Age Calculator - England & Wales</title>
-        <meta
-          name="description"
-          content="Estimate the age distribution of people with a given name in England & Wales using ONS data"
-        />
+        <title>{pageTitle}</title>
+        <meta name="description" content={pageDescription} />
+        <meta property="og:title" content={pageTitle} />
+        <meta property="og:description" content={pageDescription} />
         <meta name="viewport" content="width=device-width, initial-scale=1" />
         <link rel="icon" href="/favicon.ico" />
       </Head>
@@ -162,14 +342,19 @@ export default function Home() {
               UK Name Age Calculator
             </h1>
             <p className="text-lg text-gray-700 max-w-2xl mx-auto">
-              Discover the age distribution of people with a given name in England & Wales
+              Discover the age distribution of people with a given name in {regionPlace}
             </p>
             <p className="text-sm text-gray-600 mt-2">
-              Based on Office for National Statistics (ONS) data, 1904-2024
-            </p>
-            <p className="text-xs text-gray-500 mt-1">
-              Modern data (1996-2024) uses exact counts • Historical data (1904-1995) estimated from rankings
+              Based on {formatRegionPublishers(region)} data
+              {vintage && `, ${formatYearRange(vintage.startYear, vintage.endYear)}`}
+              {vintage?.releaseYear && ` (${vintage.releaseYear} release)`}
             </p>
+            {vintage?.exactStartYear > vintage?.startYear && (
+              <p className="text-xs text-gray-500 mt-1">
+                Modern data ({formatYearRange(vintage.exactStartYear, vintage.endYear)}) uses exact counts •
+                Historical data ({formatYearRange(vintage.startYear, vintage.exactStartYear - 1)}) estimated from rankings
+              </p>
+            )}
           </header>
 
           {/* Main Content Card */}
@@ -204,45 +389,188 @@ export default function Home() {
               <>
                 {/* Search Controls */}
                 <div className="space-y-4 mb-8">
+                  <ModeSelector
+                    selectedMode={mode}
+                    onChange={handleModeChange}
+                  />
+
                   <NameSearchInput
+                    value={mode === 'single' ? searchedName : undefined}
                     onSubmit={handleNameSearch}
-                    babyNamesData={currentData?.babyNames}
-                    placeholder="Enter a name (e.g., Oliver, Emily)..."
+                    search={searchRegion}
+                    gender={gender}
+                    placeholder={
+                      mode === 'compare'
+                        ? (comparisonFull
+                          ? `Remove a name to add another (max ${MAX_COMPARISON_NAMES})`
+                          : 'Add a name to compare (e.g., Jack, Harry)...')
+                        : 'Enter a name (e.g., Oliver, Emily)...'
+                    }
                   />
 
                   <GenderSelector
                     selectedGender={gender}
                     onChange={handleGenderChange}
+                    includeAll
+                  />
+
+                  {regions.length > 1 && (
+                    <RegionSelector
+                      regions={regions}
+                      selectedRegion={region}
+                      onChange={handleRegionChange}
+                    />
+                  )}
+
+                  <ReferenceDateInput
+                    value={asOf}
+                    onChange={handleReferenceDateChange}
                   />
+
+                  {/* Migration adjustment, if this data release has it for the region.
+                      Calibration replaces it, since the population counts everyone who moved. */}
+                  {migrationYears && (
+                    <label className={`flex items-center gap-2 text-sm ${calibration && calibrationYear ? 'text-gray-400' : 'text-gray-700 cursor-pointer'}`}>
+                      <input
+                        type="checkbox"
+                        checked={migration}
+                        disabled={Boolean(calibration && calibrationYear)}
+                        onChange={(e) => handleMigrationChange(e.target.checked)}
+                      />
+                      Adjust for people moving in and out since birth (net migration,{' '}
+                      {formatYearRange(migrationYears.startYear, migrationYears.endYear)})
+                    </label>
+                  )}
+
+                  {/* Calibration, if this data release has it for the region */}
+                  {calibrationYear && (
+                    <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={calibration}
+                        onChange={(e) => handleCalibrationChange(e.target.checked)}
+                      />
+                      Scale each birth year to the {calibrationYear} mid-year population (
+                      <a href="/calibration" className="text-blue-600 hover:underline">how far off?</a>)
+                    </label>
+                  )}
                 </div>
 
                 {/* Error State - Name Not Found */}
-                {error && dataLoaded && (
+                {nameError && (
                   <div className="bg-yellow-50 border-2 border-yellow-200 rounded-lg p-4 mb-6">
-                    <p className="text-yellow-800 text-sm">{error}</p>
+                    <p className="text-yellow-800 text-sm">{nameError}</p>
                   </div>
                 )}
 
-                {/* Chart */}
-                <div className="mb-6">
-                  <NameAgeChart
-                    data={distribution}
-                    name={searchedName}
-                    gender={gender}
-                  />
-                </div>
+                {/* Calculating State - first result for a name */}
+                {mode === 'single' && calculating && !stats && !result.error && (
+                  <div className="text-center py-12">
+                    <div className="inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+                    <p className="mt-4 text-gray-600">Calculating...</p>
+                  </div>
+                )}
 
-                {/* Statistics */}
-                {stats && (
-                  <StatsDisplay stats={stats} name={searchedName} />
+                {mode === 'single' && !(calculating && !stats && !result.error) && (
+                  <>
+                    {/* Spelling Variants */}
+                    {stats && (
+                      <NameFamilyPanel
+                        enabled={family}
+                        members={result.family}
+                        onEnabledChange={handleFamilyChange}
+                        onToggleMember={handleFamilyMemberToggle}
+                      />
+                    )}
+
+                    {/* Chart */}
+                    <div className="mb-6">
+                      <NameAgeChart
+                        vintage={vintage}
+                        region={region}
+                        data={distribution}
+                        name={displayName}
+                        gender={gender}
+                        referenceYear={stats?.referenceYear}
+                        lifeTableSources={currentSources}
+                        bands={stats?.uncertainty?.byYear}
+                      />
+                    </div>
+
+                    {/* Statistics */}
+                    {stats && (
+                      <StatsDisplay
+                        stats={stats}
+                        name={displayName}
+                        vintage={vintage}
+                        region={region}
+                        migrationYears={migrationYears}
+                        calibrationYear={calibrationYear}
+                      />
+                    )}
+
+                    {/* Single-Person Age Estimate */}
+                    {stats && (
+                      <AgeEstimatePanel
+                        distribution={distribution}
+                        name={searchedName}
+                        gender={gender}
+                        referenceYear={stats.referenceYear}
+                      />
+                    )}
+
+                    {/* Help Text */}
+                    {!searchedName && (
+                      <div className="text-center py-8 text-gray-500">
+                        <p className="text-lg">👆 Enter a name above to get started</p>
+                        <p className="text-sm mt-2">Try popular names like Oliver, Olivia, Mohammed, or Emily</p>
+                      </div>
+                    )}
+                  </>
                 )}
 
-                {/* Help Text */}
-                {!searchedName && !error && (
-                  <div className="text-center py-8 text-gray-500">
-                    <p className="text-lg">👆 Enter a name above to get started</p>
-                    <p className="text-sm mt-2">Try popular names like Oliver, Olivia, Mohammed, or Emily</p>
-                  </div>
+                {mode === 'compare' && (
+                  <>
+                    {/* Normalisation toggle */}
+                    <label className="flex items-center gap-2 mb-4 text-sm text-gray-700 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={normalize}
+                        onChange={(e) => handleNormalizeChange(e.target.checked)}
+                      />
+                      Show each year as a share of the name&apos;s living total (compare shapes, not sizes)
+                    </label>
+
+                    {/* Overlaid chart */}
+                    <div className="mb-6">
+                      <NameAgeChart
+                        vintage={vintage}
+                        region={region}
+                        series={comparisonResults.filter(entry => !entry.error)}
+                        normalize={normalize}
+                        referenceYear={comparisonResults.find(entry => entry.stats)?.stats.referenceYear}
+                      />
+                    </div>
+
+                    {/* Side-by-side statistics */}
+                    {comparisonResults.length > 0 && (
+                      <ComparisonTable
+                        entries={comparisonResults}
+                        onRemove={handleRemoveComparisonName}
+                        onGenderChange={handleComparisonGenderChange}
+                      />
+                    )}
+
+                    {/* Help Text */}
+                    {comparisonResults.length === 0 && (
+                      <div className="text-center py-8 text-gray-500">
+                        <p className="text-lg">👆 Add up to {MAX_COMPARISON_NAMES} names to compare</p>
+                        <p className="text-sm mt-2">
+                          Pick a gender, then add names like Mohammed, Muhammad and Mohamed, or Jack and Harry
+                        </p>
+                      </div>
+                    )}
+                  </>
                 )}
               </>
             )}
@@ -252,14 +580,19 @@ export default function Home() {
           <footer className="mt-8 text-center text-sm text-gray-600">
             <p className="mb-2">
               Data source:{' '}
-              <a
-                href="https://www.ons.gov.uk/"
-                target="_blank"
-                rel="noopener noreferrer"
-                className="text-blue-600 hover:underline"
-              >
-                Office for National Statistics (ONS)
-              </a>
+              {publishers.map((publisher, index) => (
+                <span key={publisher.abbreviation}>
+                  {index > 0 && (index === publishers.length - 1 ? ' and ' : ', ')}
+                  <a
+                    href={publisher.url}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="text-blue-600 hover:underline"
+                  >
+                    {publisher.name} ({publisher.abbreviation})
+                  </a>
+                </span>
+              ))}
             </p>
             <p className="mb-2">
               <a
@@ -269,6 +602,20 @@ export default function Home() {
                 About this calculator
               </a>
               {' • '}
+              <a
+                href="/enrich"
+                className="text-blue-600 hover:underline"
+              >
+                Bulk age estimates (CSV)
+              </a>
+              {' • '}
+              <a
+                href="/names-by-age"
+                className="text-blue-600 hover:underline"
+              >
+                Most common names by age
+              </a>
+              {' • '}
               <a
                 href="https://name-age-calculator.randalolson.com/"
                 target="_blank"
@@ -287,3 +634,8 @@ export default function Home() {
     </>
   );
 }
+
+// Render on each request so <Head> reflects the query string in link previews
+export async function getServerSideProps() {
+  return { props: {} };
+}
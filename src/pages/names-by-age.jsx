@@ -0,0 +1,211 @@
+import { useState, useEffect, useMemo } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import GenderSelector from '../components/GenderSelector';
+import ReferenceDateInput from '../components/ReferenceDateInput';
+import { loadAllData } from '../lib/dataLoader';
+import { calculateNamesByAge } from '../lib/calculations';
+import { buildQueryState } from '../lib/urlState';
+import { formatNumber, formatPercentage, toDateInputValue, clamp } from '../lib/utils';
+
+// Number of names listed
+const RESULT_LIMIT = 50;
+
+export default function NamesByAge() {
+  // State
+  const [gender, setGender] = useState('female');
+  const [minAge, setMinAge] = useState(35);
+  const [maxAge, setMaxAge] = useState(35);
+  const [asOf, setAsOf] = useState(() => toDateInputValue(new Date()));
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Data
+  const [datasets, setDatasets] = useState(null);
+
+  // Load data on component mount
+  useEffect(() => {
+    async function loadData() {
+      try {
+        setLoading(true);
+        setError(null);
+
+        const [maleDataset, femaleDataset] = await Promise.all([
+          loadAllData('male'),
+          loadAllData('female')
+        ]);
+
+        setDatasets({ male: maleDataset, female: femaleDataset });
+      } catch (err) {
+        console.error('Error loading data:', err);
+        setError('Failed to load data files. See DATA_SOURCES.md for instructions.');
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    loadData();
+  }, []);
+
+  const result = useMemo(() => {
+    if (!datasets) {
+      return null;
+    }
+
+    const data = datasets[gender];
+    return calculateNamesByAge(data.babyNames, data.lifeTables, { minAge, maxAge, asOf, limit: RESULT_LIMIT });
+  }, [datasets, gender, minAge, maxAge, asOf]);
+
+  // Keep the band valid as either end is edited
+  const handleMinAgeChange = (value) => {
+    const age = clamp(parseInt(value, 10) || 0, 0, 120);
+    setMinAge(age);
+    if (age > maxAge) {
+      setMaxAge(age);
+    }
+  };
+
+  const handleMaxAgeChange = (value) => {
+    const age = clamp(parseInt(value, 10) || 0, 0, 120);
+    setMaxAge(age);
+    if (age < minAge) {
+      setMinAge(age);
+    }
+  };
+
+  const ageLabel = minAge === maxAge ? `${minAge}-year-old` : `${minAge}-${maxAge}-year-old`;
+  const genderLabel = gender === 'male' ? 'men and boys' : 'women and girls';
+
+  return (
+    <>
+      <Head>
+        <title>Most Common Names by Age - UK Name Age Calculator</title>
+        <meta
+          name="description"
+          content="The most common names among living people of a given age and gender in England & Wales, using ONS data"
+        />
+      </Head>
+
+      <main className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100">
+        <div className="container mx-auto px-4 py-8 max-w-4xl">
+          {/* Header */}
+          <header className="text-center mb-8">
+            <h1 className="text-4xl font-bold text-gray-900 mb-3">
+              Most Common Names by Age
+            </h1>
+            <p className="text-gray-700 max-w-2xl mx-auto mb-2">
+              Pick an age (or age band) and gender to see which names the most living people of that age have.
+            </p>
+            <Link href="/" className="text-blue-600 hover:underline">
+              ← Back to Calculator
+            </Link>
+          </header>
+
+          <div className="bg-white rounded-xl shadow-xl p-6 md:p-8">
+            {/* Loading State */}
+            {loading && (
+              <div className="text-center py-12">
+                <div className="inline-block animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+                <p className="mt-4 text-gray-600">Loading data...</p>
+              </div>
+            )}
+
+            {/* Error State */}
+            {!loading && error && (
+              <div className="bg-red-50 border-2 border-red-200 rounded-lg p-6 text-center">
+                <p className="text-red-700 text-sm">{error}</p>
+              </div>
+            )}
+
+            {!loading && result && (
+              <>
+                {/* Controls */}
+                <div className="space-y-4 mb-8">
+                  <div className="flex flex-wrap items-center gap-4">
+                    <span className="text-sm font-medium text-gray-700">Age:</span>
+                    <input
+                      type="number"
+                      min="0"
+                      max="120"
+                      value={minAge}
+                      onChange={(e) => handleMinAgeChange(e.target.value)}
+                      className="w-24 px-3 py-2 border-2 border-gray-300 rounded-lg focus:outline-none focus:border-blue-500"
+                      aria-label="Minimum age"
+                    />
+                    <span className="text-sm text-gray-600">to</span>
+                    <input
+                      type="number"
+                      min="0"
+                      max="120"
+                      value={maxAge}
+                      onChange={(e) => handleMaxAgeChange(e.target.value)}
+                      className="w-24 px-3 py-2 border-2 border-gray-300 rounded-lg focus:outline-none focus:border-blue-500"
+                      aria-label="Maximum age"
+                    />
+                  </div>
+
+                  <GenderSelector selectedGender={gender} onChange={setGender} />
+
+                  <ReferenceDateInput value={asOf} onChange={setAsOf} />
+                </div>
+
+                {/* Results */}
+                <h2 className="text-2xl font-bold text-gray-900 mb-1">
+                  Most common names of {ageLabel} {genderLabel}
+                </h2>
+                <p className="text-sm text-gray-600 mb-4">
+                  Born {result.referenceYear - result.maxAge}
+                  {result.minAge !== result.maxAge && `-${result.referenceYear - result.minAge}`}
+                  {' • '}
+                  about {formatNumber(result.totalLiving)} living in {result.referenceYear} across all recorded names
+                </p>
+
+                {result.names.length === 0 ? (
+                  <p className="text-gray-500 py-8 text-center">No names recorded for this age band.</p>
+                ) : (
+                  <div className="overflow-x-auto">
+                    <table className="min-w-full text-sm border-2 border-gray-200">
+                      <thead>
+                        <tr className="bg-gray-50">
+                          <th className="px-4 py-2 text-left font-medium text-gray-600">Rank</th>
+                          <th className="px-4 py-2 text-left font-medium text-gray-600">Name</th>
+                          <th className="px-4 py-2 text-right font-medium text-gray-600">Est. Living</th>
+                          <th className="px-4 py-2 text-right font-medium text-gray-600">Share of Age Group</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {result.names.map((entry, index) => (
+                          <tr key={entry.name} className="border-t border-gray-200">
+                            <td className="px-4 py-2 text-gray-500">{index + 1}</td>
+                            <td className="px-4 py-2">
+                              <Link
+                                href={{ pathname: '/', query: buildQueryState({ name: entry.name, gender, asOf }) }}
+                                className="text-blue-600 hover:underline font-medium"
+                              >
+                                {entry.name}
+                              </Link>
+                            </td>
+                            <td className="px-4 py-2 text-right text-gray-900">{formatNumber(entry.living)}</td>
+                            <td className="px-4 py-2 text-right text-gray-900">
+                              {formatPercentage(entry.probability * 100, 2)}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+
+                <p className="mt-4 text-xs text-gray-500">
+                  Share of age group is P(name | age): the estimated share of living {genderLabel} of this age with
+                  the name, among names in the ONS data. Very rare names are not included, and ages before 1996
+                  rely on estimates for the historical top 100 names only.
+                </p>
+              </>
+            )}
+          </div>
+        </div>
+      </main>
+    </>
+  );
+}